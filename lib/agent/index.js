@@ -0,0 +1,179 @@
+const llm = require('../llm');
+const i18n = require('../i18n');
+const planner = require('./planner');
+const { AgentToolError, registerTool, getTool, listTools } = require('./tools');
+
+// Tool calls allowed for one question before the answer is written from what was found
+const MAX_STEPS = 6;
+
+// Tool results are shown to the model at most this long
+const RESULT_CHARS = 3000;
+
+const SYSTEM_PROMPT = `You are Vyapar Sahayak, an AI assistant specializing in Indian GST compliance for small businesses.
+You answer questions about the business's own GST data and about GST law by calling tools.
+To call a tool, reply with exactly one JSON object and nothing else:
+{"tool": "<tool name>", "arguments": {...}}
+Once the tool results are enough to answer, reply with the answer itself as plain text.
+Take figures only from tool results and cite the source numbers they come with in square brackets, e.g. [1].
+Where a source is marked superseded, go by the current one and mention what changed.
+If the tools cannot answer the question, say so and suggest consulting a tax professional.
+Keep your answer concise and practical.`;
+
+function describeTools() {
+  return listTools().map(tool => {
+    const parameters = Object.entries(tool.parameters)
+      .map(([name, parameter]) => `${name}${parameter.required ? '' : '?'}: ${parameter.type} (${parameter.description})`)
+      .join(', ');
+    return `- ${tool.name}(${parameters}): ${tool.description}`;
+  }).join('\n');
+}
+
+function describeCall(entry, sources) {
+  const call = `[${entry.step}] ${entry.tool}(${JSON.stringify(entry.arguments)})`;
+  if (entry.error) return `${call} failed: ${entry.error}`;
+  const result = JSON.stringify(entry.result);
+  const cite = entry.sources.length
+    ? `\nCite as: ${entry.sources.map(number => `[${number}] ${sources[number - 1].title}${sources[number - 1].superseded ? ' [superseded]' : ''}`).join(', ')}`
+    : '';
+  return `${call} returned ${result.length > RESULT_CHARS ? `${result.slice(0, RESULT_CHARS)}...` : result}${cite}`;
+}
+
+// A tool call is a JSON object, perhaps in a code fence or with words around it; so is an
+// {"answer": ...} from models that keep to JSON. Anything else is the answer in plain text.
+function parseReply(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start !== -1 && end > start) {
+    try {
+      const reply = JSON.parse(text.slice(start, end + 1));
+      if (reply && typeof reply.tool === 'string') return { tool: reply.tool, arguments: reply.arguments || {} };
+      if (reply && reply.answer !== undefined) return { answer: String(reply.answer) };
+    } catch (error) {
+      // Not JSON after all
+    }
+  }
+  return { answer: text.trim() };
+}
+
+// Run one tool call and add what it found to the numbered sources. A call the tool rejects is
+// recorded with its message, so the model can correct it on the next step.
+async function callTool(step, name, args, context, sources, emit) {
+  const entry = { step, tool: name, arguments: args };
+  const started = Date.now();
+  emit('tool', { step, tool: name, arguments: args });
+  try {
+    const tool = getTool(name);
+    if (!tool) throw new AgentToolError(`Unknown tool ${name}`);
+    entry.result = await tool.run(args, context);
+    entry.sources = (tool.cite ? tool.cite(entry.result, args) : []).map(source => {
+      const number = sources.push(source);
+      emit('source', describeSource(source, number));
+      return number;
+    });
+  } catch (error) {
+    if (!(error instanceof AgentToolError)) console.error(`Error running agent tool ${name}:`, error);
+    entry.error = error instanceof AgentToolError ? error.message : `${name} failed`;
+    entry.sources = [];
+  }
+  entry.durationMs = Date.now() - started;
+  emit('tool_result', { step, tool: name, error: entry.error || null, sources: entry.sources, durationMs: entry.durationMs });
+  return entry;
+}
+
+// A source as it is cited: numbered, with an excerpt of its text
+function describeSource({ text, ...source }, number) {
+  return { number, ...source, excerpt: text.length > 300 ? `${text.slice(0, 297)}...` : text };
+}
+
+// Answer a question about a business by letting the model call tools until it can answer.
+// `history` is the conversation so far and `searchText` what the knowledge base should be
+// searched for when that differs from the question (follow-ups). `provider` picks the model,
+// e.g. a scripted one, and `today` (YYYY-MM-DD) the date deadlines and late fees are worked
+// out from, and `language` the one the answer is written in. Resolves to { answer, trace, sources, model }: the trace lists each tool call with
+// its arguments, result (or error) and the numbers of the sources it added.
+//
+// `onEvent(event, data)` hears of the work as it happens: 'tool' and 'tool_result' around each
+// call, 'source' for each source found, 'token' for each piece of the answer as the model writes
+// it and 'reset' when text already sent turns out not to be the answer. Aborting `signal` stops
+// the run with a CancelledError.
+async function run({ business, question, history = [], searchText = question, provider, today = new Date().toISOString().split('T')[0], maxSteps = MAX_STEPS, language = i18n.DEFAULT_LANGUAGE, onEvent = null, signal }) {
+  const context = { business, today };
+  const trace = [];
+  const sources = [];
+  const models = [];
+  const emit = (event, data) => {
+    if (onEvent) onEvent(event, data);
+  };
+  let answer = null;
+
+  const background = [
+    `Business: ${business.name}${business.gstin ? `, GSTIN ${business.gstin}` : ''}, state code ${business.stateCode || 'unknown'}, ${business.filingFrequency || 'MONTHLY'} filer. Today is ${today}.`,
+    `Tools:\n${describeTools()}`,
+    history.length ? `Conversation so far:\n${history.map(message => `${message.role === 'USER' ? 'User' : 'Assistant'}: ${message.content}`).join('\n')}` : ''
+  ].filter(Boolean).join('\n\n');
+
+  while (answer === null && trace.length < maxSteps) {
+    const fallback = planner.next({ question, searchText, trace, sources, business, today, language });
+
+    // Plain text is the answer and goes out as it arrives; a reply opening with JSON is held
+    // back until it can be read
+    let opening = '';
+    let streaming = false;
+    const onText = text => {
+      if (streaming) return emit('token', { text });
+      opening += text;
+      if (!opening.trim()) return;
+      if (/^\s*[{`]/.test(opening)) return;
+      streaming = true;
+      emit('token', { text: opening });
+    };
+
+    const response = await llm.stream({
+      system: [SYSTEM_PROMPT, i18n.promptInstruction(language)].filter(Boolean).join('\n'),
+      context: trace.length ? `${background}\n\nTool calls so far:\n${trace.map(entry => describeCall(entry, sources)).join('\n')}` : background,
+      prompt: question,
+      fallback: typeof fallback === 'string' ? fallback : JSON.stringify(fallback)
+    }, { provider, signal, onText });
+    models.push(response);
+
+    const reply = parseReply(response.text);
+    if (reply.answer !== undefined) {
+      answer = reply.answer;
+      if (!streaming) emit('token', { text: answer });
+    } else {
+      if (streaming) emit('reset', {});
+      trace.push(await callTool(trace.length + 1, reply.tool, reply.arguments, context, sources, emit));
+      if (signal && signal.aborted) throw new llm.CancelledError();
+    }
+  }
+
+  // Out of steps: write the answer from what the calls found
+  if (answer === null) {
+    answer = planner.compose(question, trace, sources, language);
+    emit('token', { text: answer });
+  }
+
+  const last = models[models.length - 1];
+  return {
+    answer,
+    trace,
+    sources,
+    model: {
+      provider: last.provider,
+      model: last.model,
+      steps: models.length,
+      cached: models.every(item => item.cached),
+      fallback: models.some(item => item.fallback)
+    }
+  };
+}
+
+module.exports = {
+  NO_ANSWER: planner.NO_ANSWER,
+  MAX_STEPS,
+  AgentToolError,
+  describeSource,
+  registerTool,
+  listTools,
+  run
+};
@@ -0,0 +1,220 @@
+const natural = require('natural');
+const { MONTH_NAMES, periodOfDate } = require('../periods');
+const { STATES } = require('../placeOfSupply');
+const { parseDate } = require('../importer');
+const dueDates = require('../dueDates');
+const { filings } = require('../repositories');
+const i18n = require('../i18n');
+
+// Stands in for the model when there is none (the offline provider) or it cannot be reached:
+// reads what the question asks for off its words, calls the matching tools one at a time and
+// then writes the answer from what they returned. It decides from the question and the calls
+// made so far only, so the same question over the same data gives the same trace.
+
+// What the assistant says when nothing it knows bears on the question (in English; see
+// i18n 'assistant.noAnswer' for the other languages)
+const NO_ANSWER = i18n.t(i18n.DEFAULT_LANGUAGE, 'assistant.noAnswer');
+
+const tokenizer = new natural.WordTokenizer();
+
+function queryTerms(text) {
+  return new Set(tokenizer.tokenize(String(text || '').toLowerCase())
+    .filter(term => term.length > 2 && !natural.stopwords.includes(term)));
+}
+
+const pad = value => String(value).padStart(2, '0');
+const fyKey = startYear => `${startYear}-${String(startYear + 1).slice(2)}`;
+
+function quarterOf(year, month) {
+  const startYear = month >= 4 ? year : year - 1;
+  return { startYear, quarter: Math.floor(((month + 8) % 12) / 3) + 1 };
+}
+
+// Place names longest first, so "Dadra and Nagar Haveli and Daman and Diu" wins over "Daman and Diu".
+// Two-letter abbreviations are left out; "UP" or "AS" in a sentence is rarely a state.
+const STATE_NAMES = STATES
+  .flatMap(state => [state.name, ...(state.aliases || [])].map(name => ({ name, state })))
+  .filter(({ name }) => !name.includes('('))
+  .sort((a, b) => b.name.length - a.name.length);
+
+function stateIn(text) {
+  const match = STATE_NAMES.find(({ name }) => new RegExp(`\\b${name}\\b`, 'i').test(text));
+  return match ? match.state.name : null;
+}
+
+function taxHeadIn(text) {
+  const match = text.match(/\b(igst|cgst|sgst|utgst|cess)\b/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+// A tax period the question names, in the forms the tools take: "last quarter", "this month",
+// "previous financial year", "January 2025", "Q3 2024-25", "2024-25" or "2025-01"
+function periodIn(text, today) {
+  const [year, month] = today.split('-').map(Number);
+  const lower = text.toLowerCase();
+  const current = quarterOf(year, month);
+
+  let match = lower.match(/\bq([1-4])\s*(?:of\s*)?(?:fy\s*)?(\d{4})-(\d{2})\b/) || lower.match(/\b(\d{4})-(\d{2})-?q([1-4])\b/);
+  if (match) {
+    return match[0].startsWith('q') ? `${match[2]}-${match[3]}-Q${match[1]}` : `${match[1]}-${match[2]}-Q${match[3]}`;
+  }
+  // A full date ("filed on 2025-05-20") is not the period asked about
+  match = lower.match(/\b(\d{4})-(\d{2})\b(?!-\d)/);
+  if (match && Number(match[2]) === (Number(match[1]) + 1) % 100) return `${match[1]}-${match[2]}`;
+  if (match && Number(match[2]) >= 1 && Number(match[2]) <= 12) return `${match[1]}-${match[2]}`;
+
+  if (/\b(last|previous|past)\s+quarter\b/.test(lower)) {
+    return current.quarter === 1 ? `${fyKey(current.startYear - 1)}-Q4` : `${fyKey(current.startYear)}-Q${current.quarter - 1}`;
+  }
+  if (/\b(this|current)\s+quarter\b/.test(lower)) return `${fyKey(current.startYear)}-Q${current.quarter}`;
+  if (/\b(last|previous|past)\s+month\b/.test(lower)) return month === 1 ? `${year - 1}-12` : `${year}-${pad(month - 1)}`;
+  if (/\b(this|current)\s+month\b/.test(lower)) return `${year}-${pad(month)}`;
+  if (/\b(last|previous|past)\s+(financial\s+|fiscal\s+)?year\b/.test(lower)) return fyKey(current.startYear - 1);
+  if (/\b(this|current)\s+(financial\s+|fiscal\s+)?year\b/.test(lower)) return fyKey(current.startYear);
+
+  const monthPattern = MONTH_NAMES.map(name => `${name.slice(0, 3).toLowerCase()}(?:${name.slice(3).toLowerCase()})?`).join('|');
+  // "May" without a year is more often the verb ("may I claim ...")
+  match = [...lower.matchAll(new RegExp(`\\b(${monthPattern})\\b\\.?,?\\s*(\\d{4})?`, 'g'))]
+    .find(item => item[1] !== 'may' || item[2]);
+  if (match) {
+    const named = MONTH_NAMES.findIndex(name => name.toLowerCase().startsWith(match[1].slice(0, 3))) + 1;
+    // Without a year, the last such month up to now
+    const namedYear = match[2] ? Number(match[2]) : (named <= month ? year : year - 1);
+    return `${namedYear}-${pad(named)}`;
+  }
+  return null;
+}
+
+function dateIn(text) {
+  const match = text.match(/\b(\d{4}-\d{2}-\d{2}|\d{1,2}[/-]\d{1,2}[/-]\d{4})\b/);
+  return match ? parseDate(match[1]) : null;
+}
+
+// The return a late-fee question is about: the form it names (the business's main return
+// otherwise) for the period it names, or else the latest one that has fallen due
+function lateFeeCall(question, business, today) {
+  const named = question.match(/\b(GSTR-?\s?(?:1|3B|4|9)|CMP-?\s?08|PMT-?\s?06)\b/i);
+  const form = named
+    ? named[1].toUpperCase().replace(/\s/g, '').replace(/^(GSTR|CMP|PMT)-?/, '$1-')
+    : (business.filingFrequency === 'COMPOSITION' ? 'CMP-08' : 'GSTR-3B');
+
+  let period = periodIn(question, today);
+  if (!period) {
+    const due = dueDates.pastDeadlines(business, { today, months: 12 }).filter(deadline => deadline.form === form);
+    const next = dueDates.upcomingDeadlines(business, { from: today }).find(deadline => deadline.form === form);
+    const deadline = due.length ? due[due.length - 1] : next;
+    period = deadline ? deadline.taxPeriod : null;
+  }
+
+  const args = { form, period };
+  const filedOn = dateIn(question);
+  if (filedOn) args.filedOn = filedOn;
+  return { tool: 'compute_late_fee', arguments: args };
+}
+
+// The calls a question needs, in order: the business's own data first, then the knowledge base
+function plan({ question, searchText, business, today }) {
+  const lower = question.toLowerCase();
+  const calls = [];
+  const firstPerson = /\b(my|our|i|we|me|us)\b/.test(lower);
+  const period = periodIn(question, today);
+  const state = stateIn(question);
+  const taxHead = taxHeadIn(question);
+
+  const filingMatch = lower.match(/\bfiling\s*(?:#|no\.?|number)?\s*(\d+)\b/);
+  if (filingMatch) {
+    calls.push({ tool: 'get_filing', arguments: { filingId: Number(filingMatch[1]) } });
+  } else if (/\b(latest|last|recent)\s+(filing|upload|file)\b/.test(lower)) {
+    calls.push({ tool: 'get_filing', arguments: {} });
+  }
+
+  const code = (lower.match(/\b(\d{4}(?:\d{2}){0,2})\b/g) || []).find(digits => !/^(19|20)\d{2}$/.test(digits));
+  const asksRate = /\b(hsn|sac)\b|\b(gst|tax)\s+rate\b|\brate\s+of\s+(gst|tax)\b/.test(lower);
+  if (asksRate && code) {
+    calls.push({ tool: 'lookup_hsn', arguments: { code } });
+  } else if (asksRate) {
+    const item = question.match(/\b(?:for|on|of)\s+([A-Za-z][A-Za-z\s-]*?)\s*\??$/);
+    if (item && !/^(gst|tax)$/i.test(item[1])) calls.push({ tool: 'lookup_hsn', arguments: { query: item[1] } });
+  }
+
+  const asksLateFee = /late\s*fee|penalt|\binterest\b/.test(lower);
+  if (asksLateFee && firstPerson) {
+    const call = lateFeeCall(question, business, today);
+    if (call.arguments.period) calls.push(call);
+  }
+
+  if (!asksLateFee && /deadline|due date|\bdue\b|last date|overdue|when (should|do|must|shall|to) (i|we)\b/.test(lower)) {
+    calls.push({ tool: 'list_deadlines', arguments: {} });
+  }
+
+  const asksFigure = taxHead || /liabilit|payable|\bowe\b|collect|turnover|\bsales\b|\bsold\b|how much (tax|gst)|tax (paid|due)/.test(lower);
+  if (asksFigure && !asksLateFee && (firstPerson || period || state)) {
+    let liabilityPeriod = period;
+    if (!liabilityPeriod) {
+      const latest = filings.latest(business.id);
+      liabilityPeriod = latest && latest.taxPeriod ? latest.taxPeriod : periodOfDate(today).key;
+    }
+    const args = { period: liabilityPeriod };
+    if (state) args.state = state;
+    if (taxHead) args.taxHead = taxHead;
+    calls.push({ tool: 'compute_liability', arguments: args });
+  }
+
+  const asksLaw = /section|\brules?\b|notification|circular|threshold|eligib|allowed|\bcan (i|we)\b|how (do|to|should|can)|what (is|are) (the|a)\b|explain|applicable|required|need to/.test(lower);
+  if (!calls.length || (asksLaw && !asksRate)) {
+    calls.push({ tool: 'search_knowledge', arguments: { query: searchText || question } });
+  }
+  return calls;
+}
+
+const sameCall = (entry, call) => entry.tool === call.tool && JSON.stringify(entry.arguments) === JSON.stringify(call.arguments);
+
+// The sentences of a chunk that share the most words with the question, in their original order
+function bestSentences(text, terms, count = 2) {
+  const sentences = text.split(/(?<=[.!?])\s+/).filter(Boolean);
+  return sentences
+    .map((sentence, index) => ({ sentence, index, score: [...queryTerms(sentence)].filter(term => terms.has(term)).length }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, count)
+    .sort((a, b) => a.index - b.index)
+    .map(item => item.sentence)
+    .join(' ');
+}
+
+// The answer from the tool results: each data source as it is, then the best of the knowledge
+// base, citing the numbers the sources were given. The sources are quoted in the language they
+// are written in; only the notes around them follow `language`.
+function compose(question, trace, sources, language = i18n.DEFAULT_LANGUAGE) {
+  const terms = queryTerms(question);
+  const parts = [];
+
+  trace.filter(entry => entry.error).forEach(entry => parts.push(`${entry.error}.`));
+  sources.forEach((source, index) => {
+    if (source.type === 'DATA') parts.push(`${source.text} [${index + 1}]`);
+  });
+
+  // A follow-up is searched together with the question before it, so a chunk that shares no word
+  // with the question itself is left out unless the question has no words of its own ("why?")
+  const best = sources.find(source => source.type === 'KNOWLEDGE');
+  const text = best && best.section && best.text.startsWith(best.section) ? best.text.slice(best.section.length).trim() : best && best.text;
+  if (best && (!terms.size || [...queryTerms(text)].some(term => terms.has(term)))) {
+    parts.push(`${bestSentences(text, terms)} [${sources.indexOf(best) + 1}]`);
+    if (best.superseded) parts.push(i18n.t(language, 'assistant.supersededNote', { title: best.title }));
+  }
+
+  return parts.length ? parts.join(' ') : i18n.t(language, 'assistant.noAnswer');
+}
+
+// The next step as the model would write it: a tool call, or the answer's text once every call is made
+function next({ question, searchText, trace, sources, business, today, language }) {
+  const call = plan({ question, searchText, business, today }).find(item => !trace.some(entry => sameCall(entry, item)));
+  return call || compose(question, trace, sources, language);
+}
+
+module.exports = {
+  NO_ANSWER,
+  periodIn,
+  plan,
+  compose,
+  next
+};
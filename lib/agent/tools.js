@@ -0,0 +1,316 @@
+const { round2 } = require('../tax');
+const { analyze } = require('../analytics');
+const { parsePeriod, parsePeriodRange } = require('../periods');
+const { findState } = require('../placeOfSupply');
+const { parseDate } = require('../importer');
+const { LATE_FEES, PAYMENT_FORMS, calculatePenalty, estimateLiability, liabilityForDeadline } = require('../penalties');
+const dueDates = require('../dueDates');
+const hsn = require('../hsn');
+const knowledge = require('../knowledge');
+const { filings, filedReturns } = require('../repositories');
+
+// Tools the agent can call, by name. A tool has a description and parameters for the model,
+// run(args, context) doing the work for context.business as of context.today, and optionally
+// cite(result, args) naming the sources an answer built on the result can cite.
+const tools = new Map();
+
+// A call the model got wrong (bad arguments, nothing to look up); the message goes back to it
+class AgentToolError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AgentToolError';
+  }
+}
+
+function registerTool(tool) {
+  tools.set(tool.name, tool);
+}
+
+function getTool(name) {
+  return tools.get(name) || null;
+}
+
+function listTools() {
+  return [...tools.values()].map(({ name, description, parameters }) => ({ name, description, parameters }));
+}
+
+const TAX_HEADS = ['igst', 'cgst', 'sgst', 'utgst', 'cess', 'total'];
+const PENALTY_FORMS = [...new Set([...Object.keys(LATE_FEES), ...PAYMENT_FORMS])];
+
+const formatAmount = amount => `₹${Number(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const dataSource = (tool, title, text) => [{ type: 'DATA', tool, title, text }];
+
+registerTool({
+  name: 'get_filing',
+  description: 'Fetch an uploaded filing: its sales, tax by head, sales by state and input tax credit. Without arguments, the latest upload.',
+  parameters: {
+    filingId: { type: 'number', description: 'Id of the filing' },
+    period: { type: 'string', description: 'Tax period (YYYY-MM) whose latest upload to fetch' }
+  },
+
+  run({ filingId, period }, { business }) {
+    let filing;
+    if (filingId) {
+      filing = filings.get(business.id, parseInt(filingId));
+    } else if (period) {
+      const taxPeriod = parsePeriod(period);
+      if (!taxPeriod) throw new AgentToolError('period must be YYYY-MM');
+      filing = filings.list(business.id, { taxPeriod: taxPeriod.key }).pop();
+    } else {
+      filing = filings.latest(business.id);
+    }
+    if (!filing) return { found: false };
+
+    const calc = filing.calculation;
+    const itcAvailable = filing.itc ? filing.itc.available.total : null;
+    return {
+      found: true,
+      id: filing.id,
+      taxPeriod: filing.taxPeriod,
+      fileName: filing.fileName,
+      uploadedAt: filing.timestamp,
+      totalSales: round2(calc.totalSales),
+      tax: { igst: round2(calc.igst), cgst: round2(calc.cgst), sgst: round2(calc.sgst), utgst: round2(calc.utgst || 0), total: round2(calc.totalTax) },
+      salesByState: Object.fromEntries(Object.entries(calc.salesByState || {}).map(([state, value]) => [state, round2(value)])),
+      itc: filing.itc ? { available: round2(itcAvailable), blockedOrIneligible: round2(filing.itc.blocked.total + filing.itc.ineligible.total) } : null,
+      netTaxPayable: itcAvailable !== null ? round2(Math.max(calc.totalTax - itcAvailable, 0)) : null
+    };
+  },
+
+  cite(result) {
+    if (!result.found) return [];
+    const facts = [`total sales ${formatAmount(result.totalSales)}`, `tax ${formatAmount(result.tax.total)} (CGST ${formatAmount(result.tax.cgst)}, SGST ${formatAmount(result.tax.sgst)}, IGST ${formatAmount(result.tax.igst)})`];
+    if (result.itc) facts.push(`eligible input tax credit ${formatAmount(result.itc.available)}`, `net tax payable ${formatAmount(result.netTaxPayable)}`);
+    return dataSource('get_filing', `Filing #${result.id} (${result.fileName})`,
+      `Your upload ${result.fileName} for ${result.taxPeriod || 'an unknown period'}: ${facts.join(', ')}.`);
+  }
+});
+
+registerTool({
+  name: 'compute_liability',
+  description: 'Compute output tax on the uploaded sales of a month, quarter or financial year, optionally for one place of supply and one tax head, with the input tax credit available to set off.',
+  parameters: {
+    period: { type: 'string', required: true, description: 'Month (YYYY-MM), quarter of a financial year (2024-25-Q3) or financial year (2024-25)' },
+    state: { type: 'string', description: 'Place of supply, by name or GST state code' },
+    taxHead: { type: 'string', description: `One of ${TAX_HEADS.join(', ')}` }
+  },
+
+  run({ period, state, taxHead }, { business }) {
+    const range = parsePeriodRange(period);
+    if (!range) throw new AgentToolError('period must be YYYY-MM, a quarter such as 2024-25-Q3 or a financial year such as 2024-25');
+    const place = state ? findState(state) : null;
+    if (state && !place) throw new AgentToolError(`Unknown state ${state}`);
+    const head = taxHead ? String(taxHead).toLowerCase() : null;
+    if (head && !TAX_HEADS.includes(head)) throw new AgentToolError(`taxHead must be one of ${TAX_HEADS.join(', ')}`);
+
+    const sales = filings.currentLines(business.id, business.gstin, range.from.key, range.to.key, 'SALE');
+    const analysis = analyze(sales, { stateCode: business.stateCode, from: range.from, to: range.to });
+    const totals = place
+      ? analysis.byState.find(group => group.key === place.code) || { invoices: 0, taxableValue: 0, tax: { igst: 0, cgst: 0, sgst: 0, utgst: 0, cess: 0, total: 0 } }
+      : analysis.totals;
+
+    const result = {
+      period: range.key,
+      label: range.label,
+      state: place ? { code: place.code, name: place.name } : null,
+      periodsWithData: analysis.periods.filter(item => item.hasData).map(item => item.period),
+      periodsWithoutData: analysis.periods.filter(item => !item.hasData).map(item => item.period),
+      invoices: totals.invoices,
+      taxableValue: totals.taxableValue,
+      tax: totals.tax
+    };
+    if (head) {
+      result.taxHead = head;
+      result.amount = totals.tax[head];
+    }
+    // Credit is claimed against the whole return, not a state's share of it
+    if (!place) {
+      const purchases = filings.currentLines(business.id, business.gstin, range.from.key, range.to.key, 'PURCHASE');
+      const liability = estimateLiability(sales, purchases, business.stateCode);
+      result.itcUtilised = liability ? liability.itcUtilised : 0;
+      result.netPayable = liability ? round2(liability.taxAmount - liability.itcUtilised) : 0;
+      result.byState = analysis.byState.slice(0, 5).map(group => ({ state: group.label, taxableValue: group.taxableValue, tax: group.tax.total }));
+    }
+    return result;
+  },
+
+  cite(result) {
+    const where = result.state ? ` to ${result.state.name}` : '';
+    const title = `Uploaded sales${where}, ${result.label}`;
+    if (!result.periodsWithData.length) {
+      return dataSource('compute_liability', title, `No sales have been uploaded for ${result.label}.`);
+    }
+    const what = result.taxHead && result.taxHead !== 'total'
+      ? `${result.taxHead.toUpperCase()} ${formatAmount(result.amount)}`
+      : `tax ${formatAmount(result.tax.total)} (IGST ${formatAmount(result.tax.igst)}, CGST ${formatAmount(result.tax.cgst)}, SGST ${formatAmount(result.tax.sgst)})`;
+    const facts = [`${what} on taxable value ${formatAmount(result.taxableValue)} across ${result.invoices} invoice${result.invoices === 1 ? '' : 's'}`];
+    if (result.netPayable !== undefined && !result.taxHead) {
+      facts.push(`net payable after input tax credit ${formatAmount(result.netPayable)}`);
+    }
+    const missing = result.periodsWithoutData.length ? ` Nothing was uploaded for ${result.periodsWithoutData.join(', ')}.` : '';
+    return dataSource('compute_liability', title, `On sales${where} in ${result.label}: ${facts.join('; ')}.${missing}`);
+  }
+});
+
+registerTool({
+  name: 'list_deadlines',
+  description: 'List the business\'s upcoming return and payment deadlines, and past ones not marked as filed.',
+  parameters: {
+    months: { type: 'number', description: 'How many months ahead to look (1 to 12, default 3)' }
+  },
+
+  run({ months }, { business, today }) {
+    const ahead = Math.min(Math.max(parseInt(months) || 3, 1), 12);
+    const filed = filedReturns.byDeadline(business.id);
+    const describe = deadline => ({
+      id: deadline.id,
+      form: deadline.form,
+      periodLabel: deadline.periodLabel,
+      dueDate: deadline.dueDate,
+      daysRemaining: dueDates.daysRemaining(deadline.dueDate, today),
+      filed: filed.has(deadline.id)
+    });
+    return {
+      filingFrequency: business.filingFrequency || 'MONTHLY',
+      upcoming: dueDates.upcomingDeadlines(business, { from: today, months: ahead }).filter(item => !item.optional).map(describe),
+      overdue: dueDates.pastDeadlines(business, { today, months: 3 }).filter(item => !item.optional && !filed.has(item.id)).map(describe)
+    };
+  },
+
+  cite(result) {
+    const describe = deadline => `${deadline.form} for ${deadline.periodLabel} due ${deadline.dueDate}`;
+    const open = result.upcoming.filter(deadline => !deadline.filed);
+    const parts = [];
+    if (open.length) {
+      const [next] = open;
+      parts.push(`Your next GST deadline is ${next.form} for ${next.periodLabel}, due on ${next.dueDate} (${next.daysRemaining} day${next.daysRemaining === 1 ? '' : 's'} away).`);
+      if (open.length > 1) parts.push(`After that: ${open.slice(1, 4).map(describe).join('; ')}.`);
+    }
+    if (result.overdue.length) parts.push(`Past due and not marked as filed: ${result.overdue.map(describe).join('; ')}.`);
+    if (!parts.length) parts.push('Nothing is due in the period looked at.');
+    return dataSource('list_deadlines', 'Your GST deadlines', parts.join(' '));
+  }
+});
+
+registerTool({
+  name: 'compute_late_fee',
+  description: 'Compute the late fee and interest on a return filed (or still unfiled) after its due date, with interest on the tax uploaded for its period.',
+  parameters: {
+    form: { type: 'string', required: true, description: `One of ${PENALTY_FORMS.join(', ')}` },
+    period: { type: 'string', required: true, description: 'Tax period: YYYY-MM for monthly returns, 2024-25-Q3 for quarterly ones, 2024-25 for annual ones' },
+    filedOn: { type: 'string', description: 'Date filed (YYYY-MM-DD); the date it was marked filed, or today' }
+  },
+
+  run({ form, period, filedOn }, { business, today }) {
+    const formName = String(form || '').trim().toUpperCase();
+    if (!PENALTY_FORMS.includes(formName)) throw new AgentToolError(`form must be one of ${PENALTY_FORMS.join(', ')}`);
+    const deadline = dueDates.findDeadline(business, dueDates.deadlineId(formName, period));
+    if (!deadline) {
+      throw new AgentToolError(`No ${formName} is due for period ${period} under the business's filing frequency (${business.filingFrequency || 'MONTHLY'})`);
+    }
+    const filed = filedReturns.byDeadline(business.id).get(deadline.id) || null;
+    const filingDate = filedOn ? parseDate(filedOn) : (filed && filed.filedOn) || today;
+    if (!filingDate) throw new AgentToolError('filedOn must be a date');
+
+    const liability = liabilityForDeadline(business, deadline);
+    const penalty = calculatePenalty({
+      form: formName,
+      dueDate: deadline.dueDate,
+      filedOn: filingDate,
+      paidOn: filed && filed.paidOn ? filed.paidOn : null,
+      taxAmount: liability ? liability.taxAmount : 0,
+      itcUtilised: liability ? liability.itcUtilised : 0
+    });
+    if (penalty.interest) delete penalty.interest.breakdown;
+
+    return {
+      deadline: { id: deadline.id, form: deadline.form, periodLabel: deadline.periodLabel, dueDate: deadline.dueDate },
+      markedFiled: Boolean(filed),
+      taxEstimatedFromUploads: Boolean(liability),
+      ...penalty
+    };
+  },
+
+  cite(result) {
+    const { deadline } = result;
+    const title = `Late fee on ${deadline.form} for ${deadline.periodLabel}`;
+    if (!result.daysLate) {
+      return dataSource('compute_late_fee', title, `${deadline.form} for ${deadline.periodLabel} filed by ${result.filedOn} is on time (due ${deadline.dueDate}), so no late fee or interest applies.`);
+    }
+    const interest = result.interest
+      ? ` and interest of ${formatAmount(result.interest.total)} at ${result.interest.rate}% a year on ${formatAmount(result.interest.principal)}${result.taxEstimatedFromUploads ? ' of tax estimated from your uploads' : ''}`
+      : '';
+    return dataSource('compute_late_fee', title,
+      `${deadline.form} for ${deadline.periodLabel} was due on ${deadline.dueDate}; ${result.markedFiled ? 'filed' : 'if filed'} on ${result.filedOn} it is ${result.daysLate} day${result.daysLate === 1 ? '' : 's'} late, ` +
+      `with a late fee of ${formatAmount(result.lateFee.total)}${interest}, ${formatAmount(result.total)} in all.`);
+  }
+});
+
+registerTool({
+  name: 'lookup_hsn',
+  description: 'Look up the GST rate of an HSN or SAC code on a date, or search the HSN/SAC master by description.',
+  parameters: {
+    code: { type: 'string', description: 'HSN or SAC code' },
+    query: { type: 'string', description: 'Words describing the goods or service, when the code is not known' },
+    date: { type: 'string', description: 'Date the rate should apply on (YYYY-MM-DD), default today' }
+  },
+
+  run({ code, query, date }, { today }) {
+    if (code) {
+      const onDate = date ? parseDate(date) : today;
+      if (!onDate) throw new AgentToolError('date must be a date');
+      const found = hsn.rateFor(code, onDate);
+      return found ? { found: true, date: onDate, ...found } : { found: false, code: String(code) };
+    }
+    if (!query) throw new AgentToolError('Give a code or a query');
+    return { query: String(query), matches: hsn.search(query, 5) };
+  },
+
+  cite(result) {
+    if (result.matches) {
+      if (!result.matches.length) return [];
+      return dataSource('lookup_hsn', `HSN/SAC master: ${result.query}`, result.matches
+        .map(match => `${match.type} ${match.code} (${match.description}) attracts ${match.rate}%${match.cess ? ` plus ${match.cess}% cess` : ''}`)
+        .join('; ') + '.');
+    }
+    if (!result.found) return dataSource('lookup_hsn', `HSN/SAC ${result.code}`, `HSN/SAC ${result.code} is not in the master; lines with it are charged the default ${hsn.DEFAULT_RATE}%.`);
+    return dataSource('lookup_hsn', `HSN/SAC ${result.code}`,
+      `HSN/SAC ${result.code} (${result.description}) attracts ${result.rate}%${result.cess ? ` plus ${result.cess}% cess` : ''} from ${result.effectiveFrom}${result.valueDependent ? ', with a different rate below a value per piece' : ''}.`);
+  }
+});
+
+registerTool({
+  name: 'search_knowledge',
+  description: 'Search the GST knowledge base of acts, rules, notifications and circulars.',
+  parameters: {
+    query: { type: 'string', required: true, description: 'What to search for' }
+  },
+
+  run({ query }) {
+    if (!query || !String(query).trim()) throw new AgentToolError('query is required');
+    return {
+      results: knowledge.search(String(query), { limit: 3 }).map(result => ({
+        documentId: result.documentId,
+        source: result.source,
+        title: result.title,
+        section: result.section,
+        notificationNumber: result.notificationNumber,
+        effectiveDate: result.effectiveDate,
+        superseded: result.superseded,
+        text: result.text
+      }))
+    };
+  },
+
+  cite(result) {
+    return result.results.map(item => ({ type: 'KNOWLEDGE', ...item }));
+  }
+});
+
+module.exports = {
+  AgentToolError,
+  registerTool,
+  getTool,
+  listTools
+};
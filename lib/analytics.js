@@ -0,0 +1,216 @@
+const { round2, signedValue, assessLine } = require('./tax');
+const { rateForLine, lookupCode } = require('./hsn');
+const { monthPeriod, parsePeriod } = require('./periods');
+
+const TAX_HEADS = ['igst', 'cgst', 'sgst', 'utgst', 'cess'];
+
+// Ways the sales of a range can be broken down, each giving a line's key and label
+const DIMENSIONS = {
+  state: item => ({
+    key: item.tax.classification.placeOfSupply || 'UNKNOWN',
+    label: item.tax.classification.placeOfSupply ? item.tax.classification.placeOfSupplyName : 'Unknown'
+  }),
+  rate: item => ({
+    key: String(item.tax.taxRate),
+    label: `${item.tax.taxRate}%`
+  }),
+  hsn: item => {
+    const code = String(item.line.hsnCode || '').replace(/\D/g, '');
+    const entry = code ? lookupCode(code) : null;
+    return {
+      key: code || 'NONE',
+      label: code ? `${code}${entry ? ` – ${entry.description}` : ''}` : 'No HSN/SAC'
+    };
+  }
+};
+
+// Months from one period to another, inclusive
+function periodsBetween(from, to) {
+  const periods = [];
+  let { year, month } = from;
+  while (year < to.year || (year === to.year && month <= to.month)) {
+    periods.push(monthPeriod(year, month));
+    month++;
+    if (month > 12) {
+      month = 1;
+      year++;
+    }
+  }
+  return periods;
+}
+
+function shiftPeriod(period, months) {
+  const index = period.year * 12 + (period.month - 1) + months;
+  return monthPeriod(Math.floor(index / 12), (index % 12) + 1);
+}
+
+// Tax on every sales line, computed the same way as the upload summary
+function assessLines(lines, stateCode) {
+  return lines.map(line => ({
+    line,
+    taxPeriod: line.taxPeriod,
+    taxableValue: signedValue(line),
+    tax: assessLine(line, stateCode, rateForLine)
+  }));
+}
+
+function emptyTotals() {
+  return { invoices: new Set(), lines: 0, taxableValue: 0, igst: 0, cgst: 0, sgst: 0, utgst: 0, cess: 0 };
+}
+
+function addTo(totals, item) {
+  totals.invoices.add(`${item.line.filingId}:${item.line.invoiceNumber || `row-${item.line.rowNumber}`}`);
+  totals.lines++;
+  totals.taxableValue += item.taxableValue;
+  TAX_HEADS.forEach(head => {
+    totals[head] += item.tax[head];
+  });
+}
+
+// Rounded totals; the effective rate is GST (without cess) as a share of the taxable value
+function finishTotals(totals) {
+  const gst = totals.igst + totals.cgst + totals.sgst + totals.utgst;
+  return {
+    invoices: totals.invoices.size,
+    lines: totals.lines,
+    taxableValue: round2(totals.taxableValue),
+    tax: {
+      igst: round2(totals.igst),
+      cgst: round2(totals.cgst),
+      sgst: round2(totals.sgst),
+      utgst: round2(totals.utgst),
+      cess: round2(totals.cess),
+      total: round2(gst + totals.cess)
+    },
+    effectiveRate: totals.taxableValue ? round2(gst / totals.taxableValue * 100) : null
+  };
+}
+
+// Percentage change, or null when there is nothing to compare against
+function change(current, previous) {
+  if (!previous || previous.lines === 0 || !previous.taxableValue) return null;
+  return {
+    taxableValue: round2((current.taxableValue - previous.taxableValue) / Math.abs(previous.taxableValue) * 100),
+    tax: previous.tax.total ? round2((current.tax.total - previous.tax.total) / Math.abs(previous.tax.total) * 100) : null
+  };
+}
+
+// Sales of the range grouped by one dimension, largest first, with each group's value per month
+function breakdown(items, dimension, periods, turnover) {
+  const groups = new Map();
+  items.forEach(item => {
+    const { key, label } = DIMENSIONS[dimension](item);
+    if (!groups.has(key)) groups.set(key, { key, label, totals: emptyTotals(), byPeriod: {} });
+    const group = groups.get(key);
+    addTo(group.totals, item);
+    group.byPeriod[item.taxPeriod] = (group.byPeriod[item.taxPeriod] || 0) + item.taxableValue;
+  });
+
+  return [...groups.values()]
+    .map(group => ({
+      key: group.key,
+      label: group.label,
+      ...finishTotals(group.totals),
+      share: turnover ? round2(group.totals.taxableValue / turnover * 100) : null,
+      periods: periods.map(period => ({ period: period.key, taxableValue: round2(group.byPeriod[period.key] || 0) }))
+    }))
+    .sort((a, b) => b.taxableValue - a.taxableValue);
+}
+
+// Month-by-month turnover, tax by head and effective rate for a range of tax periods, with changes
+// on the month before and the same month a year earlier, and the range broken down by place of
+// supply, rate slab and HSN. `lines` must cover the year before `from` too, for the comparisons.
+function analyze(lines, { stateCode, from, to }) {
+  const items = assessLines(lines, stateCode);
+  const byPeriod = new Map();
+  items.forEach(item => {
+    if (!byPeriod.has(item.taxPeriod)) byPeriod.set(item.taxPeriod, emptyTotals());
+    addTo(byPeriod.get(item.taxPeriod), item);
+  });
+  const totalsFor = period => finishTotals(byPeriod.get(period.key) || emptyTotals());
+
+  const periods = periodsBetween(from, to);
+  const inRange = items.filter(item => item.taxPeriod >= from.key && item.taxPeriod <= to.key);
+  const rangeTotals = emptyTotals();
+  inRange.forEach(item => addTo(rangeTotals, item));
+  const totals = finishTotals(rangeTotals);
+
+  return {
+    from: from.key,
+    to: to.key,
+    periods: periods.map(period => {
+      const current = totalsFor(period);
+      return {
+        period: period.key,
+        label: period.label,
+        hasData: byPeriod.has(period.key),
+        ...current,
+        change: {
+          monthOnMonth: current.lines ? change(current, totalsFor(shiftPeriod(period, -1))) : null,
+          yearOnYear: current.lines ? change(current, totalsFor(shiftPeriod(period, -12))) : null
+        }
+      };
+    }),
+    totals,
+    byState: breakdown(inRange, 'state', periods, rangeTotals.taxableValue),
+    byRate: breakdown(inRange, 'rate', periods, rangeTotals.taxableValue).sort((a, b) => Number(a.key) - Number(b.key)),
+    byHsn: breakdown(inRange, 'hsn', periods, rangeTotals.taxableValue)
+  };
+}
+
+// Totals of a set of lines whatever their period (one upload, say), broken down the same way
+function summarize(lines, { stateCode }) {
+  const items = assessLines(lines, stateCode);
+  const totals = emptyTotals();
+  items.forEach(item => addTo(totals, item));
+  return {
+    totals: finishTotals(totals),
+    byState: breakdown(items, 'state', [], totals.taxableValue),
+    byRate: breakdown(items, 'rate', [], totals.taxableValue).sort((a, b) => Number(a.key) - Number(b.key)),
+    byHsn: breakdown(items, 'hsn', [], totals.taxableValue)
+  };
+}
+
+// Invoice lines behind one figure: a tax period, optionally narrowed to a state, rate or HSN group
+function invoicesFor(lines, { stateCode, period, dimension = null, key = null }) {
+  return assessLines(lines, stateCode)
+    .filter(item => item.taxPeriod === period)
+    .filter(item => !dimension || DIMENSIONS[dimension](item).key === key)
+    .map(item => ({
+      filingId: item.line.filingId,
+      rowNumber: item.line.rowNumber,
+      documentType: item.line.documentType,
+      invoiceNumber: item.line.invoiceNumber,
+      invoiceDate: item.line.invoiceDate,
+      partyName: item.line.partyName,
+      gstin: item.line.gstin,
+      placeOfSupply: item.tax.classification.placeOfSupplyName,
+      hsnCode: item.line.hsnCode,
+      taxRate: item.tax.taxRate,
+      taxableValue: round2(item.taxableValue),
+      igst: item.tax.igst,
+      cgst: item.tax.cgst,
+      sgst: item.tax.sgst,
+      utgst: item.tax.utgst,
+      cess: item.tax.cess
+    }));
+}
+
+// Parse a range of tax periods; without one, the twelve months up to `latest`
+function parseRange(fromValue, toValue, latest) {
+  const to = toValue ? parsePeriod(toValue) : latest;
+  if (!to) return null;
+  const from = fromValue ? parsePeriod(fromValue) : shiftPeriod(to, -11);
+  if (!from || from.key > to.key) return null;
+  return { from, to, comparisonFrom: shiftPeriod(from, -12) };
+}
+
+module.exports = {
+  DIMENSIONS,
+  periodsBetween,
+  shiftPeriod,
+  analyze,
+  summarize,
+  invoicesFor,
+  parseRange
+};
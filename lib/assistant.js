@@ -0,0 +1,81 @@
+const agent = require('./agent');
+const i18n = require('./i18n');
+const { conversations, questions } = require('./repositories');
+
+// How much of the thread the agent sees
+const HISTORY_MESSAGES = 6;
+
+// Follow-ups this short ("and for quarterly filers?") are searched together with the question before
+const FOLLOW_UP_WORDS = 4;
+
+class AssistantError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AssistantError';
+  }
+}
+
+// Sources the answer cites by number; an answer without citations is taken to rest on all of them
+function citedSources(answer, sources) {
+  const cited = new Set([...answer.matchAll(/\[(\d+)\]/g)].map(match => Number(match[1])));
+  return sources
+    .map((source, index) => agent.describeSource(source, index + 1))
+    .filter(source => !cited.size || cited.has(source.number));
+}
+
+// Answer a question in one of the user's conversations (the latest, unless another is named or a
+// new one is asked for). The agent looks the answer up in the business's own data and the
+// knowledge base; `provider` overrides the model it uses.
+//
+// `onEvent` hears of the answer as it is worked out: first 'conversation' with the thread it goes
+// into, then the agent's events (see agent.run). When `signal` is aborted the question is dropped
+// with a CancelledError and nothing of it is kept.
+async function ask({ user, business, question, conversationId = null, newConversation = false, provider, onEvent = null, signal }) {
+  let conversation = null;
+  let created = false;
+  if (conversationId) {
+    conversation = conversations.get(user.id, conversationId);
+    if (!conversation) throw new AssistantError('Conversation not found');
+  } else if (!newConversation) {
+    conversation = conversations.latest(user.id);
+  }
+  if (!conversation) {
+    conversation = conversations.create({ userId: user.id, businessId: business.id, title: question.slice(0, 80) });
+    created = true;
+  }
+  if (onEvent) onEvent('conversation', { conversationId: conversation.id });
+
+  const history = conversations.messages(conversation.id, HISTORY_MESSAGES);
+  const previousQuestion = [...history].reverse().find(message => message.role === 'USER');
+  const searchText = previousQuestion && question.split(/\s+/).length <= FOLLOW_UP_WORDS
+    ? `${question} ${previousQuestion.content}`
+    : question;
+
+  let result;
+  try {
+    result = await agent.run({ business, question, history, searchText, provider, language: user.language, onEvent, signal });
+  } catch (error) {
+    // A thread started for this question would be left empty
+    if (created) conversations.remove(user.id, conversation.id);
+    throw error;
+  }
+  const citations = result.answer === i18n.t(user.language, 'assistant.noAnswer') ? [] : citedSources(result.answer, result.sources);
+
+  conversations.addMessage(conversation.id, { role: 'USER', content: question });
+  const message = conversations.addMessage(conversation.id, { role: 'ASSISTANT', content: result.answer, citations, trace: result.trace });
+  questions.create({ businessId: business.id, userId: user.id, question, answer: result.answer });
+
+  return {
+    conversationId: conversation.id,
+    answer: result.answer,
+    citations,
+    trace: result.trace,
+    message,
+    model: result.model
+  };
+}
+
+module.exports = {
+  AssistantError,
+  ask
+};
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { users, businesses } = require('./repositories');
+
+const TOKEN_LIFETIME = '7d';
+const PASSWORD_MIN_LENGTH = 8;
+
+// Tokens signed with a secret anyone can read could be forged, so production servers refuse to start without one
+if (process.env.NODE_ENV === 'production' && !process.env.JWT_SECRET) {
+  throw new Error('JWT_SECRET must be set in production');
+}
+
+let secret = null;
+
+// Secret for signing tokens. Without JWT_SECRET a random secret is made for the process,
+// so tokens stop working when the server restarts.
+function getSecret() {
+  if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+  if (!secret) {
+    console.log('JWT_SECRET not configured, signing tokens with a random secret until the server restarts');
+    secret = crypto.randomBytes(32).toString('hex');
+  }
+  return secret;
+}
+
+function hashPassword(password) {
+  return bcrypt.hash(password, 10);
+}
+
+function verifyPassword(password, passwordHash) {
+  return bcrypt.compare(password, passwordHash);
+}
+
+function signToken(user) {
+  return jwt.sign({ sub: user.id, businessId: user.businessId }, getSecret(), { expiresIn: TOKEN_LIFETIME });
+}
+
+function validateCredentials(email, password) {
+  if (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return 'A valid email address is required';
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+  return null;
+}
+
+// Create an account and its business profile. The very first account adopts the default
+// business so that data uploaded before accounts existed is not orphaned.
+async function signup({ email, password, name, businessName, gstin, stateCode, language }) {
+  const passwordHash = await hashPassword(password);
+  gstin = gstin ? gstin.trim().toUpperCase() : null;
+  // The registered state is the first two digits of the GSTIN
+  stateCode = stateCode || (gstin ? gstin.slice(0, 2) : null);
+
+  let business;
+  if (users.count() === 0) {
+    business = businesses.update(businesses.DEFAULT_BUSINESS_ID, {
+      name: businessName || 'My business',
+      gstin,
+      stateCode
+    });
+  } else {
+    business = businesses.create({
+      name: businessName || 'My business',
+      gstin,
+      stateCode
+    });
+  }
+
+  const user = users.create({ businessId: business.id, email, name, passwordHash, language });
+  return { user, business, token: signToken(user) };
+}
+
+// Returns null when the email or password is wrong
+async function login(email, password) {
+  const found = users.findWithPasswordHash(email);
+  if (!found || !(await verifyPassword(password, found.passwordHash))) return null;
+
+  const { passwordHash, ...user } = found;
+  return { user, business: businesses.get(user.businessId), token: signToken(user) };
+}
+
+// Express middleware: reject requests without a valid bearer token, otherwise attach req.user and req.business
+function requireAuth(req, res, next) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(match[1], getSecret());
+  } catch (error) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+
+  const user = users.get(payload.sub);
+  if (!user) {
+    return res.status(401).json({ error: 'Account no longer exists' });
+  }
+
+  req.user = user;
+  req.business = businesses.get(user.businessId);
+  next();
+}
+
+module.exports = {
+  validateCredentials,
+  signup,
+  login,
+  requireAuth
+};
@@ -0,0 +1,56 @@
+const { findState } = require('./placeOfSupply');
+const gstinFormat = require('./gstin');
+const { FILING_FREQUENCIES } = require('./dueDates');
+const { BUSINESS_TYPES } = require('./composition');
+
+// Read the business profile fields present in a request body (name, gstin, stateCode,
+// filingFrequency, businessType). Returns { fields } with the values normalised for storage,
+// or { error } with the reason the first bad field was refused.
+function readProfileFields(body) {
+  const fields = {};
+  if (body.name !== undefined) {
+    fields.name = String(body.name).trim();
+    if (fields.name === '') return { error: 'Business name cannot be empty' };
+  }
+
+  if (body.gstin !== undefined) {
+    fields.gstin = body.gstin ? String(body.gstin).trim().toUpperCase() : null;
+    const problem = fields.gstin ? gstinFormat.validate(fields.gstin) : null;
+    if (problem) return { error: problem };
+  }
+
+  if (body.stateCode !== undefined && body.stateCode) {
+    // Accept a code or a state name; store the two-digit code
+    const state = findState(body.stateCode);
+    if (!state) return { error: 'Unknown state or union territory' };
+    fields.stateCode = state.code;
+  } else if (body.stateCode !== undefined) {
+    fields.stateCode = null;
+  }
+  // The registered state is the first two digits of the GSTIN
+  if (fields.gstin && fields.stateCode === undefined) {
+    fields.stateCode = fields.gstin.slice(0, 2);
+  }
+
+  if (body.filingFrequency !== undefined) {
+    // Decides which returns fall due and when
+    fields.filingFrequency = String(body.filingFrequency).trim().toUpperCase();
+    if (!FILING_FREQUENCIES.includes(fields.filingFrequency)) {
+      return { error: `Filing frequency must be one of ${FILING_FREQUENCIES.join(', ')}` };
+    }
+  }
+
+  if (body.businessType !== undefined) {
+    // Decides which composition scheme, if any, the business could use
+    fields.businessType = body.businessType ? String(body.businessType).trim().toUpperCase() : null;
+    if (fields.businessType && !BUSINESS_TYPES.includes(fields.businessType)) {
+      return { error: `Business type must be one of ${BUSINESS_TYPES.join(', ')}` };
+    }
+  }
+
+  return { fields };
+}
+
+module.exports = {
+  readProfileFields
+};
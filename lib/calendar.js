@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const ical = require('ical-generator');
+
+// Days before a due date at which calendar alarms ring, unless the business chooses others
+const DEFAULT_ALARM_DAYS = [3, 1];
+const MAX_ALARM_DAYS = 30;
+
+// Alarms ring at 9:00 India time (03:30 UTC)
+const ALARM_TIME_UTC = 'T03:30:00Z';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lead times as whole days, largest first; null when any value is out of range
+function normalizeAlarmDays(values) {
+  if (!Array.isArray(values)) return null;
+  const days = values.map(Number);
+  if (days.some(day => !Number.isInteger(day) || day < 0 || day > MAX_ALARM_DAYS)) return null;
+  return [...new Set(days)].sort((a, b) => b - a);
+}
+
+function alarmFor(deadline, days) {
+  const ringAt = new Date(Date.parse(`${deadline.dueDate}${ALARM_TIME_UTC}`) - days * DAY_MS);
+  return {
+    type: 'display',
+    trigger: ringAt,
+    description: days === 0
+      ? `${deadline.form} for ${deadline.periodLabel} is due today`
+      : `${deadline.form} for ${deadline.periodLabel} is due in ${days} day${days === 1 ? '' : 's'}`
+  };
+}
+
+// All-day event on a deadline's due date. The uid stays the same across refreshes, so calendar
+// apps update the event in place when the due date is extended or the return is marked filed.
+function deadlineEvent(deadline, { businessId, filed = null, alarmDays = DEFAULT_ALARM_DAYS }) {
+  const lines = [
+    `${deadline.description}.`,
+    `Tax period: ${deadline.periodLabel}.`,
+    `Due date: ${deadline.dueDate}.`
+  ];
+  if (deadline.extended) {
+    lines.push(`Extended from ${deadline.originalDueDate}${deadline.notification ? ` (${deadline.notification})` : ''}.`);
+  }
+  if (filed) lines.push(`Filed on ${filed.filedOn}.`);
+
+  return {
+    id: `${deadline.id}@business-${businessId}.vyapar-sahayak`,
+    start: new Date(`${deadline.dueDate}T00:00:00Z`),
+    allDay: true,
+    summary: `${filed ? 'Filed: ' : ''}${deadline.form} – ${deadline.periodLabel}`,
+    description: lines.join('\n'),
+    location: 'GST Portal (gst.gov.in)',
+    // A filed return needs no more reminders
+    alarms: filed ? [] : alarmDays.map(days => alarmFor(deadline, days))
+  };
+}
+
+// What an event shows: a change to any of it is a new revision of the event
+function fingerprint(event) {
+  const content = [event.start.toISOString(), event.summary, event.description, ...event.alarms.map(alarm => alarm.trigger.toISOString())];
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+// Calendar of a business's deadlines; `filed` maps deadline ids to their filed records.
+// Clients only take an update with a higher SEQUENCE, so `revise(deadlineId, fingerprint)` gives
+// each event one that is raised whenever the event changes and never lowered.
+function buildCalendar(business, deadlines, { filed = new Map(), alarmDays = DEFAULT_ALARM_DAYS, revise = () => 0 } = {}) {
+  const cal = ical({
+    name: `GST deadlines – ${business.name}`,
+    description: `Return and payment due dates for ${business.gstin || business.name}`,
+    // Ask subscribed clients to refresh a few times a day
+    ttl: 6 * 60 * 60
+  });
+
+  deadlines.forEach(deadline => {
+    const event = deadlineEvent(deadline, { businessId: business.id, filed: filed.get(deadline.id) || null, alarmDays });
+    cal.createEvent({ ...event, sequence: revise(deadline.id, fingerprint(event)) });
+  });
+  return cal;
+}
+
+module.exports = {
+  DEFAULT_ALARM_DAYS,
+  MAX_ALARM_DAYS,
+  normalizeAlarmDays,
+  deadlineEvent,
+  buildCalendar
+};
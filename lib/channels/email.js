@@ -0,0 +1,42 @@
+const nodemailer = require('nodemailer');
+
+let transport = null;
+
+// SMTP settings come from the environment. A local stand-in such as `npm run reminder-sink`
+// needs only SMTP_HOST and SMTP_PORT; real servers usually also need SMTP_USER and SMTP_PASS.
+function getTransport() {
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+  return transport;
+}
+
+module.exports = {
+  name: 'EMAIL',
+  label: 'Email',
+
+  isConfigured() {
+    return Boolean(process.env.SMTP_HOST);
+  },
+
+  recipient(preferences) {
+    return preferences.email;
+  },
+
+  async send(message, preferences) {
+    // Escalations also go to the second contact, typically the business's accountant
+    const cc = message.level === 'ESCALATED' && preferences.escalationEmail ? preferences.escalationEmail : undefined;
+    await getTransport().sendMail({
+      from: process.env.REMINDER_FROM || 'Vyapar Sahayak <reminders@vyapar-sahayak.local>',
+      to: preferences.email,
+      cc,
+      subject: message.subject,
+      text: message.text
+    });
+  }
+};
@@ -0,0 +1,33 @@
+const email = require('./email');
+const webhook = require('./webhook');
+const { sms, whatsapp, registerProvider } = require('./messaging');
+
+// Delivery channels for reminders, by name. A channel has a name and label, isConfigured()
+// for whether the server can use it, recipient(preferences) for the user's address on it,
+// and send(message, preferences) returning a promise.
+const channels = new Map();
+
+function registerChannel(channel) {
+  channels.set(channel.name, channel);
+}
+
+[email, webhook, sms, whatsapp].forEach(registerChannel);
+
+function getChannel(name) {
+  return channels.get(name) || null;
+}
+
+function listChannels() {
+  return [...channels.values()].map(channel => ({
+    name: channel.name,
+    label: channel.label,
+    configured: channel.isConfigured()
+  }));
+}
+
+module.exports = {
+  registerChannel,
+  registerProvider,
+  getChannel,
+  listChannels
+};
@@ -0,0 +1,58 @@
+const axios = require('axios');
+
+const TIMEOUT_MS = 10000;
+
+// SMS and WhatsApp go through a messaging provider chosen with MESSAGING_PROVIDER.
+// A provider is an object with `send({ channel, to, text })` returning a promise, where
+// channel is 'SMS' or 'WHATSAPP'; add one for a specific gateway with registerProvider.
+const providers = {
+  // Generic JSON gateway: POST { channel, to, text } to MESSAGING_API_URL, with MESSAGING_API_KEY as a bearer token
+  http: {
+    async send({ channel, to, text }) {
+      if (!process.env.MESSAGING_API_URL) throw new Error('MESSAGING_API_URL is not set');
+      const headers = process.env.MESSAGING_API_KEY ? { Authorization: `Bearer ${process.env.MESSAGING_API_KEY}` } : {};
+      await axios.post(process.env.MESSAGING_API_URL, { channel, to, text }, { headers, timeout: TIMEOUT_MS });
+    }
+  },
+  // Writes messages to the server log, for trying reminders out without a gateway
+  console: {
+    async send({ channel, to, text }) {
+      console.log(`[${channel} to ${to}] ${text}`);
+    }
+  }
+};
+
+function registerProvider(name, provider) {
+  providers[name] = provider;
+}
+
+function getProvider() {
+  return providers[process.env.MESSAGING_PROVIDER] || null;
+}
+
+// Text messages are short, so they carry the subject and the link to the deadline page only
+function messagingChannel(name, label) {
+  return {
+    name,
+    label,
+
+    isConfigured() {
+      return Boolean(getProvider());
+    },
+
+    recipient(preferences) {
+      return preferences.phone;
+    },
+
+    async send(message, preferences) {
+      const text = message.url ? `${message.subject}. ${message.url}` : message.subject;
+      await getProvider().send({ channel: name, to: preferences.phone, text });
+    }
+  };
+}
+
+module.exports = {
+  registerProvider,
+  sms: messagingChannel('SMS', 'SMS'),
+  whatsapp: messagingChannel('WHATSAPP', 'WhatsApp')
+};
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+
+const TIMEOUT_MS = 10000;
+
+// Webhook URLs are chosen by users, so the server refuses to call into its own networks: loopback,
+// private, shared, link-local (where cloud metadata lives), multicast and reserved addresses.
+// WEBHOOK_ALLOW_PRIVATE=true lifts this for trying reminders against scripts/reminder-sink.js.
+const NON_PUBLIC = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => NON_PUBLIC.addSubnet(network, prefix, 'ipv4'));
+[['::', 127], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([network, prefix]) => NON_PUBLIC.addSubnet(network, prefix, 'ipv6'));
+
+class WebhookTargetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebhookTargetError';
+  }
+}
+
+function allowPrivate() {
+  return process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+}
+
+// The 16 bytes of an IPv6 address, which may end in a dotted IPv4 address
+function ipv6Bytes(address) {
+  let text = address.toLowerCase().split('%')[0];
+  const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = text.split('::');
+  const groups = part => (part ? part.split(':') : []);
+  const all = tail === undefined
+    ? groups(head)
+    : [...groups(head), ...Array(8 - groups(head).length - groups(tail).length).fill('0'), ...groups(tail)];
+  return all.flatMap(group => {
+    const value = parseInt(group, 16);
+    return [value >> 8, value & 0xff];
+  });
+}
+
+// The IPv4 address inside an IPv4-compatible (::a.b.c.d) or 6to4 (2002::/16) address, which
+// reaches that IPv4 host; null for other IPv6 addresses
+function embeddedIPv4(address) {
+  const bytes = ipv6Bytes(address);
+  if (bytes.slice(0, 12).every(byte => byte === 0)) return bytes.slice(12).join('.');
+  if (bytes[0] === 0x20 && bytes[1] === 0x02) return bytes.slice(2, 6).join('.');
+  return null;
+}
+
+// IPv6 addresses that carry an IPv4 address are checked against the IPv4 ranges too: the block list
+// does that itself for IPv4-mapped ones (::ffff:127.0.0.1) and holds the NAT64 prefixes whole; the
+// rest are unpacked here
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  if (family === 4) return !NON_PUBLIC.check(address, 'ipv4');
+  if (NON_PUBLIC.check(address, 'ipv6')) return false;
+  const ipv4 = embeddedIPv4(address);
+  return !ipv4 || !NON_PUBLIC.check(ipv4, 'ipv4');
+}
+
+// Check that a webhook URL is http(s) and its host resolves only to public addresses;
+// throws a WebhookTargetError otherwise
+async function checkTarget(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new WebhookTargetError('An http or https URL is required for webhook reminders');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new WebhookTargetError('An http or https URL is required for webhook reminders');
+  }
+  if (allowPrivate()) return;
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [host] : (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+  } catch (error) {
+    throw new WebhookTargetError(`Webhook host ${host} could not be found`);
+  }
+  if (!addresses.every(isPublicAddress)) {
+    throw new WebhookTargetError('Webhook URL must point to a public address, not a local or private network');
+  }
+}
+
+// The address a connection is about to be made to is checked too, so a host cannot pass
+// checkTarget and then resolve to a private address when the request is sent
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error || allowPrivate()) return callback(error, address, family);
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    if (!addresses.every(isPublicAddress)) {
+      return callback(new WebhookTargetError('Webhook URL must point to a public address, not a local or private network'));
+    }
+    callback(null, address, family);
+  });
+}
+
+const agents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+module.exports = {
+  name: 'WEBHOOK',
+  label: 'Webhook',
+  WebhookTargetError,
+  checkTarget,
+
+  // Each user supplies their own URL, so nothing is needed on the server
+  isConfigured() {
+    return true;
+  },
+
+  recipient(preferences) {
+    return preferences.webhookUrl;
+  },
+
+  // POSTs the message as JSON. With WEBHOOK_SECRET set, the body is signed (HMAC-SHA256, hex)
+  // in the X-Vyapar-Signature header so receivers can check where it came from. Failures say
+  // only what the receiver answered, not what the server found on the way to it.
+  async send(message, preferences) {
+    await checkTarget(preferences.webhookUrl);
+    const body = JSON.stringify({ event: 'gst.reminder', ...message });
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.WEBHOOK_SECRET) {
+      headers['X-Vyapar-Signature'] = crypto.createHmac('sha256', process.env.WEBHOOK_SECRET).update(body).digest('hex');
+    }
+    try {
+      await axios.post(preferences.webhookUrl, body, { headers, timeout: TIMEOUT_MS, maxRedirects: 0, proxy: false, ...agents });
+    } catch (error) {
+      if (error.response) throw new Error(`Webhook answered with HTTP ${error.response.status}`);
+      throw new Error('Webhook could not be reached');
+    }
+  }
+};
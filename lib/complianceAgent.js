@@ -0,0 +1,318 @@
+const llm = require('./llm');
+const i18n = require('./i18n');
+const knowledge = require('./knowledge');
+const hsn = require('./hsn');
+const dueDates = require('./dueDates');
+const composition = require('./composition');
+const { assessLine, signedValue } = require('./tax');
+const { assessPurchase, summarizeItc } = require('./itc');
+const { reconciliations } = require('./repositories');
+
+// Autonomous Compliance Agent. Uploads go through the fixed steps below; questions go to the
+// tool-calling agent in lib/agent, which looks answers up in the stored filings. One agent
+// serves every request, so the business and language of an upload are passed along the steps
+// rather than kept on it.
+// Retrieve relevant knowledge for RAG
+function retrieveRelevantKnowledge(query, maxResults = 3) {
+  return knowledge.search(query, { limit: maxResults });
+}
+
+class TaxComplianceAgent {
+  // The plan and payment instructions are written in the uploader's language
+  async processBusinessData(salesData, businessProfile, purchaseData = [], language = i18n.DEFAULT_LANGUAGE) {
+    console.log('Agent: Processing business data...');
+    
+    // Step 1: Calculate taxes
+    const taxCalculation = this.calculateTaxes(salesData, businessProfile.stateCode);
+    
+    // Step 2: Work out the input tax credit from the purchase register
+    const itc = this.assessInputTaxCredit(purchaseData, businessProfile.stateCode, businessProfile.businessType);
+    
+    // Step 3: Compare composition with regular GST over the financial year of this upload
+    const composition = this.assessComposition(salesData, purchaseData, businessProfile);
+    
+    // Step 4: Analyze business patterns
+    const businessAnalysis = this.analyzeBusinessPatterns(salesData, taxCalculation, composition);
+    
+    // Step 5: Check compliance requirements
+    const complianceCheck = await this.checkCompliance(businessAnalysis, itc, composition, businessProfile);
+    
+    // Step 6: Generate compliance plan
+    const compliancePlan = await this.generateCompliancePlan(businessAnalysis, complianceCheck, language);
+    
+    // Step 7: Prepare documents and reminders
+    const documents = await this.prepareComplianceDocuments(taxCalculation, complianceCheck, itc, language);
+    
+    return {
+      taxCalculation,
+      itc,
+      businessAnalysis,
+      complianceCheck,
+      compliancePlan,
+      documents
+    };
+  }
+  
+  calculateTaxes(salesData, supplierStateCode) {
+    let totalSales = 0;
+    let cgst = 0;
+    let sgst = 0;
+    let utgst = 0;
+    let igst = 0;
+    const salesByState = {};
+    const salesByTaxSlab = {};
+
+    salesData.forEach(sale => {
+      const amount = signedValue(sale);
+      // Place of supply against the supplier's state decides CGST+SGST vs IGST
+      const tax = assessLine(sale, supplierStateCode, line => this.determineTaxRate(line));
+      const state = tax.classification.placeOfSupplyName;
+      
+      totalSales += amount;
+      
+      if (!salesByState[state]) salesByState[state] = 0;
+      salesByState[state] += amount;
+      
+      if (!salesByTaxSlab[tax.taxRate]) salesByTaxSlab[tax.taxRate] = 0;
+      salesByTaxSlab[tax.taxRate] += amount;
+      
+      cgst += tax.cgst;
+      sgst += tax.sgst;
+      utgst += tax.utgst;
+      igst += tax.igst;
+    });
+
+    return { 
+      totalSales, 
+      cgst, 
+      sgst, 
+      utgst, 
+      igst, 
+      totalTax: cgst + sgst + utgst + igst, 
+      salesByState, 
+      salesByTaxSlab,
+      hsnIssues: hsn.checkLines(salesData)
+    };
+  }
+  
+  assessInputTaxCredit(purchaseData, recipientStateCode, businessType) {
+    if (purchaseData.length === 0) return null;
+    
+    // Each purchase gets its tax heads and eligibility; blocked and personal-use credits are left out
+    purchaseData.forEach(purchase => assessPurchase(purchase, recipientStateCode, businessType));
+    return summarizeItc(purchaseData);
+  }
+  
+  determineTaxRate(sale) {
+    // Rate of the line's HSN/SAC code on the invoice date; 18% when the code is missing or unknown
+    return hsn.rateForLine(sale);
+  }
+  
+  // Uses the year's uploads with this one in place of any earlier upload for the same months.
+  // Without a business type on the profile only the turnover is worked out.
+  assessComposition(salesData, purchaseData, businessProfile) {
+    const dates = salesData.map(sale => sale.invoiceDate).filter(Boolean).sort();
+    const financialYear = composition.financialYearOfDate(dates.length ? dates[dates.length - 1] : new Date().toISOString().split('T')[0]);
+    const pending = { sales: salesData, purchases: purchaseData };
+    
+    if (!businessProfile.businessType) {
+      const { sales, purchases } = composition.loadYear(businessProfile, financialYear, pending);
+      const year = composition.summarizeYear(sales, purchases, businessProfile.stateCode);
+      return { financialYear: financialYear.key, aggregateTurnover: year.turnover, recommendation: null };
+    }
+    return composition.simulateForBusiness(businessProfile, { financialYear, pending });
+  }
+  
+  analyzeBusinessPatterns(salesData, taxCalculation, compositionCheck) {
+    // A purchase-only upload has no sales to find a primary slab or state in
+    const primaryTaxSlab = Object.keys(taxCalculation.salesByTaxSlab).reduce((a, b) => 
+      taxCalculation.salesByTaxSlab[a] > taxCalculation.salesByTaxSlab[b] ? a : b
+    , null);
+    
+    const primaryState = Object.keys(taxCalculation.salesByState).reduce((a, b) => 
+      taxCalculation.salesByState[a] > taxCalculation.salesByState[b] ? a : b
+    , null);
+    
+    return {
+      primaryTaxSlab,
+      primaryState,
+      averageTransaction: salesData.length ? taxCalculation.totalSales / salesData.length : 0,
+      annualTurnover: compositionCheck.aggregateTurnover,
+      businessSize: this.classifyBusinessSize(compositionCheck.aggregateTurnover),
+      complianceRisk: this.assessComplianceRisk(salesData, taxCalculation),
+      hsnRateMismatches: taxCalculation.hsnIssues.filter(issue => issue.issue === 'RATE_MISMATCH').length
+    };
+  }
+  
+  // MSME turnover limits on the financial year's aggregate turnover, projected from the uploads
+  classifyBusinessSize(annualTurnover) {
+    if (annualTurnover <= 5e7) return 'Micro';
+    if (annualTurnover <= 5e8) return 'Small';
+    if (annualTurnover <= 2.5e9) return 'Medium';
+    return 'Large';
+  }
+  
+  assessComplianceRisk(salesData, taxCalculation) {
+    // Simple risk assessment
+    let riskScore = 0;
+    if (taxCalculation.igst > 0) riskScore += 1; // Interstate sales
+    if (Object.keys(taxCalculation.salesByTaxSlab).length > 3) riskScore += 1; // Multiple tax rates
+    if (taxCalculation.totalTax / taxCalculation.totalSales > 0.15) riskScore += 1; // High tax burden
+    if (taxCalculation.hsnIssues.some(issue => issue.issue === 'RATE_MISMATCH')) riskScore += 1; // Rates differ from the HSN master
+    
+    return riskScore < 2 ? 'Low' : riskScore < 4 ? 'Medium' : 'High';
+  }
+  
+  async checkCompliance(businessAnalysis, itc, compositionCheck, businessProfile) {
+    const relevantLaws = retrieveRelevantKnowledge(`GST compliance requirements for ${businessAnalysis.businessSize} business in ${businessAnalysis.primaryState}`);
+    
+    const riskAreas = businessAnalysis.complianceRisk !== 'Low' ? ['Interstate Sales', 'Multiple Tax Rates'] : [];
+    if (itc && itc.blocked.total + itc.ineligible.total > 0) riskAreas.push('Blocked or Ineligible Input Tax Credit');
+    if (businessAnalysis.hsnRateMismatches > 0) riskAreas.push('HSN Rate Mismatches');
+    
+    // The latest GSTR-2B reconciliation shows credit that suppliers have not reported yet
+    const [reconciliation] = reconciliations.list(businessProfile.id);
+    if (reconciliation && reconciliation.summary.itcAtRisk > 0) riskAreas.push('Input Tax Credit Missing from GSTR-2B');
+    
+    return {
+      applicableReturns: dueDates.applicableReturns(businessProfile),
+      deadlines: this.calculateDeadlines(businessProfile),
+      itcEligibility: Boolean(itc && itc.available.total > 0),
+      reconciliation: reconciliation || null,
+      // Only suggested when the business is eligible and the simulator finds it cheaper
+      specialSchemes: ['COMPOSITION', 'REVIEW'].includes(compositionCheck.recommendation) && compositionCheck.eligibility.eligible ? ['Composition Scheme'] : [],
+      composition: compositionCheck,
+      riskAreas
+    };
+  }
+  
+  // Returns due over the next quarter under the business's filing frequency and state
+  calculateDeadlines(businessProfile) {
+    return dueDates.upcomingDeadlines(businessProfile, { months: 3 });
+  }
+  
+  formatDeadlines(deadlines, prefix) {
+    return deadlines
+      .map(deadline => `${prefix}${deadline.form === 'PMT-06' ? 'Pay tax through' : 'File'} ${deadline.form} for ${deadline.periodLabel} by ${new Date(deadline.dueDate).toDateString()}`)
+      .join('\n');
+  }
+  
+  async generateCompliancePlan(businessAnalysis, complianceCheck, language) {
+    const prompt = `Create a comprehensive 3-month GST compliance plan for a ${businessAnalysis.businessSize} business 
+    with ${businessAnalysis.complianceRisk} compliance risk. Focus on: ${complianceCheck.riskAreas.join(', ')}. 
+    Include monthly actions, deadlines, and risk mitigation strategies. ${i18n.promptInstruction(language)}`;
+    
+    // Fallback plan, also the offline provider's answer
+    const fallback = `COMPLIANCE PLAN FOR ${businessAnalysis.businessSize} BUSINESS:
+    
+    Month 1:
+${this.formatDeadlines(complianceCheck.deadlines, '    - ')}
+    - Reconcile input tax credit claims
+    
+    Month 2:
+    - Review compliance with new 2024 regulations
+    - Optimize tax strategy based on sales patterns
+    - Prepare for upcoming deadlines
+    
+    Month 3:
+    - Conduct compliance health check
+    - Plan for next quarter based on business trends${complianceCheck.composition.summary ? `
+    - Composition scheme: ${complianceCheck.composition.summary}` : ''}`;
+
+    const { text } = await llm.generate({ prompt, fallback });
+    return text;
+  }
+  
+  async prepareComplianceDocuments(taxCalculation, complianceCheck, itc, language) {
+    const docs = [];
+    
+    // Generate tax summary
+    docs.push(this.generateTaxSummary(taxCalculation, itc));
+    
+    // Generate compliance checklist
+    docs.push(this.generateComplianceChecklist(complianceCheck));
+    
+    // Generate payment instructions for the tax left after input tax credit
+    const itcAvailable = itc ? itc.available.total : 0;
+    docs.push(await this.generatePaymentInstructions(Math.max(taxCalculation.totalTax - itcAvailable, 0).toFixed(2), language));
+    
+    return docs;
+  }
+  
+  generateTaxSummary(taxCalculation, itc) {
+    const itcLines = itc
+      ? `
+      Input Tax Credit Available: ₹${itc.available.total.toFixed(2)} (IGST ₹${itc.available.igst.toFixed(2)}, CGST ₹${itc.available.cgst.toFixed(2)}, SGST/UTGST ₹${(itc.available.sgst + itc.available.utgst).toFixed(2)})
+      Blocked or Ineligible Credit: ₹${(itc.blocked.total + itc.ineligible.total).toFixed(2)}
+      Net Tax Payable: ₹${Math.max(taxCalculation.totalTax - itc.available.total, 0).toFixed(2)}`
+      : '';
+    const itcAdvice = itc
+      ? `- Claim ₹${itc.available.total.toFixed(2)} of eligible input tax credit in GSTR-3B
+      - Review ${itc.flagged.length} purchase line(s) flagged as blocked, ineligible or capital goods`
+      : '- Upload your purchase register to work out the input tax credit you can claim';
+    
+    return {
+      type: 'Tax Summary',
+      content: `TAX CALCULATION SUMMARY:
+      Total Sales: ₹${taxCalculation.totalSales.toLocaleString()}
+      CGST Liability: ₹${taxCalculation.cgst.toFixed(2)}
+      SGST Liability: ₹${taxCalculation.sgst.toFixed(2)}
+      IGST Liability: ₹${taxCalculation.igst.toFixed(2)}
+      Total Tax Payable: ₹${taxCalculation.totalTax.toFixed(2)}${itcLines}
+      
+      RECOMMENDATIONS:
+      - File returns before deadlines to avoid penalties
+      ${itcAdvice}
+      - Maintain proper documentation`
+    };
+  }
+  
+  generateComplianceChecklist(complianceCheck) {
+    const reconciliation = complianceCheck.reconciliation;
+    const reconcileItem = reconciliation && reconciliation.summary.itcAtRisk > 0
+      ? `Follow up with suppliers on ₹${reconciliation.summary.itcAtRisk.toFixed(2)} of input tax credit missing from GSTR-2B (${reconciliation.period})`
+      : 'Reconcile input tax credit against GSTR-2B';
+    
+    return {
+      type: 'Compliance Checklist',
+      content: `COMPLIANCE CHECKLIST:
+${this.formatDeadlines(complianceCheck.deadlines, '      [ ] ')}
+      [ ] ${reconcileItem}
+      [ ] Maintain invoice records
+      [ ] Review compliance with new 2024 rules`
+    };
+  }
+  
+  async generatePaymentInstructions(taxAmount, language) {
+    const prompt = `Generate step-by-step payment instructions for paying GST of ₹${taxAmount} 
+    including online payment methods, bank options, and documentation required. ${i18n.promptInstruction(language)}`;
+    
+    // Fallback instructions, also the offline provider's answer
+    const fallback = `HOW TO PAY GST OF ₹${taxAmount}:
+      
+      1. Login to GST portal (gst.gov.in)
+      2. Go to Services > Payments > Create Challan
+      3. Enter tax amount: ₹${taxAmount}
+      4. Select payment method: Net Banking/Credit Card/UPI
+      5. Complete payment process
+      6. Save payment receipt (Challan)
+      7. Use Challan number when filing returns`;
+
+    const { text } = await llm.generate({ prompt, fallback });
+    return {
+      type: 'Payment Instructions',
+      content: text
+    };
+  }
+}
+
+const taxAgent = new TaxComplianceAgent();
+
+// Run an upload's sales and purchase lines through every step for the uploading business
+function processBusinessData(salesData, businessProfile, purchaseData = [], language = i18n.DEFAULT_LANGUAGE) {
+  return taxAgent.processBusinessData(salesData, businessProfile, purchaseData, language);
+}
+
+module.exports = {
+  processBusinessData
+};
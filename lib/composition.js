@@ -0,0 +1,285 @@
+const { round2, signedValue, assessLine } = require('./tax');
+const { assessPurchase, summarizeItc } = require('./itc');
+const { rateForLine } = require('./hsn');
+const { findState } = require('./placeOfSupply');
+const { periodOfDate } = require('./periods');
+const { filings } = require('./repositories');
+
+const BUSINESS_TYPES = ['TRADER', 'MANUFACTURER', 'RESTAURANT', 'SERVICE_PROVIDER'];
+
+// Composition rates (CGST + SGST together, Rule 7 of the CGST Rules and Notification 2/2019-CT(R))
+// and the turnover each is charged on. Goods suppliers and restaurants opt in under Section 10(1),
+// other service providers under Section 10(2A).
+const SCHEMES = {
+  TRADER: { section: '10(1)', rate: 1, limit: 1.5e7, specialStateLimit: 7.5e6, base: 'taxable', baseLabel: 'turnover of taxable supplies' },
+  MANUFACTURER: { section: '10(1)', rate: 1, limit: 1.5e7, specialStateLimit: 7.5e6, base: 'all', baseLabel: 'turnover in the state' },
+  RESTAURANT: { section: '10(1)', rate: 5, limit: 1.5e7, specialStateLimit: 7.5e6, base: 'all', baseLabel: 'turnover in the state' },
+  SERVICE_PROVIDER: { section: '10(2A)', rate: 6, limit: 5e6, specialStateLimit: 5e6, base: 'all', baseLabel: 'turnover in the state' }
+};
+
+// States where the Section 10(1) limit is ₹75 lakh instead of ₹1.5 crore (Notification 14/2019-CT)
+const SPECIAL_CATEGORY_STATES = ['05', '11', '12', '13', '14', '15', '16', '17'];
+
+// Goods whose manufacturers cannot opt for composition (Notification 14/2019-CT), by HSN prefix
+const NOTIFIED_GOODS = [
+  { prefix: '2105', description: 'Ice cream and other edible ice' },
+  { prefix: '21069020', description: 'Pan masala' },
+  { prefix: '24', description: 'Tobacco and manufactured tobacco substitutes' },
+  { prefix: '22021010', description: 'Aerated water' }
+];
+
+// Section 10(1) businesses may also supply other services worth up to 10% of the previous
+// year's turnover or ₹5 lakh, whichever is higher
+const MIXED_SERVICES_SHARE = 0.1;
+const MIXED_SERVICES_FLOOR = 5e5;
+
+// Above this share of sales to registered buyers, losing their input tax credit usually costs more than composition saves
+const B2B_SHARE_CAUTION = 30;
+
+// Financial year "2025-26": its bounds and monthly periods
+function parseFinancialYear(value) {
+  const match = String(value || '').trim().match(/^(\d{4})-(\d{2})$/);
+  if (!match || Number(match[2]) !== (Number(match[1]) + 1) % 100) return null;
+  const startYear = Number(match[1]);
+  return {
+    key: `${match[1]}-${match[2]}`,
+    startYear,
+    from: `${startYear}-04`,
+    to: `${startYear + 1}-03`
+  };
+}
+
+function financialYearOfDate(isoDate) {
+  const { year, month } = periodOfDate(isoDate);
+  const startYear = month >= 4 ? year : year - 1;
+  return parseFinancialYear(`${startYear}-${String(startYear + 1).slice(2)}`);
+}
+
+// Sales and purchases of a year's tax periods as uploaded. Invoices of an upload still being
+// processed (`pending`) take the place of the same invoices in stored filings, as they will once saved.
+function loadYear(business, financialYear, pending = { sales: [], purchases: [] }) {
+  const periodOf = line => (line.invoiceDate ? periodOfDate(line.invoiceDate).key : null);
+  const inYear = period => period && period >= financialYear.from && period <= financialYear.to;
+  const tag = lines => lines.map(line => ({ ...line, taxPeriod: periodOf(line) })).filter(line => inYear(line.taxPeriod));
+  const invoiceKey = line => (line.invoiceNumber ? [line.gstin || '', line.documentType, line.invoiceNumber].join('|') : null);
+
+  const pendingSales = tag(pending.sales || []);
+  const pendingPurchases = tag(pending.purchases || []);
+  const invoicesOf = lines => new Set(lines.map(invoiceKey).filter(Boolean));
+  const stored = (type, replaced) => filings.currentLines(business.id, business.gstin, financialYear.from, financialYear.to, type)
+    .filter(line => !replaced.has(invoiceKey(line)));
+
+  return {
+    sales: [...stored('SALE', invoicesOf(pending.sales || [])), ...pendingSales],
+    purchases: [...stored('PURCHASE', invoicesOf(pending.purchases || [])), ...pendingPurchases]
+  };
+}
+
+// Turnover, tax and credit of a year's sales and purchases, scaled up to twelve months when only some were uploaded
+function summarizeYear(sales, purchases, stateCode) {
+  const months = new Set(sales.map(line => line.taxPeriod)).size;
+  const scale = months > 0 ? 12 / months : 0;
+
+  let turnover = 0;
+  let exemptTurnover = 0;
+  let b2bTurnover = 0;
+  let outputTax = 0;
+  let interstateTurnover = 0;
+  const notifiedGoods = new Map();
+
+  sales.forEach(line => {
+    const value = signedValue(line);
+    const tax = assessLine(line, stateCode, rateForLine);
+    turnover += value;
+    outputTax += tax.igst + tax.cgst + tax.sgst + tax.utgst;
+    if (tax.taxRate === 0) exemptTurnover += value;
+    if (line.gstin) b2bTurnover += value;
+    if (tax.nature === 'INTER') interstateTurnover += value;
+
+    const code = String(line.hsnCode || '').replace(/\D/g, '');
+    const notified = code && NOTIFIED_GOODS.find(goods => code.startsWith(goods.prefix));
+    if (notified) notifiedGoods.set(notified.prefix, notified);
+  });
+
+  purchases.forEach(line => {
+    if (!line.itc) assessPurchase(line, stateCode);
+  });
+  const itc = purchases.length > 0 ? summarizeItc(purchases).available.total : 0;
+
+  return {
+    monthsWithData: months,
+    annualised: months > 0 && months < 12,
+    turnover: round2(turnover * scale),
+    exemptTurnover: round2(exemptTurnover * scale),
+    interstateTurnover: round2(interstateTurnover * scale),
+    outputTax: round2(outputTax * scale),
+    itc: round2(itc * scale),
+    b2bShare: turnover ? round2(b2bTurnover / turnover * 100) : 0,
+    notifiedGoods: [...notifiedGoods.values()]
+  };
+}
+
+// Whether a business can opt for composition, with every condition it fails
+function checkEligibility({ businessType, stateCode, aggregateTurnover, interstateSupplies, ecommerce, serviceTurnover, notifiedGoods, nonTaxableSupplies }) {
+  const scheme = SCHEMES[businessType];
+  const reasons = [];
+  const notes = [];
+
+  const state = findState(stateCode);
+  const specialState = Boolean(state) && SPECIAL_CATEGORY_STATES.includes(state.code) && scheme.section === '10(1)';
+  const limit = specialState ? scheme.specialStateLimit : scheme.limit;
+
+  if (aggregateTurnover > limit) {
+    reasons.push(`Aggregate turnover of ₹${aggregateTurnover.toLocaleString('en-IN')} is above the ₹${limit.toLocaleString('en-IN')} limit under Section ${scheme.section}${specialState ? ` for ${state.name}` : ''}`);
+  }
+  if (interstateSupplies) {
+    reasons.push('Composition dealers cannot make inter-state outward supplies');
+  }
+  if (nonTaxableSupplies) {
+    reasons.push('Composition dealers cannot supply goods or services outside GST, such as alcohol for human consumption');
+  }
+  if (ecommerce) {
+    if (businessType === 'SERVICE_PROVIDER') {
+      reasons.push('Services cannot be supplied through an e-commerce operator that collects tax at source under the composition scheme');
+    } else if (businessType === 'RESTAURANT') {
+      notes.push('Food delivered through an e-commerce operator is taxed by the operator under Section 9(5), but still counts towards turnover');
+    } else {
+      notes.push('Goods may be sold through e-commerce operators within the state since 1 October 2023 (Notification 36/2023-CT)');
+    }
+  }
+  if (businessType === 'MANUFACTURER' && notifiedGoods.length > 0) {
+    reasons.push(`Manufacturers of ${notifiedGoods.map(goods => goods.description.toLowerCase()).join(', ')} cannot opt for composition`);
+  }
+  if (scheme.section === '10(1)' && businessType !== 'RESTAURANT' && serviceTurnover > 0) {
+    const allowed = Math.max(aggregateTurnover * MIXED_SERVICES_SHARE, MIXED_SERVICES_FLOOR);
+    if (serviceTurnover > allowed) {
+      reasons.push(`Services worth ₹${serviceTurnover.toLocaleString('en-IN')} exceed the ₹${round2(allowed).toLocaleString('en-IN')} a goods supplier may provide under composition`);
+    }
+  }
+
+  return { eligible: reasons.length === 0, section: scheme.section, limit, reasons, notes };
+}
+
+// Eligibility for composition and the year's tax under it against regular GST, with a recommendation.
+// `inputs` may override what the uploads show: aggregateTurnover, interstateSupplies, ecommerce,
+// serviceTurnover and nonTaxableSupplies. `year` is the summary from summarizeYear.
+function simulate({ businessType, stateCode, financialYear, year, inputs = {} }) {
+  const scheme = SCHEMES[businessType];
+  const assumptions = [];
+
+  const aggregateTurnover = inputs.aggregateTurnover !== undefined && inputs.aggregateTurnover !== null
+    ? inputs.aggregateTurnover
+    : year.turnover;
+  if (inputs.aggregateTurnover === undefined || inputs.aggregateTurnover === null) {
+    assumptions.push(year.annualised
+      ? `Aggregate turnover projected to a full year from ${year.monthsWithData} month${year.monthsWithData === 1 ? '' : 's'} of uploaded sales`
+      : 'Aggregate turnover taken from the sales uploaded for the year');
+  }
+  assumptions.push(`Aggregate turnover of FY ${financialYear.key} decides eligibility for FY ${financialYear.startYear + 1}-${String(financialYear.startYear + 2).slice(2)}; the scheme lapses during a year once turnover crosses the limit`);
+
+  const interstateSupplies = inputs.interstateSupplies !== undefined ? inputs.interstateSupplies : year.interstateTurnover > 0;
+  if (inputs.interstateSupplies === undefined) {
+    assumptions.push(interstateSupplies
+      ? 'Inter-state sales found in the uploaded data'
+      : 'No inter-state sales in the uploaded data');
+  }
+
+  const eligibility = checkEligibility({
+    businessType,
+    stateCode,
+    aggregateTurnover,
+    interstateSupplies,
+    ecommerce: Boolean(inputs.ecommerce),
+    serviceTurnover: inputs.serviceTurnover || 0,
+    notifiedGoods: year.notifiedGoods,
+    nonTaxableSupplies: Boolean(inputs.nonTaxableSupplies)
+  });
+
+  // Both projections use the uploaded mix of sales and purchases, scaled to the turnover used above
+  const scale = year.turnover ? aggregateTurnover / year.turnover : 0;
+  const outputTax = round2(year.outputTax * scale);
+  const itc = round2(year.itc * scale);
+  const regularTax = round2(Math.max(outputTax - itc, 0));
+  const base = scheme.base === 'taxable' ? aggregateTurnover - year.exemptTurnover * scale : aggregateTurnover;
+  const compositionTax = round2(Math.max(base, 0) * scheme.rate / 100);
+  const savings = round2(regularTax - compositionTax);
+
+  assumptions.push('Selling prices stay the same under both schemes, so tax not collected from customers under composition comes out of margin');
+  assumptions.push('Input tax credit is lost under composition; tax paid on purchases becomes a cost');
+  if (outputTax < itc) assumptions.push('Credit above the output tax carries forward under regular GST; it is not counted as a saving');
+  if (!year.turnover) assumptions.push('No sales uploaded for the year, so regular GST cannot be projected');
+  assumptions.push('Tax payable under reverse charge is the same under both schemes and is left out');
+
+  let recommendation;
+  let summary;
+  if (!eligibility.eligible) {
+    recommendation = 'NOT_ELIGIBLE';
+    summary = 'The business cannot opt for the composition scheme.';
+  } else if (!year.turnover) {
+    recommendation = 'REVIEW';
+    summary = 'The business looks eligible; upload a year of sales and purchases to compare the tax.';
+  } else if (savings > 0 && year.b2bShare > B2B_SHARE_CAUTION) {
+    recommendation = 'REVIEW';
+    summary = `Composition would save ₹${savings.toLocaleString('en-IN')} a year, but ${year.b2bShare}% of sales go to registered buyers who could no longer claim credit and may ask for lower prices.`;
+  } else if (savings > 0) {
+    recommendation = 'COMPOSITION';
+    summary = `Composition would save about ₹${savings.toLocaleString('en-IN')} a year, with quarterly CMP-08 payments and one annual GSTR-4 instead of monthly returns. Opt in with form CMP-02 before the financial year starts.`;
+  } else {
+    recommendation = 'REGULAR';
+    summary = `Regular GST costs ₹${(-savings).toLocaleString('en-IN')} a year less, because the input tax credit outweighs the composition rate.`;
+  }
+
+  return {
+    financialYear: financialYear.key,
+    businessType,
+    aggregateTurnover: round2(aggregateTurnover),
+    eligibility,
+    regular: {
+      outputTax,
+      inputTaxCredit: itc,
+      netTax: regularTax,
+      effectiveRate: aggregateTurnover ? round2(regularTax / aggregateTurnover * 100) : null
+    },
+    composition: {
+      section: scheme.section,
+      rate: scheme.rate,
+      base: round2(Math.max(base, 0)),
+      baseLabel: scheme.baseLabel,
+      tax: compositionTax,
+      inputTaxCreditForgone: itc
+    },
+    savings,
+    b2bShare: year.b2bShare,
+    monthsWithData: year.monthsWithData,
+    recommendation,
+    summary,
+    assumptions
+  };
+}
+
+// Simulate from a business's own uploads for a financial year (default: the current one)
+function simulateForBusiness(business, { financialYear = null, businessType = business.businessType, pending, inputs = {} } = {}) {
+  const fy = financialYear || financialYearOfDate(new Date().toISOString().split('T')[0]);
+  const { sales, purchases } = loadYear(business, fy, pending);
+  return simulate({
+    businessType,
+    stateCode: business.stateCode,
+    financialYear: fy,
+    year: summarizeYear(sales, purchases, business.stateCode),
+    inputs
+  });
+}
+
+module.exports = {
+  BUSINESS_TYPES,
+  SCHEMES,
+  SPECIAL_CATEGORY_STATES,
+  NOTIFIED_GOODS,
+  parseFinancialYear,
+  financialYearOfDate,
+  loadYear,
+  summarizeYear,
+  checkEligibility,
+  simulate,
+  simulateForBusiness
+};
@@ -0,0 +1,276 @@
+const fs = require('fs');
+const { ImportError } = require('../importer');
+const { round2 } = require('../tax');
+const { DEFAULT_LEDGERS } = require('../tally');
+const { XmlError } = require('./xml');
+const { readTallyXml } = require('./tallyXml');
+const { readJsonVouchers } = require('./json');
+
+const FORMATS = {
+  xml: { id: 'tally-xml', name: 'Tally XML day book', read: readTallyXml },
+  json: { id: 'json-vouchers', name: 'JSON vouchers', read: readJsonVouchers }
+};
+
+// Invoice-line field each GST head is reported in; UTGST goes where SGST does, as in the CSV layouts
+const HEAD_FIELDS = { IGST: 'igst', CGST: 'cgst', SGST: 'sgst', UTGST: 'sgst', CESS: 'cess' };
+
+// The head of a Tally GST duty head ("Integrated Tax", "Central Tax", "State Tax", "UT Tax", "Cess")
+function dutyHead(text) {
+  const value = String(text || '').trim().toUpperCase();
+  if (/^(INTEGRATED TAX|IGST)$/.test(value)) return 'IGST';
+  if (/^(CENTRAL TAX|CGST)$/.test(value)) return 'CGST';
+  if (/^(STATE TAX|SGST)$/.test(value)) return 'SGST';
+  if (/^(UT TAX|UNION TERRITORY TAX|UTGST)$/.test(value)) return 'UTGST';
+  if (/^CESS$/.test(value)) return 'CESS';
+  return null;
+}
+
+// Tax ledgers without a master usually say their head in the name: "Output CGST 9%"
+function headInName(name) {
+  const match = String(name || '').toUpperCase().match(/\b(IGST|CGST|SGST|UTGST|CESS)\b/);
+  return match ? match[1] : null;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// The business's Tally ledger names as patterns; {rate} in a name matches the rate and captures it
+function ledgerPatterns(ledgers) {
+  return Object.entries(ledgers).map(([key, name]) => {
+    const head = key.match(/^(?:output|input)(\w+)$/);
+    return {
+      pattern: new RegExp(`^${escapeRegExp(name).replace(/\\\{rate\\\}/g, '(\\d+(?:\\.\\d+)?)')}$`, 'i'),
+      kind: key === 'sales' ? 'SALES' : key === 'purchase' ? 'PURCHASE' : key === 'cashParty' ? 'PARTY' : 'TAX',
+      head: head ? head[1].toUpperCase() : null
+    };
+  });
+}
+
+function byName(records) {
+  const map = new Map();
+  records.forEach(record => map.set(record.name.toLowerCase(), record));
+  return map;
+}
+
+// What a ledger is for: the business's ledger names first, then the group its master sits in,
+// then a GST head in its name. Returns null for ledgers the import cannot place.
+function classifyLedger(name, { patterns, ledgerMasters }) {
+  for (const { pattern, kind, head } of patterns) {
+    const match = name.match(pattern);
+    if (match) return { kind, head, taxRate: match[1] !== undefined ? Number(match[1]) : null };
+  }
+
+  const master = ledgerMasters.get(name.toLowerCase());
+  const group = master && master.group ? master.group.toLowerCase() : '';
+  if (/^sales accounts?$/.test(group)) return { kind: 'SALES', taxRate: master.taxRate };
+  if (/^purchase accounts?$/.test(group)) return { kind: 'PURCHASE', taxRate: master.taxRate };
+  if (/^sundry (debtors|creditors)$/.test(group)) return { kind: 'PARTY' };
+  if (/^duties\s*(&|and)\s*taxes$/.test(group)) {
+    const head = dutyHead(master.taxHead) || headInName(name);
+    return head ? { kind: 'TAX', head } : null;
+  }
+
+  const head = headInName(name);
+  return head ? { kind: 'TAX', head } : null;
+}
+
+// Tally calls a purchase return a debit note; for GST it is the supplier's credit note, and the
+// other way round. Export writes purchase notes the same way (see lib/tally.js).
+function documentType(voucherType, transactionType) {
+  const type = String(voucherType || '').toLowerCase();
+  const note = /credit\s*note/.test(type) ? 'CREDIT_NOTE' : /debit\s*note/.test(type) ? 'DEBIT_NOTE' : null;
+  if (!note) return 'INVOICE';
+  if (transactionType === 'SALE') return note;
+  return note === 'CREDIT_NOTE' ? 'DEBIT_NOTE' : 'CREDIT_NOTE';
+}
+
+// Share `total` out in proportion to `weights`, to the paisa, the last share taking the remainder
+function allocate(total, weights) {
+  const sum = weights.reduce((a, b) => a + b, 0);
+  let left = round2(total);
+  return weights.map((weight, index) => {
+    if (index === weights.length - 1) return left;
+    const share = sum ? round2(total * weight / sum) : 0;
+    left = round2(left - share);
+    return share;
+  });
+}
+
+// Invoice lines of one voucher: one per stock item, or one per sales or purchase ledger when the
+// voucher has no items, with the tax posted to the tax ledgers shared out over them
+function voucherLines(voucher, rowNumber, context) {
+  const partyName = voucher.party ? voucher.party.toLowerCase() : null;
+  const classified = voucher.entries.map(entry => ({
+    ...entry,
+    role: entry.isParty || (partyName && entry.ledger.toLowerCase() === partyName)
+      ? { kind: 'PARTY' }
+      : classifyLedger(entry.ledger, context)
+  }));
+  // Stock items post to a sales or purchase ledger by construction; the voucher type says which
+  // when their ledger is not one the import knows
+  const type = String(voucher.type || '').toLowerCase();
+  const typeRole = /sales|credit\s*note/.test(type) ? { kind: 'SALES' } : /purchase|debit\s*note/.test(type) ? { kind: 'PURCHASE' } : null;
+  const items = voucher.items.map(item => ({
+    ...item,
+    role: (item.ledger && classifyLedger(item.ledger, context)) || typeRole
+  }));
+
+  const sides = [...items, ...classified]
+    .map(source => source.role && source.role.kind)
+    .filter(kind => kind === 'SALES' || kind === 'PURCHASE');
+  if (sides.length === 0) return null;
+  const side = sides[0];
+  const transactionType = side === 'SALES' ? 'SALE' : 'PURCHASE';
+
+  const sources = items.length > 0 ? items : classified.filter(entry => entry.role && entry.role.kind === side);
+  const heads = { igst: 0, cgst: 0, sgst: 0, cess: 0 };
+  classified
+    .filter(entry => entry.role && entry.role.kind === 'TAX')
+    .forEach(entry => { heads[HEAD_FIELDS[entry.role.head]] += Math.abs(entry.amount); });
+
+  const partyMaster = voucher.party ? context.ledgerMasters.get(partyName) : null;
+  const gstin = voucher.partyGstin || (partyMaster && partyMaster.gstin) || null;
+  const partyState = partyMaster ? partyMaster.state : null;
+
+  const bases = sources.map(source => {
+    const stockItem = source.stockItem ? context.stockItems.get(source.stockItem.toLowerCase()) : null;
+    const rates = [source.taxRate, stockItem && stockItem.taxRate, source.role && source.role.taxRate];
+    return {
+      source,
+      taxableValue: round2(Math.abs(source.amount)),
+      taxRate: rates.find(rate => rate !== null && rate !== undefined && !Number.isNaN(rate)),
+      hsnCode: source.hsn || (stockItem && stockItem.hsn) || null
+    };
+  });
+
+  // Lines at different rates carry tax in proportion to rate x value, when every rate is known
+  const rated = bases.every(base => base.taxRate !== undefined);
+  const weights = bases.map(base => base.taxableValue * (rated ? base.taxRate : 1));
+  const shares = {};
+  Object.keys(heads).forEach(field => { shares[field] = allocate(heads[field], weights); });
+
+  const lines = bases.map((base, index) => {
+    const line = {
+      rowNumber,
+      transactionType,
+      documentType: documentType(voucher.type, transactionType),
+      invoiceNumber: (transactionType === 'SALE' ? voucher.number || voucher.reference : voucher.reference || voucher.number) || null,
+      invoiceDate: voucher.date,
+      gstin: gstin ? gstin.toUpperCase() : null,
+      partyName: voucher.party || null,
+      // A sale is supplied where the customer is; a purchase is received in the business's state
+      placeOfSupply: voucher.placeOfSupply || (transactionType === 'SALE' ? partyState : null),
+      supplierState: transactionType === 'PURCHASE' ? partyState : null,
+      product: base.source.stockItem || null,
+      hsnCode: base.hsnCode,
+      quantity: base.source.quantity === undefined ? null : base.source.quantity,
+      unitPrice: base.source.unitPrice === undefined ? null : base.source.unitPrice,
+      taxableValue: base.taxableValue,
+      taxRate: base.taxRate === undefined ? null : base.taxRate,
+      igst: shares.igst[index],
+      cgst: shares.cgst[index],
+      sgst: shares.sgst[index],
+      cess: shares.cess[index],
+      reverseCharge: false,
+      supplyType: null,
+      itcEligibility: null,
+      rateDerived: false,
+      unparsed: {},
+      raw: { voucherType: voucher.type, voucherNumber: voucher.number, reference: voucher.reference, party: voucher.party }
+    };
+    line.state = line.placeOfSupply || 'Unknown';
+    // Without a rate from the masters, the rate is what the tax posted comes to
+    if (line.taxRate === null && line.taxableValue) {
+      line.taxRate = round2((line.igst + line.cgst + line.sgst) / line.taxableValue * 100);
+      line.rateDerived = true;
+    }
+    return line;
+  });
+
+  return {
+    lines,
+    unmapped: classified
+      .filter(entry => !entry.role)
+      .map(entry => ({ ledger: entry.ledger, amount: Math.abs(entry.amount) })),
+    partyWithoutGstin: voucher.party && !gstin ? voucher.party : null,
+    itemsWithoutHsn: bases.filter(base => base.source.stockItem && !base.hsnCode).map(base => base.source.stockItem)
+  };
+}
+
+// Import a Tally XML day book or a JSON voucher file into invoice lines, as importFile does for
+// CSV and Excel. Vouchers that post to no sales or purchase ledger (receipts, payments, journals)
+// are skipped; ledgers the import cannot place are reported with what was posted to them.
+function importDaybook(filePath, format, options = {}) {
+  const reader = FORMATS[format];
+  let book;
+  try {
+    book = reader.read(fs.readFileSync(filePath));
+  } catch (error) {
+    if (error instanceof XmlError) {
+      throw new ImportError(`This XML file could not be read: ${error.message}`);
+    }
+    throw error;
+  }
+
+  const context = {
+    patterns: ledgerPatterns(options.tallyLedgers || DEFAULT_LEDGERS),
+    ledgerMasters: byName(book.masters.ledgers),
+    stockItems: byName(book.masters.stockItems)
+  };
+
+  const lines = [];
+  const skipped = new Map();
+  const unmapped = new Map();
+  const partiesWithoutGstin = new Set();
+  const itemsWithoutHsn = new Set();
+  let imported = 0;
+
+  book.vouchers.forEach((voucher, index) => {
+    const result = voucher.cancelled ? null : voucherLines(voucher, index + 1, context);
+    if (!result) {
+      const type = voucher.cancelled ? `${voucher.type || 'Unknown'} (cancelled)` : voucher.type || 'Unknown';
+      skipped.set(type, (skipped.get(type) || 0) + 1);
+      return;
+    }
+
+    imported++;
+    lines.push(...result.lines);
+    result.unmapped.forEach(({ ledger, amount }) => {
+      if (!unmapped.has(ledger)) unmapped.set(ledger, { name: ledger, vouchers: 0, amount: 0 });
+      const entry = unmapped.get(ledger);
+      entry.vouchers++;
+      entry.amount = round2(entry.amount + amount);
+    });
+    if (result.partyWithoutGstin) partiesWithoutGstin.add(result.partyWithoutGstin);
+    result.itemsWithoutHsn.forEach(item => itemsWithoutHsn.add(item));
+  });
+
+  const unmappedLedgers = [...unmapped.values()].sort((a, b) => b.amount - a.amount);
+  if (lines.length === 0) {
+    throw new ImportError(
+      `No sales or purchase vouchers found in this ${format === 'xml' ? 'Tally export' : 'file'}` +
+      (unmappedLedgers.length > 0 ? `. Ledgers not recognised: ${unmappedLedgers.map(ledger => ledger.name).join(', ')}` : ''),
+      { headers: [] }
+    );
+  }
+
+  return {
+    layout: { id: reader.id, name: reader.name },
+    headers: [],
+    lines,
+    daybook: {
+      company: book.company,
+      vouchers: book.vouchers.length,
+      imported,
+      skipped: [...skipped.entries()].map(([type, count]) => ({ type, count })),
+      unmappedLedgers,
+      partiesWithoutGstin: [...partiesWithoutGstin],
+      stockItemsWithoutHsn: [...itemsWithoutHsn]
+    }
+  };
+}
+
+module.exports = {
+  importDaybook
+};
@@ -0,0 +1,90 @@
+const { ImportError, parseNumber, parseDate } = require('../importer');
+
+// Vouchers from other accounting software, as JSON:
+//   {
+//     "company": "ABC Traders",
+//     "masters": {
+//       "ledgers": [{ "name": "Acme Ltd", "group": "Sundry Debtors", "gstin": "29AAACA1234A1Z5", "state": "Karnataka" },
+//                   { "name": "Output IGST", "group": "Duties & Taxes", "taxHead": "IGST" }],
+//       "stockItems": [{ "name": "Router", "hsn": "8517", "taxRate": 18 }]
+//     },
+//     "vouchers": [{
+//       "type": "Sales", "number": "INV-1", "reference": null, "date": "2026-08-05",
+//       "party": "Acme Ltd", "partyGstin": null, "placeOfSupply": "Karnataka",
+//       "items": [{ "stockItem": "Router", "quantity": 2, "unitPrice": 5000, "amount": 10000, "ledger": "Sales" }],
+//       "ledgers": [{ "name": "Output IGST", "amount": 1800 }]
+//     }]
+//   }
+// A bare array is read as the vouchers. Amounts may be signed either way; only their size is used.
+
+function text(value) {
+  if (value === undefined || value === null) return null;
+  const trimmed = String(value).trim();
+  return trimmed || null;
+}
+
+function readVoucher(voucher) {
+  return {
+    type: text(voucher.type),
+    number: text(voucher.number),
+    reference: text(voucher.reference),
+    date: parseDate(voucher.date),
+    party: text(voucher.party),
+    partyGstin: text(voucher.partyGstin),
+    placeOfSupply: text(voucher.placeOfSupply),
+    cancelled: Boolean(voucher.cancelled),
+    items: (Array.isArray(voucher.items) ? voucher.items : [])
+      .map(item => ({
+        stockItem: text(item.stockItem),
+        hsn: text(item.hsn),
+        quantity: parseNumber(item.quantity),
+        unitPrice: parseNumber(item.unitPrice),
+        amount: parseNumber(item.amount) || 0,
+        ledger: text(item.ledger),
+        taxRate: parseNumber(item.taxRate)
+      }))
+      .filter(item => item.stockItem || item.amount),
+    entries: (Array.isArray(voucher.ledgers) ? voucher.ledgers : [])
+      .map(entry => ({ ledger: text(entry.name), amount: parseNumber(entry.amount) || 0, isParty: false }))
+      .filter(entry => entry.ledger)
+  };
+}
+
+function readJsonVouchers(buffer) {
+  let data;
+  try {
+    data = JSON.parse(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new ImportError(`This JSON file could not be read: ${error.message}`);
+  }
+
+  const vouchers = Array.isArray(data) ? data : data && data.vouchers;
+  if (!Array.isArray(vouchers)) {
+    throw new ImportError('A JSON day book must be an array of vouchers or an object with a "vouchers" array');
+  }
+  const masters = (!Array.isArray(data) && data.masters) || {};
+
+  return {
+    company: Array.isArray(data) ? null : text(data.company),
+    vouchers: vouchers.filter(voucher => voucher && typeof voucher === 'object').map(readVoucher),
+    masters: {
+      ledgers: (Array.isArray(masters.ledgers) ? masters.ledgers : [])
+        .map(ledger => ({
+          name: text(ledger.name),
+          group: text(ledger.group),
+          gstin: text(ledger.gstin),
+          state: text(ledger.state),
+          taxHead: text(ledger.taxHead),
+          taxRate: parseNumber(ledger.taxRate)
+        }))
+        .filter(ledger => ledger.name),
+      stockItems: (Array.isArray(masters.stockItems) ? masters.stockItems : [])
+        .map(item => ({ name: text(item.name), hsn: text(item.hsn), taxRate: parseNumber(item.taxRate) }))
+        .filter(item => item.name)
+    }
+  };
+}
+
+module.exports = {
+  readJsonVouchers
+};
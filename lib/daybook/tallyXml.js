@@ -0,0 +1,128 @@
+const xml = require('./xml');
+const { parseNumber } = require('../importer');
+
+// Tally writes dates as YYYYMMDD
+function tallyDate(value) {
+  const match = String(value || '').trim().match(/^(\d{4})(\d{2})(\d{2})$/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+// Quantities and rates carry their unit: " 10 Nos", "118.00/Nos"
+function leadingNumber(value) {
+  const match = String(value || '').trim().match(/^-?[\d,]*\.?\d+/);
+  return match ? parseNumber(match[0]) : null;
+}
+
+function isYes(value) {
+  return String(value || '').trim().toLowerCase() === 'yes';
+}
+
+// Names are the NAME attribute, or the first NAME of the element's NAME.LIST
+function nameOf(element) {
+  if (element.attributes.NAME) return element.attributes.NAME;
+  const list = xml.children(element, 'NAME.LIST')[0];
+  return list ? xml.childText(list, 'NAME') : null;
+}
+
+function firstText(element, names) {
+  for (const name of names) {
+    const found = xml.find(element, name);
+    if (found && found.text) return found.text;
+  }
+  return null;
+}
+
+// Ledger masters: the group a ledger sits in, a party's GSTIN and state, a tax ledger's duty head
+function readLedger(element) {
+  return {
+    name: nameOf(element),
+    group: xml.childText(element, 'PARENT'),
+    gstin: firstText(element, ['PARTYGSTIN', 'GSTIN']),
+    state: firstText(element, ['LEDSTATENAME', 'STATENAME', 'STATE']),
+    taxHead: xml.childText(element, 'GSTDUTYHEAD'),
+    taxRate: parseNumber(xml.childText(element, 'RATEOFTAXCALCULATION'))
+  };
+}
+
+// Stock item masters: HSN/SAC code and the integrated tax rate, which is the full GST rate
+function readStockItem(element) {
+  const igstRate = xml.findAll(element, 'RATEDETAILS.LIST')
+    .find(rate => /^(igst|integrated tax)$/i.test(xml.childText(rate, 'GSTRATEDUTYHEAD') || ''));
+  return {
+    name: nameOf(element),
+    hsn: firstText(element, ['HSNCODE', 'HSN']),
+    taxRate: igstRate ? parseNumber(xml.childText(igstRate, 'GSTRATE')) : null
+  };
+}
+
+function readEntries(voucher) {
+  return [...xml.children(voucher, 'ALLLEDGERENTRIES.LIST'), ...xml.children(voucher, 'LEDGERENTRIES.LIST')]
+    .map(entry => ({
+      ledger: xml.childText(entry, 'LEDGERNAME'),
+      amount: parseNumber(xml.childText(entry, 'AMOUNT')) || 0,
+      isParty: isYes(xml.childText(entry, 'ISPARTYLEDGER'))
+    }))
+    .filter(entry => entry.ledger);
+}
+
+// Inventory entries name the sales or purchase ledger they post to in their accounting allocation
+function readItems(voucher) {
+  return [...xml.children(voucher, 'ALLINVENTORYENTRIES.LIST'), ...xml.children(voucher, 'INVENTORYENTRIES.LIST')]
+    .map(entry => {
+      const allocation = xml.children(entry, 'ACCOUNTINGALLOCATIONS.LIST')[0];
+      return {
+        stockItem: xml.childText(entry, 'STOCKITEMNAME'),
+        hsn: xml.childText(entry, 'GSTHSNNAME') || xml.childText(entry, 'HSNCODE'),
+        quantity: leadingNumber(xml.childText(entry, 'BILLEDQTY') || xml.childText(entry, 'ACTUALQTY')),
+        unitPrice: leadingNumber(xml.childText(entry, 'RATE')),
+        amount: parseNumber(xml.childText(entry, 'AMOUNT')) || 0,
+        ledger: allocation ? xml.childText(allocation, 'LEDGERNAME') : null,
+        taxRate: null
+      };
+    })
+    .filter(item => item.stockItem);
+}
+
+function readVoucher(element) {
+  return {
+    type: element.attributes.VCHTYPE || xml.childText(element, 'VOUCHERTYPENAME'),
+    number: xml.childText(element, 'VOUCHERNUMBER'),
+    reference: xml.childText(element, 'REFERENCE'),
+    date: tallyDate(xml.childText(element, 'DATE')),
+    party: xml.childText(element, 'PARTYLEDGERNAME') || xml.childText(element, 'PARTYNAME'),
+    partyGstin: xml.childText(element, 'PARTYGSTIN'),
+    placeOfSupply: xml.childText(element, 'PLACEOFSUPPLY') || xml.childText(element, 'STATENAME'),
+    // Cancelled and optional vouchers are not in the books
+    cancelled: isYes(xml.childText(element, 'ISCANCELLED')) || isYes(xml.childText(element, 'ISOPTIONAL')) ||
+      isYes(xml.childText(element, 'ISDELETED')),
+    items: readItems(element),
+    entries: readEntries(element)
+  };
+}
+
+// Tally exports Unicode XML as UTF-16 with a byte-order mark, and ASCII XML as UTF-8
+function decode(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return buffer.slice(2).toString('utf16le');
+  const text = buffer.toString('utf8');
+  return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+}
+
+// Vouchers and masters of a Tally XML export: a day book, or a day book with the masters it uses
+function readTallyXml(buffer) {
+  const root = xml.parse(decode(buffer));
+  const messages = xml.findAll(root, 'TALLYMESSAGE');
+  const elements = name => messages.flatMap(message => xml.children(message, name));
+
+  return {
+    company: firstText(root, ['SVCURRENTCOMPANY']),
+    vouchers: elements('VOUCHER').map(readVoucher),
+    masters: {
+      ledgers: elements('LEDGER').map(readLedger).filter(ledger => ledger.name),
+      stockItems: elements('STOCKITEM').map(readStockItem).filter(item => item.name)
+    }
+  };
+}
+
+module.exports = {
+  readTallyXml
+};
@@ -0,0 +1,115 @@
+// A small XML reader for accounting exports: elements, attributes, text, CDATA and entities.
+// Namespaces, DTDs and processing instructions are skipped, which is all Tally's exports need.
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+class XmlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'XmlError';
+  }
+}
+
+// Tally writes control characters as character references (&#4; and the like); they are dropped.
+// A reference to no character at all (past U+10FFFF, or half a surrogate pair) makes the file unreadable.
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      if (code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff)) {
+        throw new XmlError(`Character reference ${match} is not a character`);
+      }
+      return code < 32 && ![9, 10, 13].includes(code) ? '' : String.fromCodePoint(code);
+    }
+    return ENTITIES[entity] !== undefined ? ENTITIES[entity] : match;
+  });
+}
+
+function parseAttributes(text) {
+  const attributes = {};
+  const pattern = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(text))) {
+    attributes[match[1]] = decodeEntities(match[3] !== undefined ? match[3] : match[4]);
+  }
+  return attributes;
+}
+
+// Parse a document into { name, attributes, children, text } elements and return the root
+function parse(xml) {
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  const tag = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<![^>]*>|<\?[\s\S]*?\?>|<\/\s*([^\s>]+)\s*>|<([^\s/>]+)([^>]*?)(\/?)>/g;
+  let position = 0;
+  let match;
+
+  while ((match = tag.exec(xml))) {
+    const current = stack[stack.length - 1];
+    current.text += decodeEntities(xml.slice(position, match.index));
+    position = tag.lastIndex;
+
+    if (match[1] !== undefined) {
+      current.text += match[1];
+    } else if (match[2]) {
+      if (stack.length === 1 || current.name !== match[2]) {
+        throw new XmlError(`Unexpected closing tag </${match[2]}>`);
+      }
+      current.text = current.text.trim();
+      stack.pop();
+    } else if (match[3]) {
+      const element = { name: match[3], attributes: parseAttributes(match[4]), children: [], text: '' };
+      current.children.push(element);
+      if (!match[5]) stack.push(element);
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new XmlError(`Element <${stack[stack.length - 1].name}> is not closed`);
+  }
+  if (root.children.length === 0) {
+    throw new XmlError('No XML elements found');
+  }
+  return root.children[0];
+}
+
+// Direct children named `name`
+function children(element, name) {
+  return element.children.filter(child => child.name === name);
+}
+
+// The first element named `name` at any depth below `element`
+function find(element, name) {
+  for (const child of element.children) {
+    if (child.name === name) return child;
+    const found = find(child, name);
+    if (found) return found;
+  }
+  return null;
+}
+
+// Every element named `name` at any depth, not looking inside the ones found
+function findAll(element, name, found = []) {
+  element.children.forEach(child => {
+    if (child.name === name) {
+      found.push(child);
+    } else {
+      findAll(child, name, found);
+    }
+  });
+  return found;
+}
+
+// Text of the first direct child named `name`, or null when it is missing or empty
+function childText(element, name) {
+  const child = element.children.find(candidate => candidate.name === name);
+  return child && child.text ? child.text : null;
+}
+
+module.exports = {
+  XmlError,
+  parse,
+  children,
+  find,
+  findAll,
+  childText
+};
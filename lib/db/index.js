@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const migrations = require('./migrations');
+
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, '..', '..', 'data', 'vyapar-sahayak.db');
+
+let db;
+
+// Apply every migration newer than the recorded schema version, each in its own transaction
+function migrate(database) {
+  database.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TEXT NOT NULL
+  )`);
+
+  const current = database.prepare('SELECT MAX(version) AS version FROM schema_migrations').get().version || 0;
+
+  migrations
+    .filter(migration => migration.version > current)
+    .sort((a, b) => a.version - b.version)
+    .forEach(migration => {
+      database.transaction(() => {
+        migration.up(database);
+        database.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+          .run(migration.version, migration.name, new Date().toISOString());
+      })();
+      console.log(`Database: applied migration ${migration.version} (${migration.name})`);
+    });
+}
+
+// Open the database on first use and bring its schema up to date
+function getDb() {
+  if (!db) {
+    if (DB_PATH !== ':memory:') {
+      fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+    }
+    db = new Database(DB_PATH);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+    migrate(db);
+  }
+  return db;
+}
+
+// Helpers for the JSON columns used by the repositories
+function toJSON(value) {
+  return value === undefined || value === null ? null : JSON.stringify(value);
+}
+
+function fromJSON(text, fallback = null) {
+  if (text === null || text === undefined) return fallback;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+module.exports = {
+  DB_PATH,
+  getDb,
+  migrate,
+  toJSON,
+  fromJSON
+};
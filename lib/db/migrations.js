@@ -0,0 +1,343 @@
+// Schema migrations, applied in version order. Never edit a released migration; add a new one.
+module.exports = [
+  {
+    version: 1,
+    name: 'initial schema',
+    up(db) {
+      db.exec(`
+        CREATE TABLE businesses (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          gstin TEXT,
+          state_code TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+
+        CREATE TABLE filings (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          business_id INTEGER NOT NULL REFERENCES businesses(id),
+          file_name TEXT NOT NULL,
+          stored_file TEXT,
+          layout_json TEXT,
+          sheets_json TEXT,
+          calculation_json TEXT,
+          processing_result_json TEXT,
+          created_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_filings_business ON filings(business_id);
+
+        CREATE TABLE invoice_lines (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          filing_id INTEGER NOT NULL REFERENCES filings(id) ON DELETE CASCADE,
+          row_number INTEGER,
+          transaction_type TEXT NOT NULL,
+          invoice_number TEXT,
+          invoice_date TEXT,
+          gstin TEXT,
+          line_json TEXT NOT NULL
+        );
+        CREATE INDEX idx_invoice_lines_filing ON invoice_lines(filing_id, transaction_type);
+
+        CREATE TABLE reminders (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          business_id INTEGER NOT NULL REFERENCES businesses(id),
+          deadline_id TEXT NOT NULL,
+          reminder_date TEXT NOT NULL,
+          created_at TEXT NOT NULL
+        );
+
+        CREATE TABLE questions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          business_id INTEGER NOT NULL REFERENCES businesses(id),
+          question TEXT NOT NULL,
+          answer TEXT,
+          created_at TEXT NOT NULL
+        );
+
+        CREATE TABLE column_mappings (
+          business_id INTEGER NOT NULL REFERENCES businesses(id),
+          name TEXT NOT NULL,
+          columns_json TEXT NOT NULL,
+          updated_at TEXT NOT NULL,
+          PRIMARY KEY (business_id, name)
+        );
+      `);
+
+      // Everything uploaded before business profiles existed belongs to the default business
+      const now = new Date().toISOString();
+      db.prepare('INSERT INTO businesses (id, name, created_at, updated_at) VALUES (1, ?, ?, ?)')
+        .run('Default business', now, now);
+    }
+  },
+  {
+    version: 3,
+    name: 'user accounts',
+    up(db) {
+      db.exec(`
+        CREATE TABLE users (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          business_id INTEGER NOT NULL REFERENCES businesses(id),
+          email TEXT NOT NULL UNIQUE,
+          name TEXT,
+          password_hash TEXT NOT NULL,
+          created_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_users_business ON users(business_id);
+
+        ALTER TABLE questions ADD COLUMN user_id INTEGER REFERENCES users(id);
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: 'input tax credit per filing',
+    up(db) {
+      db.exec('ALTER TABLE filings ADD COLUMN itc_json TEXT');
+    }
+  },
+  {
+    version: 5,
+    name: 'GSTR-2B reconciliations',
+    up(db) {
+      db.exec(`
+        CREATE TABLE reconciliations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          business_id INTEGER NOT NULL REFERENCES businesses(id),
+          period TEXT NOT NULL,
+          file_name TEXT,
+          result_json TEXT NOT NULL,
+          created_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_reconciliations_business ON reconciliations(business_id, period);
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: 'row validation report per filing',
+    up(db) {
+      db.exec('ALTER TABLE filings ADD COLUMN validation_json TEXT');
+    }
+  },
+  {
+    version: 7,
+    name: 'filing frequency per business',
+    up(db) {
+      db.exec("ALTER TABLE businesses ADD COLUMN filing_frequency TEXT NOT NULL DEFAULT 'MONTHLY'");
+    }
+  },
+  {
+    version: 8,
+    name: 'returns marked as filed',
+    up(db) {
+      db.exec(`
+        CREATE TABLE filed_returns (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          business_id INTEGER NOT NULL REFERENCES businesses(id),
+          deadline_id TEXT NOT NULL,
+          filed_on TEXT NOT NULL,
+          paid_on TEXT,
+          created_at TEXT NOT NULL,
+          UNIQUE (business_id, deadline_id)
+        );
+      `);
+    }
+  },
+  {
+    version: 9,
+    name: 'calendar feeds',
+    up(db) {
+      db.exec(`
+        CREATE TABLE calendar_feeds (
+          business_id INTEGER PRIMARY KEY REFERENCES businesses(id),
+          token TEXT NOT NULL UNIQUE,
+          alarm_days_json TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+      `);
+    }
+  },
+  {
+    version: 10,
+    name: 'reminder preferences and deliveries',
+    up(db) {
+      db.exec(`
+        CREATE TABLE reminder_preferences (
+          user_id INTEGER PRIMARY KEY REFERENCES users(id),
+          enabled INTEGER NOT NULL DEFAULT 1,
+          channels_json TEXT NOT NULL,
+          email TEXT,
+          webhook_url TEXT,
+          phone TEXT,
+          lead_days_json TEXT NOT NULL,
+          escalate INTEGER NOT NULL DEFAULT 1,
+          escalate_every_days INTEGER NOT NULL DEFAULT 3,
+          escalation_email TEXT,
+          updated_at TEXT NOT NULL
+        );
+
+        CREATE TABLE reminder_deliveries (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL REFERENCES users(id),
+          deadline_id TEXT NOT NULL,
+          kind TEXT NOT NULL,
+          channel TEXT NOT NULL,
+          status TEXT NOT NULL,
+          attempts INTEGER NOT NULL DEFAULT 0,
+          error TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL,
+          UNIQUE (user_id, deadline_id, kind, channel)
+        );
+      `);
+    }
+  },
+  {
+    version: 11,
+    name: 'filings keyed by GSTIN and tax period',
+    up(db) {
+      db.exec(`
+        ALTER TABLE filings ADD COLUMN gstin TEXT;
+        ALTER TABLE filings ADD COLUMN tax_period TEXT;
+
+        UPDATE filings SET gstin = (SELECT gstin FROM businesses WHERE businesses.id = filings.business_id);
+        -- Earlier uploads take the month most of their lines fall in
+        UPDATE filings SET tax_period = (
+          SELECT substr(invoice_date, 1, 7) FROM invoice_lines
+          WHERE invoice_lines.filing_id = filings.id AND invoice_date IS NOT NULL
+          GROUP BY substr(invoice_date, 1, 7)
+          ORDER BY COUNT(*) DESC, substr(invoice_date, 1, 7) DESC
+          LIMIT 1
+        );
+
+        CREATE INDEX idx_filings_period ON filings(business_id, gstin, tax_period);
+      `);
+    }
+  },
+  {
+    version: 12,
+    name: 'business type',
+    up(db) {
+      db.exec('ALTER TABLE businesses ADD COLUMN business_type TEXT');
+    }
+  },
+  {
+    version: 13,
+    name: 'knowledge base documents',
+    up(db) {
+      // Versions of one document share the series_id of the first version
+      db.exec(`
+        CREATE TABLE knowledge_documents (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          series_id INTEGER,
+          version INTEGER NOT NULL DEFAULT 1,
+          title TEXT NOT NULL,
+          document_type TEXT NOT NULL,
+          notification_number TEXT,
+          issued_date TEXT,
+          effective_date TEXT,
+          tags_json TEXT,
+          file_name TEXT,
+          stored_file TEXT,
+          mime_type TEXT,
+          superseded_by INTEGER REFERENCES knowledge_documents(id) ON DELETE SET NULL,
+          uploaded_by INTEGER REFERENCES users(id),
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_knowledge_documents_series ON knowledge_documents(series_id, version);
+
+        CREATE TABLE knowledge_chunks (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          document_id INTEGER NOT NULL REFERENCES knowledge_documents(id) ON DELETE CASCADE,
+          position INTEGER NOT NULL,
+          section TEXT,
+          text TEXT NOT NULL
+        );
+        CREATE INDEX idx_knowledge_chunks_document ON knowledge_chunks(document_id, position);
+      `);
+    }
+  },
+  {
+    version: 14,
+    name: 'assistant conversations',
+    up(db) {
+      db.exec(`
+        CREATE TABLE assistant_conversations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL REFERENCES users(id),
+          business_id INTEGER NOT NULL REFERENCES businesses(id),
+          title TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_assistant_conversations_user ON assistant_conversations(user_id, updated_at);
+
+        CREATE TABLE assistant_messages (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          conversation_id INTEGER NOT NULL REFERENCES assistant_conversations(id) ON DELETE CASCADE,
+          role TEXT NOT NULL,
+          content TEXT NOT NULL,
+          citations_json TEXT,
+          created_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_assistant_messages_conversation ON assistant_messages(conversation_id, id);
+      `);
+    }
+  },
+  {
+    version: 15,
+    name: 'tool calls behind assistant answers',
+    up(db) {
+      db.exec('ALTER TABLE assistant_messages ADD COLUMN trace_json TEXT');
+    }
+  },
+  {
+    version: 16,
+    name: 'language preference',
+    up(db) {
+      db.exec("ALTER TABLE users ADD COLUMN language TEXT NOT NULL DEFAULT 'en'");
+    }
+  },
+  {
+    version: 17,
+    name: 'Tally ledger names',
+    up(db) {
+      // Only the names a business has changed are kept; the rest follow the defaults
+      db.exec(`
+        CREATE TABLE tally_ledgers (
+          business_id INTEGER PRIMARY KEY REFERENCES businesses(id),
+          ledgers_json TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+      `);
+    }
+  },
+  {
+    version: 18,
+    name: 'calendar event revisions',
+    up(db) {
+      // What each deadline's calendar event last showed, and its SEQUENCE, raised on every change
+      db.exec(`
+        CREATE TABLE calendar_events (
+          business_id INTEGER NOT NULL REFERENCES businesses(id),
+          deadline_id TEXT NOT NULL,
+          sequence INTEGER NOT NULL,
+          fingerprint TEXT NOT NULL,
+          updated_at TEXT NOT NULL,
+          PRIMARY KEY (business_id, deadline_id)
+        );
+      `);
+    }
+  },
+  {
+    version: 19,
+    name: 'invoice line numbers',
+    up(db) {
+      // Finds the later uploads of an invoice, which take its place in returns and analytics
+      db.exec('CREATE INDEX idx_invoice_lines_invoice ON invoice_lines(invoice_number, transaction_type)');
+    }
+  }
+];
@@ -0,0 +1,243 @@
+const fs = require('fs');
+const path = require('path');
+const { MONTH_NAMES, monthPeriod, parsePeriod, periodOfDate } = require('./periods');
+
+// How a business files: monthly returns, quarterly returns with monthly payments (QRMP),
+// or the composition scheme
+const FILING_FREQUENCIES = ['MONTHLY', 'QRMP', 'COMPOSITION'];
+
+// Government extensions of due dates; edit this file (or point DUE_DATE_EXTENSIONS_PATH
+// elsewhere) when an extension is notified. It is read on every request.
+const EXTENSIONS_PATH = process.env.DUE_DATE_EXTENSIONS_PATH || path.join(__dirname, 'reference', 'due-date-extensions.json');
+
+// Quarterly GSTR-3B is due on the 22nd in these states and UTs and on the 24th everywhere else
+const GSTR3B_DAY_22_STATES = ['22', '23', '24', '25', '26', '27', '29', '30', '31', '32', '33', '34', '35', '36', '37'];
+
+const FORMS = {
+  'GSTR-1': 'Details of outward supplies',
+  'IFF': 'Invoice Furnishing Facility for B2B invoices (optional)',
+  'GSTR-3B': 'Summary return and payment of tax',
+  'PMT-06': 'Tax payment for the month by quarterly filers',
+  'CMP-08': 'Statement and payment of tax by composition dealers',
+  'GSTR-4': 'Annual return of composition dealers',
+  'GSTR-9': 'Annual return'
+};
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+// ISO date of a day in a month; months past 12 roll into the next year
+function isoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.toISOString().split('T')[0];
+}
+
+function financialYearStart(year, month) {
+  return month >= 4 ? year : year - 1;
+}
+
+function quarterPeriod(startYear, quarter) {
+  const firstMonth = 4 + (quarter - 1) * 3;
+  const first = monthPeriod(firstMonth > 12 ? startYear + 1 : startYear, ((firstMonth - 1) % 12) + 1);
+  const last = monthPeriod(first.month + 2 > 12 ? first.year + 1 : first.year, ((first.month + 1) % 12) + 1);
+  const fy = `${startYear}-${String(startYear + 1).slice(2)}`;
+  return {
+    key: `${fy}-Q${quarter}`,
+    label: `Q${quarter} ${fy} (${MONTH_NAMES[first.month - 1]}–${MONTH_NAMES[last.month - 1]} ${last.year})`,
+    from: first.from,
+    to: last.to,
+    endYear: last.year,
+    endMonth: last.month
+  };
+}
+
+function yearPeriod(startYear) {
+  const fy = `${startYear}-${String(startYear + 1).slice(2)}`;
+  return {
+    key: fy,
+    label: `FY ${fy}`,
+    from: `${startYear}-04-01`,
+    to: `${startYear + 1}-03-31`,
+    startYear
+  };
+}
+
+function deadline(form, frequency, taxPeriod, dueDate, extra = {}) {
+  return {
+    id: `${form}:${taxPeriod.key}`,
+    form,
+    description: FORMS[form],
+    frequency,
+    taxPeriod: taxPeriod.key,
+    periodLabel: taxPeriod.label,
+    periodFrom: taxPeriod.from,
+    periodTo: taxPeriod.to,
+    dueDate,
+    ...extra
+  };
+}
+
+// Returns whose tax period ends with the given month, before extensions
+function scheduledDeadlines(business, period) {
+  const frequency = business.filingFrequency || 'MONTHLY';
+  const { year, month } = period;
+  const quarterEnd = month % 3 === 0;
+  const startYear = financialYearStart(year, month);
+  const quarter = quarterEnd ? ((month + 8) % 12 + 1) / 3 : null;
+  const deadlines = [];
+
+  if (frequency === 'MONTHLY') {
+    deadlines.push(deadline('GSTR-1', 'MONTHLY', period, isoDate(year, month + 1, 11)));
+    deadlines.push(deadline('GSTR-3B', 'MONTHLY', period, isoDate(year, month + 1, 20)));
+  } else if (frequency === 'QRMP') {
+    if (quarterEnd) {
+      const qp = quarterPeriod(startYear, quarter);
+      // Without a state on the profile the later date is used, so a reminder is never late
+      const day = GSTR3B_DAY_22_STATES.includes(business.stateCode) ? 22 : 24;
+      deadlines.push(deadline('GSTR-1', 'QUARTERLY', qp, isoDate(year, month + 1, 13)));
+      deadlines.push(deadline('GSTR-3B', 'QUARTERLY', qp, isoDate(year, month + 1, day)));
+    } else {
+      deadlines.push(deadline('IFF', 'MONTHLY', period, isoDate(year, month + 1, 13), { optional: true }));
+      deadlines.push(deadline('PMT-06', 'MONTHLY', period, isoDate(year, month + 1, 25)));
+    }
+  } else if (frequency === 'COMPOSITION' && quarterEnd) {
+    deadlines.push(deadline('CMP-08', 'QUARTERLY', quarterPeriod(startYear, quarter), isoDate(year, month + 1, 18)));
+  }
+
+  // Annual returns follow the last month of the financial year
+  if (month === 3) {
+    const fy = yearPeriod(year - 1);
+    if (frequency === 'COMPOSITION') {
+      // GSTR-4 moved from 30 April to 30 June from FY 2024-25 (Notification 12/2024-CT)
+      deadlines.push(deadline('GSTR-4', 'ANNUAL', fy, fy.startYear >= 2024 ? isoDate(year, 6, 30) : isoDate(year, 4, 30)));
+    } else {
+      deadlines.push(deadline('GSTR-9', 'ANNUAL', fy, isoDate(year, 12, 31)));
+    }
+  }
+
+  return deadlines;
+}
+
+// Read the extensions file. A missing file means no extensions; a broken one is an error,
+// since silently falling back to the statutory dates could make a reminder late.
+function loadExtensions(filePath = EXTENSIONS_PATH) {
+  if (!fs.existsSync(filePath)) return [];
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return data.extensions || data;
+  } catch (error) {
+    throw new Error(`Could not read due date extensions from ${filePath}: ${error.message}`);
+  }
+}
+
+// Move a due date when an extension covers its form, tax period and (if listed) the business's state
+function applyExtensions(deadlines, business, extensions) {
+  return deadlines.map(item => {
+    const extension = extensions.find(ext =>
+      ext.form === item.form &&
+      ext.period === item.taxPeriod &&
+      (!ext.states || ext.states.includes(business.stateCode))
+    );
+    if (!extension || extension.dueDate === item.dueDate) return item;
+    return {
+      ...item,
+      dueDate: extension.dueDate,
+      originalDueDate: item.dueDate,
+      extended: true,
+      notification: extension.notification || null
+    };
+  });
+}
+
+// Deadlines of the returns whose tax period ends with a month (YYYY-MM or MMYYYY)
+function deadlinesForPeriod(business, periodValue, extensions = loadExtensions()) {
+  const period = typeof periodValue === 'string' ? parsePeriod(periodValue) : periodValue;
+  if (!period) return null;
+  return applyExtensions(scheduledDeadlines(business, period), business, extensions);
+}
+
+// Deadlines falling due between two ISO dates, inclusive, earliest first
+function deadlinesBetween(business, from, to, extensions = loadExtensions()) {
+  const deadlines = [];
+  // Annual returns fall due up to nine months after the financial year, so start well before `from`
+  let period = periodOfDate(isoDate(Number(from.slice(0, 4)), Number(from.slice(5, 7)) - 12, 1));
+  const last = periodOfDate(to);
+
+  while (period.key <= last.key) {
+    deadlinesForPeriod(business, period, extensions).forEach(item => {
+      if (item.dueDate >= from && item.dueDate <= to) deadlines.push(item);
+    });
+    period = periodOfDate(isoDate(period.year, period.month + 1, 1));
+  }
+
+  return deadlines.sort((a, b) => a.dueDate.localeCompare(b.dueDate) || a.form.localeCompare(b.form));
+}
+
+// Deadlines due from a date over the next few months
+function upcomingDeadlines(business, { from = new Date().toISOString().split('T')[0], months = 3 } = {}) {
+  const [year, month, day] = from.split('-').map(Number);
+  return deadlinesBetween(business, from, isoDate(year, month + months, day));
+}
+
+// Deadlines that fell due over the last few months, up to yesterday
+function pastDeadlines(business, { today = new Date().toISOString().split('T')[0], months = 3 } = {}) {
+  const [year, month, day] = today.split('-').map(Number);
+  return deadlinesBetween(business, isoDate(year, month - months, day), isoDate(year, month, day - 1));
+}
+
+// Id of the deadline for a form and tax period; monthly periods may be written as MMYYYY
+function deadlineId(form, periodValue) {
+  const period = parsePeriod(periodValue);
+  return `${String(form || '').trim().toUpperCase()}:${period ? period.key : String(periodValue || '').trim()}`;
+}
+
+// Find a deadline by its id ("GSTR-3B:2025-01", "GSTR-1:2024-25-Q4", "GSTR-9:2024-25")
+function findDeadline(business, id) {
+  const [form, key] = String(id || '').split(':');
+  if (!form || !key) return null;
+
+  // The month that closes the tax period decides which returns fall due
+  let match = key.match(/^(\d{4})-\d{2}-Q([1-4])$/);
+  let periodKey = key;
+  if (match) {
+    const qp = quarterPeriod(Number(match[1]), Number(match[2]));
+    periodKey = `${qp.endYear}-${pad(qp.endMonth)}`;
+  } else if ((match = key.match(/^(\d{4})-(\d{2})$/)) && Number(match[2]) === (Number(match[1]) + 1) % 100) {
+    periodKey = `${Number(match[1]) + 1}-03`;
+  }
+
+  const deadlines = deadlinesForPeriod(business, periodKey);
+  return deadlines ? deadlines.find(item => item.id === `${form}:${key}`) || null : null;
+}
+
+// Days from today to a due date; negative once it has passed
+function daysRemaining(dueDate, today = new Date().toISOString().split('T')[0]) {
+  return Math.round((Date.parse(dueDate) - Date.parse(today)) / (1000 * 60 * 60 * 24));
+}
+
+// Returns a business files under its filing frequency
+function applicableReturns(business) {
+  switch (business.filingFrequency) {
+    case 'QRMP':
+      return ['GSTR-1', 'IFF', 'GSTR-3B', 'PMT-06', 'GSTR-9'];
+    case 'COMPOSITION':
+      return ['CMP-08', 'GSTR-4'];
+    default:
+      return ['GSTR-1', 'GSTR-3B', 'GSTR-9'];
+  }
+}
+
+module.exports = {
+  FILING_FREQUENCIES,
+  FORMS,
+  loadExtensions,
+  deadlinesForPeriod,
+  deadlinesBetween,
+  upcomingDeadlines,
+  pastDeadlines,
+  deadlineId,
+  findDeadline,
+  daysRemaining,
+  applicableReturns
+};
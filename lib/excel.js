@@ -0,0 +1,192 @@
+const XLSX = require('xlsx');
+const importer = require('./importer');
+
+// How many rows from the top of a sheet are searched for the header row
+const HEADER_SEARCH_ROWS = 25;
+
+// Sheet names that identify the purchase register in a combined workbook
+const PURCHASE_SHEET_PATTERN = /purchase|inward|expense|itc/i;
+
+// Convert a date cell or an Excel date serial into YYYY-MM-DD
+function excelDateToISO(serial) {
+  const parsed = XLSX.SSF.parse_date_code(serial);
+  if (!parsed) return null;
+  return `${parsed.y}-${String(parsed.m).padStart(2, '0')}-${String(parsed.d).padStart(2, '0')}`;
+}
+
+// Read one cell into a plain value, undoing display formatting
+function readCell(cell) {
+  if (!cell || cell.v === undefined || cell.v === null) return '';
+
+  if (cell.t === 'd') {
+    return importer.parseDate(cell.v);
+  }
+  if (cell.t === 'n') {
+    if (cell.z && XLSX.SSF.is_date(cell.z)) return excelDateToISO(cell.v);
+    // Percentage cells hold 0.18 for a displayed 18%
+    if (cell.z && String(cell.z).includes('%')) return Math.round(cell.v * 10000) / 100;
+    return cell.v;
+  }
+  if (cell.t === 'b') return cell.v ? 'Y' : 'N';
+  if (cell.t === 'e') return '';
+  return String(cell.v).trim();
+}
+
+// Turn a worksheet into a grid of values, copying merged cells' value into every cell they span
+function sheetToGrid(sheet) {
+  if (!sheet['!ref']) return { grid: [], firstRow: 0 };
+  const range = XLSX.utils.decode_range(sheet['!ref']);
+  const grid = [];
+
+  for (let r = range.s.r; r <= range.e.r; r++) {
+    const row = [];
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      row.push(readCell(sheet[XLSX.utils.encode_cell({ r, c })]));
+    }
+    grid.push(row);
+  }
+
+  (sheet['!merges'] || []).forEach(merge => {
+    const value = grid[merge.s.r - range.s.r] && grid[merge.s.r - range.s.r][merge.s.c - range.s.c];
+    for (let r = merge.s.r; r <= merge.e.r; r++) {
+      for (let c = merge.s.c; c <= merge.e.c; c++) {
+        grid[r - range.s.r][c - range.s.c] = value;
+      }
+    }
+  });
+
+  return { grid, firstRow: range.s.r };
+}
+
+function isBlankRow(row) {
+  return row.every(value => value === '' || value === null);
+}
+
+// Find the header row: the first row that matches a layout, otherwise the first mostly-text row
+function findHeaderRow(grid, customMappings) {
+  const limit = Math.min(grid.length, HEADER_SEARCH_ROWS);
+
+  for (let i = 0; i < limit; i++) {
+    const headers = grid[i].map(value => String(value));
+    if (importer.detectLayout(headers.filter(Boolean), customMappings)) return i;
+  }
+
+  for (let i = 0; i < limit; i++) {
+    const filled = grid[i].filter(value => value !== '');
+    const textCells = filled.filter(value => typeof value === 'string' && !/^[\d.,%₹-]+$/.test(value));
+    if (filled.length >= 2 && textCells.length === filled.length) return i;
+  }
+
+  return -1;
+}
+
+// Header names can repeat after merged title cells; suffix duplicates so no column is lost
+function uniqueHeaders(row) {
+  const seen = {};
+  return row.map((value, i) => {
+    let header = String(value || '').trim() || `Column ${i + 1}`;
+    if (seen[header]) {
+      seen[header] += 1;
+      header = `${header} (${seen[header]})`;
+    } else {
+      seen[header] = 1;
+    }
+    return header;
+  });
+}
+
+// Extract headers and data rows from one sheet
+function readSheet(sheet, customMappings) {
+  const { grid, firstRow } = sheetToGrid(sheet);
+  if (grid.length === 0) return null;
+
+  const headerIndex = findHeaderRow(grid, customMappings);
+  if (headerIndex === -1) return null;
+
+  const headers = uniqueHeaders(grid[headerIndex]);
+  const rows = [];
+  const rowNumbers = [];
+
+  for (let i = headerIndex + 1; i < grid.length; i++) {
+    if (isBlankRow(grid[i])) continue;
+    const row = {};
+    headers.forEach((header, c) => { row[header] = grid[i][c]; });
+    rows.push(row);
+    // Spreadsheet row numbers are 1-based
+    rowNumbers.push(firstRow + i + 1);
+  }
+
+  return { headers, rows, rowNumbers };
+}
+
+// Import a workbook into invoice lines. Every recognisable sheet is imported unless one is chosen;
+// sheets named like a purchase register, or every sheet of a purchase-register upload, become purchase lines.
+function importWorkbook(filePath, options = {}) {
+  const customMappings = options.customMappings || [];
+  const workbook = XLSX.readFile(filePath, { cellNF: true });
+
+  let sheetNames = workbook.SheetNames;
+  if (options.sheet) {
+    if (!workbook.SheetNames.includes(options.sheet)) {
+      throw new importer.ImportError(`Sheet "${options.sheet}" not found in workbook`, { sheets: workbook.SheetNames });
+    }
+    sheetNames = [options.sheet];
+  }
+
+  const sheets = [];
+  const lines = [];
+  let lastError = null;
+
+  sheetNames.forEach(name => {
+    const sheet = readSheet(workbook.Sheets[name], customMappings);
+    if (!sheet || sheet.rows.length === 0) return;
+
+    let result;
+    try {
+      result = importer.normalizeRows(sheet.rows, sheet.headers, {
+        mapping: options.mapping,
+        customMappings,
+        rowNumbers: sheet.rowNumbers
+      });
+    } catch (error) {
+      if (!(error instanceof importer.ImportError)) throw error;
+      lastError = error;
+      return;
+    }
+
+    const { hasTypeColumn } = result;
+    const register = options.register === 'purchase' || PURCHASE_SHEET_PATTERN.test(name) ? 'purchase' : 'sales';
+    result.lines.forEach(line => {
+      line.sheet = name;
+      if (!hasTypeColumn) line.transactionType = register === 'purchase' ? 'PURCHASE' : 'SALE';
+      lines.push(line);
+    });
+
+    sheets.push({
+      name,
+      register: hasTypeColumn ? 'mixed' : register,
+      layout: result.layout,
+      rows: result.lines.length
+    });
+  });
+
+  if (sheets.length === 0) {
+    throw new importer.ImportError(
+      lastError ? lastError.message : 'No sheet in this workbook contains a recognisable sales or purchase register.',
+      { headers: lastError ? lastError.details.headers : [], sheets: workbook.SheetNames }
+    );
+  }
+
+  return {
+    layout: sheets[0].layout,
+    headers: [],
+    sheets,
+    lines
+  };
+}
+
+module.exports = {
+  excelDateToISO,
+  sheetToGrid,
+  importWorkbook
+};
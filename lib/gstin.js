@@ -0,0 +1,41 @@
+const { stateFromGstin } = require('./placeOfSupply');
+
+// GSTIN format: 2-digit state code, PAN, entity number, 'Z', check character
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+const CHECKSUM_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+function isValidFormat(gstin) {
+  return GSTIN_PATTERN.test(String(gstin || '').trim().toUpperCase());
+}
+
+// Check character of the first 14 characters (Luhn mod 36, as issued by GSTN)
+function checkCharacter(gstin) {
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const product = CHECKSUM_CHARS.indexOf(gstin[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return CHECKSUM_CHARS[(36 - (sum % 36)) % 36];
+}
+
+function isValidChecksum(gstin) {
+  const text = String(gstin || '').trim().toUpperCase();
+  return isValidFormat(text) && checkCharacter(text) === text[14];
+}
+
+// Full check of a GSTIN; returns the reason it is invalid, or null when it is valid
+function validate(gstin) {
+  const text = String(gstin || '').trim().toUpperCase();
+  if (!isValidFormat(text)) return 'GSTIN must be 15 characters: state code, PAN, entity number, Z and a check character';
+  if (!stateFromGstin(text)) return `GSTIN starts with unknown state code ${text.slice(0, 2)}`;
+  if (checkCharacter(text) !== text[14]) return 'GSTIN check character does not match; the number is mistyped';
+  return null;
+}
+
+module.exports = {
+  GSTIN_PATTERN,
+  isValidFormat,
+  isValidChecksum,
+  validate
+};
@@ -0,0 +1,307 @@
+const { assessLine, round2, signedValue } = require('./tax');
+const gstinFormat = require('./gstin');
+const { rateForLine, checkLine } = require('./hsn');
+
+// Inter-state B2C invoices above this value are reported invoice-wise in B2CL.
+// The limit came down from ₹2.5 lakh to ₹1 lakh from 1 August 2024 (Notification 12/2024).
+const B2CL_LIMIT_CHANGE_DATE = '2024-08-01';
+const B2CL_LIMIT_OLD = 250000;
+const B2CL_LIMIT = 100000;
+
+// Version string the GST offline tool writes into its JSON
+const OFFLINE_TOOL_VERSION = 'GST3.1.8';
+
+const EXPORT_SUPPLY_TYPES = ['EXPWP', 'EXPWOP', 'EXP', 'EXPORT'];
+const SEZ_WITH_PAYMENT = ['SEZWP', 'SEZ'];
+const SEZ_WITHOUT_PAYMENT = ['SEZWOP'];
+
+function b2clLimit(invoiceDate) {
+  return invoiceDate && invoiceDate >= B2CL_LIMIT_CHANGE_DATE ? B2CL_LIMIT : B2CL_LIMIT_OLD;
+}
+
+// GSTN dates are dd-mm-yyyy
+function toPortalDate(isoDate) {
+  if (!isoDate) return null;
+  const [year, month, day] = isoDate.split('-');
+  return `${day}-${month}-${year}`;
+}
+
+// Lines saved before credit and debit notes were recognised are invoices
+function documentTypeOf(line) {
+  return line.documentType || 'INVOICE';
+}
+
+function supplyTypeOf(line) {
+  return String(line.supplyType || '').toUpperCase().replace(/[^A-Z]/g, '');
+}
+
+function isExport(line) {
+  return EXPORT_SUPPLY_TYPES.includes(supplyTypeOf(line)) || line.tax.classification.placeOfSupply === '96';
+}
+
+function lineValue(line) {
+  return Math.abs(line.taxableValue) + Math.abs(line.tax.igst) + Math.abs(line.tax.cgst) +
+    Math.abs(line.tax.sgst) + Math.abs(line.tax.utgst) + Math.abs(line.tax.cess);
+}
+
+// Item rows of an invoice: one per tax rate, amounts always positive
+function invoiceItems(lines, withIntraHeads) {
+  const byRate = {};
+  lines.forEach(line => {
+    const rate = line.tax.taxRate;
+    if (!byRate[rate]) byRate[rate] = { txval: 0, rt: rate, iamt: 0, camt: 0, samt: 0, csamt: 0 };
+    const item = byRate[rate];
+    item.txval += Math.abs(line.taxableValue);
+    item.iamt += Math.abs(line.tax.igst);
+    item.camt += Math.abs(line.tax.cgst);
+    item.samt += Math.abs(line.tax.sgst) + Math.abs(line.tax.utgst);
+    item.csamt += Math.abs(line.tax.cess);
+  });
+
+  return Object.values(byRate).map((item, i) => {
+    const det = { txval: round2(item.txval), rt: item.rt, iamt: round2(item.iamt), csamt: round2(item.csamt) };
+    if (withIntraHeads) {
+      det.camt = round2(item.camt);
+      det.samt = round2(item.samt);
+    }
+    return { num: i + 1, itm_det: det };
+  });
+}
+
+function invoiceValue(lines) {
+  return round2(lines.reduce((sum, line) => sum + lineValue(line), 0));
+}
+
+// Group lines by document type and number
+function groupByInvoice(lines) {
+  const groups = new Map();
+  lines.forEach(line => {
+    const key = `${documentTypeOf(line)}|${line.invoiceNumber}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(line);
+  });
+  return [...groups.values()];
+}
+
+function pushTo(map, key, create) {
+  if (!map.has(key)) map.set(key, create());
+  return map.get(key);
+}
+
+// Build a GSTR-1 return in the JSON structure the GST offline tool imports.
+// `lines` are the period's processed sales lines; `supplierStateCode` is used for lines saved
+// before place-of-supply classification existed.
+function buildGstr1({ gstin, period, lines, supplierStateCode, undatedLines = 0 }) {
+  const issues = [];
+  const report = (lineOrLines, reason, severity = 'error') => {
+    [].concat(lineOrLines).forEach(line => {
+      issues.push({
+        severity,
+        filingId: line.filingId,
+        rowNumber: line.rowNumber,
+        invoiceNumber: line.invoiceNumber,
+        reason
+      });
+    });
+  };
+
+  if (!gstin) {
+    issues.push({ severity: 'error', reason: 'Business GSTIN is not set; add it to the business profile before filing' });
+  }
+  if (undatedLines > 0) {
+    issues.push({ severity: 'warning', reason: `${undatedLines} sales line(s) have no invoice date and were left out of every period` });
+  }
+
+  const b2b = new Map();
+  const b2cl = new Map();
+  const b2cs = new Map();
+  const cdnr = new Map();
+  const exp = new Map();
+  const nil = new Map();
+  const hsn = new Map();
+  const sectionCounts = { b2b: 0, b2cl: 0, b2cs: 0, cdnr: 0, exp: 0, nil: 0 };
+
+  const placeable = [];
+  lines.forEach(line => {
+    if (!line.tax) assessLine(line, supplierStateCode, rateForLine);
+
+    const hsnIssue = checkLine(line);
+    if (hsnIssue && hsnIssue.issue === 'RATE_MISMATCH') report(line, hsnIssue.message, 'warning');
+
+    if (!line.taxableValue) {
+      report(line, 'Taxable value is zero or missing');
+      return;
+    }
+
+    // HSN summary covers every outward supply, whatever its section
+    if (line.hsnCode) {
+      const key = `${line.hsnCode}|${line.tax.taxRate}`;
+      const entry = pushTo(hsn, key, () => ({
+        hsn_sc: line.hsnCode, desc: line.product || '', uqc: line.quantity !== null ? 'NOS' : 'NA',
+        qty: 0, rt: line.tax.taxRate, txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0
+      }));
+      entry.qty += line.quantity || 0;
+      entry.txval += signedValue(line);
+      entry.iamt += line.tax.igst;
+      entry.camt += line.tax.cgst;
+      entry.samt += line.tax.sgst + line.tax.utgst;
+      entry.csamt += line.tax.cess;
+    } else {
+      report(line, 'HSN/SAC code missing; line left out of the HSN summary', 'warning');
+    }
+
+    // Nil-rated, exempt and non-GST supplies are reported as totals only
+    if (line.tax.taxRate === 0 && !isExport(line)) {
+      const inter = line.tax.nature === 'INTER';
+      const registered = Boolean(line.gstin);
+      const splyTy = `${inter ? 'INTR' : 'INTRA'}${registered ? 'B2B' : 'B2C'}`;
+      const entry = pushTo(nil, splyTy, () => ({ sply_ty: splyTy, expt_amt: 0, nil_amt: 0, ngsup_amt: 0 }));
+      const type = supplyTypeOf(line);
+      const field = type === 'EXEMPT' || type === 'EXEMPTED' ? 'expt_amt' : (type === 'NONGST' ? 'ngsup_amt' : 'nil_amt');
+      entry[field] += signedValue(line);
+      sectionCounts.nil += 1;
+      return;
+    }
+
+    if (line.tax.classification.nature === 'UNKNOWN' && !isExport(line)) {
+      report(line, `Cannot decide the section: ${line.tax.classification.reason}`);
+      return;
+    }
+
+    placeable.push(line);
+  });
+
+  // B2C supplies below the B2CL limit are reported as rate-wise totals per place of supply
+  const addToB2cs = line => {
+    const pos = line.tax.classification.placeOfSupply;
+    const key = `${line.tax.nature}|${pos}|${line.tax.taxRate}`;
+    const entry = pushTo(b2cs, key, () => ({
+      sply_ty: line.tax.nature === 'INTRA' ? 'INTRA' : 'INTER', pos, typ: 'OE',
+      rt: line.tax.taxRate, txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0
+    }));
+    entry.txval += signedValue(line);
+    entry.iamt += line.tax.igst;
+    entry.camt += line.tax.cgst;
+    entry.samt += line.tax.sgst + line.tax.utgst;
+    entry.csamt += line.tax.cess;
+    sectionCounts.b2cs += 1;
+  };
+
+  const withNumber = placeable.filter(line => line.invoiceNumber);
+  placeable.filter(line => !line.invoiceNumber).forEach(line => {
+    // Small B2C sales do not need an invoice number; everything else does
+    if (!line.gstin && !isExport(line) && documentTypeOf(line) === 'INVOICE' &&
+        (line.tax.nature === 'INTRA' || lineValue(line) <= b2clLimit(line.invoiceDate))) {
+      addToB2cs(line);
+    } else {
+      report(line, 'Invoice number is missing');
+    }
+  });
+
+  groupByInvoice(withNumber).forEach(invoiceLines => {
+    const first = invoiceLines[0];
+    const pos = first.tax.classification.placeOfSupply;
+    const value = invoiceValue(invoiceLines);
+    const date = toPortalDate(first.invoiceDate);
+    const rchrg = first.reverseCharge ? 'Y' : 'N';
+    const supplyType = supplyTypeOf(first);
+
+    if (isExport(first)) {
+      const expTyp = supplyType === 'EXPWOP' ? 'WOPAY' : 'WPAY';
+      pushTo(exp, expTyp, () => ({ exp_typ: expTyp, inv: [] })).inv.push({
+        inum: first.invoiceNumber, idt: date, val: value,
+        sbpcode: '', sbnum: '', sbdt: '',
+        itms: invoiceItems(invoiceLines, false).map(item => item.itm_det)
+      });
+      sectionCounts.exp += invoiceLines.length;
+      return;
+    }
+
+    if (first.gstin && !gstinFormat.isValidFormat(first.gstin)) {
+      report(invoiceLines, `Recipient GSTIN ${first.gstin} is not valid`);
+      return;
+    }
+
+    if (documentTypeOf(first) !== 'INVOICE') {
+      if (!first.gstin) {
+        invoiceLines.forEach(addToB2cs);
+        return;
+      }
+      pushTo(cdnr, first.gstin, () => ({ ctin: first.gstin, nt: [] })).nt.push({
+        ntty: first.documentType === 'CREDIT_NOTE' ? 'C' : 'D',
+        nt_num: first.invoiceNumber, nt_dt: date, val: value, pos, rchrg, inv_typ: 'R',
+        itms: invoiceItems(invoiceLines, true)
+      });
+      sectionCounts.cdnr += invoiceLines.length;
+      return;
+    }
+
+    if (first.gstin) {
+      let invTyp = 'R';
+      if (SEZ_WITH_PAYMENT.includes(supplyType)) invTyp = 'SEWP';
+      if (SEZ_WITHOUT_PAYMENT.includes(supplyType)) invTyp = 'SEWOP';
+      if (supplyType === 'DE' || supplyType === 'DEEMEDEXPORT') invTyp = 'DE';
+
+      pushTo(b2b, first.gstin, () => ({ ctin: first.gstin, inv: [] })).inv.push({
+        inum: first.invoiceNumber, idt: date, val: value, pos, rchrg, inv_typ: invTyp,
+        itms: invoiceItems(invoiceLines, true)
+      });
+      sectionCounts.b2b += invoiceLines.length;
+      return;
+    }
+
+    if (first.tax.nature === 'INTER' && value > b2clLimit(first.invoiceDate)) {
+      pushTo(b2cl, pos, () => ({ pos, inv: [] })).inv.push({
+        inum: first.invoiceNumber, idt: date, val: value,
+        itms: invoiceItems(invoiceLines, false)
+      });
+      sectionCounts.b2cl += invoiceLines.length;
+      return;
+    }
+
+    invoiceLines.forEach(addToB2cs);
+  });
+
+  const roundAll = entry => {
+    Object.keys(entry).forEach(key => {
+      if (typeof entry[key] === 'number' && key !== 'rt' && key !== 'num') entry[key] = round2(entry[key]);
+    });
+    return entry;
+  };
+
+  const gstr1 = {
+    gstin: gstin || '',
+    fp: period.fp,
+    version: OFFLINE_TOOL_VERSION,
+    hash: 'hash'
+  };
+  if (b2b.size) gstr1.b2b = [...b2b.values()];
+  if (b2cl.size) gstr1.b2cl = [...b2cl.values()];
+  if (b2cs.size) gstr1.b2cs = [...b2cs.values()].map(roundAll);
+  if (cdnr.size) gstr1.cdnr = [...cdnr.values()];
+  if (exp.size) gstr1.exp = [...exp.values()];
+  if (nil.size) gstr1.nil = { inv: [...nil.values()].map(roundAll) };
+  if (hsn.size) gstr1.hsn = { data: [...hsn.values()].map((entry, i) => ({ num: i + 1, ...roundAll(entry) })) };
+
+  const errors = issues.filter(issue => issue.severity === 'error');
+  return {
+    gstr1,
+    validation: {
+      valid: errors.length === 0,
+      errors,
+      warnings: issues.filter(issue => issue.severity === 'warning')
+    },
+    summary: {
+      period: period.label,
+      linesInPeriod: lines.length,
+      linesPlaced: Object.values(sectionCounts).reduce((a, b) => a + b, 0),
+      sections: sectionCounts
+    }
+  };
+}
+
+module.exports = {
+  B2CL_LIMIT,
+  toPortalDate,
+  buildGstr1
+};
@@ -0,0 +1,220 @@
+const XLSX = require('xlsx');
+const { parseNumber, parseDate, ImportError } = require('./importer');
+const { sheetToGrid } = require('./excel');
+const { round2 } = require('./tax');
+const { MONTH_NAMES, monthPeriod, parsePeriod } = require('./periods');
+
+// Sheets of the GSTR-2B Excel download that carry supplier documents
+const EXCEL_SECTIONS = {
+  'B2B': 'B2B',
+  'B2B-CDNR': 'CDNR'
+};
+
+// Columns of the GSTR-2B Excel download, matched on the header text
+const EXCEL_COLUMNS = {
+  gstin: /gstin of supplier/i,
+  tradeName: /trade\s*\/?\s*legal name/i,
+  invoiceNumber: /(invoice|note) number/i,
+  noteType: /note type/i,
+  invoiceDate: /(invoice|note) date/i,
+  invoiceValue: /(invoice|note) value/i,
+  placeOfSupply: /place of supply/i,
+  reverseCharge: /reverse charge/i,
+  taxableValue: /taxable value/i,
+  igst: /integrated tax/i,
+  cgst: /central tax/i,
+  sgst: /state\s*\/?\s*ut tax/i,
+  cess: /cess/i,
+  itcAvailability: /itc availability/i
+};
+
+function noteDocumentType(value) {
+  const text = String(value || '').trim().toUpperCase();
+  if (text === 'D' || text.startsWith('DEBIT')) return 'DEBIT_NOTE';
+  return 'CREDIT_NOTE';
+}
+
+function isYes(value) {
+  return ['Y', 'YES'].includes(String(value || '').trim().toUpperCase());
+}
+
+// Sum the tax of one document from its own totals or, failing that, its rate-wise items
+function documentAmounts(doc) {
+  const items = doc.items || [];
+  const sum = field => doc[field] !== undefined
+    ? parseNumber(doc[field]) || 0
+    : items.reduce((total, item) => total + (parseNumber(item[field]) || 0), 0);
+
+  return {
+    taxableValue: round2(sum('txval')),
+    igst: round2(sum('igst')),
+    cgst: round2(sum('cgst')),
+    sgst: round2(sum('sgst')),
+    cess: round2(sum('cess'))
+  };
+}
+
+// Read the GSTR-2B JSON downloaded from the portal
+function parseJson(json) {
+  const data = json.data || json;
+  const docdata = data.docdata || {};
+  const documents = [];
+
+  (docdata.b2b || []).forEach(supplier => {
+    (supplier.inv || []).forEach(inv => {
+      documents.push({
+        section: 'B2B',
+        gstin: String(supplier.ctin || '').toUpperCase(),
+        tradeName: supplier.trdnm || null,
+        documentType: 'INVOICE',
+        invoiceNumber: String(inv.inum || ''),
+        invoiceDate: parseDate(inv.dt),
+        invoiceValue: parseNumber(inv.val),
+        placeOfSupply: inv.pos || null,
+        reverseCharge: isYes(inv.rev),
+        itcAvailable: String(inv.itcavl || 'Y').toUpperCase() !== 'N',
+        ...documentAmounts(inv)
+      });
+    });
+  });
+
+  (docdata.cdnr || []).forEach(supplier => {
+    (supplier.nt || []).forEach(note => {
+      documents.push({
+        section: 'CDNR',
+        gstin: String(supplier.ctin || '').toUpperCase(),
+        tradeName: supplier.trdnm || null,
+        documentType: noteDocumentType(note.typ),
+        invoiceNumber: String(note.ntnum || ''),
+        invoiceDate: parseDate(note.dt),
+        invoiceValue: parseNumber(note.val),
+        placeOfSupply: note.pos || null,
+        reverseCharge: isYes(note.rev),
+        itcAvailable: String(note.itcavl || 'Y').toUpperCase() !== 'N',
+        ...documentAmounts(note)
+      });
+    });
+  });
+
+  return {
+    gstin: data.gstin || null,
+    period: parsePeriod(data.rtnprd),
+    documents
+  };
+}
+
+// Find the header row of a GSTR-2B sheet: the row naming the invoice or note number column
+function findExcelHeader(grid) {
+  return grid.findIndex(row => row.some(value => EXCEL_COLUMNS.invoiceNumber.test(String(value))));
+}
+
+// Read the B2B and B2B-CDNR sheets of the GSTR-2B Excel download. The portal writes one row
+// per tax rate, so rows of the same document are added together.
+function parseWorkbook(workbook) {
+  const documents = [];
+  let gstin = null;
+  let period = null;
+
+  // The read-me sheet names the recipient GSTIN, the financial year and the month
+  const readMe = workbook.Sheets[workbook.SheetNames.find(name => /read\s*me/i.test(name))];
+  if (readMe) {
+    let financialYear = null;
+    let month = null;
+    sheetToGrid(readMe).grid.forEach(row => {
+      const label = String(row[0] || '').trim();
+      const value = String(row.slice(1).find(cell => cell !== '') || '').trim();
+      if (/^gstin$/i.test(label)) gstin = value.toUpperCase() || null;
+      if (/financial year/i.test(label)) financialYear = parseInt(value, 10) || null;
+      if (/tax period/i.test(label)) {
+        month = MONTH_NAMES.findIndex(name => name.toLowerCase() === value.toLowerCase()) + 1;
+      }
+    });
+    if (financialYear && month) {
+      period = monthPeriod(month >= 4 ? financialYear : financialYear + 1, month);
+    }
+  }
+
+  Object.keys(EXCEL_SECTIONS).forEach(sheetName => {
+    const sheet = workbook.Sheets[sheetName];
+    if (!sheet) return;
+
+    const { grid } = sheetToGrid(sheet);
+    const headerIndex = findExcelHeader(grid);
+    if (headerIndex === -1) return;
+
+    // Headers span two rows; columns without a sub-heading keep the heading above them
+    const above = headerIndex > 0 ? grid[headerIndex - 1] : [];
+    const headers = grid[headerIndex].map((header, c) => String(header || above[c] || ''));
+    const columnIndex = {};
+    Object.keys(EXCEL_COLUMNS).forEach(field => {
+      const index = headers.findIndex(header => EXCEL_COLUMNS[field].test(header));
+      if (index !== -1) columnIndex[field] = index;
+    });
+
+    const byKey = {};
+    grid.slice(headerIndex + 1).forEach(row => {
+      const read = field => columnIndex[field] === undefined ? '' : row[columnIndex[field]];
+      const number = String(read('invoiceNumber')).trim();
+      const supplier = String(read('gstin')).trim().toUpperCase();
+      if (!number || !supplier) return;
+
+      const key = `${supplier}|${number}`;
+      if (!byKey[key]) {
+        byKey[key] = {
+          section: EXCEL_SECTIONS[sheetName],
+          gstin: supplier,
+          tradeName: read('tradeName') || null,
+          documentType: EXCEL_SECTIONS[sheetName] === 'CDNR' ? noteDocumentType(read('noteType')) : 'INVOICE',
+          invoiceNumber: number,
+          invoiceDate: parseDate(read('invoiceDate')),
+          invoiceValue: parseNumber(read('invoiceValue')),
+          placeOfSupply: read('placeOfSupply') || null,
+          reverseCharge: isYes(read('reverseCharge')),
+          itcAvailable: String(read('itcAvailability') || 'Yes').trim().toUpperCase() !== 'NO',
+          taxableValue: 0,
+          igst: 0,
+          cgst: 0,
+          sgst: 0,
+          cess: 0
+        };
+        documents.push(byKey[key]);
+      }
+
+      const doc = byKey[key];
+      ['taxableValue', 'igst', 'cgst', 'sgst', 'cess'].forEach(field => {
+        doc[field] = round2(doc[field] + (parseNumber(read(field)) || 0));
+      });
+    });
+  });
+
+  if (documents.length === 0) {
+    throw new ImportError('No B2B or B2B-CDNR documents found. Upload the GSTR-2B Excel or JSON file as downloaded from the GST portal.', { sheets: workbook.SheetNames });
+  }
+
+  return { gstin, period, documents };
+}
+
+// Parse an uploaded GSTR-2B file (portal JSON or Excel) into supplier documents
+function parseGstr2b(buffer, originalName) {
+  if (/\.json$/i.test(originalName)) {
+    let json;
+    try {
+      json = JSON.parse(buffer.toString('utf8'));
+    } catch (error) {
+      throw new ImportError('The GSTR-2B file is not valid JSON');
+    }
+    const result = parseJson(json);
+    if (result.documents.length === 0) {
+      throw new ImportError('No B2B or CDNR documents found in the GSTR-2B JSON');
+    }
+    return result;
+  }
+
+  return parseWorkbook(XLSX.read(buffer, { type: 'buffer', cellNF: true }));
+}
+
+module.exports = {
+  parseGstr2b,
+  parseJson,
+  parseWorkbook
+};
@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+
+// Rate charged on lines whose HSN/SAC code is missing or not in the master
+const DEFAULT_RATE = 18;
+
+// The bundled master covers common goods and services; HSN_MASTER_PATH can point to a fuller local copy
+const MASTER_PATH = process.env.HSN_MASTER_PATH || path.join(__dirname, 'reference', 'hsn-master.json');
+
+let master = null;
+
+function normalizeCode(code) {
+  return String(code || '').replace(/\D/g, '');
+}
+
+function tokenize(text) {
+  return String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(token => token.length > 1);
+}
+
+// Load and index the master file. Called lazily; pass a path to load a different file.
+function loadMaster(filePath = MASTER_PATH) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const entries = (data.entries || data).map(entry => {
+    const code = normalizeCode(entry.code);
+    return {
+      ...entry,
+      code,
+      // Service accounting codes all start with chapter 99
+      type: entry.type || (code.startsWith('99') ? 'SAC' : 'HSN'),
+      rates: [...entry.rates].sort((a, b) => a.from.localeCompare(b.from)),
+      searchText: [entry.description, ...(entry.keywords || [])].join(' ').toLowerCase()
+    };
+  });
+
+  master = {
+    version: data.version || null,
+    entries,
+    byCode: new Map(entries.map(entry => [entry.code, entry]))
+  };
+  return master;
+}
+
+function getMaster() {
+  return master || loadMaster();
+}
+
+// Most specific master entry for a code: "94013000" falls back to "940130", "9401" and "94"
+function lookupCode(code) {
+  const { byCode } = getMaster();
+  let digits = normalizeCode(code);
+  while (digits.length >= 2) {
+    if (byCode.has(digits)) return byCode.get(digits);
+    digits = digits.slice(0, -1);
+  }
+  return null;
+}
+
+// Rate schedule in force on a date (YYYY-MM-DD); the latest one when there is no date
+function scheduleOn(entry, date) {
+  const applicable = entry.rates.filter(schedule => !date || schedule.from <= date);
+  return applicable.length > 0 ? applicable[applicable.length - 1] : entry.rates[0];
+}
+
+// Some goods are taxed by value per piece (apparel, footwear, hotel tariffs)
+function unitValueOf(line) {
+  if (line.unitPrice) return Math.abs(line.unitPrice);
+  if (line.quantity) return Math.abs(line.taxableValue / line.quantity);
+  return null;
+}
+
+// Rate and cess that apply to a code on a date, or null when the code is not in the master
+function rateFor(code, date, unitValue = null) {
+  const entry = lookupCode(code);
+  if (!entry) return null;
+
+  const schedule = scheduleOn(entry, date);
+  const lowValue = schedule.lowValueLimit !== undefined && unitValue !== null && unitValue <= schedule.lowValueLimit;
+  return {
+    code: entry.code,
+    description: entry.description,
+    rate: lowValue ? schedule.lowValueRate : schedule.rate,
+    cess: schedule.cess || 0,
+    effectiveFrom: schedule.from,
+    // Without a unit value the per-piece threshold cannot be applied, so the rate is only indicative
+    valueDependent: schedule.lowValueLimit !== undefined,
+    note: entry.note || null
+  };
+}
+
+// Fallback rate for a line that carries no rate of its own
+function rateForLine(line) {
+  const found = line.hsnCode ? rateFor(line.hsnCode, line.invoiceDate, unitValueOf(line)) : null;
+  return found ? found.rate : DEFAULT_RATE;
+}
+
+// Compare a line's rate against the master; returns null when there is nothing to report
+function checkLine(line) {
+  if (!line.hsnCode) return null;
+
+  const expected = rateFor(line.hsnCode, line.invoiceDate, unitValueOf(line));
+  const issue = {
+    rowNumber: line.rowNumber,
+    invoiceNumber: line.invoiceNumber,
+    product: line.product,
+    hsnCode: line.hsnCode,
+    declaredRate: line.taxRate
+  };
+
+  if (!expected) {
+    return { ...issue, issue: 'UNKNOWN_CODE', message: `HSN/SAC ${line.hsnCode} is not in the master` };
+  }
+  if (line.taxRate === null || line.taxRate === undefined || Math.abs(line.taxRate - expected.rate) < 0.01) {
+    return null;
+  }
+  // Value-dependent goods without a unit value can legitimately carry either rate
+  if (expected.valueDependent && unitValueOf(line) === null) return null;
+
+  return {
+    ...issue,
+    issue: 'RATE_MISMATCH',
+    expectedRate: expected.rate,
+    expectedCess: expected.cess,
+    description: expected.description,
+    message: `${line.taxRate}% charged, but ${expected.description} (${expected.code}) attracts ${expected.rate}% from ${expected.effectiveFrom}`
+  };
+}
+
+function checkLines(lines) {
+  return lines.map(checkLine).filter(Boolean);
+}
+
+// Search the master by code prefix or by words of the description and keywords
+function search(query, limit = 10) {
+  const { entries } = getMaster();
+  const text = String(query || '').trim();
+  if (!text) return [];
+
+  const isCode = /^[\d\s.]+$/.test(text);
+  const digits = normalizeCode(text);
+  const tokens = tokenize(text);
+  const results = [];
+
+  entries.forEach(entry => {
+    let score = 0;
+    if (isCode) {
+      if (entry.code.startsWith(digits) || digits.startsWith(entry.code)) {
+        score = 1 + Math.min(entry.code.length, digits.length) / 10;
+      }
+    } else if (tokens.length > 0) {
+      const words = tokenize(entry.searchText);
+      const hits = tokens.filter(token => words.some(word => word.startsWith(token)));
+      // A whole-phrase hit (e.g. "mobile phone") ranks above scattered words
+      score = hits.length / tokens.length + (entry.searchText.includes(text.toLowerCase()) ? 0.5 : 0);
+    }
+    if (score > 0) results.push({ entry, score });
+  });
+
+  return results
+    .sort((a, b) => b.score - a.score || a.entry.code.localeCompare(b.entry.code))
+    .slice(0, limit)
+    .map(({ entry, score }) => ({ ...describe(entry), score: Math.round(score * 100) / 100 }));
+}
+
+// Public view of an entry with the rate in force today
+function describe(entry) {
+  const current = scheduleOn(entry, new Date().toISOString().split('T')[0]);
+  return {
+    code: entry.code,
+    type: entry.type,
+    description: entry.description,
+    rate: current.rate,
+    cess: current.cess || 0,
+    lowValueRate: current.lowValueRate,
+    lowValueLimit: current.lowValueLimit,
+    note: entry.note || null
+  };
+}
+
+// Codes grouped by the rate in force today, for the tax slab overview
+function codesByRate() {
+  const groups = {};
+  getMaster().entries.forEach(entry => {
+    const { rate } = describe(entry);
+    if (!groups[rate]) groups[rate] = [];
+    groups[rate].push(entry.code);
+  });
+  return groups;
+}
+
+module.exports = {
+  DEFAULT_RATE,
+  loadMaster,
+  lookupCode,
+  rateFor,
+  rateForLine,
+  checkLine,
+  checkLines,
+  search,
+  describe,
+  codesByRate
+};
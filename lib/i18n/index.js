@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+
+// Languages the interface, reports, reminders and the assistant can use. Strings live in
+// locales/<code>.json under flat keys ("nav.dashboard") shared by the server and the pages in
+// public/; a key a language does not have yet falls back to English.
+const LANGUAGES = [
+  { code: 'en', name: 'English', nativeName: 'English', script: 'Latin', locale: 'en-IN' },
+  { code: 'hi', name: 'Hindi', nativeName: 'हिन्दी', script: 'Devanagari', locale: 'hi-IN' },
+  { code: 'mr', name: 'Marathi', nativeName: 'मराठी', script: 'Devanagari', locale: 'mr-IN' }
+];
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Written the same way in every language, as on the GST portal and in notifications, so a
+// return or a credit has one name whatever language the user reads
+const GST_TERMS = [
+  'GST', 'GSTIN', 'GSTR-1', 'GSTR-2B', 'GSTR-3B', 'GSTR-4', 'GSTR-9', 'CMP-08', 'PMT-06',
+  'ITC', 'HSN', 'SAC', 'IGST', 'CGST', 'SGST', 'UTGST', 'cess', 'e-invoice', 'e-way bill'
+];
+
+// PDF's built-in fonts cover Latin text only. Fonts for other scripts ship in fonts/ (Noto, under
+// the SIL Open Font License in fonts/OFL.txt); PDF_FONT_<SCRIPT> may name another .ttf or .otf file.
+const FONT_FILES = {
+  Devanagari: path.join(__dirname, '../../fonts/NotoSansDevanagari-Regular.ttf')
+};
+
+const catalogs = new Map();
+
+function catalog(code) {
+  if (!catalogs.has(code)) {
+    catalogs.set(code, JSON.parse(fs.readFileSync(path.join(__dirname, 'locales', `${code}.json`), 'utf8')));
+  }
+  return catalogs.get(code);
+}
+
+function getLanguage(code) {
+  return LANGUAGES.find(language => language.code === code) || null;
+}
+
+function isSupported(code) {
+  return Boolean(getLanguage(code));
+}
+
+// A supported language code, English for anything else (including none)
+function resolveLanguage(code) {
+  return isSupported(code) ? code : DEFAULT_LANGUAGE;
+}
+
+// Every string of a language, with English where it has none of its own
+function messages(code) {
+  return { ...catalog(DEFAULT_LANGUAGE), ...catalog(resolveLanguage(code)) };
+}
+
+// The string for `key`, its {placeholders} filled from `params`. A key no language has comes
+// back as it is, so a missing string shows up rather than breaking the page.
+function t(code, key, params = {}) {
+  const own = catalog(resolveLanguage(code))[key];
+  const template = own !== undefined ? own : catalog(DEFAULT_LANGUAGE)[key];
+  if (template === undefined) return key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+// t() bound to one language
+function translator(code) {
+  return (key, params) => t(code, key, params);
+}
+
+// What a model prompt adds so the reply comes in the user's language with the GST terms left
+// as they are; nothing for English
+function promptInstruction(code) {
+  const language = getLanguage(resolveLanguage(code));
+  if (language.code === DEFAULT_LANGUAGE) return '';
+  return `Write your reply in ${language.name} (${language.nativeName}), in ${language.script} script. ` +
+    `Keep these GST terms exactly as written, in Latin script: ${GST_TERMS.join(', ')}. Keep amounts, dates, form names and citation numbers as they are.`;
+}
+
+function formatDate(code, date) {
+  return new Date(date).toLocaleDateString(getLanguage(resolveLanguage(code)).locale, {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+    timeZone: 'UTC'
+  });
+}
+
+const warnedScripts = new Set();
+
+// The language a PDF can be written in and the font it needs (null for PDF's built-in one). A
+// language whose font file is missing is written in English instead, with a warning the first time.
+function pdfFont(code) {
+  const language = getLanguage(resolveLanguage(code));
+  if (language.script === 'Latin') return { language: language.code, font: null };
+
+  const configured = process.env[`PDF_FONT_${language.script.toUpperCase()}`];
+  const font = [configured, FONT_FILES[language.script]].find(file => file && fs.existsSync(file));
+  if (font) return { language: language.code, font };
+
+  if (!warnedScripts.has(language.script)) {
+    warnedScripts.add(language.script);
+    console.warn(`No ${language.script} font found for PDF reports; set PDF_FONT_${language.script.toUpperCase()} to a .ttf file. Reports fall back to English.`);
+  }
+  return { language: DEFAULT_LANGUAGE, font: null };
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  GST_TERMS,
+  getLanguage,
+  isSupported,
+  resolveLanguage,
+  messages,
+  t,
+  translator,
+  promptInstruction,
+  formatDate,
+  pdfFont
+};
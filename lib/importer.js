@@ -0,0 +1,434 @@
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const columnMappings = require('./repositories/columnMappings');
+
+// Fields of the standard invoice-line model every upload is converted into
+const INVOICE_LINE_FIELDS = [
+  'transactionType',
+  'documentType',
+  'invoiceNumber',
+  'invoiceDate',
+  'gstin',
+  'partyName',
+  'placeOfSupply',
+  'supplierState',
+  'product',
+  'hsnCode',
+  'quantity',
+  'unitPrice',
+  'taxableValue',
+  'taxRate',
+  'igst',
+  'cgst',
+  'sgst',
+  'cess',
+  'reverseCharge',
+  'supplyType',
+  'itcEligibility'
+];
+
+// Invoice-line fields that hold amounts, rates or quantities
+const NUMERIC_FIELDS = ['quantity', 'unitPrice', 'taxableValue', 'taxRate', 'igst', 'cgst', 'sgst', 'cess'];
+
+// Known export layouts. `signature` lists the headers that identify the layout,
+// `columns` maps invoice-line fields to the header names used by that layout.
+const KNOWN_LAYOUTS = [
+  {
+    id: 'gstn-offline',
+    name: 'GSTN offline tool',
+    signature: ['taxable_value', 'integrated_tax', 'central_tax', 'state_tax'],
+    columns: {
+      transactionType: 'transaction_type',
+      documentType: 'document_type',
+      invoiceNumber: 'invoice_number',
+      invoiceDate: 'invoice_date',
+      gstin: 'gstin',
+      placeOfSupply: 'place_of_supply',
+      taxableValue: 'taxable_value',
+      igst: 'integrated_tax',
+      cgst: 'central_tax',
+      sgst: 'state_tax',
+      cess: 'cess',
+      reverseCharge: 'reverse_charge',
+      supplyType: 'supply_type',
+      itcEligibility: 'itc_eligibility'
+    }
+  },
+  {
+    id: 'tax-head-rates',
+    name: 'Rate and amount per tax head',
+    signature: ['taxable_value', 'igst_rate', 'igst_amount', 'cgst_amount', 'sgst_amount'],
+    columns: {
+      transactionType: 'transaction_type',
+      documentType: 'document_type',
+      invoiceNumber: 'invoice_number',
+      invoiceDate: 'invoice_date',
+      gstin: 'supplier_customer_gstin',
+      placeOfSupply: 'place_of_supply',
+      taxableValue: 'taxable_value',
+      igst: 'igst_amount',
+      cgst: 'cgst_amount',
+      sgst: 'sgst_amount',
+      cess: 'cess_amount',
+      reverseCharge: 'reverse_charge',
+      supplyType: 'supply_type',
+      itcEligibility: 'itc_eligibility'
+    }
+  },
+  {
+    id: 'invoice-register',
+    name: 'Invoice register',
+    signature: ['Invoice No', 'Taxable Value', 'GST Rate'],
+    columns: {
+      documentType: 'Document Type',
+      invoiceNumber: 'Invoice No',
+      invoiceDate: 'Date',
+      partyName: 'Customer',
+      gstin: 'GSTIN',
+      product: 'Product',
+      hsnCode: 'HSN Code',
+      quantity: 'Quantity',
+      unitPrice: 'Price',
+      taxableValue: 'Taxable Value',
+      taxRate: 'GST Rate',
+      placeOfSupply: 'State',
+      itcEligibility: 'ITC Eligibility'
+    }
+  },
+  {
+    id: 'item-sales',
+    name: 'Item-wise sales with buyer and seller state',
+    signature: ['item', 'hsn_code', 'amount', 'buyer_state'],
+    columns: {
+      invoiceDate: 'date',
+      product: 'item',
+      hsnCode: 'hsn_code',
+      taxableValue: 'amount',
+      taxRate: 'tax_rate',
+      placeOfSupply: 'buyer_state',
+      supplierState: 'seller_state'
+    }
+  },
+  {
+    id: 'simple',
+    name: 'Simple sales sheet',
+    signature: ['amount'],
+    columns: {
+      invoiceDate: 'date',
+      product: 'product',
+      taxableValue: 'amount',
+      taxRate: 'taxRate',
+      placeOfSupply: 'state'
+    }
+  }
+];
+
+// Compare headers regardless of case, spacing and punctuation ("Taxable Value" == "taxable_value")
+function normalizeHeader(header) {
+  return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Parse amounts such as "₹1,200.50", "18%" or "(500)"; returns null for blanks and garbage
+function parseNumber(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+  let text = String(value).trim();
+  if (!text) return null;
+
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  text = text.replace(/[₹,%\s]/g, '').replace(/^rs\.?/i, '');
+
+  if (!/^-?\d*\.?\d+$/.test(text)) return null;
+  const number = parseFloat(text);
+  return negative ? -number : number;
+}
+
+// Parse dates into YYYY-MM-DD. Slash and dash dates are read as DD/MM/YYYY (Indian format).
+// Dates are put together from their parts: toISOString() of a local midnight would give the day
+// before in timezones east of UTC, such as India's.
+function parseDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) {
+    return isNaN(value) ? null : localDate(value);
+  }
+  if (typeof value === 'number') {
+    // Excel date serial: days since 1899-12-30
+    const date = new Date(Date.UTC(1899, 11, 30) + Math.round(value) * 86400000);
+    return isNaN(date) ? null : formatDate(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+  }
+
+  const text = String(value).trim();
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) return formatDate(match[1], match[2], match[3]);
+
+  match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})$/);
+  if (match) {
+    const year = match[3].length === 2 ? '20' + match[3] : match[3];
+    return formatDate(year, match[2], match[1]);
+  }
+
+  // Written-out dates ("1 Apr 2025", "01-Apr-2025") are read as the local date they name
+  const parsed = new Date(text);
+  return isNaN(parsed) ? null : localDate(parsed);
+}
+
+function localDate(date) {
+  return formatDate(date.getFullYear(), date.getMonth() + 1, date.getDate());
+}
+
+// Null for days the month does not have (31/04, 29/02 outside leap years)
+function formatDate(year, month, day) {
+  const y = parseInt(year, 10);
+  const m = parseInt(month, 10);
+  const d = parseInt(day, 10);
+  if (m < 1 || m > 12 || d < 1 || new Date(Date.UTC(y, m, 0)).getUTCDate() < d) return null;
+  return `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+}
+
+function parseTransactionType(value) {
+  const text = String(value || '').trim().toUpperCase();
+  if (['PURCHASE', 'PURCHASES', 'INWARD', 'P'].includes(text)) return 'PURCHASE';
+  return 'SALE';
+}
+
+// Invoice, credit note or debit note. Some exports put the note type in the transaction type column.
+function parseDocumentType(value, transactionType) {
+  const text = String(value || transactionType || '').trim().toUpperCase().replace(/[^A-Z]/g, '');
+  if (['C', 'CN', 'CRN', 'CDN', 'CREDIT', 'CREDITNOTE', 'SALESRETURN'].includes(text)) return 'CREDIT_NOTE';
+  if (['D', 'DN', 'DBN', 'DEBIT', 'DEBITNOTE'].includes(text)) return 'DEBIT_NOTE';
+  return 'INVOICE';
+}
+
+function parseBoolean(value) {
+  return ['Y', 'YES', 'TRUE', '1'].includes(String(value || '').trim().toUpperCase());
+}
+
+function cleanText(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text || null;
+}
+
+// Build a lookup from normalized header to the header as it appears in the file
+function indexHeaders(headers) {
+  const index = {};
+  headers.forEach(header => {
+    index[normalizeHeader(header)] = header;
+  });
+  return index;
+}
+
+// Score how well a layout's signature matches the file headers (0 to 1)
+function scoreLayout(layout, headerIndex) {
+  const found = layout.signature.filter(column => headerIndex[normalizeHeader(column)]);
+  return found.length / layout.signature.length;
+}
+
+// Detect the layout of a file from its headers. Saved mappings are preferred over known layouts.
+function detectLayout(headers, customMappings = []) {
+  const headerIndex = indexHeaders(headers);
+
+  const custom = customMappings.find(mapping =>
+    Object.values(mapping.columns).every(column => headerIndex[normalizeHeader(column)])
+  );
+  if (custom) {
+    return { id: `custom:${custom.name}`, name: custom.name, columns: custom.columns, custom: true };
+  }
+
+  // Only full signature matches count; more specific layouts are listed first
+  const layout = KNOWN_LAYOUTS.find(candidate => scoreLayout(candidate, headerIndex) === 1);
+  return layout || null;
+}
+
+// Convert one raw row into the standard invoice-line model
+function normalizeRow(row, columns, headerIndex, rowNumber) {
+  const read = field => {
+    const column = columns[field];
+    if (!column) return undefined;
+    const header = headerIndex[normalizeHeader(column)];
+    return header === undefined ? undefined : row[header];
+  };
+
+  const taxableValue = parseNumber(read('taxableValue'));
+  const igst = parseNumber(read('igst'));
+  const cgst = parseNumber(read('cgst'));
+  const sgst = parseNumber(read('sgst'));
+
+  let taxRate = parseNumber(read('taxRate'));
+  let rateDerived = false;
+  if (taxRate === null && taxableValue && (igst !== null || cgst !== null || sgst !== null)) {
+    // Derive the rate from the reported tax heads when the layout has no rate column
+    const reportedTax = (igst || 0) + (cgst || 0) + (sgst || 0);
+    taxRate = Math.round((reportedTax / taxableValue) * 10000) / 100;
+    rateDerived = true;
+  }
+
+  const placeOfSupply = cleanText(read('placeOfSupply'));
+
+  // Values that were filled in but could not be read, kept for the validation report
+  const unparsed = {};
+  NUMERIC_FIELDS.forEach(field => {
+    const value = read(field);
+    if (cleanText(value) !== null && parseNumber(value) === null) unparsed[field] = value;
+  });
+  if (cleanText(read('invoiceDate')) !== null && parseDate(read('invoiceDate')) === null) {
+    unparsed.invoiceDate = read('invoiceDate');
+  }
+
+  return {
+    rowNumber,
+    transactionType: parseTransactionType(read('transactionType')),
+    documentType: parseDocumentType(read('documentType'), read('transactionType')),
+    invoiceNumber: cleanText(read('invoiceNumber')),
+    invoiceDate: parseDate(read('invoiceDate')),
+    gstin: cleanText(read('gstin')) ? cleanText(read('gstin')).toUpperCase() : null,
+    partyName: cleanText(read('partyName')),
+    placeOfSupply,
+    state: placeOfSupply || 'Unknown',
+    supplierState: cleanText(read('supplierState')),
+    product: cleanText(read('product')),
+    hsnCode: cleanText(read('hsnCode')),
+    quantity: parseNumber(read('quantity')),
+    unitPrice: parseNumber(read('unitPrice')),
+    taxableValue: taxableValue === null ? 0 : taxableValue,
+    taxRate,
+    igst,
+    cgst,
+    sgst,
+    cess: parseNumber(read('cess')),
+    reverseCharge: parseBoolean(read('reverseCharge')),
+    supplyType: cleanText(read('supplyType')),
+    itcEligibility: cleanText(read('itcEligibility')),
+    rateDerived,
+    unparsed,
+    raw: row
+  };
+}
+
+// Normalize parsed rows with a detected or explicitly chosen layout
+function normalizeRows(rows, headers, options = {}) {
+  const customMappings = options.customMappings || [];
+  let layout;
+
+  if (options.mapping) {
+    layout = KNOWN_LAYOUTS.find(candidate => candidate.id === options.mapping) ||
+      customMappings.find(mapping => mapping.name === options.mapping);
+    if (!layout) {
+      throw new ImportError(`Unknown column mapping "${options.mapping}"`, { headers });
+    }
+  } else {
+    layout = detectLayout(headers, customMappings);
+  }
+
+  if (!layout) {
+    throw new ImportError('Could not recognise the column layout of this file. Save a column mapping for it and upload again.', { headers });
+  }
+
+  const headerIndex = indexHeaders(headers);
+  // Row numbers match the spreadsheet: the header is row 1 unless the caller says otherwise
+  const rowNumbers = options.rowNumbers || rows.map((row, i) => i + 2);
+  const lines = rows.map((row, i) => normalizeRow(row, layout.columns, headerIndex, rowNumbers[i]));
+
+  // Layouts may name a transaction type column the file leaves out; only a column that is there says
+  // which lines are sales and which purchases
+  const typeColumn = layout.columns.transactionType;
+  const hasTypeColumn = Boolean(typeColumn && headerIndex[normalizeHeader(typeColumn)]);
+
+  // A file uploaded as the purchase register has no type column to say so
+  if (options.register === 'purchase' && !hasTypeColumn) {
+    lines.forEach(line => { line.transactionType = 'PURCHASE'; });
+  }
+
+  return {
+    layout: { id: layout.id || `custom:${layout.name}`, name: layout.name },
+    columns: layout.columns,
+    hasTypeColumn,
+    headers,
+    lines
+  };
+}
+
+class ImportError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ImportError';
+    this.details = details;
+  }
+}
+
+// Read a CSV file and keep its header order
+function readCSV(filePath) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    let headers = [];
+    fs.createReadStream(filePath)
+      .pipe(csv({ mapHeaders: ({ header }) => header.trim() }))
+      .on('headers', (parsedHeaders) => { headers = parsedHeaders; })
+      .on('data', (data) => rows.push(data))
+      .on('end', () => resolve({ headers, rows }))
+      .on('error', (error) => reject(error));
+  });
+}
+
+// Import a CSV upload into invoice lines
+async function importCSV(filePath, options = {}) {
+  const { headers, rows } = await readCSV(filePath);
+  return normalizeRows(rows, headers, options);
+}
+
+// Import an uploaded CSV or Excel file, or a day book from accounting software (Tally XML or
+// JSON vouchers), choosing the reader from the file extension
+async function importFile(filePath, originalName, options = {}) {
+  const extension = path.extname(originalName).toLowerCase();
+  // Readers are required lazily to avoid circular dependencies with them
+  if (extension === '.xlsx' || extension === '.xls') {
+    return require('./excel').importWorkbook(filePath, options);
+  }
+  if (extension === '.xml' || extension === '.json') {
+    return require('./daybook').importDaybook(filePath, extension.slice(1), options);
+  }
+  return importCSV(filePath, options);
+}
+
+// Saved column mappings, kept per business in the database
+function getMappings(businessId) {
+  return columnMappings.list(businessId);
+}
+
+function saveMapping(businessId, mapping) {
+  const unknownFields = Object.keys(mapping.columns).filter(field => !INVOICE_LINE_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    throw new ImportError(`Unknown invoice-line fields: ${unknownFields.join(', ')}`);
+  }
+  if (!mapping.columns.taxableValue) {
+    throw new ImportError('A column mapping must include the taxableValue column');
+  }
+
+  return columnMappings.save(businessId, mapping);
+}
+
+function deleteMapping(businessId, name) {
+  return columnMappings.remove(businessId, name);
+}
+
+module.exports = {
+  INVOICE_LINE_FIELDS,
+  KNOWN_LAYOUTS,
+  ImportError,
+  normalizeHeader,
+  parseNumber,
+  parseDate,
+  detectLayout,
+  normalizeRows,
+  importCSV,
+  importFile,
+  getMappings,
+  saveMapping,
+  deleteMapping
+};
@@ -0,0 +1,252 @@
+const { assessLine, round2 } = require('./tax');
+const { findState, stateFromGstin } = require('./placeOfSupply');
+const gstinFormat = require('./gstin');
+const { periodOfDate } = require('./periods');
+const { rateForLine } = require('./hsn');
+
+// ITC status of a purchase line
+const ITC_STATUS = {
+  ELIGIBLE: 'ELIGIBLE',
+  CAPITAL_GOODS: 'CAPITAL_GOODS',
+  BLOCKED: 'BLOCKED',
+  PERSONAL_USE: 'PERSONAL_USE',
+  INELIGIBLE: 'INELIGIBLE'
+};
+
+// Credits blocked by Section 17(5) of the CGST Act, matched on the HSN/SAC prefix of a line, or on its
+// description when it has no code. The provisos to 17(5)(a) and (b) leave credit alone where the
+// business makes an outward supply of the same category; `suppliedBy` lists the business types taken to.
+const BLOCKED_CREDITS = [
+  {
+    clause: '17(5)(a)',
+    reason: 'Motor vehicles for transport of persons (13 seats or fewer)',
+    hsnPrefixes: ['8703', '8711'],
+    keywords: ['car', 'motor vehicle', 'motorcycle', 'scooter', 'suv', 'sedan'],
+    suppliedBy: ['TRADER']
+  },
+  {
+    clause: '17(5)(b)(i)',
+    reason: 'Food and beverages',
+    hsnPrefixes: ['2101', '2102', '2103', '2104', '2105', '2106', '2202'],
+    keywords: ['food', 'beverage', 'snacks'],
+    suppliedBy: ['TRADER', 'RESTAURANT']
+  },
+  {
+    clause: '17(5)(b)(i)',
+    reason: 'Outdoor catering and restaurant services',
+    hsnPrefixes: ['9963'],
+    keywords: ['catering', 'restaurant', 'meal', 'lunch', 'dinner'],
+    suppliedBy: ['RESTAURANT']
+  },
+  {
+    clause: '17(5)(b)(i)',
+    reason: 'Beauty treatment, health services, cosmetic and plastic surgery',
+    hsnPrefixes: ['999721', '999722', '9993'],
+    keywords: ['beauty', 'salon', 'spa', 'cosmetic surgery', 'plastic surgery', 'medical treatment']
+  },
+  {
+    clause: '17(5)(b)(ii)',
+    reason: 'Membership of a club, health or fitness centre',
+    hsnPrefixes: ['999591', '999723'],
+    keywords: ['club membership', 'gym', 'fitness', 'health club']
+  },
+  {
+    clause: '17(5)(b)(i)',
+    reason: 'Rent-a-cab services',
+    hsnPrefixes: ['996601'],
+    keywords: ['rent-a-cab', 'cab hire', 'taxi']
+  },
+  {
+    clause: '17(5)(b)(i)',
+    reason: 'Life and health insurance',
+    hsnPrefixes: ['997132', '997133'],
+    keywords: ['life insurance', 'health insurance', 'mediclaim']
+  },
+  {
+    clause: '17(5)(b)(iii)',
+    reason: 'Travel benefits to employees on vacation (leave travel)',
+    hsnPrefixes: [],
+    keywords: ['leave travel', 'ltc', 'vacation', 'holiday package']
+  },
+  {
+    clause: '17(5)(c)/(d)',
+    reason: 'Works contract or construction of immovable property',
+    hsnPrefixes: ['9954'],
+    keywords: ['construction', 'civil work', 'building work', 'works contract']
+  },
+  {
+    clause: '17(5)(h)',
+    reason: 'Goods lost, stolen, destroyed, written off or given as gifts or free samples',
+    hsnPrefixes: [],
+    keywords: ['gift', 'free sample', 'written off', 'stolen', 'destroyed']
+  }
+];
+
+// Purchases for personal use are not in the course of business (Section 17(5)(g))
+const PERSONAL_USE_KEYWORDS = ['personal', 'household', 'home use', 'family'];
+
+// Descriptions that suggest capital goods, whose credit is eligible but tracked separately
+const CAPITAL_GOODS_KEYWORDS = ['machine', 'machinery', 'plant', 'equipment', 'furniture', 'fixture', 'generator', 'capital'];
+
+function matchesAny(text, keywords) {
+  return keywords.some(keyword => new RegExp(`\\b${keyword.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&')}\\b`, 'i').test(text));
+}
+
+// Classify one purchase line. An explicit ITC eligibility column ("Inputs", "Capital goods",
+// "Ineligible") is respected; otherwise supplier, HSN and description decide. `businessType` is the
+// buyer's (TRADER, RESTAURANT, ...), for the credits only blocked to businesses outside the trade.
+function classifyItc(line, businessType = null) {
+  const declared = String(line.itcEligibility || '').trim().toLowerCase();
+  const description = line.product || '';
+  const hsn = String(line.hsnCode || '').replace(/\D/g, '');
+
+  if (declared === 'ineligible' || declared === 'none' || declared === 'no') {
+    return { status: ITC_STATUS.INELIGIBLE, reason: 'Marked as ineligible in the purchase register' };
+  }
+
+  if (!line.gstin || !gstinFormat.isValidFormat(line.gstin)) {
+    if (!line.reverseCharge) {
+      return { status: ITC_STATUS.INELIGIBLE, reason: 'Supplier GSTIN missing or invalid; no tax invoice from a registered supplier' };
+    }
+  }
+
+  const blocked = BLOCKED_CREDITS.find(rule =>
+    (hsn ? rule.hsnPrefixes.some(prefix => hsn.startsWith(prefix)) : matchesAny(description, rule.keywords)) &&
+    !(rule.suppliedBy || []).includes(businessType)
+  );
+  if (blocked) {
+    return { status: ITC_STATUS.BLOCKED, reason: blocked.reason, section: blocked.clause };
+  }
+
+  if (matchesAny(description, PERSONAL_USE_KEYWORDS)) {
+    return { status: ITC_STATUS.PERSONAL_USE, reason: 'Goods or services for personal use', section: '17(5)(g)' };
+  }
+
+  if (declared === 'capital goods' || declared === 'capital' || matchesAny(description, CAPITAL_GOODS_KEYWORDS)) {
+    return { status: ITC_STATUS.CAPITAL_GOODS, reason: 'Capital goods: credit is available unless depreciation is claimed on the tax component (Section 16(3))' };
+  }
+
+  return { status: ITC_STATUS.ELIGIBLE, reason: null };
+}
+
+// Work out the tax heads and ITC eligibility of a purchase line and record them on `line.tax` and `line.itc`.
+// For purchases the supplier is the counterparty and the place of supply defaults to our own state.
+function assessPurchase(line, recipientStateCode, businessType = null) {
+  const supplierState = stateFromGstin(line.gstin);
+  const view = {
+    ...line,
+    gstin: null,
+    placeOfSupply: line.placeOfSupply || recipientStateCode,
+    supplierState: line.supplierState || (supplierState ? supplierState.code : null)
+  };
+  line.tax = assessLine(view, null, rateForLine);
+
+  const classification = classifyItc(line, businessType);
+  const claimable = classification.status === ITC_STATUS.ELIGIBLE || classification.status === ITC_STATUS.CAPITAL_GOODS;
+  const heads = chargedTaxHeads(line);
+  line.itc = {
+    ...classification,
+    eligible: claimable,
+    igst: claimable ? heads.igst : 0,
+    cgst: claimable ? heads.cgst : 0,
+    sgst: claimable ? heads.sgst : 0,
+    utgst: claimable ? heads.utgst : 0,
+    cess: claimable ? heads.cess : 0
+  };
+  return line.itc;
+}
+
+// Credit follows the tax actually charged on the supplier's invoice, so reported heads are
+// used as they are; lines without them fall back to the assessed heads
+function chargedTaxHeads(line) {
+  if (!line.tax.headMismatch) return line.tax;
+
+  const sign = line.documentType === 'CREDIT_NOTE' ? -1 : 1;
+  const place = findState(line.tax.classification.placeOfSupply);
+  const stateTax = sign * Math.abs(line.sgst || 0);
+  return {
+    igst: sign * Math.abs(line.igst || 0),
+    cgst: sign * Math.abs(line.cgst || 0),
+    sgst: place && place.ut ? 0 : stateTax,
+    utgst: place && place.ut ? stateTax : 0,
+    cess: line.tax.cess
+  };
+}
+
+function emptyHeads() {
+  return { igst: 0, cgst: 0, sgst: 0, utgst: 0, cess: 0, total: 0 };
+}
+
+function addHeads(target, source) {
+  ['igst', 'cgst', 'sgst', 'utgst', 'cess'].forEach(head => { target[head] += source[head] || 0; });
+  target.total = target.igst + target.cgst + target.sgst + target.utgst + target.cess;
+}
+
+function roundHeads(heads) {
+  Object.keys(heads).forEach(head => { heads[head] = round2(heads[head]); });
+  return heads;
+}
+
+// Summarise assessed purchase lines: ITC available per tax head, what is blocked or ineligible,
+// and the same split per monthly tax period
+function summarizeItc(purchaseLines) {
+  const summary = {
+    purchases: 0,
+    totalPurchaseValue: 0,
+    available: emptyHeads(),
+    capitalGoods: emptyHeads(),
+    blocked: emptyHeads(),
+    ineligible: emptyHeads(),
+    byStatus: {},
+    byPeriod: {},
+    flagged: []
+  };
+
+  purchaseLines.forEach(line => {
+    const itc = line.itc;
+    summary.purchases += 1;
+    summary.totalPurchaseValue += line.taxableValue;
+    summary.byStatus[itc.status] = (summary.byStatus[itc.status] || 0) + 1;
+
+    if (itc.eligible) {
+      addHeads(summary.available, itc);
+      if (itc.status === ITC_STATUS.CAPITAL_GOODS) addHeads(summary.capitalGoods, line.tax);
+    } else if (itc.status === ITC_STATUS.INELIGIBLE) {
+      addHeads(summary.ineligible, line.tax);
+    } else {
+      addHeads(summary.blocked, line.tax);
+    }
+
+    if (line.invoiceDate) {
+      const key = periodOfDate(line.invoiceDate).key;
+      if (!summary.byPeriod[key]) summary.byPeriod[key] = emptyHeads();
+      addHeads(summary.byPeriod[key], itc);
+    }
+
+    if (itc.status !== ITC_STATUS.ELIGIBLE) {
+      summary.flagged.push({
+        filingId: line.filingId,
+        rowNumber: line.rowNumber,
+        invoiceNumber: line.invoiceNumber,
+        supplierGstin: line.gstin,
+        status: itc.status,
+        section: itc.section || null,
+        reason: itc.reason
+      });
+    }
+  });
+
+  summary.totalPurchaseValue = round2(summary.totalPurchaseValue);
+  ['available', 'capitalGoods', 'blocked', 'ineligible'].forEach(key => roundHeads(summary[key]));
+  Object.values(summary.byPeriod).forEach(roundHeads);
+  return summary;
+}
+
+module.exports = {
+  ITC_STATUS,
+  BLOCKED_CREDITS,
+  classifyItc,
+  assessPurchase,
+  chargedTaxHeads,
+  summarizeItc
+};
@@ -0,0 +1,47 @@
+// Documents that ship with the app. They are always searched and cannot be edited or deleted
+// through the knowledge base API.
+module.exports = [
+  {
+    id: 'gst_basics_2024',
+    content: `GST (Goods and Services Tax) is a comprehensive indirect tax on the supply of goods and services in India. 
+    As of 2024, GST has four primary tax slabs: 0% (essential goods), 5% (common items), 12% and 18% (standard rates), 
+    and 28% (luxury items). The composition scheme limit has been increased to ₹1.5 crore.`,
+    tags: ['basics', '2024', 'rates']
+  },
+  {
+    id: 'gstr1_deadline_2024',
+    content: `GSTR-1 must be filed by the 11th of the following month, or by the 13th of the month after the quarter 
+    for quarterly (QRMP) filers. It contains details of all outward supplies (sales) made during the tax period. Late filing attracts a penalty of ₹50 per day (₹20 for nil returns).`,
+    tags: ['gstr1', 'deadline', '2024', 'penalty']
+  },
+  {
+    id: 'gstr3b_deadline_2024', 
+    content: `GSTR-3B must be filed by the 20th of the following month. Quarterly (QRMP) filers file it by the 22nd or 24th 
+    of the month after the quarter depending on their state, and pay tax for the other months through PMT-06 by the 25th. 
+    It is a summary return that includes summary of outward supplies, input tax credit claimed, and tax payment details. Interest at 18% per annum on late payment.`,
+    tags: ['gstr3b', 'deadline', '2024', 'interest']
+  },
+  {
+    id: 'itc_rules_2024',
+    content: `Input Tax Credit (ITC) can be claimed only if: 1) You possess a valid tax invoice 2) Goods/services have been received 
+    3) Supplier has filed their returns 4) Tax has been paid to government. New 2024 rule: ITC claim period extended to 30 days 
+    from date of invoice.`,
+    tags: ['itc', 'input tax credit', '2024', 'rules']
+  },
+  {
+    id: 'new_tax_policies_2024',
+    content: `2024 GST Updates: 1) Composition scheme limit increased to ₹1.5 crore 2) Online gaming taxed at 28% 3) 
+    Penalty relief for small taxpayers 4) Enhanced invoice matching system 5) E-invoicing mandatory for ₹5 crore+ turnover`,
+    tags: ['2024', 'updates', 'policy', 'changes']
+  },
+  {
+    id: 'gst_rates_2024',
+    content: `GST Rate Structure 2024:
+    - 0%: Essential goods, fresh food items, agricultural products
+    - 5%: Common use items, apparel below ₹1000, packaged foods
+    - 12%: Processed foods, computers, mobile phones
+    - 18%: Most goods and services, AC restaurants, financial services
+    - 28%: Luxury goods, sin goods, premium cars, online gaming`,
+    tags: ['rates', '2024', 'tax_slabs']
+  }
+];
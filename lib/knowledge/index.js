@@ -0,0 +1,339 @@
+const fs = require('fs');
+const path = require('path');
+const natural = require('natural');
+const builtIn = require('./builtIn');
+const { DOCUMENT_TYPES, extractText, extractMetadata, referenceKey, parseDate, chunkText } = require('./text');
+const { knowledgeDocuments } = require('../repositories');
+
+const FILES_DIR = path.join(__dirname, '..', '..', 'knowledge-base');
+const STORAGE_DIR = path.join(__dirname, '..', '..', 'data', 'knowledge');
+
+// Superseded documents stay searchable, for questions about earlier periods, but their
+// chunks score this fraction of what they would otherwise
+const SUPERSEDED_WEIGHT = 0.3;
+
+class KnowledgeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'KnowledgeError';
+  }
+}
+
+// The search index: one TF-IDF entry per chunk, keyed `${documentKey}#${position}`. Chunks are
+// added and removed as documents change, so the index is never rebuilt from scratch.
+const tfidf = new natural.TfIdf();
+const documents = new Map();
+const chunks = new Map();
+let loaded = false;
+
+function indexDocument(document, documentChunks) {
+  documents.set(document.key, document);
+  documentChunks.forEach(chunk => {
+    const key = `${document.key}#${chunk.position}`;
+    chunks.set(key, { documentKey: document.key, position: chunk.position, section: chunk.section, text: chunk.text });
+    tfidf.addDocument(chunk.text, key);
+  });
+}
+
+function unindexDocument(documentKey) {
+  [...chunks.entries()]
+    .filter(([, chunk]) => chunk.documentKey === documentKey)
+    .forEach(([key]) => {
+      tfidf.removeDocument(key);
+      chunks.delete(key);
+    });
+  documents.delete(documentKey);
+}
+
+function uploadedEntry(document) {
+  return {
+    key: `doc:${document.id}`,
+    id: document.id,
+    source: 'UPLOAD',
+    title: document.title,
+    documentType: document.documentType,
+    notificationNumber: document.notificationNumber,
+    effectiveDate: document.effectiveDate,
+    tags: document.tags,
+    supersededBy: document.supersededBy
+  };
+}
+
+// Titles, dates and supersession change without the text changing; refresh them in place
+function refreshUploaded() {
+  knowledgeDocuments.list({ includeSuperseded: true }).forEach(document => {
+    const entry = uploadedEntry(document);
+    if (documents.has(entry.key)) documents.set(entry.key, entry);
+  });
+}
+
+// Index the built-in documents, .txt files in knowledge-base/ and uploaded documents
+function load() {
+  if (loaded) return;
+  loaded = true;
+
+  builtIn.forEach(document => {
+    indexDocument({
+      key: `builtin:${document.id}`,
+      id: document.id,
+      source: 'BUILT_IN',
+      title: document.id,
+      documentType: 'GUIDE',
+      notificationNumber: null,
+      effectiveDate: null,
+      tags: document.tags,
+      supersededBy: null
+    }, chunkText(document.content));
+  });
+
+  if (fs.existsSync(FILES_DIR)) {
+    fs.readdirSync(FILES_DIR).filter(file => file.endsWith('.txt')).forEach(file => {
+      const text = fs.readFileSync(path.join(FILES_DIR, file), 'utf8');
+      const metadata = extractMetadata(text);
+      indexDocument({
+        key: `file:${file}`,
+        id: file,
+        source: 'FILE',
+        title: file,
+        documentType: metadata.documentType,
+        notificationNumber: metadata.notificationNumber,
+        effectiveDate: metadata.effectiveDate,
+        tags: ['file'],
+        supersededBy: null
+      }, chunkText(text));
+    });
+  }
+
+  const chunksByDocument = new Map();
+  knowledgeDocuments.allChunks().forEach(chunk => {
+    if (!chunksByDocument.has(chunk.documentId)) chunksByDocument.set(chunk.documentId, []);
+    chunksByDocument.get(chunk.documentId).push(chunk);
+  });
+  knowledgeDocuments.list({ includeSuperseded: true }).forEach(document => {
+    indexDocument(uploadedEntry(document), chunksByDocument.get(document.id) || []);
+  });
+
+  console.log(`Knowledge base: ${documents.size} documents in ${chunks.size} chunks`);
+}
+
+// Chunks most relevant to a query, best first. Each carries its document's metadata so answers
+// can cite the notification, section and effective date.
+function search(query, { limit = 3, includeSuperseded = true } = {}) {
+  load();
+  const results = [];
+  if (!String(query || '').trim()) return results;
+
+  tfidf.tfidfs(query, (i, measure, key) => {
+    if (measure <= 0) return;
+    const chunk = chunks.get(key);
+    const document = documents.get(chunk.documentKey);
+    const superseded = Boolean(document.supersededBy);
+    if (superseded && !includeSuperseded) return;
+    results.push({
+      id: key,
+      documentId: document.id,
+      source: document.source,
+      title: document.title,
+      documentType: document.documentType,
+      notificationNumber: document.notificationNumber,
+      effectiveDate: document.effectiveDate,
+      section: chunk.section,
+      text: chunk.text,
+      tags: document.tags,
+      superseded,
+      supersededBy: document.supersededBy,
+      relevance: superseded ? measure * SUPERSEDED_WEIGHT : measure
+    });
+  });
+
+  return results.sort((a, b) => b.relevance - a.relevance).slice(0, limit);
+}
+
+function validDate(value, field) {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const date = parseDate(value);
+  if (!date) throw new KnowledgeError(`${field} is not a valid date`);
+  return date;
+}
+
+// Metadata given with an upload or edit; fields left out stay as they were (or as read from the text)
+function metadataChanges(input) {
+  const changes = {};
+  if (input.title !== undefined) {
+    changes.title = String(input.title || '').trim();
+    if (!changes.title) throw new KnowledgeError('Title cannot be empty');
+  }
+  if (input.documentType !== undefined) {
+    changes.documentType = String(input.documentType).toUpperCase();
+    if (!DOCUMENT_TYPES.includes(changes.documentType)) {
+      throw new KnowledgeError(`documentType must be one of ${DOCUMENT_TYPES.join(', ')}`);
+    }
+  }
+  if (input.notificationNumber !== undefined) changes.notificationNumber = String(input.notificationNumber || '').trim() || null;
+  changes.issuedDate = validDate(input.issuedDate, 'issuedDate');
+  changes.effectiveDate = validDate(input.effectiveDate, 'effectiveDate');
+  if (input.tags !== undefined) {
+    const tags = Array.isArray(input.tags) ? input.tags : String(input.tags || '').split(',');
+    changes.tags = tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean);
+  }
+  Object.keys(changes).forEach(field => changes[field] === undefined && delete changes[field]);
+  return changes;
+}
+
+// Current documents whose notification or circular number is one of `references`
+function currentByReference(references, exceptId) {
+  const keys = new Set(references.filter(Boolean));
+  return knowledgeDocuments.list()
+    .filter(document => document.id !== exceptId && keys.has(referenceKey(document.notificationNumber)));
+}
+
+// Add an uploaded file (PDF or text) or pasted text. The text is chunked and indexed at once.
+// With `previousVersionId` it is the next version of that document; either way, documents it
+// says it supersedes ("in supersession of notification No. ...") are marked superseded by it.
+async function addDocument({ file = null, text = null, metadata = {}, uploadedBy = null, previousVersionId = null }) {
+  load();
+  let previous = null;
+  if (previousVersionId) {
+    previous = knowledgeDocuments.get(previousVersionId);
+    if (!previous) throw new KnowledgeError('Document not found');
+    // A new version always follows the latest one
+    [previous] = knowledgeDocuments.versions(previous.seriesId);
+  }
+
+  let content = text;
+  if (file) {
+    try {
+      content = await extractText(file.buffer, file.originalname);
+    } catch (error) {
+      throw new KnowledgeError(`Could not read ${file.originalname}: ${error.message}`);
+    }
+  }
+  content = String(content || '').trim();
+  if (!content) throw new KnowledgeError(file ? 'No text could be extracted from the file' : 'A file or text is required');
+
+  const extracted = extractMetadata(content);
+  const given = metadataChanges(metadata);
+  const documentChunks = chunkText(content);
+
+  let storedFile = null;
+  if (file) {
+    fs.mkdirSync(STORAGE_DIR, { recursive: true });
+    storedFile = `${Date.now()}-${path.basename(file.originalname)}`;
+    fs.writeFileSync(path.join(STORAGE_DIR, storedFile), file.buffer);
+  }
+
+  const firstLine = content.split(/\r?\n/).map(line => line.trim()).find(Boolean);
+  const document = knowledgeDocuments.create({
+    previousVersionId: previous ? previous.id : null,
+    title: given.title ||
+      (extracted.notificationNumber ? `${extracted.documentType === 'CIRCULAR' ? 'Circular' : 'Notification'} No. ${extracted.notificationNumber}` : null) ||
+      (previous ? previous.title : null) ||
+      (file ? file.originalname : firstLine.slice(0, 120)),
+    documentType: given.documentType || extracted.documentType,
+    notificationNumber: given.notificationNumber !== undefined ? given.notificationNumber : extracted.notificationNumber,
+    issuedDate: given.issuedDate !== undefined ? given.issuedDate : extracted.issuedDate,
+    effectiveDate: given.effectiveDate !== undefined ? given.effectiveDate : extracted.effectiveDate,
+    tags: given.tags || (previous ? previous.tags : []),
+    fileName: file ? file.originalname : null,
+    storedFile,
+    mimeType: file ? file.mimetype : 'text/plain',
+    uploadedBy,
+    chunks: documentChunks
+  });
+
+  currentByReference(extracted.supersedes, document.id)
+    .forEach(replaced => knowledgeDocuments.setSupersededBy(replaced.id, document.id));
+
+  indexDocument(uploadedEntry(document), knowledgeDocuments.chunks(document.id));
+  refreshUploaded();
+  return getDocument(document.id);
+}
+
+// Edit a document's metadata, or mark it superseded by another document (or current again with null)
+function updateDocument(id, input) {
+  load();
+  const document = knowledgeDocuments.get(id);
+  if (!document) return null;
+
+  knowledgeDocuments.update(id, metadataChanges(input));
+  if (input.supersededBy !== undefined) {
+    const supersededBy = input.supersededBy === null || input.supersededBy === '' ? null : parseInt(input.supersededBy);
+    if (supersededBy !== null && (supersededBy === id || !knowledgeDocuments.get(supersededBy))) {
+      throw new KnowledgeError('supersededBy must be the id of another document');
+    }
+    knowledgeDocuments.setSupersededBy(id, supersededBy);
+  }
+
+  refreshUploaded();
+  return getDocument(id);
+}
+
+function removeDocument(id) {
+  load();
+  const document = knowledgeDocuments.get(id);
+  if (!document || !knowledgeDocuments.remove(id)) return false;
+
+  unindexDocument(`doc:${id}`);
+  if (document.storedFile) {
+    fs.rm(path.join(STORAGE_DIR, document.storedFile), { force: true }, error => {
+      if (error) console.error('Error removing knowledge file:', error);
+    });
+  }
+  refreshUploaded();
+  return true;
+}
+
+// An uploaded document with its chunks and every version of it
+function getDocument(id) {
+  const document = knowledgeDocuments.get(id);
+  if (!document) return null;
+  const { storedFile, ...rest } = document;
+  return {
+    ...rest,
+    superseded: Boolean(document.supersededBy),
+    chunks: knowledgeDocuments.chunks(id),
+    versions: knowledgeDocuments.versions(document.seriesId)
+      .map(({ id: versionId, version, title, effectiveDate, supersededBy, createdAt }) => ({ id: versionId, version, title, effectiveDate, supersededBy, createdAt }))
+  };
+}
+
+function listDocuments({ includeSuperseded = false } = {}) {
+  return knowledgeDocuments.list({ includeSuperseded })
+    .map(({ storedFile, ...document }) => ({ ...document, superseded: Boolean(document.supersededBy) }));
+}
+
+// Documents that are not managed through the API, by source
+function fixedDocuments() {
+  load();
+  return [...documents.values()]
+    .filter(document => document.source !== 'UPLOAD')
+    .map(({ id, source, title, documentType, tags }) => ({
+      id,
+      source,
+      title,
+      documentType,
+      tags,
+      chunkCount: [...chunks.values()].filter(chunk => chunk.documentKey === `${source === 'FILE' ? 'file' : 'builtin'}:${id}`).length
+    }));
+}
+
+function stats() {
+  load();
+  return { documents: documents.size, chunks: chunks.size };
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  SUPERSEDED_WEIGHT,
+  KnowledgeError,
+  load,
+  search,
+  addDocument,
+  updateDocument,
+  removeDocument,
+  getDocument,
+  listDocuments,
+  fixedDocuments,
+  stats
+};
@@ -0,0 +1,150 @@
+// pdf-parse's main file reads a test PDF when it is not required from another module, so use the library directly
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+
+// Chunks aim for about this many characters, ending at a sentence where possible
+const CHUNK_CHARS = 1000;
+const MAX_CHUNK_CHARS = 1600;
+
+const DOCUMENT_TYPES = ['NOTIFICATION', 'CIRCULAR', 'ORDER', 'INSTRUCTION', 'GUIDE', 'OTHER'];
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+// Plain text of an uploaded PDF or text file
+async function extractText(buffer, fileName) {
+  if (/\.pdf$/i.test(fileName)) {
+    // Small buffers are slices of Node's shared pool, and the bundled pdf.js ignores the offset,
+    // so it gets a copy that starts at the beginning of its own memory
+    const pdf = await pdfParse(new Uint8Array(buffer));
+    return pdf.text;
+  }
+  return buffer.toString('utf8');
+}
+
+function isoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().split('T')[0];
+}
+
+// Dates as CBIC writes them: "1st day of October, 2024", "10th July, 2024", "October 1, 2024",
+// "01.10.2024", "01/10/2024" or "2024-10-01"
+const DATE_PATTERN = '(\\d{1,2}(?:st|nd|rd|th)?\\s+(?:day\\s+of\\s+)?[A-Za-z]+,?\\s+\\d{4}|[A-Za-z]+\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}|\\d{1,2}[./-]\\d{1,2}[./-]\\d{4}|\\d{4}-\\d{2}-\\d{2})';
+
+function parseDate(text) {
+  const value = String(text || '').trim();
+  let match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (match) return isoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+  match = value.match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{4})$/);
+  if (match) return isoDate(Number(match[3]), Number(match[2]), Number(match[1]));
+  match = value.match(/^(\d{1,2})(?:st|nd|rd|th)?\s+(?:day\s+of\s+)?([A-Za-z]+),?\s+(\d{4})$/i);
+  if (match && MONTHS.includes(match[2].toLowerCase())) {
+    return isoDate(Number(match[3]), MONTHS.indexOf(match[2].toLowerCase()) + 1, Number(match[1]));
+  }
+  match = value.match(/^([A-Za-z]+)\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})$/);
+  if (match && MONTHS.includes(match[1].toLowerCase())) {
+    return isoDate(Number(match[3]), MONTHS.indexOf(match[1].toLowerCase()) + 1, Number(match[2]));
+  }
+  return null;
+}
+
+function findDate(text, lead) {
+  const match = text.match(new RegExp(`${lead}\\s*${DATE_PATTERN}`, 'i'));
+  return match ? parseDate(match[1]) : null;
+}
+
+const tidy = value => value.replace(/\s+/g, ' ').replace(/\s*([/–-])\s*/g, '$1').trim();
+
+// The number part of a notification or circular reference, e.g. "12/2024" or "170/02/2022",
+// for matching references written in different ways
+function referenceKey(number) {
+  const match = String(number || '').match(/\d+\s*\/\s*\d+(?:\s*\/\s*\d+)?/);
+  return match ? match[0].replace(/\s/g, '') : null;
+}
+
+// What can be read off the document itself: its type and number, when it was issued, when it
+// takes effect, and the notifications or circulars it replaces
+function extractMetadata(text) {
+  const head = text.slice(0, 4000);
+  const metadata = { documentType: 'OTHER', notificationNumber: null, issuedDate: null, effectiveDate: null, supersedes: [] };
+
+  const circular = head.match(/Circular\s+No\.?\s*[:-]?\s*(\d+\s*\/\s*\d+\s*\/\s*\d{4}(?:\s*[-–]\s*GST)?)/i);
+  const notification = head.match(/Notification\s+No\.?\s*[:-]?\s*(\d+\s*\/\s*\d{4}(?:\s*[-–]\s*(?:Central|Integrated|Union Territory|Compensation)\s+(?:Tax|Cess)(?:\s*\(Rate\))?)?)/i);
+  if (circular) {
+    metadata.documentType = 'CIRCULAR';
+    metadata.notificationNumber = tidy(circular[1]);
+  } else if (notification) {
+    metadata.documentType = 'NOTIFICATION';
+    metadata.notificationNumber = tidy(notification[1]);
+  } else if (/^\s*(?:\S+\s+){0,20}?Order\s+No\.?/i.test(head)) {
+    metadata.documentType = 'ORDER';
+  } else if (/^\s*(?:\S+\s+){0,20}?Instruction\s+No\.?/i.test(head)) {
+    metadata.documentType = 'INSTRUCTION';
+  }
+
+  metadata.issuedDate = findDate(head, '(?:Dated|New Delhi,?\\s+the|Date)\\s*[:,-]?\\s*(?:the\\s+)?');
+  metadata.effectiveDate = findDate(text, '(?:come into force|with effect from|effective from|w\\.e\\.f\\.?)\\s*(?:on|from)?\\s*(?:the\\s+)?') ||
+    metadata.issuedDate;
+
+  const supersession = /supersession\s+of\s+[^.]{0,200}?(?:notification|circular)\s+No\.?\s*(\d+\s*\/\s*\d+(?:\s*\/\s*\d+)?)/gi;
+  let match;
+  while ((match = supersession.exec(text))) {
+    metadata.supersedes.push(referenceKey(match[1]));
+  }
+  return metadata;
+}
+
+// Headings that start a new section: sections, rules and chapters of the Acts, and the
+// numbered paragraphs circulars are written in ("3. Clarification on ...")
+const ACT_HEADING = /^(?:section|rule|chapter|para(?:graph)?|schedule)\s+[\dIVX]+[A-Z]?(?:\(\d+\))*(?:\s|$)/i;
+const NUMBERED_HEADING = /^\d{1,2}(?:\.\d{1,2})*\.\s+[A-Z]/;
+
+function isHeading(line) {
+  return line.length <= 100 && (ACT_HEADING.test(line) || (NUMBERED_HEADING.test(line) && !/[.;,]$/.test(line)));
+}
+
+// Split text into chunks of about CHUNK_CHARS, each remembering the section it came from.
+// PDF text breaks every line, so lines are joined and chunks end at a sentence where they can.
+function chunkText(text) {
+  const chunks = [];
+  let section = null;
+  let buffer = [];
+  let length = 0;
+
+  const flush = () => {
+    const chunkText = buffer.join(' ').replace(/\s+/g, ' ').trim();
+    if (chunkText) chunks.push({ position: chunks.length, section, text: chunkText });
+    buffer = [];
+    length = 0;
+  };
+
+  String(text || '')
+    .split(/\r?\n/)
+    // Text pasted without line breaks is split into sentences instead
+    .flatMap(line => (line.length > MAX_CHUNK_CHARS ? line.split(/(?<=[.;])\s+/) : [line]))
+    .forEach(rawLine => {
+      const line = rawLine.trim();
+      if (!line) {
+        if (length >= CHUNK_CHARS / 2) flush();
+        return;
+      }
+      if (isHeading(line)) {
+        flush();
+        section = line.replace(/\s+/g, ' ');
+      }
+      buffer.push(line);
+      length += line.length + 1;
+      if ((length >= CHUNK_CHARS && /[.:;]$/.test(line)) || length >= MAX_CHUNK_CHARS) flush();
+    });
+  flush();
+
+  return chunks;
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  extractText,
+  extractMetadata,
+  referenceKey,
+  parseDate,
+  chunkText
+};
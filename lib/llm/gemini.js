@@ -0,0 +1,61 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const PLACEHOLDER_KEY = 'mock-api-key-for-development';
+
+let client = null;
+
+function getClient() {
+  if (!client) client = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+  return client;
+}
+
+// Google Gemini through GEMINI_API_KEY; GEMINI_MODEL picks the model (default gemini-pro)
+module.exports = {
+  name: 'gemini',
+
+  isConfigured() {
+    return Boolean(process.env.GEMINI_API_KEY) && process.env.GEMINI_API_KEY !== PLACEHOLDER_KEY;
+  },
+
+  model() {
+    return process.env.GEMINI_MODEL || 'gemini-pro';
+  },
+
+  // Gemini takes a single prompt here, so the instructions and context go in front of it
+  async generate(request, { timeoutMs }) {
+    const result = await this.client(request, timeoutMs).generateContent(this.prompt(request));
+    const response = await result.response;
+    return { text: response.text(), usage: this.usage(response) };
+  },
+
+  // This version of the SDK takes no abort signal, so a cancelled answer stops being read instead.
+  // Its timeout would abort the whole answer however steadily it arrives, so none is given here
+  // and the caller times out the gaps between pieces.
+  async stream(request, { signal, onText }) {
+    const result = await this.client(request).generateContentStream(this.prompt(request));
+    let text = '';
+    for await (const chunk of result.stream) {
+      if (signal && signal.aborted) break;
+      const piece = chunk.text();
+      text += piece;
+      onText(piece);
+    }
+    return { text, usage: signal && signal.aborted ? null : this.usage(await result.response) };
+  },
+
+  client({ maxTokens, temperature }, timeoutMs) {
+    return getClient().getGenerativeModel({
+      model: this.model(),
+      generationConfig: { maxOutputTokens: maxTokens, temperature }
+    }, { timeout: timeoutMs });
+  },
+
+  prompt({ system, context, prompt }) {
+    return [system, context ? `Context: ${context}` : '', prompt].filter(Boolean).join('\n\n');
+  },
+
+  usage(response) {
+    const usage = response.usageMetadata;
+    return usage ? { promptTokens: usage.promptTokenCount, completionTokens: usage.candidatesTokenCount } : null;
+  }
+};
@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+const gemini = require('./gemini');
+const openai = require('./openai');
+const offline = require('./offline');
+const { createScriptedProvider } = require('./scripted');
+
+// Language model backends, by name. A provider has a name, isConfigured(), model() and
+// generate(request, { timeoutMs, signal }) resolving to { text, usage }, where usage is
+// { promptTokens, completionTokens } or null when the backend does not report it. Providers
+// that can stream also have stream(request, { timeoutMs, signal, onText }), which passes the
+// text to onText as it arrives and resolves the same way; for a stream, timeoutMs is the longest
+// wait for the next piece, not for the whole answer. `cacheable: false` keeps its
+// responses out of the cache.
+const providers = new Map();
+
+function registerProvider(provider) {
+  providers.set(provider.name, provider);
+}
+
+[gemini, openai, offline].forEach(registerProvider);
+
+const TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS) || 30000;
+const RETRIES = process.env.LLM_RETRIES !== undefined ? Number(process.env.LLM_RETRIES) : 2;
+const RETRY_DELAY_MS = 500;
+// LLM_CACHE_TTL_SECONDS=0 turns the response cache off
+const CACHE_TTL_SECONDS = process.env.LLM_CACHE_TTL_SECONDS !== undefined ? Number(process.env.LLM_CACHE_TTL_SECONDS) : 3600;
+
+const cache = new NodeCache({ stdTTL: CACHE_TTL_SECONDS, checkperiod: 600 });
+
+// Counters since the server started, by provider
+const usage = new Map();
+
+function usageFor(name) {
+  if (!usage.has(name)) {
+    usage.set(name, { requests: 0, cacheHits: 0, failures: 0, retries: 0, promptTokens: 0, completionTokens: 0, estimatedResponses: 0 });
+  }
+  return usage.get(name);
+}
+
+// Rough count for backends that do not report usage: about four characters to a token
+const estimateTokens = text => Math.ceil(String(text || '').length / 4);
+
+let warned = false;
+
+// LLM_PROVIDER names the backend (gemini, openai or offline). Without it, Gemini is used when
+// GEMINI_API_KEY is set, then an OpenAI-compatible endpoint when LLM_BASE_URL is, then offline.
+function getProvider(name = process.env.LLM_PROVIDER) {
+  if (name) {
+    const provider = providers.get(name);
+    if (provider && provider.isConfigured()) return provider;
+    if (!warned) {
+      console.log(`LLM provider "${name}" is not ${provider ? 'configured' : 'known'}, using offline responses`);
+      warned = true;
+    }
+    return offline;
+  }
+  return [gemini, openai].find(provider => provider.isConfigured()) || offline;
+}
+
+function cacheKey(provider, request) {
+  const { system, context, prompt, maxTokens, temperature } = request;
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([provider.name, provider.model(), system, context, prompt, maxTokens, temperature]))
+    .digest('hex');
+}
+
+// Timeouts, rate limits, server errors and dropped connections are worth another try; a
+// rejected request (bad key, unknown model) is not
+function isRetryable(error) {
+  if (error.timedOut || ['ECONNABORTED', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT'].includes(error.code)) return true;
+  const status = error.response ? error.response.status : Number((String(error.message).match(/\[(\d{3})[ \]]/) || [])[1]);
+  return status === 429 || status >= 500;
+}
+
+function timedOut(message) {
+  const error = new Error(message);
+  error.timedOut = true;
+  return error;
+}
+
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(timedOut(`No response within ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// A streamed answer may take longer than the timeout as a whole; it only times out when no text
+// arrives for that long, before the first piece or between two. `run` is given the function to
+// call on every piece, which starts the wait again.
+function withIdleTimeout(run, timeoutMs) {
+  let timer;
+  let fail;
+  const timeout = new Promise((resolve, reject) => {
+    fail = reject;
+  });
+  const restart = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => fail(timedOut(`No text for ${timeoutMs}ms`)), timeoutMs);
+  };
+  restart();
+  return Promise.race([run(restart), timeout]).finally(() => clearTimeout(timer));
+}
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// The caller gave up on the answer (the user cancelled it); never retried or replaced by the fallback
+class CancelledError extends Error {
+  constructor() {
+    super('Cancelled');
+    this.name = 'CancelledError';
+  }
+}
+
+// Ask the configured model. `prompt` is the question or task, `context` the user's data it is
+// about and `system` the standing instructions; the same three (for the same provider and
+// model) are answered from the cache. Failed calls are retried with backoff. When every
+// attempt fails, the caller's `fallback` text is returned if it gave one, otherwise the error
+// is thrown. Resolves to { text, provider, model, cached, fallback, usage }.
+function generate(request, options = {}) {
+  return complete(request, options, null);
+}
+
+// generate() that hands the text to `onText` piece by piece as the model writes it. Backends
+// that cannot stream, cached answers and the fallback arrive in one piece. A call is only
+// retried while nothing has been passed on. The timeout counts from the last piece, so a long
+// answer that keeps coming is not cut off. Aborting `signal` stops it with a CancelledError.
+function stream(request, { onText, ...options } = {}) {
+  return complete(request, options, onText);
+}
+
+async function complete(request, { provider: name, cache: useCache = true, timeoutMs = TIMEOUT_MS, retries = RETRIES, signal } = {}, onText) {
+  const provider = getProvider(name);
+  const normalized = {
+    system: request.system || '',
+    context: request.context || '',
+    prompt: request.prompt,
+    maxTokens: request.maxTokens || 1024,
+    temperature: request.temperature !== undefined ? request.temperature : 0.2,
+    fallback: request.fallback || null
+  };
+  const stats = usageFor(provider.name);
+  const result = (text, tokens, extra) => ({ text, provider: provider.name, model: provider.model(), usage: tokens, ...extra });
+
+  let streamed = false;
+  const emit = text => {
+    if (!onText || !text || (signal && signal.aborted)) return;
+    streamed = true;
+    onText(text);
+  };
+  const checkCancelled = () => {
+    if (signal && signal.aborted) throw new CancelledError();
+  };
+  checkCancelled();
+
+  const cacheable = useCache && CACHE_TTL_SECONDS > 0 && provider.cacheable !== false;
+  const key = cacheKey(provider, normalized);
+  const hit = cacheable ? cache.get(key) : undefined;
+  if (hit) {
+    stats.cacheHits++;
+    emit(hit.text);
+    return result(hit.text, hit.usage, { cached: true, fallback: false });
+  }
+
+  let lastError;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) {
+      stats.retries++;
+      await delay(RETRY_DELAY_MS * 2 ** (attempt - 1));
+      checkCancelled();
+    }
+    stats.requests++;
+    try {
+      const response = onText && provider.stream
+        ? await withIdleTimeout(restart => provider.stream(normalized, {
+          timeoutMs,
+          signal,
+          onText: text => {
+            restart();
+            emit(text);
+          }
+        }), timeoutMs)
+        : await withTimeout(provider.generate(normalized, { timeoutMs, signal }), timeoutMs);
+      checkCancelled();
+      if (onText && !provider.stream) emit(response.text);
+
+      const tokens = {
+        promptTokens: response.usage ? response.usage.promptTokens : estimateTokens(`${normalized.system}${normalized.context}${normalized.prompt}`),
+        completionTokens: response.usage ? response.usage.completionTokens : estimateTokens(response.text),
+        estimated: !response.usage
+      };
+      stats.promptTokens += tokens.promptTokens;
+      stats.completionTokens += tokens.completionTokens;
+      if (tokens.estimated) stats.estimatedResponses++;
+
+      if (cacheable) cache.set(key, { text: response.text, usage: tokens });
+      return result(response.text, tokens, { cached: false, fallback: false });
+    } catch (error) {
+      checkCancelled();
+      stats.failures++;
+      lastError = error;
+      // Half an answer has gone out already; starting again would repeat it
+      if (streamed || !isRetryable(error)) break;
+    }
+  }
+
+  console.error(`Error calling ${provider.name} model:`, lastError.message);
+  if (normalized.fallback && !streamed) {
+    emit(normalized.fallback);
+    return result(normalized.fallback, null, { cached: false, fallback: true, error: lastError.message });
+  }
+  throw lastError;
+}
+
+// The provider in use, the cache and the counters, for the usage endpoint
+function getUsage() {
+  const provider = getProvider();
+  const cacheStats = cache.getStats();
+  return {
+    provider: { name: provider.name, model: provider.model() },
+    available: [...providers.values()].map(item => ({ name: item.name, model: item.model(), configured: item.isConfigured() })),
+    cache: { ttlSeconds: CACHE_TTL_SECONDS, entries: cacheStats.keys, hits: cacheStats.hits, misses: cacheStats.misses },
+    usage: Object.fromEntries(usage)
+  };
+}
+
+function clearCache() {
+  cache.flushAll();
+}
+
+module.exports = {
+  CancelledError,
+  registerProvider,
+  getProvider,
+  generate,
+  stream,
+  getUsage,
+  clearCache,
+  createScriptedProvider
+};
@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+
+const GENERAL_ANSWERS = [
+  'Based on your recent filing, you should focus on claiming all eligible Input Tax Credit to reduce your liability.',
+  'For GST filing, ensure you maintain proper documentation of all invoices and keep track of your HSN codes.',
+  'I recommend filing your returns at least 2 days before the deadline to avoid last-minute technical issues.',
+  'Your tax liability seems reasonable for your business size. Consider consulting with a tax professional for optimized planning.',
+  'Based on your sales pattern, you might benefit from the composition scheme if eligible. Would you like me to explain it?'
+];
+
+// Works without a model or network, and gives the same answer to the same request every time,
+// so demos and tests are reproducible. A caller that has its own template answer passes it as
+// `fallback` and gets it back; anything else gets one of a few general answers, picked by the
+// request rather than at random.
+module.exports = {
+  name: 'offline',
+  // Answers are computed on the spot and may be the caller's template, so they are never cached
+  cacheable: false,
+
+  isConfigured() {
+    return true;
+  },
+
+  model() {
+    return 'canned';
+  },
+
+  async generate({ context, prompt, fallback }) {
+    if (fallback) return { text: fallback, usage: null };
+    const digest = crypto.createHash('sha256').update(`${context || ''}\n${prompt}`).digest();
+    return { text: GENERAL_ANSWERS[digest.readUInt32BE(0) % GENERAL_ANSWERS.length], usage: null };
+  },
+
+  // The same answer a word at a time, yielding between words so each can be sent on before the next
+  async stream(request, { signal, onText }) {
+    const response = await this.generate(request);
+    for (const word of response.text.match(/\S+\s*|\s+/g) || []) {
+      if (signal && signal.aborted) break;
+      onText(word);
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    return response;
+  }
+};
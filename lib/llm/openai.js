@@ -0,0 +1,78 @@
+const axios = require('axios');
+
+// Any server with an OpenAI-style /chat/completions endpoint: a local Ollama, llama.cpp,
+// vLLM or LM Studio, or a hosted one. LLM_BASE_URL is the API root (e.g.
+// http://localhost:11434/v1), LLM_MODEL the model name, and LLM_API_KEY is sent as a
+// bearer token when set.
+module.exports = {
+  name: 'openai',
+
+  isConfigured() {
+    return Boolean(process.env.LLM_BASE_URL);
+  },
+
+  model() {
+    return process.env.LLM_MODEL || 'llama3';
+  },
+
+  async generate(request, { timeoutMs, signal }) {
+    const response = await axios.post(this.url(), this.body(request), { headers: this.headers(), timeout: timeoutMs, signal });
+
+    const choice = response.data.choices && response.data.choices[0];
+    if (!choice || !choice.message) throw new Error('No completion in the response');
+    const usage = response.data.usage;
+    return {
+      text: choice.message.content,
+      usage: usage ? { promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens } : null
+    };
+  },
+
+  // With `stream: true` the server sends server-sent events, one `data:` line per piece of text
+  // and `data: [DONE]` at the end
+  async stream(request, { timeoutMs, signal, onText }) {
+    const response = await axios.post(this.url(), { ...this.body(request), stream: true }, {
+      headers: this.headers(),
+      timeout: timeoutMs,
+      signal,
+      responseType: 'stream'
+    });
+
+    let text = '';
+    let usage = null;
+    let pending = '';
+    for await (const chunk of response.data) {
+      pending += chunk.toString('utf8');
+      const lines = pending.split('\n');
+      pending = lines.pop();
+      for (const line of lines) {
+        if (!line.startsWith('data:')) continue;
+        const data = line.slice(5).trim();
+        if (!data || data === '[DONE]') continue;
+        const event = JSON.parse(data);
+        const piece = event.choices && event.choices[0] && event.choices[0].delta ? event.choices[0].delta.content : null;
+        if (piece) {
+          text += piece;
+          onText(piece);
+        }
+        if (event.usage) usage = { promptTokens: event.usage.prompt_tokens, completionTokens: event.usage.completion_tokens };
+      }
+    }
+    return { text, usage };
+  },
+
+  url() {
+    return `${process.env.LLM_BASE_URL.replace(/\/$/, '')}/chat/completions`;
+  },
+
+  headers() {
+    return process.env.LLM_API_KEY ? { Authorization: `Bearer ${process.env.LLM_API_KEY}` } : {};
+  },
+
+  body({ system, context, prompt, maxTokens, temperature }) {
+    const messages = [];
+    const instructions = [system, context ? `Context: ${context}` : ''].filter(Boolean).join('\n\n');
+    if (instructions) messages.push({ role: 'system', content: instructions });
+    messages.push({ role: 'user', content: prompt });
+    return { model: this.model(), messages, max_tokens: maxTokens, temperature };
+  }
+};
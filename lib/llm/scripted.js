@@ -0,0 +1,33 @@
+// A model that plays back a script, for exercising callers such as the agent loop without a
+// backend. Each reply is a string, an object (sent as JSON, the way the agent's tool calls are
+// written) or a function of the request returning either. Requests are kept in `requests` so
+// the prompts a caller sent can be checked afterwards. Register it with registerProvider() and
+// pass its name as the `provider` option of generate().
+function createScriptedProvider(name, replies) {
+  const script = [...replies];
+  return {
+    name,
+    cacheable: false,
+    requests: [],
+
+    isConfigured() {
+      return true;
+    },
+
+    model() {
+      return 'scripted';
+    },
+
+    async generate(request) {
+      this.requests.push(request);
+      if (!script.length) throw new Error(`Script "${name}" has no reply left`);
+      let reply = script.shift();
+      if (typeof reply === 'function') reply = await reply(request);
+      return { text: typeof reply === 'string' ? reply : JSON.stringify(reply), usage: null };
+    }
+  };
+}
+
+module.exports = {
+  createScriptedProvider
+};
@@ -0,0 +1,223 @@
+const { round2, assessLine } = require('./tax');
+const { assessPurchase, summarizeItc } = require('./itc');
+const { rateForLine } = require('./hsn');
+const { filings } = require('./repositories');
+
+// Interest on tax paid late, per annum (Section 50(1) of the CGST Act)
+const INTEREST_RATE = 18;
+
+// Late fee per day and the most that can be charged for one return, as totals of the CGST and
+// SGST Acts (half under each). Caps depend on the aggregate turnover of the preceding financial year.
+const MONTHLY_RETURN_FEE = {
+  perDay: 50,
+  nilPerDay: 20,
+  nilCap: 500,
+  caps: [
+    { upTo: 1.5e7, cap: 2000 },
+    { upTo: 5e7, cap: 5000 },
+    { upTo: Infinity, cap: 10000 }
+  ]
+};
+
+const LATE_FEES = {
+  // Notifications 19/2021-CT (GSTR-3B) and 20/2021-CT (GSTR-1)
+  'GSTR-1': MONTHLY_RETURN_FEE,
+  'GSTR-3B': MONTHLY_RETURN_FEE,
+  // Notification 21/2021-CT
+  'GSTR-4': {
+    perDay: 50,
+    nilPerDay: 20,
+    nilCap: 500,
+    caps: [{ upTo: Infinity, cap: 2000 }]
+  },
+  // Notification 07/2023-CT; the cap is a share of the turnover in the state
+  'GSTR-9': {
+    perDayByTurnover: [
+      { upTo: 5e7, perDay: 50, capRate: 0.04 },
+      { upTo: 2e8, perDay: 100, capRate: 0.04 },
+      { upTo: Infinity, perDay: 200, capRate: 0.5 }
+    ]
+  }
+};
+
+// Forms through which tax is paid, and so carry interest when paid late
+const PAYMENT_FORMS = ['GSTR-3B', 'PMT-06', 'CMP-08'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+}
+
+function addDays(isoDate, days) {
+  return new Date(Date.parse(isoDate) + days * DAY_MS).toISOString().split('T')[0];
+}
+
+// Split a total fee equally between the CGST and SGST Acts
+function splitFee(total) {
+  return { cgst: round2(total / 2), sgst: round2(total / 2), total: round2(total) };
+}
+
+function lateFeeFor(form, daysLate, { nilReturn, turnover, stateTurnover }, assumptions) {
+  const rules = LATE_FEES[form];
+  if (!rules || daysLate <= 0) {
+    return { applicable: Boolean(rules), days: Math.max(daysLate, 0), perDay: 0, cap: null, capped: false, ...splitFee(0) };
+  }
+
+  let perDay;
+  let cap;
+  if (rules.perDayByTurnover) {
+    const bracket = rules.perDayByTurnover.find(item => (turnover || 0) <= item.upTo);
+    perDay = bracket.perDay;
+    const base = stateTurnover !== null ? stateTurnover : turnover;
+    cap = base !== null ? round2(base * bracket.capRate / 100) : null;
+    if (turnover === null) assumptions.push('Aggregate turnover not given; the lowest per-day fee is used');
+    if (cap === null) assumptions.push('Turnover in the state not given, so the late fee is shown without its cap');
+  } else if (nilReturn) {
+    perDay = rules.nilPerDay;
+    cap = rules.nilCap;
+  } else {
+    perDay = rules.perDay;
+    if (turnover === null) assumptions.push('Aggregate turnover not given; the cap for turnover up to ₹1.5 crore is used');
+    cap = rules.caps.find(item => (turnover || 0) <= item.upTo).cap;
+  }
+
+  const uncapped = perDay * daysLate;
+  const total = cap !== null ? Math.min(uncapped, cap) : uncapped;
+  return {
+    applicable: true,
+    days: daysLate,
+    perDay,
+    cap,
+    capped: cap !== null && uncapped > cap,
+    ...splitFee(total)
+  };
+}
+
+// Interest accrues on the tax paid in cash from the day after the due date up to the payment date
+function interestFor(principal, dueDate, paidOn) {
+  const days = Math.max(daysBetween(dueDate, paidOn), 0);
+  const daily = principal * INTEREST_RATE / 100 / 365;
+  const breakdown = [];
+  for (let day = 1; day <= days; day++) {
+    breakdown.push({
+      day,
+      date: addDays(dueDate, day),
+      interest: round2(daily),
+      cumulative: round2(daily * day)
+    });
+  }
+
+  return {
+    rate: INTEREST_RATE,
+    principal: round2(principal),
+    days,
+    total: round2(daily * days),
+    breakdown
+  };
+}
+
+// Late fee and interest for a return filed (or tax paid) after its due date.
+// `taxAmount` is the tax for the period and `itcUtilised` the credit set off against it;
+// interest runs only on the rest, the net cash liability.
+function calculatePenalty({
+  form,
+  dueDate,
+  filedOn,
+  paidOn = null,
+  taxAmount = 0,
+  itcUtilised = 0,
+  nilReturn = false,
+  turnover = null,
+  stateTurnover = null
+}) {
+  const assumptions = [];
+  const paymentDate = paidOn || filedOn;
+
+  const lateFee = lateFeeFor(form, daysBetween(dueDate, filedOn), { nilReturn, turnover, stateTurnover }, assumptions);
+
+  let interest = null;
+  if (PAYMENT_FORMS.includes(form)) {
+    const principal = Math.max((taxAmount || 0) - (itcUtilised || 0), 0);
+    interest = interestFor(principal, dueDate, paymentDate);
+    if (!paidOn && interest.days > 0) assumptions.push('Tax taken as paid on the filing date');
+  }
+
+  return {
+    form,
+    dueDate,
+    filedOn,
+    paidOn: paymentDate,
+    daysLate: Math.max(daysBetween(dueDate, filedOn), 0),
+    lateFee,
+    interest,
+    total: round2(lateFee.total + (interest ? interest.total : 0)),
+    assumptions
+  };
+}
+
+// Tax on a period's uploaded sales and the credit its purchases make available to set off,
+// for estimating interest on returns that are still unfiled. Null when nothing was uploaded.
+function estimateLiability(salesLines, purchaseLines, stateCode) {
+  if (salesLines.length === 0) return null;
+
+  const taxAmount = salesLines.reduce((total, line) => {
+    const tax = assessLine(line, stateCode, rateForLine);
+    return total + tax.igst + tax.cgst + tax.sgst + tax.utgst + tax.cess;
+  }, 0);
+
+  purchaseLines.forEach(line => {
+    if (!line.itc) assessPurchase(line, stateCode);
+  });
+  const itcAvailable = purchaseLines.length > 0 ? summarizeItc(purchaseLines).available.total : 0;
+
+  return {
+    taxAmount: round2(Math.max(taxAmount, 0)),
+    itcUtilised: round2(Math.min(itcAvailable, Math.max(taxAmount, 0)))
+  };
+}
+
+// Liability estimated from what was uploaded under the business's GSTIN for a deadline's period.
+// The deadlines list, reminders, the report and the assistant all read it here, so one return
+// never shows two interest figures.
+function liabilityForDeadline(business, deadline) {
+  return estimateLiability(
+    filings.linesForPeriod(business.id, business.gstin, deadline.periodFrom, deadline.periodTo, 'SALE'),
+    filings.linesForPeriod(business.id, business.gstin, deadline.periodFrom, deadline.periodTo, 'PURCHASE'),
+    business.stateCode
+  );
+}
+
+// Late fee and interest run up so far on a deadline that is past due and still unfiled
+function runningPenalty(deadline, liability, { today = new Date().toISOString().split('T')[0], turnover = null } = {}) {
+  const penalty = calculatePenalty({
+    form: deadline.form,
+    dueDate: deadline.dueDate,
+    filedOn: today,
+    paidOn: today,
+    taxAmount: liability ? liability.taxAmount : 0,
+    itcUtilised: liability ? liability.itcUtilised : 0,
+    turnover
+  });
+
+  // The day-by-day breakdown is for the calculator; a running total is enough here
+  if (penalty.interest) {
+    delete penalty.interest.breakdown;
+    if (liability) {
+      penalty.assumptions.push('Tax estimated from the sales and purchases uploaded for the period');
+    } else {
+      penalty.assumptions.push('No sales uploaded for the period, so interest cannot be estimated');
+    }
+  }
+  return penalty;
+}
+
+module.exports = {
+  INTEREST_RATE,
+  LATE_FEES,
+  PAYMENT_FORMS,
+  calculatePenalty,
+  estimateLiability,
+  liabilityForDeadline,
+  runningPenalty
+};
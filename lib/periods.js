@@ -0,0 +1,89 @@
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'];
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function lastDayOfMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+// Build a monthly tax period from a year and a 1-based month
+function monthPeriod(year, month) {
+  return {
+    year,
+    month,
+    key: `${year}-${pad(month)}`,
+    fp: `${pad(month)}${year}`,
+    from: `${year}-${pad(month)}-01`,
+    to: `${year}-${pad(month)}-${pad(lastDayOfMonth(year, month))}`,
+    label: `${MONTH_NAMES[month - 1]} ${year}`
+  };
+}
+
+// Parse a monthly tax period written as GSTN "MMYYYY" or "YYYY-MM"; returns null if invalid
+function parsePeriod(value) {
+  const text = String(value || '').trim();
+  let match = text.match(/^(\d{2})(\d{4})$/);
+  if (match) return validPeriod(parseInt(match[2], 10), parseInt(match[1], 10));
+
+  match = text.match(/^(\d{4})-(\d{1,2})$/);
+  if (match) return validPeriod(parseInt(match[1], 10), parseInt(match[2], 10));
+
+  return null;
+}
+
+function validPeriod(year, month) {
+  if (month < 1 || month > 12 || year < 2017) return null;
+  return monthPeriod(year, month);
+}
+
+// Monthly period an ISO date (YYYY-MM-DD) falls in
+function periodOfDate(isoDate) {
+  const [year, month] = isoDate.split('-').map(Number);
+  return monthPeriod(year, month);
+}
+
+// Financial year ("2024-25") a monthly period belongs to
+function financialYearOf(period) {
+  const startYear = period.month >= 4 ? period.year : period.year - 1;
+  return `${startYear}-${String(startYear + 1).slice(2)}`;
+}
+
+// Months a period spans, as { key, label, from, to } with monthly periods at either end. Takes a
+// month ("2025-01" or "012025"), a quarter of a financial year ("2024-25-Q4") or a financial year
+// ("2024-25"); returns null if invalid.
+function parsePeriodRange(value) {
+  const text = String(value || '').trim();
+  const month = parsePeriod(text);
+  if (month) return { key: month.key, label: month.label, from: month, to: month };
+
+  const match = text.match(/^(\d{4})-(\d{2})(?:-Q([1-4]))?$/i);
+  if (!match || Number(match[2]) !== (Number(match[1]) + 1) % 100 || Number(match[1]) < 2017) return null;
+  const startYear = Number(match[1]);
+  const fy = `${startYear}-${match[2]}`;
+  const monthAt = index => monthPeriod(startYear + Math.floor((index + 3) / 12), ((index + 3) % 12) + 1);
+
+  if (!match[3]) {
+    return { key: fy, label: `FY ${fy}`, from: monthAt(0), to: monthAt(11) };
+  }
+  const quarter = Number(match[3]);
+  const from = monthAt((quarter - 1) * 3);
+  const to = monthAt((quarter - 1) * 3 + 2);
+  return {
+    key: `${fy}-Q${quarter}`,
+    label: `Q${quarter} ${fy} (${MONTH_NAMES[from.month - 1]}–${MONTH_NAMES[to.month - 1]} ${to.year})`,
+    from,
+    to
+  };
+}
+
+module.exports = {
+  MONTH_NAMES,
+  monthPeriod,
+  parsePeriod,
+  periodOfDate,
+  financialYearOf,
+  parsePeriodRange
+};
@@ -0,0 +1,168 @@
+// GST state and union territory codes. `ut` marks union territories without a legislature,
+// where UTGST is levied instead of SGST on intra-territory supplies.
+const STATES = [
+  { code: '01', name: 'Jammu and Kashmir', abbreviation: 'JK' },
+  { code: '02', name: 'Himachal Pradesh', abbreviation: 'HP' },
+  { code: '03', name: 'Punjab', abbreviation: 'PB' },
+  { code: '04', name: 'Chandigarh', abbreviation: 'CH', ut: true },
+  { code: '05', name: 'Uttarakhand', abbreviation: 'UK', aliases: ['Uttaranchal'] },
+  { code: '06', name: 'Haryana', abbreviation: 'HR' },
+  { code: '07', name: 'Delhi', abbreviation: 'DL', aliases: ['New Delhi', 'NCT of Delhi'] },
+  { code: '08', name: 'Rajasthan', abbreviation: 'RJ' },
+  { code: '09', name: 'Uttar Pradesh', abbreviation: 'UP' },
+  { code: '10', name: 'Bihar', abbreviation: 'BR' },
+  { code: '11', name: 'Sikkim', abbreviation: 'SK' },
+  { code: '12', name: 'Arunachal Pradesh', abbreviation: 'AR' },
+  { code: '13', name: 'Nagaland', abbreviation: 'NL' },
+  { code: '14', name: 'Manipur', abbreviation: 'MN' },
+  { code: '15', name: 'Mizoram', abbreviation: 'MZ' },
+  { code: '16', name: 'Tripura', abbreviation: 'TR' },
+  { code: '17', name: 'Meghalaya', abbreviation: 'ML' },
+  { code: '18', name: 'Assam', abbreviation: 'AS' },
+  { code: '19', name: 'West Bengal', abbreviation: 'WB' },
+  { code: '20', name: 'Jharkhand', abbreviation: 'JH' },
+  { code: '21', name: 'Odisha', abbreviation: 'OD', aliases: ['Orissa'] },
+  { code: '22', name: 'Chhattisgarh', abbreviation: 'CG' },
+  { code: '23', name: 'Madhya Pradesh', abbreviation: 'MP' },
+  { code: '24', name: 'Gujarat', abbreviation: 'GJ' },
+  { code: '25', name: 'Daman and Diu', abbreviation: 'DD', ut: true },
+  { code: '26', name: 'Dadra and Nagar Haveli and Daman and Diu', abbreviation: 'DN', ut: true, aliases: ['Dadra and Nagar Haveli'] },
+  { code: '27', name: 'Maharashtra', abbreviation: 'MH' },
+  { code: '28', name: 'Andhra Pradesh (Old)', abbreviation: 'AD' },
+  { code: '29', name: 'Karnataka', abbreviation: 'KA' },
+  { code: '30', name: 'Goa', abbreviation: 'GA' },
+  { code: '31', name: 'Lakshadweep', abbreviation: 'LD', ut: true },
+  { code: '32', name: 'Kerala', abbreviation: 'KL' },
+  { code: '33', name: 'Tamil Nadu', abbreviation: 'TN' },
+  { code: '34', name: 'Puducherry', abbreviation: 'PY', aliases: ['Pondicherry'] },
+  { code: '35', name: 'Andaman and Nicobar Islands', abbreviation: 'AN', ut: true },
+  { code: '36', name: 'Telangana', abbreviation: 'TS', aliases: ['Telengana'] },
+  { code: '37', name: 'Andhra Pradesh', abbreviation: 'AP' },
+  { code: '38', name: 'Ladakh', abbreviation: 'LA', ut: true },
+  { code: '96', name: 'Foreign Country', abbreviation: 'FC', aliases: ['Outside India', 'Export'] },
+  { code: '97', name: 'Other Territory', abbreviation: 'OT' },
+  { code: '99', name: 'Centre Jurisdiction', abbreviation: 'CJ' }
+];
+
+// Place-of-supply codes that are always inter-state
+const FOREIGN_CODE = '96';
+
+// Supply types that are inter-state whatever the place of supply (IGST Act, Section 7(5))
+const SEZ_SUPPLY_TYPES = ['SEZWP', 'SEZWOP', 'SEZ'];
+const EXPORT_SUPPLY_TYPES = ['EXPWP', 'EXPWOP', 'EXP', 'EXPORT'];
+
+// Rows written before place-of-supply support use this literal for the supplier's own state
+const HOME_STATE = 'home state';
+
+const byCode = {};
+const byName = {};
+STATES.forEach(state => {
+  byCode[state.code] = state;
+  [state.name, state.abbreviation, ...(state.aliases || [])].forEach(name => {
+    byName[normalizeName(name)] = state;
+  });
+});
+
+function normalizeName(name) {
+  return String(name).toLowerCase().replace(/&/g, 'and').replace(/[^a-z]/g, '');
+}
+
+// Look up a state from a code ("27", "7"), a name or abbreviation, or a combined "27-Maharashtra"
+function findState(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  if (!text) return null;
+
+  const codeMatch = text.match(/^(\d{1,2})(?:\s*[-–:]\s*.*)?$/);
+  if (codeMatch) return byCode[codeMatch[1].padStart(2, '0')] || null;
+
+  return byName[normalizeName(text)] || null;
+}
+
+// The first two digits of a GSTIN are the state code of the registration
+function stateFromGstin(gstin) {
+  if (!gstin || !/^\d{2}/.test(gstin)) return null;
+  return byCode[gstin.slice(0, 2)] || null;
+}
+
+// Code to name map for places that only need the names
+function stateCodeMap() {
+  const map = {};
+  STATES.forEach(state => { map[state.code] = state.name; });
+  return map;
+}
+
+// Resolve the place of supply of an invoice line: the place_of_supply column, then the
+// recipient's GSTIN, then a state name in the same column. "Home State" means the supplier's state.
+function resolvePlaceOfSupply(line, supplierState) {
+  const raw = line.placeOfSupply;
+
+  if (raw && String(raw).trim().toLowerCase() === HOME_STATE) {
+    return supplierState ? { state: supplierState, source: 'home_state' } : null;
+  }
+
+  if (raw && /^\d{1,2}\b/.test(String(raw).trim())) {
+    const state = findState(raw);
+    if (state) return { state, source: 'place_of_supply' };
+  }
+
+  const fromGstin = stateFromGstin(line.gstin);
+  if (fromGstin) return { state: fromGstin, source: 'gstin' };
+
+  const byStateName = findState(raw);
+  if (byStateName) return { state: byStateName, source: 'state_name' };
+
+  return null;
+}
+
+// Decide whether a supply is intra-state (CGST + SGST/UTGST) or inter-state (IGST).
+// `supplierStateCode` comes from the business profile; a seller_state column on the line overrides it.
+function classifySupply(line, supplierStateCode) {
+  const supplierState = findState(line.supplierState) || findState(supplierStateCode);
+  const place = resolvePlaceOfSupply(line, supplierState);
+  const supplyType = String(line.supplyType || '').toUpperCase();
+
+  const result = {
+    supplierState: supplierState ? supplierState.code : null,
+    placeOfSupply: place ? place.state.code : null,
+    placeOfSupplyName: place ? place.state.name : 'Unknown',
+    placeOfSupplySource: place ? place.source : null,
+    nature: 'INTER',
+    taxHeads: ['IGST'],
+    reason: null
+  };
+
+  if (SEZ_SUPPLY_TYPES.includes(supplyType)) {
+    result.reason = 'Supply to an SEZ unit or developer is inter-state';
+  } else if (EXPORT_SUPPLY_TYPES.includes(supplyType) || result.placeOfSupply === FOREIGN_CODE) {
+    result.reason = 'Export of goods or services is inter-state';
+  } else if (!place) {
+    result.nature = 'UNKNOWN';
+    result.reason = 'Place of supply could not be determined';
+  } else if (!supplierState) {
+    result.nature = 'UNKNOWN';
+    result.reason = 'Supplier state is not set in the business profile';
+  } else if (supplierState.code === place.state.code) {
+    result.nature = 'INTRA';
+    if (place.state.ut) {
+      result.taxHeads = ['CGST', 'UTGST'];
+      result.reason = `Supply within the union territory of ${place.state.name}`;
+    } else {
+      result.taxHeads = ['CGST', 'SGST'];
+      result.reason = `Supply within ${place.state.name}`;
+    }
+  } else {
+    result.reason = `Supply from ${supplierState.name} to ${place.state.name}${place.state.ut ? ' (union territory)' : ''}`;
+  }
+
+  return result;
+}
+
+module.exports = {
+  STATES,
+  findState,
+  stateFromGstin,
+  stateCodeMap,
+  resolvePlaceOfSupply,
+  classifySupply
+};
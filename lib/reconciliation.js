@@ -0,0 +1,292 @@
+const natural = require('natural');
+const XLSX = require('xlsx');
+const { round2 } = require('./tax');
+const { assessPurchase, chargedTaxHeads } = require('./itc');
+
+// Differences up to this many rupees are rounding, not a mismatch
+const AMOUNT_TOLERANCE = 1;
+
+// Invoice numbers at least this similar (0 to 1) are taken as the same number written differently
+const FUZZY_THRESHOLD = 0.8;
+
+const AMOUNT_FIELDS = ['taxableValue', 'igst', 'cgst', 'sgst', 'cess'];
+
+// "INV/0012/24-25" and "inv-12/24-25" both become "INV122425"
+function normalizeInvoiceNumber(number) {
+  return String(number || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '')
+    .replace(/(^|[A-Z])0+(?=\d)/g, '$1');
+}
+
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  return 1 - natural.LevenshteinDistance(a, b) / Math.max(a.length, b.length);
+}
+
+function totalTax(doc) {
+  return round2(doc.igst + doc.cgst + doc.sgst + doc.cess);
+}
+
+// Group purchase lines into one document per supplier invoice or note, with the tax charged on it.
+// Purchases without a supplier GSTIN can never appear in GSTR-2B and are left out.
+function booksDocuments(lines, recipientStateCode) {
+  const byKey = {};
+  const documents = [];
+
+  lines.filter(line => line.gstin).forEach(line => {
+    if (!line.tax) assessPurchase(line, recipientStateCode);
+    const documentType = line.documentType || 'INVOICE';
+    const key = `${line.gstin}|${documentType}|${line.invoiceNumber || `${line.filingId}:${line.rowNumber}`}`;
+
+    if (!byKey[key]) {
+      byKey[key] = {
+        gstin: line.gstin,
+        tradeName: line.partyName || null,
+        documentType,
+        invoiceNumber: line.invoiceNumber,
+        normalizedNumber: normalizeInvoiceNumber(line.invoiceNumber),
+        invoiceDate: line.invoiceDate,
+        filingId: line.filingId,
+        rowNumbers: [],
+        taxableValue: 0,
+        igst: 0,
+        cgst: 0,
+        sgst: 0,
+        cess: 0
+      };
+      documents.push(byKey[key]);
+    }
+
+    const doc = byKey[key];
+    const heads = chargedTaxHeads(line);
+    doc.rowNumbers.push(line.rowNumber);
+    doc.taxableValue = round2(doc.taxableValue + Math.abs(line.taxableValue));
+    doc.igst = round2(doc.igst + Math.abs(heads.igst));
+    doc.cgst = round2(doc.cgst + Math.abs(heads.cgst));
+    doc.sgst = round2(doc.sgst + Math.abs(heads.sgst) + Math.abs(heads.utgst));
+    doc.cess = round2(doc.cess + Math.abs(heads.cess));
+  });
+
+  return documents;
+}
+
+function amounts(doc) {
+  return {
+    invoiceDate: doc.invoiceDate,
+    taxableValue: doc.taxableValue,
+    igst: doc.igst,
+    cgst: doc.cgst,
+    sgst: doc.sgst,
+    cess: doc.cess,
+    totalTax: totalTax(doc)
+  };
+}
+
+// Fields on which the books and the supplier's return disagree
+function compareDocuments(books, reported) {
+  const differences = [];
+  if (books.invoiceDate && reported.invoiceDate && books.invoiceDate !== reported.invoiceDate) {
+    differences.push({ field: 'invoiceDate', books: books.invoiceDate, gstr2b: reported.invoiceDate });
+  }
+  AMOUNT_FIELDS.forEach(field => {
+    if (Math.abs(books[field] - Math.abs(reported[field])) > AMOUNT_TOLERANCE) {
+      differences.push({ field, books: books[field], gstr2b: Math.abs(reported[field]) });
+    }
+  });
+  return differences;
+}
+
+// Among unmatched books documents of the same supplier, find the one whose number is most
+// like the reported one. Equal digits on the same date also count as the same document.
+function findFuzzyMatch(reported, candidates) {
+  const reportedNumber = normalizeInvoiceNumber(reported.invoiceNumber);
+  const reportedDigits = reportedNumber.replace(/\D/g, '');
+  let best = null;
+
+  candidates.forEach(candidate => {
+    let score = similarity(reportedNumber, candidate.normalizedNumber);
+    const candidateDigits = candidate.normalizedNumber.replace(/\D/g, '');
+    if (score < FUZZY_THRESHOLD && reportedDigits && reportedDigits === candidateDigits && reported.invoiceDate === candidate.invoiceDate) {
+      score = FUZZY_THRESHOLD;
+    }
+    // Prefer the candidate with the closest amount when numbers are equally similar
+    const amountGap = Math.abs(candidate.taxableValue - Math.abs(reported.taxableValue));
+    if (score >= FUZZY_THRESHOLD && (!best || score > best.score || (score === best.score && amountGap < best.amountGap))) {
+      best = { candidate, score, amountGap };
+    }
+  });
+
+  return best;
+}
+
+function describe(reported, books) {
+  const source = books || reported;
+  return {
+    supplierGstin: source.gstin,
+    tradeName: (reported && reported.tradeName) || (books && books.tradeName) || null,
+    documentType: source.documentType,
+    invoiceNumber: books ? books.invoiceNumber : reported.invoiceNumber,
+    gstr2bInvoiceNumber: reported ? reported.invoiceNumber : null,
+    filingId: books ? books.filingId : null,
+    rowNumbers: books ? books.rowNumbers : [],
+    itcAvailable: reported ? reported.itcAvailable : null,
+    books: books ? amounts(books) : null,
+    gstr2b: reported ? amounts(reported) : null
+  };
+}
+
+// Match the documents of a GSTR-2B against the purchase register by supplier GSTIN, invoice number,
+// date and amount. `period` decides which books documents count as missing from GSTR-2B; earlier
+// purchase lines may still match invoices the supplier reported late.
+function reconcile({ documents, purchaseLines, period, recipientStateCode }) {
+  const books = booksDocuments(purchaseLines, recipientStateCode);
+  const matchedBooks = new Set();
+  const pairs = [];
+  const unmatchedReported = [];
+
+  const booksByKey = {};
+  books.forEach(doc => {
+    const key = `${doc.gstin}|${doc.documentType}|${doc.normalizedNumber}`;
+    if (!booksByKey[key]) booksByKey[key] = [];
+    booksByKey[key].push(doc);
+  });
+
+  // Exact matches on GSTIN, document type and invoice number first
+  documents.forEach(reported => {
+    const key = `${reported.gstin}|${reported.documentType}|${normalizeInvoiceNumber(reported.invoiceNumber)}`;
+    const candidate = (booksByKey[key] || []).find(doc => !matchedBooks.has(doc));
+    if (candidate) {
+      matchedBooks.add(candidate);
+      pairs.push({ reported, books: candidate, matchType: 'EXACT' });
+    } else {
+      unmatchedReported.push(reported);
+    }
+  });
+
+  // Then fuzzy matches on the invoice number within the same supplier
+  const missingInBooks = [];
+  unmatchedReported.forEach(reported => {
+    const candidates = books.filter(doc =>
+      !matchedBooks.has(doc) && doc.gstin === reported.gstin && doc.documentType === reported.documentType
+    );
+    const best = findFuzzyMatch(reported, candidates);
+    if (best) {
+      matchedBooks.add(best.candidate);
+      pairs.push({ reported, books: best.candidate, matchType: 'FUZZY' });
+    } else {
+      missingInBooks.push(describe(reported, null));
+    }
+  });
+
+  const matched = [];
+  const mismatched = [];
+  pairs.forEach(pair => {
+    const differences = compareDocuments(pair.books, pair.reported);
+    const item = { ...describe(pair.reported, pair.books), matchType: pair.matchType, differences };
+    (differences.length === 0 ? matched : mismatched).push(item);
+  });
+
+  const missingIn2B = books
+    .filter(doc => !matchedBooks.has(doc) && doc.invoiceDate >= period.from && doc.invoiceDate <= period.to)
+    .map(doc => describe(null, doc));
+
+  const sumTax = (items, side) => round2(items.reduce((total, item) => total + item[side].totalTax, 0));
+  const itcIn2B = round2(documents.filter(doc => doc.itcAvailable).reduce((total, doc) => total + Math.abs(totalTax(doc)), 0));
+
+  return {
+    period: period.key,
+    summary: {
+      gstr2bDocuments: documents.length,
+      booksDocuments: books.filter(doc => doc.invoiceDate >= period.from && doc.invoiceDate <= period.to).length,
+      matched: matched.length,
+      mismatched: mismatched.length,
+      missingIn2B: missingIn2B.length,
+      missingInBooks: missingInBooks.length,
+      itcIn2B,
+      // Credit on invoices the supplier has not reported cannot be claimed yet (Section 16(2)(aa))
+      itcAtRisk: round2(sumTax(missingIn2B, 'books') +
+        mismatched.reduce((total, item) => total + Math.max(item.books.totalTax - item.gstr2b.totalTax, 0), 0))
+    },
+    matched,
+    mismatched,
+    missingIn2B,
+    missingInBooks
+  };
+}
+
+const FIELD_LABELS = {
+  invoiceDate: 'invoice date',
+  taxableValue: 'taxable value',
+  igst: 'IGST',
+  cgst: 'CGST',
+  sgst: 'SGST/UTGST',
+  cess: 'cess'
+};
+
+function followUpRow(item, issue, action) {
+  return {
+    'Supplier GSTIN': item.supplierGstin,
+    'Supplier Name': item.tradeName || '',
+    'Document': item.documentType,
+    'Invoice No (Books)': item.books ? item.invoiceNumber : '',
+    'Invoice No (GSTR-2B)': item.gstr2bInvoiceNumber || '',
+    'Invoice Date (Books)': item.books ? item.books.invoiceDate : '',
+    'Invoice Date (GSTR-2B)': item.gstr2b ? item.gstr2b.invoiceDate : '',
+    'Taxable Value (Books)': item.books ? item.books.taxableValue : '',
+    'Taxable Value (GSTR-2B)': item.gstr2b ? item.gstr2b.taxableValue : '',
+    'Tax (Books)': item.books ? item.books.totalTax : '',
+    'Tax (GSTR-2B)': item.gstr2b ? item.gstr2b.totalTax : '',
+    'Issue': issue,
+    'Action': action
+  };
+}
+
+// Workbook to send to suppliers: one sheet per kind of difference, plus a summary
+function followUpWorkbook(result) {
+  const workbook = XLSX.utils.book_new();
+
+  const summaryRows = [
+    { Item: 'Tax period', Value: result.period },
+    { Item: 'Documents in GSTR-2B', Value: result.summary.gstr2bDocuments },
+    { Item: 'Documents in books', Value: result.summary.booksDocuments },
+    { Item: 'Matched', Value: result.summary.matched },
+    { Item: 'Mismatched', Value: result.summary.mismatched },
+    { Item: 'Missing in GSTR-2B', Value: result.summary.missingIn2B },
+    { Item: 'Missing in books', Value: result.summary.missingInBooks },
+    { Item: 'ITC in GSTR-2B', Value: result.summary.itcIn2B },
+    { Item: 'ITC at risk', Value: result.summary.itcAtRisk }
+  ];
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(summaryRows), 'Summary');
+
+  const mismatchedRows = result.mismatched.map(item => {
+    const fields = item.differences.map(difference => FIELD_LABELS[difference.field]).join(', ');
+    return followUpRow(item, `Differs on ${fields}`, `Ask the supplier to amend the ${fields} in their GSTR-1, or correct our books`);
+  });
+  const missingIn2BRows = result.missingIn2B.map(item =>
+    followUpRow(item, 'Not reported by the supplier', 'Ask the supplier to report this document in their GSTR-1 or IFF')
+  );
+  const missingInBooksRows = result.missingInBooks.map(item =>
+    followUpRow(item, 'Not in our purchase register', 'Record the purchase, or ask the supplier why it was reported against our GSTIN')
+  );
+
+  [
+    ['Mismatched', mismatchedRows],
+    ['Missing in GSTR-2B', missingIn2BRows],
+    ['Missing in books', missingInBooksRows]
+  ].forEach(([name, rows]) => {
+    // An empty sheet still needs its header row
+    const sheet = rows.length > 0
+      ? XLSX.utils.json_to_sheet(rows)
+      : XLSX.utils.json_to_sheet([], { header: Object.keys(followUpRow({ differences: [] }, '', '')) });
+    XLSX.utils.book_append_sheet(workbook, sheet, name);
+  });
+
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+module.exports = {
+  normalizeInvoiceNumber,
+  reconcile,
+  followUpWorkbook
+};
@@ -0,0 +1,361 @@
+const analytics = require('../analytics');
+const dueDates = require('../dueDates');
+const i18n = require('../i18n');
+const { parsePeriod } = require('../periods');
+const { findState } = require('../placeOfSupply');
+const { liabilityForDeadline, runningPenalty } = require('../penalties');
+const { filings, filedReturns } = require('../repositories');
+const { createLayout } = require('./layout');
+
+// Bumped whenever sections are added, removed or reordered, so a printed report can be matched to
+// the layout it was made with. Every report has every section, in this order, even when one has
+// nothing to show.
+const TEMPLATE_VERSION = '1';
+
+// How far back the turnover chart and the overdue returns go, and how far ahead the due dates
+const TREND_MONTHS = 12;
+const OVERDUE_MONTHS = 12;
+const UPCOMING_MONTHS = 3;
+
+// Validation findings listed in full; the rest are counted and left to the CSV error report
+const MAX_FINDINGS = 40;
+
+// Late fee and interest so far on an unfiled return, with interest on the tax uploaded for its period
+function penaltyFor(business, deadline, today) {
+  const liability = liabilityForDeadline(business, deadline);
+  return runningPenalty(deadline, liability, { today });
+}
+
+// Everything the report shows about a filing, as of `today` (YYYY-MM-DD)
+function buildReport({ business, filing, today = new Date().toISOString().split('T')[0] }) {
+  const gstin = filing.gstin || business.gstin;
+  const period = filing.taxPeriod ? parsePeriod(filing.taxPeriod) : null;
+
+  // Turnover of the months up to the filing's, across every upload
+  let trend = [];
+  if (period) {
+    const from = analytics.shiftPeriod(period, -(TREND_MONTHS - 1));
+    const lines = filings.currentLines(business.id, gstin, from.key, period.key, 'SALE');
+    trend = analytics.analyze(lines, { stateCode: business.stateCode, from, to: period }).periods;
+  }
+
+  const filed = filedReturns.byDeadline(business.id);
+  const overdue = dueDates.pastDeadlines(business, { today, months: OVERDUE_MONTHS })
+    .filter(deadline => !deadline.optional && !filed.has(deadline.id))
+    .map(deadline => ({
+      ...deadline,
+      daysRemaining: dueDates.daysRemaining(deadline.dueDate, today),
+      penalty: penaltyFor(business, deadline, today)
+    }));
+  const upcoming = dueDates.upcomingDeadlines(business, { from: today, months: UPCOMING_MONTHS })
+    .filter(deadline => !filed.has(deadline.id))
+    .map(deadline => ({ ...deadline, daysRemaining: dueDates.daysRemaining(deadline.dueDate, today) }));
+
+  return {
+    templateVersion: TEMPLATE_VERSION,
+    reference: `VS-${business.id}-${filing.id}-${today.replace(/-/g, '')}`,
+    generatedOn: today,
+    business: {
+      name: business.name,
+      gstin,
+      state: business.stateCode ? findState(business.stateCode) : null,
+      filingFrequency: business.filingFrequency
+    },
+    filing: {
+      id: filing.id,
+      fileName: filing.fileName,
+      uploadedOn: filing.timestamp,
+      period
+    },
+    sales: analytics.summarize(filing.salesData, { stateCode: business.stateCode }),
+    trend,
+    itc: filing.itc,
+    validation: filing.validation,
+    deadlines: { overdue, upcoming },
+    compliancePlan: filing.processingResult ? filing.processingResult.compliancePlan : null
+  };
+}
+
+// Write a report built by buildReport as a PDF to `output` (a response, say). It is written in
+// `language` when there is a font for its script, in English otherwise; `title` is the key of
+// its title in the translations.
+function writePdf(report, output, { language = i18n.DEFAULT_LANGUAGE, title = 'report.title' } = {}) {
+  const { language: written, font } = i18n.pdfFont(language);
+  const t = i18n.translator(written);
+  // PDF's built-in font has no rupee sign
+  const currency = font ? '₹' : 'Rs. ';
+  const amount = value => `${currency}${Number(value || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  const percent = value => (value === null || value === undefined ? '–' : `${value}%`);
+  const date = value => i18n.formatDate(written, value);
+  const count = value => Number(value || 0).toLocaleString('en-IN');
+
+  const { business, filing, sales, itc, validation, deadlines } = report;
+  const periodLabel = filing.period ? filing.period.label : t('report.notSet');
+  const layout = createLayout({
+    font,
+    info: {
+      Title: `${t(title)} – ${business.name} – ${periodLabel}`,
+      Author: 'Vyapar Sahayak',
+      Subject: report.reference
+    }
+  });
+  layout.doc.pipe(output);
+
+  let section = 0;
+  const heading = key => layout.heading(`${++section}. ${t(key)}`);
+
+  // Business header
+  layout.title(t(title), t('report.generatedOn', { date: date(report.generatedOn) }));
+  layout.keyValues([
+    [t('report.business'), business.name],
+    [t('report.gstin'), business.gstin || t('report.notSet')],
+    [t('report.state'), business.state ? `${business.state.name} (${business.state.code})` : t('report.notSet')],
+    [t('report.filingFrequency'), business.filingFrequency || t('report.notSet')],
+    [t('report.taxPeriod'), periodLabel],
+    [t('report.filing'), `#${filing.id} – ${filing.fileName}`],
+    [t('report.uploadedOn'), date(filing.uploadedOn)],
+    [t('report.reference'), `${report.reference} (${t('report.template', { version: report.templateVersion })})`]
+  ]);
+
+  // Tax by head
+  heading('report.taxSummary');
+  const taxable = sales.totals.taxableValue;
+  const available = itc ? itc.available.total : 0;
+  layout.keyValues([
+    [t('report.taxableTurnover'), amount(taxable)],
+    [t('report.invoices'), `${count(sales.totals.invoices)} (${t('report.lines', { count: count(sales.totals.lines) })})`],
+    [t('report.totalTax'), amount(sales.totals.tax.total)],
+    [t('report.effectiveRate'), percent(sales.totals.effectiveRate)],
+    [t('report.itcAvailable'), itc ? amount(available) : t('report.notUploaded')],
+    [t('report.netPayable'), amount(Math.max(sales.totals.tax.total - available, 0))]
+  ]);
+  const heads = [
+    ['IGST', sales.totals.tax.igst],
+    ['CGST', sales.totals.tax.cgst],
+    ['SGST', sales.totals.tax.sgst],
+    ['UTGST', sales.totals.tax.utgst],
+    [t('report.cess'), sales.totals.tax.cess]
+  ];
+  const share = value => (sales.totals.tax.total ? percent(Math.round(value / sales.totals.tax.total * 10000) / 100) : '–');
+  layout.table({
+    columns: [
+      { header: t('report.head'), width: 0.4 },
+      { header: t('report.amount'), width: 0.35, align: 'right' },
+      { header: t('report.share'), width: 0.25, align: 'right' }
+    ],
+    rows: [
+      ...heads.map(([head, value]) => [head, amount(value), share(value)]),
+      { total: true, cells: [t('report.total'), amount(sales.totals.tax.total), share(sales.totals.tax.total)] }
+    ]
+  });
+  layout.barChart({ bars: heads.map(([label, value]) => ({ label, value })), format: amount });
+
+  // Breakdowns of the filing's sales
+  const groupColumns = first => [
+    { header: first, width: 0.34 },
+    { header: t('report.invoices'), width: 0.1, align: 'right' },
+    { header: t('report.taxableValue'), width: 0.2, align: 'right' },
+    { header: t('report.tax'), width: 0.2, align: 'right' },
+    { header: t('report.share'), width: 0.16, align: 'right' }
+  ];
+  const groupRow = group => [group.label, count(group.invoices), amount(group.taxableValue), amount(group.tax.total), percent(group.share)];
+
+  heading('report.byState');
+  layout.table({
+    columns: [
+      { header: t('report.placeOfSupply'), width: 0.26 },
+      { header: t('report.taxableValue'), width: 0.18, align: 'right' },
+      { header: 'IGST', width: 0.14, align: 'right' },
+      { header: 'CGST', width: 0.14, align: 'right' },
+      { header: 'SGST/UTGST', width: 0.14, align: 'right' },
+      { header: t('report.cess'), width: 0.14, align: 'right' }
+    ],
+    rows: sales.byState.map(group => [
+      group.key === 'UNKNOWN' ? t('report.unknownState') : group.label,
+      amount(group.taxableValue),
+      amount(group.tax.igst),
+      amount(group.tax.cgst),
+      amount(group.tax.sgst + group.tax.utgst),
+      amount(group.tax.cess)
+    ]),
+    emptyText: t('report.noSales')
+  });
+
+  heading('report.byRate');
+  layout.table({ columns: groupColumns(t('report.rate')), rows: sales.byRate.map(groupRow), emptyText: t('report.noSales') });
+  layout.barChart({ bars: sales.byRate.map(group => ({ label: group.label, value: group.taxableValue })), format: amount });
+
+  heading('report.byHsn');
+  layout.table({
+    columns: groupColumns(t('report.hsn')),
+    rows: sales.byHsn.map(group => groupRow(group.key === 'NONE' ? { ...group, label: t('report.noHsn') } : group)),
+    emptyText: t('report.noSales')
+  });
+
+  heading('report.trend');
+  if (report.trend.length > 0) {
+    layout.columnChart({
+      bars: report.trend.map(item => ({ label: `${item.label.slice(0, 3)} ${item.period.slice(2, 4)}`, value: item.taxableValue })),
+      format: value => (value ? Math.round(value).toLocaleString('en-IN') : '')
+    });
+    layout.note(t('report.trendNote', { currency: currency.trim() }));
+  } else {
+    layout.note(t('report.noTrend'));
+  }
+
+  // Input tax credit from the purchase register
+  heading('report.itcSummary');
+  if (itc) {
+    layout.keyValues([
+      [t('report.purchases'), count(itc.purchases)],
+      [t('report.purchaseValue'), amount(itc.totalPurchaseValue)]
+    ]);
+    const itcRow = (key, heads) => [t(key), amount(heads.igst), amount(heads.cgst), amount(heads.sgst + heads.utgst), amount(heads.cess), amount(heads.total)];
+    layout.table({
+      columns: [
+        { header: '', width: 0.25 },
+        { header: 'IGST', width: 0.15, align: 'right' },
+        { header: 'CGST', width: 0.15, align: 'right' },
+        { header: 'SGST/UTGST', width: 0.15, align: 'right' },
+        { header: t('report.cess'), width: 0.13, align: 'right' },
+        { header: t('report.total'), width: 0.17, align: 'right' }
+      ],
+      rows: [
+        itcRow('report.itcAvailableRow', itc.available),
+        itcRow('report.itcCapitalGoods', itc.capitalGoods),
+        itcRow('report.itcBlocked', itc.blocked),
+        itcRow('report.itcIneligible', itc.ineligible)
+      ]
+    });
+    layout.subheading(t('report.itcFlagged'));
+    layout.table({
+      columns: [
+        { header: t('report.row'), width: 0.07, align: 'right' },
+        { header: t('report.invoice'), width: 0.15 },
+        { header: t('report.supplier'), width: 0.2 },
+        { header: t('report.status'), width: 0.14 },
+        { header: t('report.reason'), width: 0.44 }
+      ],
+      rows: itc.flagged.map(line => [
+        line.rowNumber,
+        line.invoiceNumber || '',
+        line.supplierGstin || '',
+        t(`report.itcStatus.${line.status}`),
+        [line.section, line.reason].filter(Boolean).join(': ')
+      ]),
+      emptyText: t('report.noFlagged')
+    });
+  } else {
+    layout.note(t('report.noItc'));
+  }
+
+  // Validation findings
+  heading('report.validation');
+  if (validation) {
+    layout.keyValues([
+      [t('report.rowsChecked'), count(validation.rowsChecked)],
+      [t('report.rowsWithErrors'), count(validation.rowsWithErrors)],
+      [t('report.errors'), count(validation.errorCount)],
+      [t('report.warnings'), count(validation.warningCount)]
+    ]);
+    const findings = [...validation.errors, ...validation.warnings];
+    layout.table({
+      columns: [
+        { header: t('report.severity'), width: 0.11 },
+        { header: t('report.row'), width: 0.07, align: 'right' },
+        { header: t('report.invoice'), width: 0.15 },
+        { header: t('report.field'), width: 0.15 },
+        { header: t('report.finding'), width: 0.52 }
+      ],
+      rows: findings.slice(0, MAX_FINDINGS).map(issue => [
+        t(issue.severity === 'error' ? 'report.error' : 'report.warning'),
+        issue.rowNumber,
+        issue.invoiceNumber || '',
+        issue.field || '',
+        issue.message
+      ]),
+      emptyText: t('report.noFindings')
+    });
+    if (findings.length > MAX_FINDINGS) {
+      layout.note(t('report.moreFindings', { count: findings.length - MAX_FINDINGS }));
+    }
+  } else {
+    layout.note(t('report.noValidation'));
+  }
+
+  // Deadlines and what the late ones have cost so far
+  heading('report.deadlines');
+  layout.subheading(t('report.overdueReturns'));
+  const exposure = deadlines.overdue.reduce((total, deadline) => total + deadline.penalty.total, 0);
+  layout.table({
+    columns: [
+      { header: t('report.return'), width: 0.12 },
+      { header: t('report.period'), width: 0.2 },
+      { header: t('report.dueDate'), width: 0.18 },
+      { header: t('report.daysLate'), width: 0.1, align: 'right' },
+      { header: t('report.lateFee'), width: 0.13, align: 'right' },
+      { header: t('report.interest'), width: 0.13, align: 'right' },
+      { header: t('report.total'), width: 0.14, align: 'right' }
+    ],
+    rows: [
+      ...deadlines.overdue.map(deadline => [
+        deadline.form,
+        deadline.periodLabel,
+        `${date(deadline.dueDate)}${deadline.extended ? ` ${t('report.extended')}` : ''}`,
+        -deadline.daysRemaining,
+        amount(deadline.penalty.lateFee.total),
+        deadline.penalty.interest ? amount(deadline.penalty.interest.total) : '–',
+        amount(deadline.penalty.total)
+      ]),
+      ...(deadlines.overdue.length > 0 ? [{ total: true, cells: [t('report.total'), '', '', '', '', '', amount(exposure)] }] : [])
+    ],
+    emptyText: t('report.noOverdue')
+  });
+  if (deadlines.overdue.length > 0) {
+    layout.note(t('report.exposureNote', { date: date(report.generatedOn) }));
+  }
+  layout.subheading(t('report.upcomingReturns', { months: UPCOMING_MONTHS }));
+  layout.table({
+    columns: [
+      { header: t('report.return'), width: 0.15 },
+      { header: t('report.period'), width: 0.3 },
+      { header: t('report.dueDate'), width: 0.35 },
+      { header: t('report.daysLeft'), width: 0.2, align: 'right' }
+    ],
+    rows: deadlines.upcoming.map(deadline => [
+      deadline.form,
+      deadline.periodLabel,
+      `${date(deadline.dueDate)}${deadline.extended ? ` ${t('report.extended')}` : ''}`,
+      deadline.daysRemaining
+    ]),
+    emptyText: t('report.noUpcoming')
+  });
+
+  // The compliance agent's plan; filings stored before uploads went through it have none
+  heading('report.compliancePlan');
+  if (report.compliancePlan) {
+    layout.paragraph(report.compliancePlan);
+  } else {
+    layout.note(t('report.noCompliancePlan'));
+  }
+
+  heading('report.recommendations');
+  [
+    t('report.fileGstr1'),
+    t('report.fileGstr3b'),
+    t('report.keepInvoices'),
+    t('report.reconcile'),
+    itc ? t('report.claimItc', { amount: amount(available), count: itc.flagged.length }) : t('report.uploadPurchases')
+  ].forEach(text => layout.paragraph(text, { gap: 3 }));
+
+  layout.finish({
+    header: `${business.name} · ${business.gstin || ''} · ${periodLabel} · ${report.reference}`,
+    footer: (page, pages) => [t('report.disclaimer'), t('report.page', { page, pages })]
+  });
+}
+
+module.exports = {
+  TEMPLATE_VERSION,
+  buildReport,
+  writePdf
+};
@@ -0,0 +1,254 @@
+const PDFDocument = require('pdfkit');
+
+// A4 pages with the same margins throughout; the running header and the footer sit inside the
+// top and bottom margins, so nothing in the body ever runs into them
+const MARGIN = 50;
+const HEADER_SPACE = 20;
+const FOOTER_SPACE = 36;
+
+const COLORS = {
+  text: '#2c3e50',
+  muted: '#7f8c8d',
+  rule: '#bdc3c7',
+  fill: '#ecf0f1',
+  bar: '#3498db',
+  negative: '#e74c3c'
+};
+
+const CELL_PADDING = 4;
+
+// Headings, paragraphs, tables and charts over a PDFKit document. Each piece moves to a new page
+// when it does not fit on the current one, and a table carries its header row over with it.
+// `font` is a font file for scripts PDF's built-in Helvetica lacks; it is used for bold text too.
+function createLayout({ font = null, info = {} } = {}) {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margins: { top: MARGIN + HEADER_SPACE, bottom: MARGIN + FOOTER_SPACE, left: MARGIN, right: MARGIN },
+    bufferPages: true,
+    info
+  });
+  const regular = font || 'Helvetica';
+  const bold = font || 'Helvetica-Bold';
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const bottom = () => doc.page.height - doc.page.margins.bottom;
+
+  doc.font(regular).fontSize(10).fillColor(COLORS.text);
+
+  function ensureSpace(height) {
+    if (doc.y + height > bottom()) doc.addPage();
+  }
+
+  function write(text, { size = 10, isBold = false, color = COLORS.text, gap = 4, ...options } = {}) {
+    doc.font(isBold ? bold : regular).fontSize(size).fillColor(color);
+    doc.text(String(text), left, doc.y, { width, ...options });
+    doc.y += gap;
+  }
+
+  function title(text, subtitle) {
+    write(text, { size: 18, isBold: true, gap: 2 });
+    if (subtitle) write(subtitle, { size: 10, color: COLORS.muted, gap: 10 });
+  }
+
+  // A section heading, kept on the same page as at least the first lines under it
+  function heading(text) {
+    ensureSpace(70);
+    doc.y += 8;
+    write(text, { size: 13, isBold: true, gap: 3 });
+    rule();
+    doc.y += 6;
+  }
+
+  function subheading(text) {
+    ensureSpace(50);
+    doc.y += 4;
+    write(text, { size: 10.5, isBold: true, gap: 4 });
+  }
+
+  function paragraph(text, options) {
+    write(text, { size: 10, gap: 6, ...options });
+  }
+
+  function note(text) {
+    write(text, { size: 8.5, color: COLORS.muted, gap: 6 });
+  }
+
+  function rule(color = COLORS.rule) {
+    doc.moveTo(left, doc.y).lineTo(left + width, doc.y).lineWidth(0.5).strokeColor(color).stroke();
+  }
+
+  // Label and value pairs in two columns of two
+  function keyValues(pairs) {
+    const columnWidth = width / 2;
+    const labelWidth = columnWidth * 0.42;
+    for (let index = 0; index < pairs.length; index += 2) {
+      const row = pairs.slice(index, index + 2);
+      doc.fontSize(9.5);
+      const height = Math.max(...row.map(([label, value]) => Math.max(
+        doc.font(bold).heightOfString(String(label), { width: labelWidth - CELL_PADDING }),
+        doc.font(regular).heightOfString(String(value), { width: columnWidth - labelWidth - CELL_PADDING })
+      ))) + 4;
+      ensureSpace(height);
+      const y = doc.y;
+      row.forEach(([label, value], column) => {
+        const x = left + column * columnWidth;
+        doc.font(bold).fillColor(COLORS.muted).text(String(label), x, y, { width: labelWidth - CELL_PADDING });
+        doc.font(regular).fillColor(COLORS.text).text(String(value), x + labelWidth, y, { width: columnWidth - labelWidth - CELL_PADDING });
+      });
+      doc.y = y + height;
+    }
+    doc.y += 6;
+  }
+
+  // `columns` are { header, width (a share of the page width), align }; `rows` hold one value per
+  // column. Rows marked { total: true, cells } are set in bold above a rule.
+  function table({ columns, rows, emptyText = null }) {
+    if (rows.length === 0) {
+      if (emptyText) note(emptyText);
+      return;
+    }
+    const widths = columns.map(column => column.width * width);
+
+    function rowHeight(cells, isBold) {
+      doc.font(isBold ? bold : regular).fontSize(8.5);
+      return Math.max(...cells.map((cell, index) =>
+        doc.heightOfString(String(cell === null || cell === undefined ? '' : cell), { width: widths[index] - CELL_PADDING * 2 })
+      )) + CELL_PADDING * 2;
+    }
+
+    function drawRow(cells, { isHeader = false, isTotal = false } = {}) {
+      const isBold = isHeader || isTotal;
+      const height = rowHeight(cells, isBold);
+      const y = doc.y;
+      if (isHeader) doc.rect(left, y, width, height).fill(COLORS.fill);
+      if (isTotal) {
+        doc.moveTo(left, y).lineTo(left + width, y).lineWidth(0.8).strokeColor(COLORS.text).stroke();
+      }
+      let x = left;
+      cells.forEach((cell, index) => {
+        doc.font(isBold ? bold : regular).fontSize(8.5).fillColor(COLORS.text)
+          .text(String(cell === null || cell === undefined ? '' : cell), x + CELL_PADDING, y + CELL_PADDING, {
+            width: widths[index] - CELL_PADDING * 2,
+            align: isHeader ? 'left' : (columns[index].align || 'left')
+          });
+        x += widths[index];
+      });
+      doc.y = y + height;
+      if (!isTotal) {
+        doc.moveTo(left, doc.y).lineTo(left + width, doc.y).lineWidth(0.3).strokeColor(COLORS.rule).stroke();
+      }
+    }
+
+    const headers = columns.map(column => column.header);
+    const headerHeight = rowHeight(headers, true);
+    ensureSpace(headerHeight + rowHeight(rows[0].cells || rows[0], Boolean(rows[0].total)));
+    drawRow(headers, { isHeader: true });
+    rows.forEach(row => {
+      const cells = row.cells || row;
+      if (doc.y + rowHeight(cells, Boolean(row.total)) > bottom()) {
+        doc.addPage();
+        drawRow(headers, { isHeader: true });
+      }
+      drawRow(cells, { isTotal: Boolean(row.total) });
+    });
+    doc.y += 8;
+  }
+
+  // One horizontal bar per { label, value }, scaled to the largest, with the value written after it
+  function barChart({ bars, format = String }) {
+    if (bars.length === 0) return;
+    const labelWidth = width * 0.3;
+    const valueWidth = width * 0.2;
+    const barArea = width - labelWidth - valueWidth;
+    const max = Math.max(...bars.map(bar => Math.abs(bar.value)), 1);
+    const height = 16;
+
+    bars.forEach(bar => {
+      ensureSpace(height);
+      const y = doc.y;
+      doc.font(regular).fontSize(8.5).fillColor(COLORS.text)
+        .text(bar.label, left, y + 3, { width: labelWidth - CELL_PADDING, height, ellipsis: true, lineBreak: false });
+      const length = Math.abs(bar.value) / max * barArea;
+      if (length > 0) {
+        doc.rect(left + labelWidth, y + 3, Math.max(length, 1), height - 6).fill(bar.value < 0 ? COLORS.negative : COLORS.bar);
+      }
+      doc.font(regular).fontSize(8.5).fillColor(COLORS.text)
+        .text(format(bar.value), left + labelWidth + barArea, y + 3, { width: valueWidth, align: 'right', lineBreak: false });
+      doc.y = y + height;
+    });
+    doc.y += 8;
+  }
+
+  // Vertical bars for a series such as turnover by month, labelled underneath, the value above each
+  function columnChart({ bars, format = String, height = 130 }) {
+    if (bars.length === 0) return;
+    const labelSpace = 14;
+    ensureSpace(height + labelSpace + 10);
+    const top = doc.y + 10;
+    const base = top + height;
+    const slot = width / bars.length;
+    const barWidth = Math.min(slot * 0.6, 40);
+    const max = Math.max(...bars.map(bar => Math.abs(bar.value)), 1);
+
+    bars.forEach((bar, index) => {
+      const x = left + index * slot;
+      const barHeight = Math.abs(bar.value) / max * (height - 12);
+      if (barHeight > 0) {
+        doc.rect(x + (slot - barWidth) / 2, base - barHeight, barWidth, barHeight).fill(bar.value < 0 ? COLORS.negative : COLORS.bar);
+      }
+      doc.font(regular).fontSize(6.5).fillColor(COLORS.muted)
+        .text(format(bar.value), x, base - barHeight - 9, { width: slot, align: 'center', lineBreak: false });
+      doc.font(regular).fontSize(7.5).fillColor(COLORS.text)
+        .text(bar.label, x, base + 3, { width: slot, align: 'center', lineBreak: false });
+    });
+    doc.moveTo(left, base).lineTo(left + width, base).lineWidth(0.5).strokeColor(COLORS.text).stroke();
+    doc.y = base + labelSpace + 8;
+  }
+
+  // Write the running header (from the second page on) and the footer on every page, then end the
+  // document. `footer(page, pages)` gives the footer's left text and its right text.
+  function finish({ header, footer }) {
+    const range = doc.bufferedPageRange();
+    for (let index = range.start; index < range.start + range.count; index++) {
+      doc.switchToPage(index);
+      const margins = doc.page.margins;
+      // Text written into the margins must not start a new page
+      doc.page.margins = { ...margins, top: 0, bottom: 0 };
+
+      if (index > range.start && header) {
+        doc.font(regular).fontSize(7.5).fillColor(COLORS.muted)
+          .text(header, left, MARGIN - 6, { width, lineBreak: false, ellipsis: true });
+        doc.moveTo(left, MARGIN + 8).lineTo(left + width, MARGIN + 8).lineWidth(0.3).strokeColor(COLORS.rule).stroke();
+      }
+
+      const footerTop = doc.page.height - MARGIN - FOOTER_SPACE + 10;
+      const [text, pageText] = footer(index - range.start + 1, range.count);
+      doc.moveTo(left, footerTop).lineTo(left + width, footerTop).lineWidth(0.3).strokeColor(COLORS.rule).stroke();
+      doc.font(regular).fontSize(7).fillColor(COLORS.muted)
+        .text(text, left, footerTop + 5, { width: width * 0.8 });
+      doc.font(regular).fontSize(7.5).fillColor(COLORS.muted)
+        .text(pageText, left + width * 0.8, footerTop + 5, { width: width * 0.2, align: 'right', lineBreak: false });
+
+      doc.page.margins = margins;
+    }
+    doc.end();
+  }
+
+  return {
+    doc,
+    title,
+    heading,
+    subheading,
+    paragraph,
+    note,
+    keyValues,
+    table,
+    barChart,
+    columnChart,
+    finish
+  };
+}
+
+module.exports = {
+  createLayout
+};
@@ -0,0 +1,49 @@
+const { getDb } = require('../db');
+
+// Business that owns data created before accounts existed
+const DEFAULT_BUSINESS_ID = 1;
+
+function rowToBusiness(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    gstin: row.gstin,
+    stateCode: row.state_code,
+    filingFrequency: row.filing_frequency,
+    businessType: row.business_type,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function get(id) {
+  return rowToBusiness(getDb().prepare('SELECT * FROM businesses WHERE id = ?').get(id));
+}
+
+function create({ name, gstin = null, stateCode = null, filingFrequency = 'MONTHLY' }) {
+  const now = new Date().toISOString();
+  const result = getDb()
+    .prepare('INSERT INTO businesses (name, gstin, state_code, filing_frequency, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)')
+    .run(name, gstin, stateCode, filingFrequency, now, now);
+  return get(result.lastInsertRowid);
+}
+
+// Update the given profile fields, leaving the others untouched
+function update(id, fields) {
+  const existing = get(id);
+  if (!existing) return null;
+
+  const merged = { ...existing, ...fields };
+  getDb()
+    .prepare('UPDATE businesses SET name = ?, gstin = ?, state_code = ?, filing_frequency = ?, business_type = ?, updated_at = ? WHERE id = ?')
+    .run(merged.name, merged.gstin, merged.stateCode, merged.filingFrequency, merged.businessType, new Date().toISOString(), id);
+  return get(id);
+}
+
+module.exports = {
+  DEFAULT_BUSINESS_ID,
+  get,
+  create,
+  update
+};
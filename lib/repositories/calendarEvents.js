@@ -0,0 +1,23 @@
+const { getDb } = require('../db');
+
+// SEQUENCE of a deadline's calendar event: 0 when it is first served, kept while the event shows the
+// same thing (its `fingerprint`) and raised by one whenever that changes, so it never goes back down
+function revise(businessId, deadlineId, fingerprint) {
+  const db = getDb();
+  return db.transaction(() => {
+    const row = db
+      .prepare('SELECT sequence, fingerprint FROM calendar_events WHERE business_id = ? AND deadline_id = ?')
+      .get(businessId, deadlineId);
+    if (row && row.fingerprint === fingerprint) return row.sequence;
+
+    const sequence = row ? row.sequence + 1 : 0;
+    db.prepare(`INSERT INTO calendar_events (business_id, deadline_id, sequence, fingerprint, updated_at) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (business_id, deadline_id) DO UPDATE SET sequence = excluded.sequence, fingerprint = excluded.fingerprint, updated_at = excluded.updated_at`)
+      .run(businessId, deadlineId, sequence, fingerprint, new Date().toISOString());
+    return sequence;
+  })();
+}
+
+module.exports = {
+  revise
+};
@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const { getDb, toJSON, fromJSON } = require('../db');
+
+function rowToFeed(row) {
+  if (!row) return null;
+  return {
+    businessId: row.business_id,
+    token: row.token,
+    alarmDays: fromJSON(row.alarm_days_json),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// The secret in a feed URL is the only thing protecting it, so it is long and random
+function newToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+function get(businessId) {
+  return rowToFeed(getDb().prepare('SELECT * FROM calendar_feeds WHERE business_id = ?').get(businessId));
+}
+
+// Feed of a business, created on first use
+function getOrCreate(businessId) {
+  const existing = get(businessId);
+  if (existing) return existing;
+
+  const now = new Date().toISOString();
+  getDb()
+    .prepare('INSERT INTO calendar_feeds (business_id, token, created_at, updated_at) VALUES (?, ?, ?, ?)')
+    .run(businessId, newToken(), now, now);
+  return get(businessId);
+}
+
+function findByToken(token) {
+  return rowToFeed(getDb().prepare('SELECT * FROM calendar_feeds WHERE token = ?').get(String(token || '')));
+}
+
+function setAlarmDays(businessId, alarmDays) {
+  getOrCreate(businessId);
+  getDb()
+    .prepare('UPDATE calendar_feeds SET alarm_days_json = ?, updated_at = ? WHERE business_id = ?')
+    .run(toJSON(alarmDays), new Date().toISOString(), businessId);
+  return get(businessId);
+}
+
+// Replace the token; subscriptions using the old URL stop working
+function resetToken(businessId) {
+  getOrCreate(businessId);
+  getDb()
+    .prepare('UPDATE calendar_feeds SET token = ?, updated_at = ? WHERE business_id = ?')
+    .run(newToken(), new Date().toISOString(), businessId);
+  return get(businessId);
+}
+
+module.exports = {
+  get,
+  getOrCreate,
+  findByToken,
+  setAlarmDays,
+  resetToken
+};
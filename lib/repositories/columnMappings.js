@@ -0,0 +1,37 @@
+const { getDb, toJSON, fromJSON } = require('../db');
+
+function rowToMapping(row) {
+  return {
+    name: row.name,
+    columns: fromJSON(row.columns_json, {}),
+    updatedAt: row.updated_at
+  };
+}
+
+function list(businessId) {
+  return getDb()
+    .prepare('SELECT * FROM column_mappings WHERE business_id = ? ORDER BY name')
+    .all(businessId)
+    .map(rowToMapping);
+}
+
+// Insert or replace the mapping with this name
+function save(businessId, { name, columns }) {
+  getDb()
+    .prepare('INSERT OR REPLACE INTO column_mappings (business_id, name, columns_json, updated_at) VALUES (?, ?, ?, ?)')
+    .run(businessId, name, toJSON(columns), new Date().toISOString());
+  return list(businessId);
+}
+
+function remove(businessId, name) {
+  const result = getDb()
+    .prepare('DELETE FROM column_mappings WHERE business_id = ? AND name = ?')
+    .run(businessId, name);
+  return result.changes > 0;
+}
+
+module.exports = {
+  list,
+  save,
+  remove
+};
@@ -0,0 +1,86 @@
+const { getDb, toJSON, fromJSON } = require('../db');
+
+function rowToConversation(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    userId: row.user_id,
+    businessId: row.business_id,
+    title: row.title,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function rowToMessage(row) {
+  return {
+    id: row.id,
+    role: row.role,
+    content: row.content,
+    citations: fromJSON(row.citations_json, []),
+    trace: fromJSON(row.trace_json, []),
+    timestamp: row.created_at
+  };
+}
+
+function create({ userId, businessId, title }) {
+  const now = new Date().toISOString();
+  const info = getDb()
+    .prepare('INSERT INTO assistant_conversations (user_id, business_id, title, created_at, updated_at) VALUES (?, ?, ?, ?, ?)')
+    .run(userId, businessId, title, now, now);
+  return get(userId, info.lastInsertRowid);
+}
+
+function get(userId, id) {
+  return rowToConversation(getDb()
+    .prepare('SELECT * FROM assistant_conversations WHERE id = ? AND user_id = ?')
+    .get(id, userId));
+}
+
+// The conversation the user spoke in last
+function latest(userId) {
+  return rowToConversation(getDb()
+    .prepare('SELECT * FROM assistant_conversations WHERE user_id = ? ORDER BY updated_at DESC, id DESC LIMIT 1')
+    .get(userId));
+}
+
+// Conversations of a user, most recently active first
+function list(userId, limit = 50) {
+  return getDb()
+    .prepare(`SELECT c.*, (SELECT COUNT(*) FROM assistant_messages m WHERE m.conversation_id = c.id) AS message_count
+      FROM assistant_conversations c WHERE c.user_id = ? ORDER BY c.updated_at DESC, c.id DESC LIMIT ?`)
+    .all(userId, limit)
+    .map(row => ({ ...rowToConversation(row), messageCount: row.message_count }));
+}
+
+function addMessage(conversationId, { role, content, citations = null, trace = null }) {
+  const now = new Date().toISOString();
+  const db = getDb();
+  const info = db
+    .prepare('INSERT INTO assistant_messages (conversation_id, role, content, citations_json, trace_json, created_at) VALUES (?, ?, ?, ?, ?, ?)')
+    .run(conversationId, role, content, toJSON(citations), toJSON(trace), now);
+  db.prepare('UPDATE assistant_conversations SET updated_at = ? WHERE id = ?').run(now, conversationId);
+  return rowToMessage(db.prepare('SELECT * FROM assistant_messages WHERE id = ?').get(info.lastInsertRowid));
+}
+
+// Messages oldest first; with `limit`, only the most recent ones
+function messages(conversationId, limit = null) {
+  const rows = limit
+    ? getDb().prepare('SELECT * FROM assistant_messages WHERE conversation_id = ? ORDER BY id DESC LIMIT ?').all(conversationId, limit).reverse()
+    : getDb().prepare('SELECT * FROM assistant_messages WHERE conversation_id = ? ORDER BY id').all(conversationId);
+  return rows.map(rowToMessage);
+}
+
+function remove(userId, id) {
+  return getDb().prepare('DELETE FROM assistant_conversations WHERE id = ? AND user_id = ?').run(id, userId).changes > 0;
+}
+
+module.exports = {
+  create,
+  get,
+  latest,
+  list,
+  addMessage,
+  messages,
+  remove
+};
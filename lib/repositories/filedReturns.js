@@ -0,0 +1,49 @@
+const { getDb } = require('../db');
+
+function rowToFiledReturn(row) {
+  if (!row) return null;
+  return {
+    deadlineId: row.deadline_id,
+    filedOn: row.filed_on,
+    paidOn: row.paid_on,
+    timestamp: row.created_at
+  };
+}
+
+// Record that the return behind a deadline ("GSTR-3B:2025-01") was filed; marking again updates the dates
+function mark({ businessId, deadlineId, filedOn, paidOn = null }) {
+  getDb()
+    .prepare(`INSERT INTO filed_returns (business_id, deadline_id, filed_on, paid_on, created_at) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (business_id, deadline_id) DO UPDATE SET filed_on = excluded.filed_on, paid_on = excluded.paid_on`)
+    .run(businessId, deadlineId, filedOn, paidOn, new Date().toISOString());
+  return get(businessId, deadlineId);
+}
+
+function unmark(businessId, deadlineId) {
+  return getDb()
+    .prepare('DELETE FROM filed_returns WHERE business_id = ? AND deadline_id = ?')
+    .run(businessId, deadlineId).changes > 0;
+}
+
+function get(businessId, deadlineId) {
+  return rowToFiledReturn(getDb()
+    .prepare('SELECT * FROM filed_returns WHERE business_id = ? AND deadline_id = ?')
+    .get(businessId, deadlineId));
+}
+
+// Filed returns of a business keyed by deadline id
+function byDeadline(businessId) {
+  const map = new Map();
+  getDb()
+    .prepare('SELECT * FROM filed_returns WHERE business_id = ?')
+    .all(businessId)
+    .forEach(row => map.set(row.deadline_id, rowToFiledReturn(row)));
+  return map;
+}
+
+module.exports = {
+  mark,
+  unmark,
+  get,
+  byDeadline
+};
@@ -0,0 +1,159 @@
+const { getDb, toJSON, fromJSON } = require('../db');
+
+function rowToFiling(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    businessId: row.business_id,
+    gstin: row.gstin,
+    taxPeriod: row.tax_period,
+    timestamp: row.created_at,
+    fileName: row.file_name,
+    storedFile: row.stored_file,
+    layout: fromJSON(row.layout_json),
+    sheets: fromJSON(row.sheets_json),
+    calculation: fromJSON(row.calculation_json),
+    processingResult: fromJSON(row.processing_result_json),
+    itc: fromJSON(row.itc_json),
+    validation: fromJSON(row.validation_json)
+  };
+}
+
+function loadLines(filingId, transactionType) {
+  return getDb()
+    .prepare('SELECT line_json FROM invoice_lines WHERE filing_id = ? AND transaction_type = ? ORDER BY id')
+    .all(filingId, transactionType)
+    .map(row => fromJSON(row.line_json));
+}
+
+// Uploads are merged, not replaced: every upload's invoices count, except that an invoice found again
+// in a later upload under the same GSTIN is taken from that upload. Uploading a month again, or a
+// quarter's file after its months' files, so corrects those invoices rather than counting them twice.
+// A condition on the invoice line `l` of the filing `f`.
+const SUPERSEDED = `EXISTS (
+    SELECT 1 FROM invoice_lines later JOIN filings lf ON lf.id = later.filing_id
+    WHERE lf.business_id = f.business_id AND lf.gstin IS f.gstin AND later.filing_id > l.filing_id
+      AND later.transaction_type = l.transaction_type AND later.invoice_number = l.invoice_number
+      AND later.gstin IS l.gstin
+      AND json_extract(later.line_json, '$.documentType') IS json_extract(l.line_json, '$.documentType')
+  )`;
+
+// Save a processed upload together with its invoice lines
+function create(filing) {
+  const db = getDb();
+  const insertLine = db.prepare(`INSERT INTO invoice_lines
+    (filing_id, row_number, transaction_type, invoice_number, invoice_date, gstin, line_json)
+    VALUES (?, ?, ?, ?, ?, ?, ?)`);
+
+  const id = db.transaction(() => {
+    const result = db.prepare(`INSERT INTO filings
+      (business_id, gstin, tax_period, file_name, stored_file, layout_json, sheets_json, calculation_json, processing_result_json, itc_json, validation_json, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+      .run(
+        filing.businessId,
+        filing.gstin || null,
+        filing.taxPeriod || null,
+        filing.fileName,
+        filing.storedFile || null,
+        toJSON(filing.layout),
+        toJSON(filing.sheets),
+        toJSON(filing.calculation),
+        toJSON(filing.processingResult),
+        toJSON(filing.itc),
+        toJSON(filing.validation),
+        new Date().toISOString()
+      );
+
+    const filingId = result.lastInsertRowid;
+    [...(filing.salesData || []), ...(filing.purchaseData || [])].forEach(line => {
+      insertLine.run(filingId, line.rowNumber, line.transactionType, line.invoiceNumber, line.invoiceDate, line.gstin, toJSON(line));
+    });
+    return filingId;
+  })();
+
+  return get(filing.businessId, id);
+}
+
+// Full filing of a business, including its sales and purchase lines
+function get(businessId, id) {
+  const filing = rowToFiling(getDb().prepare('SELECT * FROM filings WHERE id = ? AND business_id = ?').get(id, businessId));
+  if (!filing) return null;
+
+  filing.salesData = loadLines(filing.id, 'SALE');
+  filing.purchaseData = loadLines(filing.id, 'PURCHASE');
+  return filing;
+}
+
+// Filings of a business, oldest first, without their invoice lines; optionally only those for one tax period (YYYY-MM)
+function list(businessId, { taxPeriod = null } = {}) {
+  if (taxPeriod) {
+    return getDb()
+      .prepare('SELECT * FROM filings WHERE business_id = ? AND tax_period = ? ORDER BY id')
+      .all(businessId, taxPeriod)
+      .map(rowToFiling);
+  }
+  return getDb()
+    .prepare('SELECT * FROM filings WHERE business_id = ? ORDER BY id')
+    .all(businessId)
+    .map(rowToFiling);
+}
+
+// GSTINs a business has filings under, with the tax periods covered by each
+function periodsByGstin(businessId) {
+  const gstins = new Map();
+  getDb()
+    .prepare('SELECT DISTINCT gstin, tax_period FROM filings WHERE business_id = ? AND tax_period IS NOT NULL ORDER BY tax_period')
+    .all(businessId)
+    .forEach(row => {
+      if (!gstins.has(row.gstin)) gstins.set(row.gstin, []);
+      gstins.get(row.gstin).push(row.tax_period);
+    });
+  return [...gstins].map(([gstin, periods]) => ({ gstin, periods }));
+}
+
+// Invoice lines of a GSTIN dated within monthly tax periods (YYYY-MM, inclusive)
+function currentLines(businessId, gstin, fromPeriod, toPeriod, transactionType) {
+  return linesForPeriod(businessId, gstin, `${fromPeriod}-01`, `${toPeriod}-31`, transactionType);
+}
+
+function latest(businessId) {
+  const row = getDb()
+    .prepare('SELECT id FROM filings WHERE business_id = ? ORDER BY id DESC LIMIT 1')
+    .get(businessId);
+  return row ? get(businessId, row.id) : null;
+}
+
+// Invoice lines uploaded under a GSTIN and dated within a period (inclusive YYYY-MM-DD bounds), each
+// tagged with its filing and the tax period (YYYY-MM) of its invoice date. Lines uploaded while the
+// business had another GSTIN belong to that registration's returns, not this one's.
+function linesForPeriod(businessId, gstin, from, to, transactionType) {
+  return getDb()
+    .prepare(`SELECT l.filing_id, l.line_json, substr(l.invoice_date, 1, 7) AS tax_period FROM invoice_lines l
+      JOIN filings f ON f.id = l.filing_id
+      WHERE f.business_id = ? AND f.gstin IS ? AND l.transaction_type = ? AND l.invoice_date BETWEEN ? AND ?
+        AND NOT ${SUPERSEDED}
+      ORDER BY l.invoice_date, l.id`)
+    .all(businessId, gstin, transactionType, from, to)
+    .map(row => ({ ...fromJSON(row.line_json), filingId: row.filing_id, taxPeriod: row.tax_period }));
+}
+
+// Number of invoice lines uploaded under a GSTIN that have no invoice date and so belong to no period
+function countUndatedLines(businessId, gstin, transactionType) {
+  return getDb()
+    .prepare(`SELECT COUNT(*) AS total FROM invoice_lines l
+      JOIN filings f ON f.id = l.filing_id
+      WHERE f.business_id = ? AND f.gstin IS ? AND l.transaction_type = ? AND l.invoice_date IS NULL
+        AND NOT ${SUPERSEDED}`)
+    .get(businessId, gstin, transactionType).total;
+}
+
+module.exports = {
+  create,
+  get,
+  list,
+  periodsByGstin,
+  currentLines,
+  latest,
+  linesForPeriod,
+  countUndatedLines
+};
@@ -0,0 +1,18 @@
+// Data access for the routes. Each repository reads and writes one part of the database.
+module.exports = {
+  businesses: require('./businesses'),
+  users: require('./users'),
+  filings: require('./filings'),
+  reminders: require('./reminders'),
+  questions: require('./questions'),
+  columnMappings: require('./columnMappings'),
+  reconciliations: require('./reconciliations'),
+  filedReturns: require('./filedReturns'),
+  calendarFeeds: require('./calendarFeeds'),
+  reminderPreferences: require('./reminderPreferences'),
+  reminderDeliveries: require('./reminderDeliveries'),
+  knowledgeDocuments: require('./knowledgeDocuments'),
+  conversations: require('./conversations'),
+  tallyLedgers: require('./tallyLedgers'),
+  calendarEvents: require('./calendarEvents')
+};
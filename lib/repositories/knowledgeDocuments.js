@@ -0,0 +1,157 @@
+const { getDb, toJSON, fromJSON } = require('../db');
+
+const SELECT_DOCUMENT = `
+  SELECT d.*, (SELECT COUNT(*) FROM knowledge_chunks c WHERE c.document_id = d.id) AS chunk_count
+  FROM knowledge_documents d`;
+
+function rowToDocument(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    seriesId: row.series_id,
+    version: row.version,
+    title: row.title,
+    documentType: row.document_type,
+    notificationNumber: row.notification_number,
+    issuedDate: row.issued_date,
+    effectiveDate: row.effective_date,
+    tags: fromJSON(row.tags_json, []),
+    fileName: row.file_name,
+    storedFile: row.stored_file,
+    mimeType: row.mime_type,
+    supersededBy: row.superseded_by,
+    chunkCount: row.chunk_count,
+    uploadedBy: row.uploaded_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function rowToChunk(row) {
+  return {
+    id: row.id,
+    documentId: row.document_id,
+    position: row.position,
+    section: row.section,
+    text: row.text
+  };
+}
+
+function get(id) {
+  return rowToDocument(getDb().prepare(`${SELECT_DOCUMENT} WHERE d.id = ?`).get(id));
+}
+
+// Documents newest first; superseded ones are left out unless asked for
+function list({ includeSuperseded = false } = {}) {
+  return getDb()
+    .prepare(`${SELECT_DOCUMENT} ${includeSuperseded ? '' : 'WHERE d.superseded_by IS NULL'} ORDER BY d.id DESC`)
+    .all()
+    .map(rowToDocument);
+}
+
+// Every version of a document, latest first
+function versions(seriesId) {
+  return getDb()
+    .prepare(`${SELECT_DOCUMENT} WHERE d.series_id = ? ORDER BY d.version DESC`)
+    .all(seriesId)
+    .map(rowToDocument);
+}
+
+function chunks(documentId) {
+  return getDb()
+    .prepare('SELECT * FROM knowledge_chunks WHERE document_id = ? ORDER BY position')
+    .all(documentId)
+    .map(rowToChunk);
+}
+
+// Chunks of every document, for building the search index
+function allChunks() {
+  return getDb()
+    .prepare('SELECT * FROM knowledge_chunks ORDER BY document_id, position')
+    .all()
+    .map(rowToChunk);
+}
+
+// Save a document and its chunks. With `previousVersionId` it becomes the next version of that
+// document, which is marked superseded by it.
+function create({ previousVersionId = null, title, documentType, notificationNumber, issuedDate, effectiveDate, tags, fileName, storedFile, mimeType, uploadedBy, chunks: documentChunks }) {
+  const db = getDb();
+  const previous = previousVersionId ? get(previousVersionId) : null;
+  const now = new Date().toISOString();
+
+  const id = db.transaction(() => {
+    const version = previous
+      ? db.prepare('SELECT MAX(version) AS version FROM knowledge_documents WHERE series_id = ?').get(previous.seriesId).version + 1
+      : 1;
+    const info = db.prepare(`
+      INSERT INTO knowledge_documents (series_id, version, title, document_type, notification_number, issued_date, effective_date,
+        tags_json, file_name, stored_file, mime_type, uploaded_by, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      previous ? previous.seriesId : null, version, title, documentType, notificationNumber || null, issuedDate || null,
+      effectiveDate || null, toJSON(tags || []), fileName || null, storedFile || null, mimeType || null, uploadedBy || null, now, now
+    );
+    const documentId = info.lastInsertRowid;
+    if (!previous) db.prepare('UPDATE knowledge_documents SET series_id = ? WHERE id = ?').run(documentId, documentId);
+
+    const insertChunk = db.prepare('INSERT INTO knowledge_chunks (document_id, position, section, text) VALUES (?, ?, ?, ?)');
+    documentChunks.forEach(chunk => insertChunk.run(documentId, chunk.position, chunk.section || null, chunk.text));
+
+    if (previous) setSupersededBy(previous.id, documentId);
+    return documentId;
+  })();
+
+  return get(id);
+}
+
+const FIELDS = {
+  title: 'title',
+  documentType: 'document_type',
+  notificationNumber: 'notification_number',
+  issuedDate: 'issued_date',
+  effectiveDate: 'effective_date',
+  tags: 'tags_json'
+};
+
+function update(id, changes) {
+  const fields = Object.keys(FIELDS).filter(field => changes[field] !== undefined);
+  if (fields.length) {
+    getDb()
+      .prepare(`UPDATE knowledge_documents SET ${fields.map(field => `${FIELDS[field]} = ?`).join(', ')}, updated_at = ? WHERE id = ?`)
+      .run(...fields.map(field => (field === 'tags' ? toJSON(changes.tags) : changes[field])), new Date().toISOString(), id);
+  }
+  return get(id);
+}
+
+function setSupersededBy(id, supersededBy) {
+  getDb()
+    .prepare('UPDATE knowledge_documents SET superseded_by = ?, updated_at = ? WHERE id = ?')
+    .run(supersededBy, new Date().toISOString(), id);
+  return get(id);
+}
+
+// Deleting a document restores whatever it superseded (the foreign key clears superseded_by),
+// unless it was itself superseded, in which case those pass on to its replacement
+function remove(id) {
+  const db = getDb();
+  return db.transaction(() => {
+    const document = get(id);
+    if (!document) return false;
+    if (document.supersededBy) {
+      db.prepare('UPDATE knowledge_documents SET superseded_by = ? WHERE superseded_by = ?').run(document.supersededBy, id);
+    }
+    return db.prepare('DELETE FROM knowledge_documents WHERE id = ?').run(id).changes > 0;
+  })();
+}
+
+module.exports = {
+  get,
+  list,
+  versions,
+  chunks,
+  allChunks,
+  create,
+  update,
+  setSupersededBy,
+  remove
+};
@@ -0,0 +1,31 @@
+const { getDb } = require('../db');
+
+function rowToQuestion(row) {
+  return {
+    id: row.id,
+    businessId: row.business_id,
+    userId: row.user_id,
+    question: row.question,
+    answer: row.answer,
+    timestamp: row.created_at
+  };
+}
+
+function create({ businessId, userId = null, question, answer }) {
+  const result = getDb()
+    .prepare('INSERT INTO questions (business_id, user_id, question, answer, created_at) VALUES (?, ?, ?, ?, ?)')
+    .run(businessId, userId, question, answer, new Date().toISOString());
+  return rowToQuestion(getDb().prepare('SELECT * FROM questions WHERE id = ?').get(result.lastInsertRowid));
+}
+
+function list(businessId, limit = 50) {
+  return getDb()
+    .prepare('SELECT * FROM questions WHERE business_id = ? ORDER BY id DESC LIMIT ?')
+    .all(businessId, limit)
+    .map(rowToQuestion);
+}
+
+module.exports = {
+  create,
+  list
+};
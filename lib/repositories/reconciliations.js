@@ -0,0 +1,41 @@
+const { getDb, toJSON, fromJSON } = require('../db');
+
+function rowToReconciliation(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    businessId: row.business_id,
+    period: row.period,
+    fileName: row.file_name,
+    timestamp: row.created_at,
+    ...fromJSON(row.result_json, {})
+  };
+}
+
+function create({ businessId, period, fileName, result }) {
+  const info = getDb()
+    .prepare('INSERT INTO reconciliations (business_id, period, file_name, result_json, created_at) VALUES (?, ?, ?, ?, ?)')
+    .run(businessId, period, fileName || null, toJSON(result), new Date().toISOString());
+  return get(businessId, info.lastInsertRowid);
+}
+
+function get(businessId, id) {
+  return rowToReconciliation(getDb()
+    .prepare('SELECT * FROM reconciliations WHERE id = ? AND business_id = ?')
+    .get(id, businessId));
+}
+
+// Reconciliations of a business, newest first, with their summaries only
+function list(businessId) {
+  return getDb()
+    .prepare('SELECT * FROM reconciliations WHERE business_id = ? ORDER BY id DESC')
+    .all(businessId)
+    .map(rowToReconciliation)
+    .map(({ id, period, fileName, timestamp, summary }) => ({ id, period, fileName, timestamp, summary }));
+}
+
+module.exports = {
+  create,
+  get,
+  list
+};
@@ -0,0 +1,48 @@
+const { getDb } = require('../db');
+
+function rowToDelivery(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    deadlineId: row.deadline_id,
+    kind: row.kind,
+    channel: row.channel,
+    status: row.status,
+    attempts: row.attempts,
+    error: row.error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// One row per reminder and channel, so a reminder is never sent twice on the same channel
+function get(userId, deadlineId, kind, channel) {
+  return rowToDelivery(getDb()
+    .prepare('SELECT * FROM reminder_deliveries WHERE user_id = ? AND deadline_id = ? AND kind = ? AND channel = ?')
+    .get(userId, deadlineId, kind, channel));
+}
+
+// Record an attempt; `error` is null when it went through
+function record({ userId, deadlineId, kind, channel, error = null }) {
+  const now = new Date().toISOString();
+  getDb()
+    .prepare(`INSERT INTO reminder_deliveries (user_id, deadline_id, kind, channel, status, attempts, error, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, 1, ?, ?, ?)
+      ON CONFLICT (user_id, deadline_id, kind, channel) DO UPDATE SET
+        status = excluded.status, attempts = attempts + 1, error = excluded.error, updated_at = excluded.updated_at`)
+    .run(userId, deadlineId, kind, channel, error ? 'FAILED' : 'SENT', error, now, now);
+  return get(userId, deadlineId, kind, channel);
+}
+
+function list(userId, limit = 50) {
+  return getDb()
+    .prepare('SELECT * FROM reminder_deliveries WHERE user_id = ? ORDER BY updated_at DESC, id DESC LIMIT ?')
+    .all(userId, limit)
+    .map(rowToDelivery);
+}
+
+module.exports = {
+  get,
+  record,
+  list
+};
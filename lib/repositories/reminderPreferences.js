@@ -0,0 +1,72 @@
+const { getDb, toJSON, fromJSON } = require('../db');
+
+// What a user gets before they have saved any preferences: email to their sign-in address
+const DEFAULTS = {
+  enabled: true,
+  channels: ['EMAIL'],
+  webhookUrl: null,
+  phone: null,
+  leadDays: [7, 3, 1],
+  escalate: true,
+  escalateEveryDays: 3,
+  escalationEmail: null
+};
+
+function rowToPreferences(row) {
+  return {
+    enabled: Boolean(row.enabled),
+    channels: fromJSON(row.channels_json),
+    email: row.email,
+    webhookUrl: row.webhook_url,
+    phone: row.phone,
+    leadDays: fromJSON(row.lead_days_json),
+    escalate: Boolean(row.escalate),
+    escalateEveryDays: row.escalate_every_days,
+    escalationEmail: row.escalation_email,
+    updatedAt: row.updated_at
+  };
+}
+
+// Saved preferences of a user, or the defaults addressed to the given email
+function get(userId, defaultEmail = null) {
+  const row = getDb().prepare('SELECT * FROM reminder_preferences WHERE user_id = ?').get(userId);
+  return row ? rowToPreferences(row) : { ...DEFAULTS, email: defaultEmail, updatedAt: null };
+}
+
+function save(userId, preferences) {
+  getDb()
+    .prepare(`INSERT INTO reminder_preferences
+        (user_id, enabled, channels_json, email, webhook_url, phone, lead_days_json, escalate, escalate_every_days, escalation_email, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (user_id) DO UPDATE SET
+        enabled = excluded.enabled,
+        channels_json = excluded.channels_json,
+        email = excluded.email,
+        webhook_url = excluded.webhook_url,
+        phone = excluded.phone,
+        lead_days_json = excluded.lead_days_json,
+        escalate = excluded.escalate,
+        escalate_every_days = excluded.escalate_every_days,
+        escalation_email = excluded.escalation_email,
+        updated_at = excluded.updated_at`)
+    .run(
+      userId,
+      preferences.enabled ? 1 : 0,
+      toJSON(preferences.channels),
+      preferences.email || null,
+      preferences.webhookUrl || null,
+      preferences.phone || null,
+      toJSON(preferences.leadDays),
+      preferences.escalate ? 1 : 0,
+      preferences.escalateEveryDays,
+      preferences.escalationEmail || null,
+      new Date().toISOString()
+    );
+  return get(userId);
+}
+
+module.exports = {
+  DEFAULTS,
+  get,
+  save
+};
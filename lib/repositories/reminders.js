@@ -0,0 +1,40 @@
+const { getDb } = require('../db');
+
+function rowToReminder(row) {
+  return {
+    id: row.id,
+    businessId: row.business_id,
+    deadlineId: row.deadline_id,
+    reminderDate: row.reminder_date,
+    added: row.created_at
+  };
+}
+
+// Deadline ids are the strings from the due-date engine ("GSTR-3B:2025-01")
+function create({ businessId, deadlineId, reminderDate }) {
+  const result = getDb()
+    .prepare('INSERT INTO reminders (business_id, deadline_id, reminder_date, created_at) VALUES (?, ?, ?, ?)')
+    .run(businessId, deadlineId, new Date(reminderDate).toISOString(), new Date().toISOString());
+  return rowToReminder(getDb().prepare('SELECT * FROM reminders WHERE id = ?').get(result.lastInsertRowid));
+}
+
+function list(businessId) {
+  return getDb()
+    .prepare('SELECT * FROM reminders WHERE business_id = ? ORDER BY reminder_date')
+    .all(businessId)
+    .map(rowToReminder);
+}
+
+// Reminders of a business whose time has come by the given ISO timestamp
+function dueBy(businessId, until) {
+  return getDb()
+    .prepare('SELECT * FROM reminders WHERE business_id = ? AND reminder_date <= ? ORDER BY reminder_date')
+    .all(businessId, until)
+    .map(rowToReminder);
+}
+
+module.exports = {
+  create,
+  list,
+  dueBy
+};
@@ -0,0 +1,20 @@
+const { getDb, toJSON, fromJSON } = require('../db');
+
+// Ledger names a business has set for Tally exports, keyed by ledger; {} when none are saved
+function get(businessId) {
+  const row = getDb().prepare('SELECT ledgers_json FROM tally_ledgers WHERE business_id = ?').get(businessId);
+  return row ? fromJSON(row.ledgers_json, {}) : {};
+}
+
+function save(businessId, ledgers) {
+  getDb()
+    .prepare(`INSERT INTO tally_ledgers (business_id, ledgers_json, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT (business_id) DO UPDATE SET ledgers_json = excluded.ledgers_json, updated_at = excluded.updated_at`)
+    .run(businessId, toJSON(ledgers), new Date().toISOString());
+  return get(businessId);
+}
+
+module.exports = {
+  get,
+  save
+};
@@ -0,0 +1,59 @@
+const { getDb } = require('../db');
+
+function rowToUser(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    businessId: row.business_id,
+    email: row.email,
+    name: row.name,
+    language: row.language,
+    createdAt: row.created_at
+  };
+}
+
+function get(id) {
+  return rowToUser(getDb().prepare('SELECT * FROM users WHERE id = ?').get(id));
+}
+
+// Look up a user for login; this is the only place the password hash leaves the database
+function findWithPasswordHash(email) {
+  const row = getDb().prepare('SELECT * FROM users WHERE email = ?').get(email.toLowerCase());
+  return row ? { ...rowToUser(row), passwordHash: row.password_hash } : null;
+}
+
+function create({ businessId, email, name = null, passwordHash, language = 'en' }) {
+  const result = getDb()
+    .prepare('INSERT INTO users (business_id, email, name, password_hash, language, created_at) VALUES (?, ?, ?, ?, ?, ?)')
+    .run(businessId, email.toLowerCase(), name, passwordHash, language, new Date().toISOString());
+  return get(result.lastInsertRowid);
+}
+
+// Update the given profile fields (name, language), leaving the others untouched
+function update(id, fields) {
+  const existing = get(id);
+  if (!existing) return null;
+
+  const merged = { ...existing, ...fields };
+  getDb()
+    .prepare('UPDATE users SET name = ?, language = ? WHERE id = ?')
+    .run(merged.name, merged.language, id);
+  return get(id);
+}
+
+function list() {
+  return getDb().prepare('SELECT * FROM users ORDER BY id').all().map(rowToUser);
+}
+
+function count() {
+  return getDb().prepare('SELECT COUNT(*) AS total FROM users').get().total;
+}
+
+module.exports = {
+  get,
+  findWithPasswordHash,
+  create,
+  update,
+  list,
+  count
+};
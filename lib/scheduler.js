@@ -0,0 +1,222 @@
+const dueDates = require('./dueDates');
+const { liabilityForDeadline, runningPenalty } = require('./penalties');
+const { getChannel } = require('./channels');
+const i18n = require('./i18n');
+const {
+  users,
+  businesses,
+  filedReturns,
+  reminders,
+  reminderPreferences,
+  reminderDeliveries
+} = require('./repositories');
+
+// A failed delivery is retried on later runs, up to this many attempts in all
+const MAX_ATTEMPTS = 3;
+
+// Overdue reminders become escalations, copied to the escalation contact, after this many days
+const ESCALATE_AFTER_DAYS = 7;
+
+const formatAmount = amount => `₹${amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+function appUrl() {
+  return `${(process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '')}/deadline.html`;
+}
+
+// Late fee and interest run up so far, with interest on the tax uploaded for the period
+function penaltyFor(business, deadline, today) {
+  const liability = liabilityForDeadline(business, deadline);
+  return runningPenalty(deadline, liability, { today });
+}
+
+// The message for one reminder, shared by every channel; channels pick the parts they can show.
+// It is written in the user's language, with the form names as they are.
+function buildMessage({ kind, level, deadline, business, today, penalty = null, language = i18n.DEFAULT_LANGUAGE }) {
+  const t = i18n.translator(language);
+  const formatDate = date => i18n.formatDate(language, date);
+  const daysRemaining = dueDates.daysRemaining(deadline.dueDate, today);
+  const name = t('reminder.return', { form: deadline.form, period: deadline.periodLabel });
+
+  let subject;
+  if (level === 'REMINDER') {
+    subject = daysRemaining === 0
+      ? t('reminder.dueToday', { name })
+      : t(daysRemaining === 1 ? 'reminder.dueInOneDay' : 'reminder.dueInDays', { name, days: daysRemaining, date: formatDate(deadline.dueDate) });
+  } else {
+    const days = -daysRemaining;
+    subject = level === 'ESCALATED'
+      ? t(days === 1 ? 'reminder.stillUnfiledOneDay' : 'reminder.stillUnfiled', { name, days })
+      : t(days === 1 ? 'reminder.overdueOneDay' : 'reminder.overdue', { name, days });
+  }
+
+  const lines = [
+    `${business.name}${business.gstin ? ` (${business.gstin})` : ''}`,
+    '',
+    `${deadline.form}: ${deadline.description}`,
+    t('reminder.taxPeriod', { period: deadline.periodLabel }),
+    `${t('reminder.dueDate', { date: formatDate(deadline.dueDate) })}${deadline.extended ? ` ${t('reminder.extendedFrom', { date: formatDate(deadline.originalDueDate) })}` : ''}`
+  ];
+  if (penalty) {
+    lines.push(t('reminder.lateFee', { amount: formatAmount(penalty.lateFee.total) }));
+    if (penalty.interest) lines.push(t('reminder.interest', { amount: formatAmount(penalty.interest.total) }));
+    lines.push(t('reminder.growing'));
+  }
+  lines.push('', t('reminder.markFiled', { url: appUrl() }));
+
+  return {
+    kind,
+    level,
+    subject,
+    text: lines.join('\n'),
+    url: appUrl(),
+    business: { id: business.id, name: business.name, gstin: business.gstin },
+    deadline: {
+      id: deadline.id,
+      form: deadline.form,
+      taxPeriod: deadline.taxPeriod,
+      periodLabel: deadline.periodLabel,
+      dueDate: deadline.dueDate
+    },
+    daysRemaining,
+    penalty: penalty ? { lateFee: penalty.lateFee.total, interest: penalty.interest ? penalty.interest.total : null, total: penalty.total } : null
+  };
+}
+
+// Reminders a user is due as of today. Each has a kind that names its stage, so a stage is
+// sent once however often the scheduler runs, and a run missed while the server was down
+// is caught up by the next one (only the latest stage is sent, not every one that was missed).
+function pendingReminders(user, business, preferences, now) {
+  const today = now.toISOString().split('T')[0];
+  const filed = filedReturns.byDeadline(business.id);
+  const pending = [];
+
+  // Before the due date, at each lead time the user chose
+  const leadDays = [...preferences.leadDays].sort((a, b) => a - b);
+  dueDates.upcomingDeadlines(business, { from: today, months: 2 })
+    .filter(deadline => !deadline.optional && !filed.has(deadline.id))
+    .forEach(deadline => {
+      const stage = leadDays.find(days => days >= dueDates.daysRemaining(deadline.dueDate, today));
+      if (stage === undefined) return;
+      pending.push(buildMessage({ kind: `DUE_IN_${stage}`, level: 'REMINDER', deadline, business, today, language: user.language }));
+    });
+
+  // Reminders set for a particular deadline and time from the calendar
+  reminders.dueBy(business.id, now.toISOString()).forEach(reminder => {
+    const deadline = dueDates.findDeadline(business, reminder.deadlineId);
+    if (!deadline || deadline.dueDate < today || filed.has(deadline.id)) return;
+    pending.push(buildMessage({ kind: `REMINDER_${reminder.id}`, level: 'REMINDER', deadline, business, today, language: user.language }));
+  });
+
+  // After the due date, every few days until the return is marked filed. Returns that fell due
+  // before the user signed up are left out: they may well be filed, just never marked.
+  if (preferences.escalate) {
+    const signedUp = user.createdAt ? user.createdAt.split('T')[0] : '';
+    dueDates.pastDeadlines(business, { today, months: 3 })
+      .filter(deadline => !deadline.optional && !filed.has(deadline.id) && deadline.dueDate >= signedUp)
+      .forEach(deadline => {
+        const daysLate = -dueDates.daysRemaining(deadline.dueDate, today);
+        const step = Math.floor((daysLate - 1) / preferences.escalateEveryDays);
+        pending.push(buildMessage({
+          kind: `OVERDUE_${step}`,
+          level: daysLate >= ESCALATE_AFTER_DAYS ? 'ESCALATED' : 'OVERDUE',
+          deadline,
+          business,
+          today,
+          penalty: penaltyFor(business, deadline, today),
+          language: user.language
+        }));
+      });
+  }
+
+  return pending;
+}
+
+// Send a message on each of the user's channels that has not had it yet
+async function deliver(user, preferences, message) {
+  const results = [];
+  for (const name of preferences.channels) {
+    const channel = getChannel(name);
+    if (!channel || !channel.isConfigured() || !channel.recipient(preferences)) continue;
+
+    const previous = reminderDeliveries.get(user.id, message.deadline.id, message.kind, name);
+    if (previous && (previous.status === 'SENT' || previous.attempts >= MAX_ATTEMPTS)) continue;
+
+    let error = null;
+    try {
+      await channel.send(message, preferences);
+    } catch (sendError) {
+      error = sendError.message;
+      console.error(`Error sending ${name} reminder to user ${user.id}:`, error);
+    }
+    results.push(reminderDeliveries.record({ userId: user.id, deadlineId: message.deadline.id, kind: message.kind, channel: name, error }));
+  }
+  return results;
+}
+
+// Check one user's deadlines and send whatever is due
+async function runForUser(user, { now = new Date() } = {}) {
+  const preferences = reminderPreferences.get(user.id, user.email);
+  const business = businesses.get(user.businessId);
+  if (!preferences.enabled || !business) return [];
+
+  const deliveries = [];
+  for (const message of pendingReminders(user, business, preferences, now)) {
+    deliveries.push(...await deliver(user, preferences, message));
+  }
+  return deliveries;
+}
+
+let running = false;
+
+// One pass over every user; overlapping passes are skipped
+async function runOnce({ now = new Date() } = {}) {
+  if (running) return null;
+  running = true;
+  const summary = { users: 0, sent: 0, failed: 0 };
+  try {
+    for (const user of users.list()) {
+      summary.users++;
+      try {
+        (await runForUser(user, { now })).forEach(delivery => {
+          summary[delivery.status === 'SENT' ? 'sent' : 'failed']++;
+        });
+      } catch (error) {
+        console.error(`Error checking reminders for user ${user.id}:`, error);
+      }
+    }
+  } finally {
+    running = false;
+  }
+  if (summary.sent || summary.failed) {
+    console.log(`Reminders: ${summary.sent} sent, ${summary.failed} failed`);
+  }
+  return summary;
+}
+
+let timer = null;
+
+// Check for reminders every REMINDER_INTERVAL_MINUTES (default 60), starting shortly after
+// the server comes up. REMINDERS_DISABLED=true turns the scheduler off, e.g. on a second instance.
+function start({ intervalMinutes = Number(process.env.REMINDER_INTERVAL_MINUTES) || 60 } = {}) {
+  if (timer || process.env.REMINDERS_DISABLED === 'true') return;
+  const tick = () => runOnce().catch(error => console.error('Error running reminder scheduler:', error));
+  timer = setInterval(tick, intervalMinutes * 60 * 1000);
+  timer.unref();
+  setTimeout(tick, 10 * 1000).unref();
+  console.log(`Reminder scheduler checking every ${intervalMinutes} minute${intervalMinutes === 1 ? '' : 's'}`);
+}
+
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  buildMessage,
+  pendingReminders,
+  runForUser,
+  runOnce,
+  start,
+  stop
+};
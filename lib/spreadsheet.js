@@ -0,0 +1,138 @@
+const XLSX = require('xlsx');
+const { round2, signedValue, assessLine } = require('./tax');
+const { assessPurchase, summarizeItc } = require('./itc');
+const { rateForLine } = require('./hsn');
+const analytics = require('./analytics');
+
+const HEAD_COLUMNS = ['IGST', 'CGST', 'SGST', 'UTGST', 'Cess'];
+const HEADS = ['igst', 'cgst', 'sgst', 'utgst', 'cess'];
+
+// The invoice lines of a filing as read from the upload, with the tax worked out for each.
+// Credit notes carry negative values, so every column adds up to the filing's totals.
+function lineRows(filing, stateCode) {
+  const header = [
+    'Row', 'Type', 'Document', 'Invoice number', 'Invoice date', 'Tax period', 'GSTIN', 'Party',
+    'Place of supply', 'HSN/SAC', 'Product', 'Quantity', 'Unit price', 'Taxable value', 'Rate (%)',
+    ...HEAD_COLUMNS, 'Total tax', 'Invoice value', 'ITC status'
+  ];
+  const rows = [...filing.salesData, ...filing.purchaseData].map(line => {
+    // Lines stored before assessment was kept are assessed now
+    if (line.transactionType === 'PURCHASE') {
+      if (!line.itc) assessPurchase(line, stateCode);
+    } else if (!line.tax) {
+      assessLine(line, stateCode, rateForLine);
+    }
+    const taxableValue = round2(signedValue(line));
+    const totalTax = round2(HEADS.reduce((sum, head) => sum + line.tax[head], 0));
+    return [
+      line.rowNumber,
+      line.transactionType,
+      line.documentType,
+      line.invoiceNumber,
+      line.invoiceDate,
+      line.taxPeriod || filing.taxPeriod,
+      line.gstin,
+      line.partyName,
+      line.tax.classification.placeOfSupplyName,
+      line.hsnCode,
+      line.product,
+      line.quantity,
+      line.unitPrice,
+      taxableValue,
+      line.tax.taxRate,
+      ...HEADS.map(head => line.tax[head]),
+      totalTax,
+      round2(taxableValue + totalTax),
+      line.itc ? line.itc.status : null
+    ];
+  });
+  return [header, ...rows];
+}
+
+// Output tax on the sales, the credit the purchases make available, and what is left to pay
+function summaryRows(filing, sales, stateCode) {
+  const rows = [
+    ['Item', 'Invoices', 'Taxable value', ...HEAD_COLUMNS, 'Total tax'],
+    ['Output tax on sales', sales.invoices, sales.taxableValue, ...HEADS.map(head => sales.tax[head]), sales.tax.total]
+  ];
+
+  if (filing.purchaseData.length > 0) {
+    filing.purchaseData.forEach(line => {
+      if (!line.itc) assessPurchase(line, stateCode);
+    });
+    const itc = summarizeItc(filing.purchaseData);
+    const headsRow = (label, heads) => [label, null, null, ...HEADS.map(head => round2(heads[head])), round2(heads.total)];
+    rows.push(
+      ['Purchases', itc.purchases, round2(itc.totalPurchaseValue), ...HEADS.map(() => null), null],
+      headsRow('ITC available', itc.available),
+      headsRow('ITC on capital goods (included above)', itc.capitalGoods),
+      headsRow('ITC blocked', itc.blocked),
+      headsRow('ITC ineligible', itc.ineligible),
+      ['Net tax payable', null, null, ...HEADS.map(() => null), round2(Math.max(sales.tax.total - itc.available.total, 0))]
+    );
+  } else {
+    rows.push(['Net tax payable (no purchase register uploaded)', null, null, ...HEADS.map(() => null), sales.tax.total]);
+  }
+  return rows;
+}
+
+// One sales breakdown from analytics.summarize: by place of supply, rate slab or HSN
+function breakdownRows(label, groups) {
+  return [
+    [label, 'Invoices', 'Taxable value', ...HEAD_COLUMNS, 'Total tax', 'Share (%)'],
+    ...groups.map(group => [
+      group.label, group.invoices, group.taxableValue, ...HEADS.map(head => group.tax[head]), group.tax.total, group.share
+    ])
+  ];
+}
+
+// Every table of a filing's export, by the name it is downloaded under
+function buildSheets(filing, { stateCode }) {
+  const sales = analytics.summarize(filing.salesData, { stateCode });
+  return [
+    { id: 'lines', name: 'Invoice lines', rows: lineRows(filing, stateCode) },
+    { id: 'summary', name: 'Tax summary', rows: summaryRows(filing, sales.totals, stateCode) },
+    { id: 'state', name: 'By place of supply', rows: breakdownRows('Place of supply', sales.byState) },
+    { id: 'rate', name: 'By rate', rows: breakdownRows('Rate', sales.byRate) },
+    { id: 'hsn', name: 'By HSN', rows: breakdownRows('HSN/SAC', sales.byHsn) }
+  ];
+}
+
+function toSheet(rows) {
+  return XLSX.utils.aoa_to_sheet(rows.map(row => row.map(value => (value === undefined ? null : value))));
+}
+
+// An Excel workbook with one worksheet per table
+function toWorkbook(sheets) {
+  const workbook = XLSX.utils.book_new();
+  sheets.forEach(sheet => XLSX.utils.book_append_sheet(workbook, toSheet(sheet.rows), sheet.name));
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+// Text from an uploaded file that a spreadsheet would run as a formula (=, +, -, @ or a tab or
+// carriage return first) is prefixed with ' to be shown as text; workbook cells are text already
+function formulaSafe(value) {
+  return typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(formulaSafe(value));
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Rows as CSV; every CSV download is written here
+function csvText(rows) {
+  return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+function toCsv(sheet) {
+  return csvText(sheet.rows);
+}
+
+module.exports = {
+  buildSheets,
+  toWorkbook,
+  toCsv,
+  formulaSafe,
+  csvText
+};
@@ -0,0 +1,241 @@
+const { round2, signedValue, assessLine } = require('./tax');
+const { assessPurchase, chargedTaxHeads } = require('./itc');
+const { rateForLine } = require('./hsn');
+const { findState } = require('./placeOfSupply');
+const { parsePeriod } = require('./periods');
+const { tallyLedgers } = require('./repositories');
+
+// Ledgers the vouchers post to, as named in a fresh Tally company with GST enabled. A name may
+// contain {rate} for the line's GST rate, e.g. "Sales @ {rate}%" for one sales ledger per slab.
+const DEFAULT_LEDGERS = {
+  sales: 'Sales',
+  purchase: 'Purchase',
+  outputIgst: 'Output IGST',
+  outputCgst: 'Output CGST',
+  outputSgst: 'Output SGST',
+  outputUtgst: 'Output UTGST',
+  outputCess: 'Output Cess',
+  inputIgst: 'Input IGST',
+  inputCgst: 'Input CGST',
+  inputSgst: 'Input SGST',
+  inputUtgst: 'Input UTGST',
+  inputCess: 'Input Cess',
+  // Party for lines with neither a party name nor a GSTIN
+  cashParty: 'Cash'
+};
+
+// Tally refuses ledger names longer than this
+const MAX_LEDGER_NAME = 100;
+
+const TAX_HEADS = ['igst', 'cgst', 'sgst', 'utgst', 'cess'];
+
+class TallyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TallyError';
+  }
+}
+
+// Ledger names of a business: the ones it has saved over the defaults
+function getLedgers(businessId) {
+  return { ...DEFAULT_LEDGERS, ...tallyLedgers.get(businessId) };
+}
+
+// Save ledger names over the business's current ones. Names left empty go back to the default.
+function saveLedgers(businessId, ledgers) {
+  const unknown = Object.keys(ledgers).filter(key => !(key in DEFAULT_LEDGERS));
+  if (unknown.length > 0) {
+    throw new TallyError(`Unknown ledgers: ${unknown.join(', ')}`);
+  }
+
+  const saved = { ...tallyLedgers.get(businessId) };
+  Object.entries(ledgers).forEach(([key, value]) => {
+    const name = value === null || value === undefined ? '' : String(value).trim();
+    if (name.length > MAX_LEDGER_NAME) {
+      throw new TallyError(`Ledger name for ${key} is longer than ${MAX_LEDGER_NAME} characters`);
+    }
+    if (!name || name === DEFAULT_LEDGERS[key]) {
+      delete saved[key];
+    } else {
+      saved[key] = name;
+    }
+  });
+
+  tallyLedgers.save(businessId, saved);
+  return getLedgers(businessId);
+}
+
+function ledgerName(ledgers, key, line) {
+  return ledgers[key].replace(/\{rate\}/g, line.tax.taxRate);
+}
+
+// Tally records a purchase return, the supplier's credit note, as a debit note, and the other
+// way round; sales notes keep their names
+function voucherType(line) {
+  const purchase = line.transactionType === 'PURCHASE';
+  if (line.documentType === 'CREDIT_NOTE') return purchase ? 'Debit Note' : 'Credit Note';
+  if (line.documentType === 'DEBIT_NOTE') return purchase ? 'Credit Note' : 'Debit Note';
+  return purchase ? 'Purchase' : 'Sales';
+}
+
+// Ledger postings of one line, debits positive. Sales credit the sales and output tax ledgers;
+// purchases debit the purchase ledger and the input tax ledgers for the credit that can be
+// claimed, with tax that cannot be claimed added to the cost. Credit notes carry negative values
+// and so post the other way round.
+function postingsFor(line, ledgers) {
+  const taxable = signedValue(line);
+  if (line.transactionType === 'PURCHASE') {
+    const heads = chargedTaxHeads(line);
+    const charged = TAX_HEADS.reduce((sum, head) => sum + heads[head], 0);
+    const claimed = TAX_HEADS.reduce((sum, head) => sum + line.itc[head], 0);
+    return [
+      { ledger: ledgerName(ledgers, 'purchase', line), amount: taxable + charged - claimed },
+      ...TAX_HEADS.map(head => ({
+        ledger: ledgerName(ledgers, `input${head[0].toUpperCase()}${head.slice(1)}`, line),
+        amount: line.itc[head]
+      }))
+    ];
+  }
+  return [
+    { ledger: ledgerName(ledgers, 'sales', line), amount: -taxable },
+    ...TAX_HEADS.map(head => ({
+      ledger: ledgerName(ledgers, `output${head[0].toUpperCase()}${head.slice(1)}`, line),
+      amount: -line.tax[head]
+    }))
+  ];
+}
+
+// Group the lines of a filing into one voucher per document (invoice, credit or debit note),
+// posting to the business's ledgers. Lines without a date are dated the last day of the filing's
+// tax period, or the day it was uploaded.
+function buildVouchers(filing, { ledgers, stateCode }) {
+  const period = parsePeriod(filing.taxPeriod);
+  const fallbackDate = period ? period.to : filing.timestamp.split('T')[0];
+  const vouchers = new Map();
+
+  [...filing.salesData, ...filing.purchaseData].forEach(line => {
+    // Lines stored before assessment was kept are assessed now
+    if (line.transactionType === 'PURCHASE') {
+      if (!line.itc) assessPurchase(line, stateCode);
+    } else if (!line.tax) {
+      assessLine(line, stateCode, rateForLine);
+    }
+
+    // Suppliers can use the same invoice numbers, so a purchase is told apart by its GSTIN too
+    const key = [
+      line.transactionType,
+      line.documentType,
+      line.transactionType === 'PURCHASE' ? line.gstin : '',
+      line.invoiceNumber || `row-${line.rowNumber}`
+    ].join('|');
+    if (!vouchers.has(key)) {
+      const place = findState(line.tax.classification.placeOfSupply);
+      vouchers.set(key, {
+        type: voucherType(line),
+        transactionType: line.transactionType,
+        date: line.invoiceDate || fallbackDate,
+        number: line.invoiceNumber || null,
+        party: line.partyName || line.gstin || ledgers.cashParty,
+        partyGstin: line.gstin || null,
+        placeOfSupply: place ? place.name : null,
+        rows: [],
+        postings: new Map()
+      });
+    }
+
+    const voucher = vouchers.get(key);
+    voucher.rows.push(line.rowNumber);
+    postingsFor(line, ledgers).forEach(({ ledger, amount }) => {
+      voucher.postings.set(ledger, (voucher.postings.get(ledger) || 0) + amount);
+    });
+  });
+
+  // The party takes the balance of the rounded postings, so every voucher balances to the paisa
+  return [...vouchers.values()].map(({ postings, ...voucher }) => {
+    const entries = [...postings.entries()]
+      .map(([ledger, amount]) => ({ ledger, amount: round2(amount) }))
+      .filter(entry => entry.amount !== 0);
+    const balance = round2(-entries.reduce((sum, entry) => sum + entry.amount, 0));
+    return {
+      ...voucher,
+      entries: [{ ledger: voucher.party, amount: balance, isParty: true }, ...entries]
+    };
+  });
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function element(name, value) {
+  return value === null || value === undefined || value === '' ? '' : `<${name}>${escapeXml(value)}</${name}>`;
+}
+
+// Tally writes a debit as a negative amount on a ledger that is "deemed positive"
+function entryXml(entry) {
+  return [
+    '<ALLLEDGERENTRIES.LIST>',
+    element('LEDGERNAME', entry.ledger),
+    element('ISDEEMEDPOSITIVE', entry.amount > 0 ? 'Yes' : 'No'),
+    element('ISPARTYLEDGER', entry.isParty ? 'Yes' : 'No'),
+    element('AMOUNT', (-entry.amount).toFixed(2)),
+    '</ALLLEDGERENTRIES.LIST>'
+  ].join('');
+}
+
+function voucherXml(voucher, narration) {
+  const date = voucher.date.replace(/-/g, '');
+  // Tally numbers purchases itself; the supplier's invoice number is the reference
+  const ownNumber = voucher.transactionType === 'SALE';
+  return [
+    `<TALLYMESSAGE xmlns:UDF="TallyUDF"><VOUCHER VCHTYPE="${escapeXml(voucher.type)}" ACTION="Create" OBJVIEW="Accounting Voucher View">`,
+    element('DATE', date),
+    element('EFFECTIVEDATE', date),
+    element('VOUCHERTYPENAME', voucher.type),
+    ownNumber ? element('VOUCHERNUMBER', voucher.number) : '',
+    element('REFERENCE', voucher.number),
+    voucher.number ? element('REFERENCEDATE', date) : '',
+    element('PARTYLEDGERNAME', voucher.party),
+    element('PARTYGSTIN', voucher.partyGstin),
+    element('PLACEOFSUPPLY', voucher.placeOfSupply),
+    element('STATENAME', voucher.placeOfSupply),
+    element('NARRATION', `${narration} (rows ${voucher.rows.join(', ')})`),
+    element('PERSISTEDVIEW', 'Accounting Voucher View'),
+    element('ISINVOICE', 'No'),
+    ...voucher.entries.map(entryXml),
+    '</VOUCHER></TALLYMESSAGE>'
+  ].filter(Boolean).join('\n');
+}
+
+// An import file for Tally (Gateway of Tally > Import > Transactions) with every voucher
+function toXml(vouchers, { company, narration }) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<ENVELOPE>',
+    '<HEADER><TALLYREQUEST>Import Data</TALLYREQUEST></HEADER>',
+    '<BODY><IMPORTDATA>',
+    '<REQUESTDESC><REPORTNAME>Vouchers</REPORTNAME>',
+    company ? `<STATICVARIABLES>${element('SVCURRENTCOMPANY', company)}</STATICVARIABLES>` : '',
+    '</REQUESTDESC>',
+    '<REQUESTDATA>',
+    ...vouchers.map(voucher => voucherXml(voucher, narration)),
+    '</REQUESTDATA>',
+    '</IMPORTDATA></BODY>',
+    '</ENVELOPE>',
+    ''
+  ].filter(Boolean).join('\n');
+}
+
+module.exports = {
+  DEFAULT_LEDGERS,
+  TallyError,
+  getLedgers,
+  saveLedgers,
+  buildVouchers,
+  toXml
+};
@@ -0,0 +1,77 @@
+const { classifySupply } = require('./placeOfSupply');
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Credit notes reduce turnover and tax; everything else adds to it
+function documentSign(line) {
+  return line.documentType === 'CREDIT_NOTE' ? -1 : 1;
+}
+
+// Taxable value with the sign of the document applied
+function signedValue(line) {
+  return Math.abs(line.taxableValue) * documentSign(line);
+}
+
+function hasReportedHeads(line) {
+  return line.igst !== null || line.cgst !== null || line.sgst !== null;
+}
+
+// Work out the tax heads of one invoice line and record them on `line.tax`.
+// `fallbackRate` gives the rate for lines that carry none.
+function assessLine(line, supplierStateCode, fallbackRate) {
+  const classification = classifySupply(line, supplierStateCode);
+  const taxRate = line.taxRate !== null && line.taxRate !== undefined ? line.taxRate : fallbackRate(line);
+
+  // Tax reported in the file wins over rate x value; classification only decides the heads
+  const reported = hasReportedHeads(line);
+  const taxAmount = documentSign(line) * (reported
+    ? Math.abs((line.igst || 0) + (line.cgst || 0) + (line.sgst || 0))
+    : Math.abs(line.taxableValue) * (taxRate / 100));
+
+  let nature = classification.nature;
+  if (nature === 'UNKNOWN') {
+    // Without both states, trust the heads the file reports or a literal "Home State";
+    // anything else is charged IGST
+    const homeState = String(line.placeOfSupply || '').trim().toLowerCase() === 'home state';
+    const reportedIntra = reported && !line.igst && (line.cgst || line.sgst);
+    nature = homeState || reportedIntra ? 'INTRA' : 'INTER';
+  }
+
+  const tax = {
+    taxRate,
+    nature,
+    classification,
+    igst: 0,
+    cgst: 0,
+    sgst: 0,
+    utgst: 0,
+    cess: documentSign(line) * Math.abs(line.cess || 0)
+  };
+
+  if (nature === 'INTRA') {
+    tax.cgst = round2(taxAmount / 2);
+    if (classification.taxHeads.includes('UTGST')) {
+      tax.utgst = round2(taxAmount / 2);
+    } else {
+      tax.sgst = round2(taxAmount / 2);
+    }
+  } else {
+    tax.igst = round2(taxAmount);
+  }
+
+  // Reported heads that disagree with the classification are flagged for the validation report
+  if (reported && ((nature === 'INTRA' && line.igst) || (nature === 'INTER' && (line.cgst || line.sgst)))) {
+    tax.headMismatch = true;
+  }
+
+  line.tax = tax;
+  return tax;
+}
+
+module.exports = {
+  round2,
+  signedValue,
+  assessLine
+};
@@ -0,0 +1,270 @@
+const gstinCheck = require('./gstin');
+const { findState } = require('./placeOfSupply');
+const { checkLine } = require('./hsn');
+const { round2 } = require('./tax');
+const { periodOfDate } = require('./periods');
+const { csvText } = require('./spreadsheet');
+
+// Rates notified under GST, in percent
+const VALID_RATES = [0, 0.1, 0.25, 1, 1.5, 3, 5, 6, 7.5, 12, 18, 28, 40];
+
+// Differences up to this many rupees are rounding
+const TAX_TOLERANCE = 1;
+
+const FIELD_LABELS = {
+  quantity: 'Quantity',
+  unitPrice: 'Unit price',
+  taxableValue: 'Taxable value',
+  taxRate: 'Tax rate',
+  igst: 'IGST',
+  cgst: 'CGST',
+  sgst: 'SGST',
+  cess: 'Cess',
+  invoiceDate: 'Invoice date',
+  gstin: 'GSTIN',
+  placeOfSupply: 'Place of supply',
+  supplierState: 'Supplier state',
+  invoiceNumber: 'Invoice number',
+  hsnCode: 'HSN code'
+};
+
+function isValidRate(rate) {
+  return VALID_RATES.some(valid => Math.abs(valid - rate) < 0.05);
+}
+
+function formatAmount(value) {
+  return `₹${round2(value).toLocaleString('en-IN')}`;
+}
+
+// The month most lines fall in, taken as the filing period when the upload does not name one
+function dominantPeriod(lines) {
+  const counts = {};
+  lines.forEach(line => {
+    if (line.invoiceDate) {
+      const key = line.invoiceDate.slice(0, 7);
+      counts[key] = (counts[key] || 0) + 1;
+    }
+  });
+  const keys = Object.keys(counts);
+  if (keys.length === 0) return null;
+  const key = keys.reduce((a, b) => (counts[a] >= counts[b] ? a : b));
+  return periodOfDate(`${key}-01`);
+}
+
+function checkValues(line, report) {
+  Object.keys(line.unparsed || {}).forEach(field => {
+    report('error', 'UNREADABLE_VALUE', field, line.unparsed[field],
+      `${FIELD_LABELS[field]} "${line.unparsed[field]}" could not be read`);
+  });
+
+  if (!line.taxableValue && !(line.unparsed || {}).taxableValue) {
+    report('error', 'MISSING_VALUE', 'taxableValue', line.taxableValue, 'Taxable value is missing or zero');
+  }
+
+  // Returns and cancellations must be credit notes, never negative invoices
+  if (line.documentType !== 'CREDIT_NOTE') {
+    ['taxableValue', 'igst', 'cgst', 'sgst', 'cess'].forEach(field => {
+      if (line[field] < 0) {
+        report('error', 'NEGATIVE_VALUE', field, line[field],
+          `${FIELD_LABELS[field]} is negative; record returns and cancellations as credit notes`);
+      }
+    });
+  }
+  if (line.quantity < 0) {
+    report('warning', 'NEGATIVE_VALUE', 'quantity', line.quantity, 'Quantity is negative');
+  }
+  if (line.taxRate < 0) {
+    report('error', 'NEGATIVE_VALUE', 'taxRate', line.taxRate, 'Tax rate is negative');
+  }
+}
+
+function checkParty(line, report) {
+  if (line.gstin) {
+    const reason = gstinCheck.validate(line.gstin);
+    if (reason) report('error', 'INVALID_GSTIN', 'gstin', line.gstin, reason);
+  }
+
+  // "Home State" is the legacy way of saying the supplier's own state
+  if (line.placeOfSupply && line.placeOfSupply.toLowerCase() !== 'home state' && !findState(line.placeOfSupply)) {
+    report('error', 'UNKNOWN_STATE', 'placeOfSupply', line.placeOfSupply,
+      `Place of supply "${line.placeOfSupply}" is not a GST state or union territory code or name`);
+  }
+  if (line.supplierState && !findState(line.supplierState)) {
+    report('error', 'UNKNOWN_STATE', 'supplierState', line.supplierState,
+      `Supplier state "${line.supplierState}" is not a GST state or union territory code or name`);
+  }
+}
+
+function checkDate(line, period, periodGiven, today, report) {
+  if (!line.invoiceDate) {
+    if (!(line.unparsed || {}).invoiceDate) {
+      report('warning', 'MISSING_DATE', 'invoiceDate', null, 'Invoice date is missing, so the line belongs to no tax period');
+    }
+    return;
+  }
+
+  if (line.invoiceDate > today) {
+    report('error', 'FUTURE_DATE', 'invoiceDate', line.invoiceDate, 'Invoice date is in the future');
+  } else if (period && (line.invoiceDate < period.from || line.invoiceDate > period.to)) {
+    // Against a chosen period this is an error; against the inferred one it is only worth a look
+    report(periodGiven ? 'error' : 'warning', 'OUTSIDE_PERIOD', 'invoiceDate', line.invoiceDate,
+      `Invoice date is outside the filing period ${period.label}`);
+  }
+}
+
+// Heads follow the place of supply, so tax reported under the wrong ones is moved when the return
+// is worked out; purchase credit stays as the supplier charged it
+function checkTaxHeads(line, report) {
+  const intra = line.tax.nature === 'INTRA';
+  const localHeads = line.tax.classification.taxHeads.includes('UTGST') ? 'CGST and UTGST' : 'CGST and SGST';
+  const charged = intra ? 'IGST' : 'CGST/SGST';
+  const due = intra ? localHeads : 'IGST';
+  const nature = intra ? 'an intra-state' : 'an inter-state';
+  const field = intra ? 'igst' : 'cgst';
+  const value = intra ? line.igst : line.cgst || line.sgst;
+
+  if (line.transactionType === 'PURCHASE') {
+    report('warning', 'TAX_HEAD_MISMATCH', field, value,
+      `${charged} is charged on ${nature} purchase where ${due} ${intra ? 'are' : 'is'} due; ask the supplier to correct the invoice`);
+  } else {
+    report('warning', 'TAX_HEAD_MISMATCH', field, value,
+      `${charged} is reported on ${nature} supply; the tax is counted as ${due}`);
+  }
+}
+
+function checkTax(line, report) {
+  const reported = line.igst !== null || line.cgst !== null || line.sgst !== null;
+
+  if (line.taxRate !== null && !line.rateDerived && !isValidRate(line.taxRate)) {
+    report('warning', 'UNUSUAL_RATE', 'taxRate', line.taxRate, `${line.taxRate}% is not a GST rate`);
+  }
+  if (!reported || !line.taxableValue) return;
+
+  if (line.igst && (line.cgst || line.sgst)) {
+    report('error', 'MIXED_TAX_HEADS', 'igst', line.igst, 'Both IGST and CGST/SGST are charged on the same line');
+  } else if (line.tax && line.tax.headMismatch) {
+    checkTaxHeads(line, report);
+  }
+  if (Math.abs((line.cgst || 0) - (line.sgst || 0)) > TAX_TOLERANCE) {
+    report('error', 'CGST_SGST_DIFFER', 'sgst', line.sgst,
+      `CGST ${formatAmount(line.cgst || 0)} and SGST ${formatAmount(line.sgst || 0)} should be equal halves`);
+  }
+
+  const reportedTax = Math.abs((line.igst || 0) + (line.cgst || 0) + (line.sgst || 0));
+  if (line.rateDerived) {
+    if (!isValidRate(line.taxRate)) {
+      report('error', 'TAX_MISMATCH', 'igst', reportedTax,
+        `Tax ${formatAmount(reportedTax)} is ${line.taxRate}% of the taxable value, which is not a GST rate`);
+    }
+  } else if (line.taxRate !== null) {
+    const expected = Math.abs(line.taxableValue) * line.taxRate / 100;
+    if (Math.abs(reportedTax - expected) > TAX_TOLERANCE) {
+      report('error', 'TAX_MISMATCH', 'igst', reportedTax,
+        `Tax ${formatAmount(reportedTax)} does not equal taxable value ${formatAmount(Math.abs(line.taxableValue))} × ${line.taxRate}% (${formatAmount(expected)})`);
+    }
+  }
+}
+
+// The same invoice number may span several item rows, but only on one date and for one party
+function checkDuplicates(lines, reportFor) {
+  const groups = {};
+  lines.forEach(line => {
+    if (!line.invoiceNumber) return;
+    // Purchase invoice numbers are only unique per supplier
+    const party = line.transactionType === 'PURCHASE' ? line.gstin || '' : '';
+    const key = [line.transactionType, line.documentType, party, line.invoiceNumber.toUpperCase()].join('|');
+    if (!groups[key]) groups[key] = [];
+    groups[key].push(line);
+  });
+
+  Object.values(groups).forEach(group => {
+    const [first, ...rest] = group;
+    const seenRows = new Set([rowSignature(first)]);
+    rest.forEach(line => {
+      if (line.invoiceDate !== first.invoiceDate || (line.gstin || '') !== (first.gstin || '')) {
+        reportFor(line)('error', 'DUPLICATE_INVOICE', 'invoiceNumber', line.invoiceNumber,
+          `Invoice number ${line.invoiceNumber} is also used on row ${first.rowNumber} with a different date or party`);
+      } else if (seenRows.has(rowSignature(line))) {
+        reportFor(line)('warning', 'DUPLICATE_ROW', 'invoiceNumber', line.invoiceNumber,
+          `Row repeats an earlier row of invoice ${line.invoiceNumber}`);
+      }
+      seenRows.add(rowSignature(line));
+    });
+  });
+}
+
+function rowSignature(line) {
+  return [line.product, line.hsnCode, line.quantity, line.taxableValue, line.taxRate].join('|');
+}
+
+// Check every imported line and return the problems grouped by severity.
+// `period` is the filing period the user chose, if any; otherwise the busiest month is used.
+function validateLines(lines, { period = null, today = new Date().toISOString().split('T')[0] } = {}) {
+  const issues = [];
+  const reportFor = line => (severity, code, field, value, message) => {
+    issues.push({
+      severity,
+      code,
+      rowNumber: line.rowNumber,
+      sheet: line.sheet || null,
+      invoiceNumber: line.invoiceNumber || null,
+      transactionType: line.transactionType,
+      field,
+      value: value === undefined ? null : value,
+      message
+    });
+  };
+
+  const filingPeriod = period || dominantPeriod(lines);
+
+  lines.forEach(line => {
+    const report = reportFor(line);
+    checkValues(line, report);
+    checkParty(line, report);
+    checkDate(line, filingPeriod, Boolean(period), today, report);
+    checkTax(line, report);
+
+    const hsnIssue = checkLine(line);
+    if (hsnIssue) {
+      report('warning', hsnIssue.issue === 'RATE_MISMATCH' ? 'HSN_RATE_MISMATCH' : 'UNKNOWN_HSN', 'hsnCode', line.hsnCode, hsnIssue.message);
+    }
+  });
+  checkDuplicates(lines, reportFor);
+
+  const bySheetAndRow = (a, b) => String(a.sheet || '').localeCompare(String(b.sheet || '')) || a.rowNumber - b.rowNumber;
+  const errors = issues.filter(issue => issue.severity === 'error').sort(bySheetAndRow);
+  const warnings = issues.filter(issue => issue.severity === 'warning').sort(bySheetAndRow);
+
+  return {
+    period: filingPeriod ? filingPeriod.key : null,
+    rowsChecked: lines.length,
+    rowsWithErrors: new Set(errors.map(issue => `${issue.sheet}|${issue.rowNumber}`)).size,
+    errorCount: errors.length,
+    warningCount: warnings.length,
+    errors,
+    warnings
+  };
+}
+
+// The validation report as CSV, one problem per line, for fixing the source file
+function toCsv(validation) {
+  const header = ['Severity', 'Sheet', 'Row', 'Invoice Number', 'Type', 'Field', 'Value', 'Problem', 'Code'];
+  const rows = [...validation.errors, ...validation.warnings].map(issue => [
+    issue.severity,
+    issue.sheet,
+    issue.rowNumber,
+    issue.invoiceNumber,
+    issue.transactionType,
+    FIELD_LABELS[issue.field] || issue.field,
+    issue.value,
+    issue.message,
+    issue.code
+  ]);
+  return csvText([header, ...rows]);
+}
+
+module.exports = {
+  VALID_RATES,
+  validateLines,
+  toCsv
+};
@@ -1,13 +1,37 @@
 // Base URL for API calls
 const API_BASE_URL = window.location.origin;
 
+// Token issued by /api/auth/login and /api/auth/signup
+function getAuthToken() {
+  return localStorage.getItem('vyaparToken');
+}
+
+// fetch() with the signed-in user's token; an expired session sends the user back to the login page
+async function apiFetch(url, options = {}) {
+  const headers = { ...(options.headers || {}) };
+  const token = getAuthToken();
+  if (token) {
+    headers['Authorization'] = `Bearer ${token}`;
+  }
+
+  const response = await fetch(url, { ...options, headers });
+  if (response.status === 401) {
+    localStorage.removeItem('vyaparToken');
+    window.location.href = 'login.html';
+  }
+  return response;
+}
+
 // Function to upload file
-async function uploadFile(file) {
+async function uploadFile(file, register) {
   const formData = new FormData();
   formData.append('file', file);
+  if (register) {
+    formData.append('register', register);
+  }
  
   try {
-    const response = await fetch(`${API_BASE_URL}/api/upload`, {
+    const response = await apiFetch(`${API_BASE_URL}/api/upload`, {
       method: 'POST',
       body: formData
     });
@@ -24,48 +48,353 @@ async function uploadFile(file) {
   }
 }
  
-// Function to ask AI assistant
-async function askAssistant(question) {
-  try {
-    const response = await fetch(`${API_BASE_URL}/api/assistant`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ question })
-    });
-   
-    if (!response.ok) {
-      throw new Error(`Server returned ${response.status}: ${response.statusText}`);
+// Assistant thread shown on the dashboard: null continues the latest conversation, and
+// startNewConversation makes the next question open a fresh one
+let assistantConversationId = null;
+let startNewConversation = false;
+
+function escapeHtml(text) {
+  return String(text === null || text === undefined ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Ask the assistant over its streaming endpoint, handing each server-sent event to
+// onEvent(event, data) as it arrives: the tools it calls, the sources it finds and the answer's
+// text piece by piece. Resolves to the final `done` event (what POST /api/assistant returns);
+// aborting `signal` stops the answer and the server drops the question.
+async function streamAssistant(body, { onEvent = () => {}, signal } = {}) {
+  const response = await apiFetch(`${API_BASE_URL}/api/assistant/stream`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || `Server returned ${response.status}: ${response.statusText}`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result = null;
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events end with a blank line; lines starting with ':' only keep the connection open
+    let end;
+    while ((end = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      let event = 'message';
+      let data = '';
+      block.split('\n').forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        if (line.startsWith('data:')) data += line.slice(5).trim();
+      });
+      if (!data) continue;
+
+      const payload = JSON.parse(data);
+      if (event === 'error') throw new Error(payload.error);
+      if (event === 'done') result = payload;
+      onEvent(event, payload);
     }
-   
-    const data = await response.json();
+  }
+
+  if (!result) throw new Error('The answer ended before it was complete');
+  return result;
+}
+
+// Function to ask AI assistant, in the dashboard's current conversation
+async function askAssistant(question, { onEvent, signal } = {}) {
+  try {
+    const data = await streamAssistant(
+      { question, conversationId: assistantConversationId, newConversation: startNewConversation },
+      { onEvent, signal }
+    );
+    assistantConversationId = data.conversationId;
+    startNewConversation = false;
     return data;
   } catch (error) {
-    console.error('Error asking assistant:', error);
+    if (error.name !== 'AbortError') console.error('Error asking assistant:', error);
     throw error;
   }
 }
 
+// A question or an answer, the answer with the tools it looked up and the sources it cites
+function assistantMessageHtml(message) {
+  return `
+    <div class="assistant-message ${message.role === 'USER' ? 'from-user' : 'from-assistant'}">
+      <div>${escapeHtml(message.content)}</div>
+      ${message.trace && message.trace.length ? `
+        <div class="assistant-trace">${t('assistant.lookedUp')} ${message.trace.map(step => `
+          <span title="${escapeHtml(step.error || JSON.stringify(step.arguments))}">${escapeHtml(step.tool)}${step.error ? ` ${t('assistant.failed')}` : ''}</span>
+        `).join(' · ')}</div>
+      ` : ''}
+      ${message.citations && message.citations.length ? `
+        <ol class="assistant-citations">
+          ${message.citations.map(citation => `
+            <li value="${citation.number}" title="${escapeHtml(citation.excerpt)}">
+              ${escapeHtml(citation.title)}${citation.section ? ` – ${escapeHtml(citation.section)}` : ''}${citation.effectiveDate ? ` (${t('assistant.effective', { date: citation.effectiveDate })})` : ''}${citation.superseded ? ` <em>${t('assistant.superseded')}</em>` : ''}
+            </li>
+          `).join('')}
+        </ol>
+      ` : ''}
+    </div>
+  `;
+}
+
+// Questions and answers of the conversation
+function renderAssistantMessages(messages) {
+  const thread = document.getElementById('assistant-thread');
+  if (!thread) return;
+  thread.innerHTML = messages.map(assistantMessageHtml).join('');
+  thread.scrollTop = thread.scrollHeight;
+}
+
+async function loadAssistantConversation() {
+  if (!document.getElementById('assistant-thread')) return;
+  try {
+    let id = assistantConversationId;
+    if (!id) {
+      const listResponse = await apiFetch(`${API_BASE_URL}/api/assistant/conversations`);
+      const list = await listResponse.json();
+      if (!listResponse.ok || list.conversations.length === 0) return;
+      id = list.conversations[0].id;
+    }
+    const response = await apiFetch(`${API_BASE_URL}/api/assistant/conversations/${id}`);
+    const data = await response.json();
+    if (!response.ok) return;
+    assistantConversationId = data.conversation.id;
+    renderAssistantMessages(data.conversation.messages);
+  } catch (error) {
+    console.error('Error loading conversation:', error);
+  }
+}
+
 // Function to generate report - FIXED
 async function generateReport(filingId) {
   try {
-    showNotification('Generating report...', 'info');
+    showNotification(t('notify.generatingReport'), 'info');
     
-    // Open report in new tab - CORRECTED URL
-    window.open(`${API_BASE_URL}/api/report/${filingId}`, '_blank');
+    // The report needs the auth header, so download it and open the PDF from a blob URL
+    const response = await apiFetch(`${API_BASE_URL}/api/report/${filingId}`);
+    if (!response.ok) {
+      throw new Error(`Server returned ${response.status}: ${response.statusText}`);
+    }
+    const blob = await response.blob();
+    window.open(URL.createObjectURL(blob), '_blank');
     
-    showNotification('Report generated successfully!', 'success');
+    showNotification(t('notify.reportGenerated'), 'success');
   } catch (error) {
-    showNotification('Error generating report: ' + error.message, 'error');
+    showNotification(t('notify.reportError', { message: error.message }), 'error');
     console.error('Report generation error:', error);
   }
 }
 
+// Download the rows that failed validation as CSV, to fix in the source file
+async function downloadValidationReport(filingId) {
+  try {
+    const response = await apiFetch(`${API_BASE_URL}/api/validation/${filingId}/csv`);
+    if (!response.ok) {
+      throw new Error(`Server returned ${response.status}: ${response.statusText}`);
+    }
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(await response.blob());
+    link.download = `filing-${filingId}-errors.csv`;
+    link.click();
+  } catch (error) {
+    showNotification(t('notify.errorReportError', { message: error.message }), 'error');
+    console.error('Error report download error:', error);
+  }
+}
+
+// Download a filing for the books: Tally vouchers (XML) or its lines and tax summaries (Excel)
+async function downloadExport(filingId, format) {
+  try {
+    const response = await apiFetch(`${API_BASE_URL}/api/exports/${filingId}/${format}`);
+    if (!response.ok) {
+      throw new Error(`Server returned ${response.status}: ${response.statusText}`);
+    }
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(await response.blob());
+    link.download = format === 'tally' ? `filing-${filingId}-tally.xml` : `filing-${filingId}-export.xlsx`;
+    link.click();
+  } catch (error) {
+    showNotification(t('notify.exportError', { message: error.message }), 'error');
+    console.error('Export error:', error);
+  }
+}
+
+// Fill the dashboard's upcoming deadlines from the business's filing frequency
+async function loadDeadlines() {
+  const list = document.getElementById('deadline-list');
+  if (!list) return;
+
+  try {
+    const response = await apiFetch(`${API_BASE_URL}/api/deadlines`);
+    if (!response.ok) {
+      throw new Error(`Server returned ${response.status}: ${response.statusText}`);
+    }
+    const data = await response.json();
+    list.innerHTML = data.deadlines.slice(0, 3).map(deadline => `
+      <div class="alert ${deadline.daysRemaining <= 7 ? 'alert-warning' : 'alert-info'}">
+        <i class="fas ${deadline.daysRemaining <= 7 ? 'fa-exclamation-triangle' : 'fa-info-circle'}"></i>
+        <div>
+          <strong>${t('dashboard.deadlineDue', { form: deadline.form, period: deadline.periodLabel })}</strong>
+          <div>${new Date(deadline.dueDate).toLocaleDateString(getLocale(), { day: 'numeric', month: 'long', year: 'numeric' })}</div>
+        </div>
+      </div>
+    `).join('');
+  } catch (error) {
+    console.error('Error loading deadlines:', error);
+  }
+}
+
+const formatRupees = amount => `₹${Number(amount).toLocaleString('en-IN', { maximumFractionDigits: 0 })}`;
+
+// Period-over-period sales of the business's GSTIN, kept so the metric and breakdown can change without refetching
+let analytics = null;
+let selectedPeriod = null;
+
+function metricValue(item, metric) {
+  if (metric === 'tax') return item.tax.total;
+  return item[metric] || 0;
+}
+
+function formatMetric(value, metric) {
+  return metric === 'effectiveRate' ? `${value}%` : formatRupees(value);
+}
+
+function formatChange(change) {
+  return change && change.taxableValue !== null ? `${change.taxableValue > 0 ? '+' : ''}${change.taxableValue}%` : '–';
+}
+
+// Month-by-month bars, or one row per state, rate slab or HSN for the selected month
+function renderAnalytics() {
+  const chart = document.getElementById('comparison-chart');
+  const summary = document.getElementById('analytics-summary');
+  if (!chart || !analytics) return;
+
+  const metric = document.getElementById('analytics-metric').value;
+  const dimension = document.getElementById('analytics-dimension').value;
+  const period = analytics.periods.find(item => item.period === selectedPeriod);
+
+  if (!dimension) {
+    const max = Math.max(...analytics.periods.map(item => Math.abs(metricValue(item, metric))), 1);
+    chart.classList.remove('breakdown');
+    chart.innerHTML = analytics.periods.map(item => `
+      <div class="chart-bar ${item.period === selectedPeriod ? 'selected' : ''}" data-period="${item.period}"
+        style="height: ${Math.max(Math.abs(metricValue(item, metric)) / max * 100, item.hasData ? 2 : 0)}%;"
+        title="${t('analytics.bar', { label: item.label, value: formatMetric(metricValue(item, metric), metric), monthOnMonth: formatChange(item.change.monthOnMonth), yearOnYear: formatChange(item.change.yearOnYear) })}">
+        <div class="chart-label">${item.label.slice(0, 3)} ${String(item.period).slice(2, 4)}</div>
+      </div>
+    `).join('');
+  } else {
+    // Breakdowns cover the selected month only
+    const groups = (analytics[{ state: 'byState', rate: 'byRate', hsn: 'byHsn' }[dimension]] || [])
+      .map(group => ({ ...group, value: (group.periods.find(item => item.period === selectedPeriod) || { taxableValue: 0 }).taxableValue }))
+      .filter(group => group.value !== 0);
+    const max = Math.max(...groups.map(group => Math.abs(group.value)), 1);
+    chart.classList.add('breakdown');
+    chart.innerHTML = groups.length === 0 ? `<p>${t('analytics.noSales')}</p>` : groups.map(group => `
+      <div class="breakdown-row" data-key="${group.key}">
+        <div>${group.label}</div>
+        <div class="breakdown-bar" style="width: ${Math.abs(group.value) / max * 100}%;"></div>
+        <div>${formatRupees(group.value)}</div>
+      </div>
+    `).join('');
+  }
+
+  summary.innerHTML = period ? `
+    <strong>${period.label}</strong>: ${t('analytics.summary', {
+      turnover: formatRupees(period.taxableValue),
+      tax: formatRupees(period.tax.total),
+      igst: formatRupees(period.tax.igst),
+      cgst: formatRupees(period.tax.cgst),
+      sgst: formatRupees(period.tax.sgst + period.tax.utgst),
+      cess: formatRupees(period.tax.cess),
+      rate: period.effectiveRate === null ? '–' : `${period.effectiveRate}%`,
+      monthOnMonth: formatChange(period.change.monthOnMonth),
+      yearOnYear: formatChange(period.change.yearOnYear)
+    })}
+  ` : '';
+}
+
+// Invoices behind a month's bar, or behind one state, rate or HSN row of that month
+async function showAnalyticsInvoices(dimension, key) {
+  const drilldown = document.getElementById('analytics-drilldown');
+  const params = new URLSearchParams({ period: selectedPeriod });
+  if (analytics.gstin) params.set('gstin', analytics.gstin);
+  if (dimension) {
+    params.set('dimension', dimension);
+    params.set('key', key);
+  }
+
+  try {
+    const response = await apiFetch(`${API_BASE_URL}/api/analytics/invoices?${params}`);
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || `Server returned ${response.status}`);
+    }
+    drilldown.innerHTML = `
+      <table>
+        <tr>${['invoice', 'date', 'party', 'placeOfSupply', 'hsn', 'rate', 'taxableValue'].map(key => `<th>${t(`analytics.${key}`)}</th>`).join('')}<th>${t('analytics.tax')}</th></tr>
+        ${data.invoices.map(line => `
+          <tr>
+            <td>${line.invoiceNumber || t('analytics.row', { number: line.rowNumber })}${line.documentType === 'CREDIT_NOTE' ? ` ${t('analytics.creditNote')}` : ''}</td>
+            <td>${line.invoiceDate || ''}</td>
+            <td>${line.partyName || line.gstin || ''}</td>
+            <td>${line.placeOfSupply}</td>
+            <td>${line.hsnCode || ''}</td>
+            <td>${line.taxRate}%</td>
+            <td>${formatRupees(line.taxableValue)}</td>
+            <td>${formatRupees(line.igst + line.cgst + line.sgst + line.utgst + line.cess)}</td>
+          </tr>
+        `).join('')}
+      </table>
+    `;
+  } catch (error) {
+    drilldown.innerHTML = '';
+    showNotification(t('notify.invoicesError', { message: error.message }), 'error');
+  }
+}
+
+async function loadAnalytics() {
+  const chart = document.getElementById('comparison-chart');
+  if (!chart) return;
+
+  try {
+    const response = await apiFetch(`${API_BASE_URL}/api/analytics`);
+    if (!response.ok) {
+      throw new Error(`Server returned ${response.status}: ${response.statusText}`);
+    }
+    analytics = await response.json();
+    if (analytics.totals.lines === 0) return;
+
+    const withData = analytics.periods.filter(item => item.hasData);
+    if (!withData.some(item => item.period === selectedPeriod)) {
+      selectedPeriod = withData[withData.length - 1].period;
+    }
+    document.getElementById('analytics-drilldown').innerHTML = '';
+    renderAnalytics();
+  } catch (error) {
+    console.error('Error loading analytics:', error);
+  }
+}
+
 // Function to get all filings
 async function getFilings() {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/filings`);
+    const response = await apiFetch(`${API_BASE_URL}/api/filings`);
    
     if (!response.ok) {
       throw new Error(`Server returned ${response.status}: ${response.statusText}`);
@@ -80,12 +409,52 @@ async function getFilings() {
 }
  
 // Update your frontend event listeners
-document.addEventListener('DOMContentLoaded', function() {
+document.addEventListener('DOMContentLoaded', async function() {
+  // Other pages load this file only for its helpers (the payment guide's chatbot uses streamAssistant)
+  if (!document.querySelector('.upload-area')) return;
+
+  if (!getAuthToken()) {
+    window.location.href = 'login.html';
+    return;
+  }
+
+  await i18nReady;
+  loadDeadlines();
+  loadAnalytics();
+  loadAssistantConversation();
+
+  // What the dashboard wrote itself is written again in the new language
+  document.addEventListener('languagechange', function() {
+    loadDeadlines();
+    renderAnalytics();
+    loadAssistantConversation();
+  });
+
+  const comparisonChart = document.getElementById('comparison-chart');
+  if (comparisonChart) {
+    ['analytics-metric', 'analytics-dimension'].forEach(id => {
+      document.getElementById(id).addEventListener('change', renderAnalytics);
+    });
+
+    // Clicking a month selects it and lists its invoices; clicking a breakdown row narrows the list
+    comparisonChart.addEventListener('click', function(event) {
+      const bar = event.target.closest('.chart-bar');
+      const row = event.target.closest('.breakdown-row');
+      if (bar) {
+        selectedPeriod = bar.dataset.period;
+        renderAnalytics();
+        showAnalyticsInvoices();
+      } else if (row) {
+        showAnalyticsInvoices(document.getElementById('analytics-dimension').value, row.dataset.key);
+      }
+    });
+  }
+
   // Upload area interaction
   const uploadArea = document.querySelector('.upload-area');
   const fileInput = document.createElement('input');
   fileInput.type = 'file';
-  fileInput.accept = '.csv,.xlsx,.xls';
+  fileInput.accept = '.csv,.xlsx,.xls,.xml,.json';
   fileInput.style.display = 'none';
  
   uploadArea.appendChild(fileInput);
@@ -97,26 +466,47 @@ document.addEventListener('DOMContentLoaded', function() {
   fileInput.addEventListener('change', async function() {
     if (fileInput.files.length > 0) {
       try {
-        showNotification('Uploading and processing file...', 'info');
-        const result = await uploadFile(fileInput.files[0]);
+        showNotification(t('notify.uploading'), 'info');
+        const purchaseRegister = document.getElementById('purchase-register');
+        const result = await uploadFile(fileInput.files[0], purchaseRegister && purchaseRegister.checked ? 'purchase' : null);
         console.log('Upload successful:', result);
        
-        // Update UI with the result
-        showNotification('File uploaded and processed successfully!', 'success');
+        // Update UI with the result, pointing to the error report when rows need fixing
+        const validation = result.validation;
+        if (validation && (validation.errorCount > 0 || validation.warningCount > 0)) {
+          showNotification(
+            `${t('notify.uploadIssues', { errors: validation.errorCount, warnings: validation.warningCount })} ` +
+            `<a href="#" onclick="downloadValidationReport(${result.filing.id}); return false;">${t('notify.downloadErrorReport')}</a>`,
+            validation.errorCount > 0 ? 'error' : 'info'
+          );
+        } else {
+          showNotification(t('notify.uploaded'), 'success');
+        }
+
+        // Day book ledgers that are neither sales, purchases nor GST were left out of the filing
+        const unmapped = result.daybook ? result.daybook.unmappedLedgers : [];
+        if (unmapped.length > 0) {
+          showNotification(t('notify.unmappedLedgers', {
+            count: unmapped.length,
+            ledgers: unmapped.map(ledger => escapeHtml(ledger.name)).join(', ')
+          }), 'warning');
+        }
        
-        // Update the tax summary with result.filing.calculation
-        if (result.filing && result.filing.calculation) {
-          updateTaxSummary(result.filing.calculation);
+        // Update the tax summary with the filing's calculation
+        const calculation = result.filing && result.filing.calculation;
+        if (calculation) {
+          updateTaxSummary(calculation, result.filing.itc);
         }
+        loadAnalytics();
       } catch (error) {
-        showNotification('Error uploading file: ' + error.message, 'error');
+        showNotification(t('notify.uploadError', { message: error.message }), 'error');
       }
     }
   });
 
   // Generate Report button functionality - MOVED OUTSIDE OF FILE UPLOAD HANDLER
   const generateReportBtn = document.querySelector('.btn-block');
-  if (generateReportBtn && generateReportBtn.textContent.includes('Generate')) {
+  if (generateReportBtn && generateReportBtn.dataset.i18n === 'dashboard.generateReport') {
     generateReportBtn.addEventListener('click', async function() {
       try {
         // Get the latest filing
@@ -125,51 +515,124 @@ document.addEventListener('DOMContentLoaded', function() {
           const latestFilingId = filings.filings[filings.filings.length - 1].id;
           await generateReport(latestFilingId);
         } else {
-          showNotification('No filing data available. Please upload sales data first.', 'warning');
+          showNotification(t('notify.noFiling'), 'warning');
         }
       } catch (error) {
-        showNotification('Error generating report: ' + error.message, 'error');
+        showNotification(t('notify.reportError', { message: error.message }), 'error');
       }
     });
   }
  
+  // Export buttons work on the latest filing, like the report
+  [['export-tally', 'tally'], ['export-excel', 'xlsx']].forEach(([id, format]) => {
+    const button = document.getElementById(id);
+    if (!button) return;
+    button.addEventListener('click', async function() {
+      try {
+        const filings = await getFilings();
+        if (filings.success && filings.filings.length > 0) {
+          await downloadExport(filings.filings[filings.filings.length - 1].id, format);
+        } else {
+          showNotification(t('notify.noFiling'), 'warning');
+        }
+      } catch (error) {
+        showNotification(t('notify.exportError', { message: error.message }), 'error');
+      }
+    });
+  });
+ 
   // AI Assistant functionality
   const askButton = document.querySelector('.card:last-child .btn');
   const questionInput = document.querySelector('.card:last-child input[type="text"]');
  
+  const newConversationButton = document.getElementById('new-conversation');
+  if (newConversationButton) {
+    newConversationButton.addEventListener('click', function() {
+      assistantConversationId = null;
+      startNewConversation = true;
+      renderAssistantMessages([]);
+    });
+  }
+ 
   if (askButton && questionInput) {
     // Handle button click
     askButton.addEventListener('click', handleAssistantQuestion);
    
-    // Also handle Enter key in the input field
+    // Also handle Enter key in the input field (only the button stops an answer)
     questionInput.addEventListener('keypress', function(e) {
-      if (e.key === 'Enter') {
+      if (e.key === 'Enter' && !pendingAnswer) {
         handleAssistantQuestion();
       }
     });
   }
  
+  // The answer being streamed, if any; while there is one the Ask button stops it
+  let pendingAnswer = null;
+
   async function handleAssistantQuestion() {
+    if (pendingAnswer) {
+      pendingAnswer.abort();
+      return;
+    }
     const question = questionInput.value.trim();
-    if (question) {
-      try {
-        showNotification('Asking AI assistant...', 'info');
-        const response = await askAssistant(question);
-        showNotification(`AI Assistant: ${response.answer}`, 'info');
-       
-        // Clear the input field after successful question
-        questionInput.value = '';
-      } catch (error) {
-        showNotification('Error getting response from assistant: ' + error.message, 'error');
+    if (!question) {
+      showNotification(t('assistant.enterQuestion'), 'warning');
+      return;
+    }
+
+    // The question goes up straight away and the answer is written into its bubble as it arrives
+    const thread = document.getElementById('assistant-thread');
+    thread.insertAdjacentHTML('beforeend', assistantMessageHtml({ role: 'USER', content: question }) + `
+      <div class="assistant-message from-assistant">
+        <div class="assistant-answer"></div>
+        <div class="assistant-trace">${t('assistant.thinking')}</div>
+      </div>
+    `);
+    const bubble = thread.lastElementChild;
+    const answer = bubble.querySelector('.assistant-answer');
+    const progress = bubble.querySelector('.assistant-trace');
+    const tools = [];
+    let sourceCount = 0;
+    thread.scrollTop = thread.scrollHeight;
+
+    pendingAnswer = new AbortController();
+    askButton.textContent = t('assistant.stop');
+    try {
+      const result = await askAssistant(question, {
+        signal: pendingAnswer.signal,
+        onEvent: (event, data) => {
+          if (event === 'token') answer.textContent += data.text;
+          if (event === 'reset') answer.textContent = '';
+          if (event === 'tool') tools.push(data.tool);
+          if (event === 'source') sourceCount++;
+          if (event === 'tool' || event === 'source') {
+            const found = sourceCount === 1 ? t('assistant.sourceFound') : t('assistant.sourcesFound', { count: sourceCount });
+            progress.textContent = `${t('assistant.lookingUp', { tools: tools.join(' · ') })}${sourceCount ? ` (${found})` : ''}`;
+          }
+          thread.scrollTop = thread.scrollHeight;
+        }
+      });
+      bubble.outerHTML = assistantMessageHtml(result.message);
+      thread.scrollTop = thread.scrollHeight;
+
+      // Clear the input field after successful question
+      questionInput.value = '';
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        progress.textContent = t('assistant.stopped');
+      } else {
+        bubble.remove();
+        showNotification(t('assistant.error', { message: error.message }), 'error');
       }
-    } else {
-      showNotification('Please enter a question', 'warning');
+    } finally {
+      pendingAnswer = null;
+      askButton.textContent = t('assistant.ask');
     }
   }
 });
 
 // The rest of your functions (updateTaxSummary, showNotification, etc.) remain the same
-function updateTaxSummary(calculation) {
+function updateTaxSummary(calculation, itc) {
   // This function would update the UI with the tax calculation results
   const totalSalesEl = document.querySelector('.summary-item:nth-child(1) .summary-value');
   if (totalSalesEl) {
@@ -190,6 +653,16 @@ function updateTaxSummary(calculation) {
   if (totalPayableEl) {
     totalPayableEl.textContent = `₹${calculation.totalTax.toFixed(2)}`;
   }
+
+  // Input tax credit from the purchase register, when the upload had one
+  const itcEl = document.getElementById('itc-available');
+  const netPayableEl = document.getElementById('net-payable');
+  if (itc && itcEl && netPayableEl) {
+    const blocked = itc.blocked.total + itc.ineligible.total;
+    itcEl.innerHTML = `<strong>${t('dashboard.itcAvailable')}</strong> ${t('dashboard.itcClaimable', { amount: `₹${itc.available.total.toFixed(2)}` })}` +
+      (blocked > 0 ? ` ${t('dashboard.itcBlocked', { amount: `₹${blocked.toFixed(2)}` })}` : '');
+    netPayableEl.innerHTML = `<strong>${t('dashboard.netPayable')}</strong> ${t('dashboard.afterItc', { amount: `₹${Math.max(calculation.totalTax - itc.available.total, 0).toFixed(2)}` })}`;
+  }
  
   console.log('Tax calculation:', calculation);
 }
@@ -0,0 +1,113 @@
+// Translations for the pages, from /api/i18n. The language is kept in localStorage (and in the
+// user's profile once signed in); elements carry the key of their text:
+//   data-i18n="nav.dashboard"                 the element's text
+//   data-i18n-placeholder="assistant.placeholder"
+//   data-i18n-title="deadlines.markFiled"
+// and scripts use t(key, params) for the text they write. GST terms are the same in every language.
+
+const LANGUAGE_KEY = 'vyaparLanguage';
+
+let i18nMessages = {};
+let i18nLocale = 'en-IN';
+
+function getLanguage() {
+  return localStorage.getItem(LANGUAGE_KEY) || 'en';
+}
+
+// The locale dates are written in
+function getLocale() {
+  return i18nLocale;
+}
+
+// The string for `key`, its {placeholders} filled from `params`; the key itself while the
+// translations have not loaded (or if no language has it)
+function t(key, params = {}) {
+  const template = i18nMessages[key];
+  if (template === undefined) return key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+async function loadTranslations(language) {
+  try {
+    const response = await fetch(`${window.location.origin}/api/i18n/${encodeURIComponent(language)}`);
+    if (!response.ok) throw new Error(`Server returned ${response.status}: ${response.statusText}`);
+    const data = await response.json();
+    i18nMessages = data.messages;
+    i18nLocale = data.language.locale;
+    document.documentElement.lang = data.language.code;
+  } catch (error) {
+    console.error('Error loading translations:', error);
+  }
+}
+
+// Put the current language's text into every marked element under `root`
+function applyTranslations(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = t(element.dataset.i18n);
+  });
+  root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+    element.placeholder = t(element.dataset.i18nPlaceholder);
+  });
+  root.querySelectorAll('[data-i18n-title]').forEach(element => {
+    element.title = t(element.dataset.i18nTitle);
+  });
+}
+
+// Switch language: remembered on this browser and, when signed in, in the user's profile so
+// reports, reminders and the assistant follow. Pages re-render what they wrote themselves on
+// the 'languagechange' event.
+async function setLanguage(language) {
+  localStorage.setItem(LANGUAGE_KEY, language);
+  const token = localStorage.getItem('vyaparToken');
+  if (token) {
+    try {
+      const response = await fetch(`${window.location.origin}/api/auth/me`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ language })
+      });
+      if (!response.ok) throw new Error(`Server returned ${response.status}: ${response.statusText}`);
+    } catch (error) {
+      console.error('Error saving language:', error);
+    }
+  }
+  await loadTranslations(language);
+  applyTranslations();
+  document.querySelectorAll('select[data-language-select]').forEach(select => {
+    select.value = language;
+  });
+  document.dispatchEvent(new CustomEvent('languagechange', { detail: { language } }));
+}
+
+// Fill every language picker (select[data-language-select]) with the languages on offer
+async function setUpLanguageSelects() {
+  const selects = document.querySelectorAll('select[data-language-select]');
+  if (!selects.length) return;
+  try {
+    const response = await fetch(`${window.location.origin}/api/i18n`);
+    if (!response.ok) throw new Error(`Server returned ${response.status}: ${response.statusText}`);
+    const { languages } = await response.json();
+    selects.forEach(select => {
+      select.innerHTML = languages
+        .map(language => `<option value="${language.code}">${language.nativeName}</option>`)
+        .join('');
+      select.value = getLanguage();
+      select.addEventListener('change', () => setLanguage(select.value));
+    });
+  } catch (error) {
+    console.error('Error loading languages:', error);
+  }
+}
+
+// Resolves once the page is translated; scripts that write text wait for it
+const i18nReady = new Promise(resolve => {
+  document.addEventListener('DOMContentLoaded', async () => {
+    await loadTranslations(getLanguage());
+    applyTranslations();
+    await setUpLanguageSelects();
+    resolve();
+  });
+});
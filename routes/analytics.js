@@ -0,0 +1,85 @@
+const express = require('express');
+const { DIMENSIONS, analyze, invoicesFor, parseRange, periodsBetween } = require('../lib/analytics');
+const { parsePeriod, periodOfDate } = require('../lib/periods');
+const { filings } = require('../lib/repositories');
+
+const router = express.Router();
+
+const MAX_PERIODS = 36;
+
+// The GSTIN to report on: ?gstin if the business has filings under it, else the profile's own
+function resolveGstin(req) {
+  const known = filings.periodsByGstin(req.business.id);
+  if (!req.query.gstin) return { gstin: req.business.gstin, known };
+  const match = known.find(item => item.gstin === String(req.query.gstin).trim().toUpperCase());
+  return match ? { gstin: match.gstin, known } : { error: 'No filings under that GSTIN', known };
+}
+
+// Month-over-month and year-over-year sales trends of one GSTIN: turnover, tax by head and effective
+// rate per tax period, and the range split by place of supply, rate slab and HSN.
+// ?from and ?to (YYYY-MM or MMYYYY) default to the twelve months up to the latest period uploaded.
+router.get('/', (req, res) => {
+  try {
+    const { gstin, known, error } = resolveGstin(req);
+    if (error) {
+      return res.status(404).json({ error });
+    }
+
+    const uploaded = (known.find(item => item.gstin === gstin) || { periods: [] }).periods;
+    const latest = uploaded.length > 0
+      ? parsePeriod(uploaded[uploaded.length - 1])
+      : periodOfDate(new Date().toISOString().split('T')[0]);
+    const range = parseRange(req.query.from, req.query.to, latest);
+    if (!range) {
+      return res.status(400).json({ error: 'Invalid range; use MMYYYY or YYYY-MM with from no later than to' });
+    }
+    if (periodsBetween(range.from, range.to).length > MAX_PERIODS) {
+      return res.status(400).json({ error: `Choose a range of at most ${MAX_PERIODS} months` });
+    }
+
+    const lines = filings.currentLines(req.business.id, gstin, range.comparisonFrom.key, range.to.key, 'SALE');
+    res.json({
+      success: true,
+      gstin,
+      gstins: known,
+      ...analyze(lines, { stateCode: req.business.stateCode, from: range.from, to: range.to })
+    });
+  } catch (error) {
+    console.error('Error building analytics:', error);
+    res.status(500).json({ error: 'Failed to build analytics' });
+  }
+});
+
+// Invoice lines behind a bar: ?period, and optionally ?dimension (state, rate or hsn) with the group's ?key
+router.get('/invoices', (req, res) => {
+  try {
+    const { gstin, error } = resolveGstin(req);
+    if (error) {
+      return res.status(404).json({ error });
+    }
+
+    const period = parsePeriod(req.query.period);
+    if (!period) {
+      return res.status(400).json({ error: 'Invalid period; use MMYYYY or YYYY-MM' });
+    }
+    const dimension = req.query.dimension || null;
+    if (dimension && (!DIMENSIONS[dimension] || req.query.key === undefined)) {
+      return res.status(400).json({ error: `dimension must be one of ${Object.keys(DIMENSIONS).join(', ')}, with a key` });
+    }
+
+    const lines = filings.currentLines(req.business.id, gstin, period.key, period.key, 'SALE');
+    res.json({
+      success: true,
+      gstin,
+      period: period.key,
+      dimension,
+      key: dimension ? String(req.query.key) : null,
+      invoices: invoicesFor(lines, { stateCode: req.business.stateCode, period: period.key, dimension, key: String(req.query.key) })
+    });
+  } catch (error) {
+    console.error('Error fetching invoices for analytics:', error);
+    res.status(500).json({ error: 'Failed to fetch invoices' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,164 @@
+const express = require('express');
+const assistant = require('../lib/assistant');
+const agent = require('../lib/agent');
+const llm = require('../lib/llm');
+const { conversations } = require('../lib/repositories');
+
+const router = express.Router();
+
+const MAX_QUESTION_LENGTH = 2000;
+
+// Comment lines sent while an answer is being worked out, so proxies keep the stream open
+const STREAM_PING_MS = 15000;
+
+function conversationId(req) {
+  const id = parseInt(req.params.id);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// The question and thread a request asks about, or the error to answer it with
+function readQuestion(body) {
+  const question = String(body.question || '').trim();
+  if (!question) return { error: 'Question is required' };
+  if (question.length > MAX_QUESTION_LENGTH) {
+    return { error: `Question must be at most ${MAX_QUESTION_LENGTH} characters` };
+  }
+  const requestedId = body.conversationId ? parseInt(body.conversationId) : null;
+  if (body.conversationId && !(requestedId > 0)) return { error: 'Invalid conversationId' };
+  return {
+    question,
+    conversationId: requestedId,
+    newConversation: body.newConversation === true || body.newConversation === 'true'
+  };
+}
+
+// Ask a question. It continues the user's latest conversation unless `conversationId` names
+// another or `newConversation` is true; the answer comes with the sources it cites and the
+// trace of tool calls the agent made to find it.
+router.post('/', async (req, res) => {
+  try {
+    const { error, ...request } = readQuestion(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await assistant.ask({ user: req.user, business: req.business, ...request });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof assistant.AssistantError) {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('Error processing question:', error);
+    res.status(500).json({ error: 'Failed to process question' });
+  }
+});
+
+// The same as POST / but answered as server-sent events while the agent works: `conversation`
+// first, then `tool`, `tool_result` and `source` around each lookup, `token` for each piece of
+// the answer (`reset` drops the text sent so far), and `done` with what POST / would return,
+// citations included. A failure after the stream has started comes as an `error` event. Closing
+// the connection cancels the question and nothing of it is saved.
+router.post('/stream', async (req, res) => {
+  const controller = new AbortController();
+  let keepAlive = null;
+  res.on('close', () => {
+    clearInterval(keepAlive);
+    if (!res.writableFinished) controller.abort();
+  });
+
+  // Headers go out with the first event, so a question rejected up front still gets a JSON error
+  const send = (event, data) => {
+    if (!res.headersSent) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      keepAlive = setInterval(() => res.write(': ping\n\n'), STREAM_PING_MS);
+    }
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const { error, ...request } = readQuestion(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await assistant.ask({
+      user: req.user,
+      business: req.business,
+      ...request,
+      onEvent: send,
+      signal: controller.signal
+    });
+
+    send('done', { success: true, ...result });
+    res.end();
+  } catch (error) {
+    if (error instanceof llm.CancelledError) return;
+    if (!res.headersSent) {
+      if (error instanceof assistant.AssistantError) {
+        return res.status(404).json({ error: error.message });
+      }
+      console.error('Error streaming answer:', error);
+      return res.status(500).json({ error: 'Failed to process question' });
+    }
+    console.error('Error streaming answer:', error);
+    send('error', { error: 'Failed to process question' });
+    res.end();
+  }
+});
+
+// Tools the agent can call, with the parameters it is told about
+router.get('/tools', (req, res) => {
+  res.json({ success: true, tools: agent.listTools(), maxSteps: agent.MAX_STEPS });
+});
+
+// The user's conversations, most recently active first
+router.get('/conversations', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      conversations: conversations.list(req.user.id)
+    });
+  } catch (error) {
+    console.error('Error fetching conversations:', error);
+    res.status(500).json({ error: 'Failed to fetch conversations' });
+  }
+});
+
+router.get('/conversations/:id', (req, res) => {
+  try {
+    const conversation = conversationId(req) && conversations.get(req.user.id, conversationId(req));
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    res.json({
+      success: true,
+      conversation: { ...conversation, messages: conversations.messages(conversation.id) }
+    });
+  } catch (error) {
+    console.error('Error fetching conversation:', error);
+    res.status(500).json({ error: 'Failed to fetch conversation' });
+  }
+});
+
+router.delete('/conversations/:id', (req, res) => {
+  try {
+    if (!conversationId(req) || !conversations.remove(req.user.id, conversationId(req))) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting conversation:', error);
+    res.status(500).json({ error: 'Failed to delete conversation' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+const express = require('express');
+const auth = require('../lib/auth');
+const i18n = require('../lib/i18n');
+const { readProfileFields } = require('../lib/businessProfile');
+const { users } = require('../lib/repositories');
+
+const router = express.Router();
+
+// Create an account with its business profile
+router.post('/signup', async (req, res) => {
+  try {
+    const { email, password, name, businessName, gstin, stateCode, language } = req.body;
+
+    const invalid = auth.validateCredentials(email, password);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    if (language && !i18n.isSupported(language)) {
+      return res.status(400).json({ error: `Language must be one of ${i18n.LANGUAGES.map(item => item.code).join(', ')}` });
+    }
+    // The same checks as the business profile, so a bad GSTIN or state cannot get in at signup instead
+    const profile = readProfileFields({ name: businessName || undefined, gstin, stateCode });
+    if (profile.error) {
+      return res.status(400).json({ error: profile.error });
+    }
+    if (users.findWithPasswordHash(email)) {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+
+    const result = await auth.signup({
+      email,
+      password,
+      name: name ? String(name) : undefined,
+      businessName: profile.fields.name,
+      gstin: profile.fields.gstin,
+      stateCode: profile.fields.stateCode,
+      language: language || undefined
+    });
+    res.status(201).json({
+      success: true,
+      token: result.token,
+      user: result.user,
+      business: result.business
+    });
+  } catch (error) {
+    console.error('Error signing up:', error);
+    res.status(500).json({ error: 'Failed to create account' });
+  }
+});
+
+// Exchange email and password for a token
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (typeof email !== 'string' || typeof password !== 'string' || !email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    const result = await auth.login(email, password);
+    if (!result) {
+      return res.status(401).json({ error: 'Incorrect email or password' });
+    }
+
+    res.json({
+      success: true,
+      token: result.token,
+      user: result.user,
+      business: result.business
+    });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+// Current account and business
+router.get('/me', auth.requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    user: req.user,
+    business: req.business
+  });
+});
+
+// Update the signed-in user's name or language. The language is used for the pages, PDF
+// reports, reminders and the assistant's answers.
+router.put('/me', auth.requireAuth, (req, res) => {
+  try {
+    const fields = {};
+    if (req.body.name !== undefined) fields.name = req.body.name ? String(req.body.name).trim() : null;
+    if (req.body.language !== undefined) {
+      fields.language = String(req.body.language).trim().toLowerCase();
+      if (!i18n.isSupported(fields.language)) {
+        return res.status(400).json({ error: `Language must be one of ${i18n.LANGUAGES.map(item => item.code).join(', ')}` });
+      }
+    }
+
+    const user = users.update(req.user.id, fields);
+    res.json({
+      success: true,
+      user
+    });
+  } catch (error) {
+    console.error('Error updating profile:', error);
+    res.status(500).json({ error: 'Failed to update profile' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const { businesses } = require('../lib/repositories');
+const { readProfileFields } = require('../lib/businessProfile');
+
+const router = express.Router();
+
+// Get the business profile of the signed-in account
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    business: req.business
+  });
+});
+
+// Update the business profile
+router.put('/', (req, res) => {
+  try {
+    const { fields, error } = readProfileFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const business = businesses.update(req.business.id, fields);
+    res.json({
+      success: true,
+      message: 'Business profile updated',
+      business
+    });
+  } catch (error) {
+    console.error('Error updating business profile:', error);
+    res.status(500).json({ error: 'Failed to update business profile' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const express = require('express');
+const { calendarFeeds } = require('../lib/repositories');
+const { DEFAULT_ALARM_DAYS, MAX_ALARM_DAYS, normalizeAlarmDays } = require('../lib/calendar');
+
+const router = express.Router();
+
+function describeFeed(req, feed) {
+  const path = `/calendar/${feed.token}.ics`;
+  return {
+    url: `${req.protocol}://${req.get('host')}${path}`,
+    // webcal:// makes Outlook and Apple Calendar offer to subscribe
+    webcalUrl: `webcal://${req.get('host')}${path}`,
+    alarmDays: feed.alarmDays || DEFAULT_ALARM_DAYS
+  };
+}
+
+// Subscription URL of the business's deadline calendar, created on first request
+router.get('/feed', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      feed: describeFeed(req, calendarFeeds.getOrCreate(req.business.id))
+    });
+  } catch (error) {
+    console.error('Error fetching calendar feed:', error);
+    res.status(500).json({ error: 'Failed to fetch calendar feed' });
+  }
+});
+
+// Set the days before each due date at which alarms ring, e.g. { "alarmDays": [7, 2, 0] }
+router.put('/feed', (req, res) => {
+  try {
+    const alarmDays = normalizeAlarmDays(req.body.alarmDays);
+    if (!alarmDays) {
+      return res.status(400).json({ error: `alarmDays must be a list of whole days from 0 to ${MAX_ALARM_DAYS}` });
+    }
+
+    res.json({
+      success: true,
+      feed: describeFeed(req, calendarFeeds.setAlarmDays(req.business.id, alarmDays))
+    });
+  } catch (error) {
+    console.error('Error updating calendar feed:', error);
+    res.status(500).json({ error: 'Failed to update calendar feed' });
+  }
+});
+
+// Issue a new feed URL, for when the old one has been shared too widely
+router.post('/feed/reset', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      feed: describeFeed(req, calendarFeeds.resetToken(req.business.id))
+    });
+  } catch (error) {
+    console.error('Error resetting calendar feed:', error);
+    res.status(500).json({ error: 'Failed to reset calendar feed' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const dueDates = require('../lib/dueDates');
+const { buildCalendar, DEFAULT_ALARM_DAYS } = require('../lib/calendar');
+const { businesses, calendarFeeds, filedReturns, calendarEvents } = require('../lib/repositories');
+
+const router = express.Router();
+
+// Calendar apps cannot send a sign-in token, so the feed is found by the secret in its URL.
+// It covers the last three months, so recent events can show as filed, and the year ahead.
+router.get('/:token.ics', (req, res) => {
+  try {
+    const feed = calendarFeeds.findByToken(req.params.token);
+    const business = feed && businesses.get(feed.businessId);
+    if (!business) {
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
+
+    const deadlines = [
+      ...dueDates.pastDeadlines(business, { months: 3 }),
+      ...dueDates.upcomingDeadlines(business, { months: 12 })
+    ];
+    const cal = buildCalendar(business, deadlines, {
+      filed: filedReturns.byDeadline(business.id),
+      alarmDays: feed.alarmDays || DEFAULT_ALARM_DAYS,
+      revise: (deadlineId, fingerprint) => calendarEvents.revise(business.id, deadlineId, fingerprint)
+    });
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="gst-deadlines.ics"');
+    res.send(cal.toString());
+  } catch (error) {
+    console.error('Error building calendar feed:', error);
+    res.status(500).json({ error: 'Failed to build calendar feed' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,55 @@
+const express = require('express');
+const { BUSINESS_TYPES, parseFinancialYear, simulateForBusiness } = require('../lib/composition');
+
+const router = express.Router();
+
+function parseAmount(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const amount = Number(value);
+  return Number.isFinite(amount) && amount >= 0 ? amount : undefined;
+}
+
+// true, false, or undefined when not given so the uploads decide
+function parseFlag(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  return value === true || value === 'true';
+}
+
+// Compare the composition scheme with regular GST for a financial year. The business type comes
+// from the profile unless given; turnover, inter-state and HSN details come from the year's
+// uploads unless overridden in the body.
+router.post('/simulate', (req, res) => {
+  try {
+    const businessType = String(req.body.businessType || req.business.businessType || '').trim().toUpperCase();
+    if (!BUSINESS_TYPES.includes(businessType)) {
+      return res.status(400).json({ error: `Business type must be one of ${BUSINESS_TYPES.join(', ')}; set it here or in the business profile` });
+    }
+
+    const financialYear = req.body.financialYear ? parseFinancialYear(req.body.financialYear) : null;
+    if (req.body.financialYear && !financialYear) {
+      return res.status(400).json({ error: 'Invalid financial year; use the form 2025-26' });
+    }
+
+    const inputs = {
+      interstateSupplies: parseFlag(req.body.interstateSupplies),
+      ecommerce: parseFlag(req.body.ecommerce),
+      nonTaxableSupplies: parseFlag(req.body.nonTaxableSupplies)
+    };
+    for (const field of ['aggregateTurnover', 'serviceTurnover']) {
+      inputs[field] = parseAmount(req.body[field]);
+      if (inputs[field] === undefined) {
+        return res.status(400).json({ error: `${field} must be a positive amount` });
+      }
+    }
+
+    res.json({
+      success: true,
+      simulation: simulateForBusiness(req.business, { financialYear, businessType, inputs })
+    });
+  } catch (error) {
+    console.error('Error simulating composition scheme:', error);
+    res.status(500).json({ error: 'Failed to simulate composition scheme' });
+  }
+});
+
+module.exports = router;
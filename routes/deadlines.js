@@ -0,0 +1,109 @@
+const express = require('express');
+const dueDates = require('../lib/dueDates');
+const { parseDate } = require('../lib/importer');
+const { liabilityForDeadline, runningPenalty } = require('../lib/penalties');
+const { filedReturns } = require('../lib/repositories');
+
+const router = express.Router();
+
+function parseAmount(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const amount = Number(value);
+  return Number.isFinite(amount) && amount >= 0 ? amount : undefined;
+}
+
+// Late fee and interest so far on an unfiled return, with interest on the tax uploaded for its period
+function withRunningPenalty(business, deadline, turnover) {
+  const liability = liabilityForDeadline(business, deadline);
+  return { ...deadline, penalty: runningPenalty(deadline, liability, { turnover }) };
+}
+
+// Due dates of the business's returns, from its filing frequency and state. With `period`
+// (YYYY-MM or MMYYYY) the returns of that tax month; otherwise those due in the next `months` months,
+// and the returns of the last `overdueMonths` months that are past due and not marked filed.
+router.get('/', (req, res) => {
+  try {
+    const turnover = parseAmount(req.query.turnover);
+    if (turnover === undefined) {
+      return res.status(400).json({ error: 'Turnover must be a positive amount' });
+    }
+
+    const filed = filedReturns.byDeadline(req.business.id);
+    const today = new Date().toISOString().split('T')[0];
+    const describe = deadline => ({
+      ...deadline,
+      daysRemaining: dueDates.daysRemaining(deadline.dueDate, today),
+      filed: filed.get(deadline.id) || null
+    });
+
+    if (req.query.period) {
+      const deadlines = dueDates.deadlinesForPeriod(req.business, String(req.query.period));
+      if (!deadlines) {
+        return res.status(400).json({ error: 'Invalid period; use MMYYYY or YYYY-MM' });
+      }
+      return res.json({
+        success: true,
+        filingFrequency: req.business.filingFrequency,
+        deadlines: deadlines.map(deadline => {
+          const overdue = deadline.dueDate < today && !filed.has(deadline.id);
+          return describe(overdue ? withRunningPenalty(req.business, deadline, turnover) : deadline);
+        })
+      });
+    }
+
+    const months = Math.min(parseInt(req.query.months) || 3, 15);
+    const overdueMonths = Math.min(parseInt(req.query.overdueMonths) || 3, 24);
+    const overdue = dueDates.pastDeadlines(req.business, { today, months: overdueMonths })
+      .filter(deadline => !deadline.optional && !filed.has(deadline.id))
+      .map(deadline => describe(withRunningPenalty(req.business, deadline, turnover)));
+
+    res.json({
+      success: true,
+      filingFrequency: req.business.filingFrequency,
+      deadlines: dueDates.upcomingDeadlines(req.business, { from: today, months }).map(describe),
+      overdue
+    });
+  } catch (error) {
+    console.error('Error fetching deadlines:', error);
+    res.status(500).json({ error: 'Failed to fetch deadlines' });
+  }
+});
+
+// Mark the return behind a deadline as filed, which stops its running penalty
+router.post('/:id/filed', (req, res) => {
+  try {
+    const deadline = dueDates.findDeadline(req.business, req.params.id);
+    if (!deadline) {
+      return res.status(404).json({ error: 'Deadline not found' });
+    }
+
+    const filedOn = req.body.filedOn ? parseDate(req.body.filedOn) : new Date().toISOString().split('T')[0];
+    const paidOn = req.body.paidOn ? parseDate(req.body.paidOn) : null;
+    if (!filedOn || (req.body.paidOn && !paidOn)) {
+      return res.status(400).json({ error: 'Invalid filing or payment date' });
+    }
+
+    res.json({
+      success: true,
+      deadline,
+      filed: filedReturns.mark({ businessId: req.business.id, deadlineId: deadline.id, filedOn, paidOn })
+    });
+  } catch (error) {
+    console.error('Error marking return as filed:', error);
+    res.status(500).json({ error: 'Failed to mark return as filed' });
+  }
+});
+
+router.delete('/:id/filed', (req, res) => {
+  try {
+    if (!filedReturns.unmark(req.business.id, req.params.id)) {
+      return res.status(404).json({ error: 'Return is not marked as filed' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error unmarking return:', error);
+    res.status(500).json({ error: 'Failed to unmark return' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,122 @@
+const express = require('express');
+const { filings } = require('../lib/repositories');
+const tally = require('../lib/tally');
+const spreadsheet = require('../lib/spreadsheet');
+
+const router = express.Router();
+
+function filingFor(req) {
+  return filings.get(req.business.id, parseInt(req.params.filingId));
+}
+
+// Download names start from the uploaded file's name, which res.attachment() quotes and encodes
+function baseName(filing) {
+  return filing.fileName.replace(/\.[^.]+$/, '');
+}
+
+// Ledger names the Tally vouchers post to, with the defaults they fall back to
+router.get('/tally/ledgers', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ledgers: tally.getLedgers(req.business.id),
+      defaults: tally.DEFAULT_LEDGERS
+    });
+  } catch (error) {
+    console.error('Error fetching Tally ledgers:', error);
+    res.status(500).json({ error: 'Failed to fetch Tally ledgers' });
+  }
+});
+
+// Name the ledgers as they are in the business's Tally company; an empty name restores the default
+router.put('/tally/ledgers', (req, res) => {
+  try {
+    const { ledgers } = req.body;
+    if (!ledgers || typeof ledgers !== 'object' || Array.isArray(ledgers)) {
+      return res.status(400).json({ error: 'Ledgers must be an object of ledger names' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tally ledgers saved',
+      ledgers: tally.saveLedgers(req.business.id, ledgers)
+    });
+  } catch (error) {
+    if (error instanceof tally.TallyError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error saving Tally ledgers:', error);
+    res.status(500).json({ error: 'Failed to save Tally ledgers' });
+  }
+});
+
+// Vouchers of a filing as a Tally import file. The vouchers go to the company named after the
+// business unless ?company= names the company as it is in Tally.
+router.get('/:filingId/tally', (req, res) => {
+  try {
+    const filing = filingFor(req);
+    if (!filing) {
+      return res.status(404).json({ error: 'Filing not found' });
+    }
+
+    const vouchers = tally.buildVouchers(filing, {
+      ledgers: tally.getLedgers(req.business.id),
+      stateCode: req.business.stateCode
+    });
+    const xml = tally.toXml(vouchers, {
+      company: req.query.company || req.business.name,
+      narration: `Imported from ${filing.fileName}`
+    });
+
+    res.attachment(`${baseName(filing)}-tally.xml`);
+    res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+    res.send(xml);
+  } catch (error) {
+    console.error('Error exporting to Tally:', error);
+    res.status(500).json({ error: 'Failed to export to Tally' });
+  }
+});
+
+// The filing's invoice lines and tax summaries as an Excel workbook, one table per sheet
+router.get('/:filingId/xlsx', (req, res) => {
+  try {
+    const filing = filingFor(req);
+    if (!filing) {
+      return res.status(404).json({ error: 'Filing not found' });
+    }
+
+    const sheets = spreadsheet.buildSheets(filing, { stateCode: req.business.stateCode });
+    res.attachment(`${baseName(filing)}-export.xlsx`);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.send(spreadsheet.toWorkbook(sheets));
+  } catch (error) {
+    console.error('Error exporting spreadsheet:', error);
+    res.status(500).json({ error: 'Failed to export spreadsheet' });
+  }
+});
+
+// One of those tables as CSV: ?table=lines (the default), summary, state, rate or hsn
+router.get('/:filingId/csv', (req, res) => {
+  try {
+    const filing = filingFor(req);
+    if (!filing) {
+      return res.status(404).json({ error: 'Filing not found' });
+    }
+
+    const sheets = spreadsheet.buildSheets(filing, { stateCode: req.business.stateCode });
+    const table = req.query.table || 'lines';
+    const sheet = sheets.find(candidate => candidate.id === table);
+    if (!sheet) {
+      return res.status(400).json({ error: `Table must be one of ${sheets.map(candidate => candidate.id).join(', ')}` });
+    }
+
+    res.attachment(`${baseName(filing)}-${sheet.id}.csv`);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.send(spreadsheet.toCsv(sheet));
+  } catch (error) {
+    console.error('Error exporting CSV:', error);
+    res.status(500).json({ error: 'Failed to export CSV' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,46 @@
+const express = require('express');
+const hsn = require('../lib/hsn');
+
+const router = express.Router();
+
+// Search the HSN/SAC master by code or description, for classifying products without a code
+router.get('/search', (req, res) => {
+  try {
+    const query = String(req.query.q || '').trim();
+    if (!query) {
+      return res.status(400).json({ error: 'Search text is required' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    res.json({
+      success: true,
+      query,
+      results: hsn.search(query, limit)
+    });
+  } catch (error) {
+    console.error('Error searching HSN master:', error);
+    res.status(500).json({ error: 'Failed to search HSN/SAC codes' });
+  }
+});
+
+// Rate of a code, optionally on a given date (?date=YYYY-MM-DD) and for a value per piece (?unitValue=)
+router.get('/:code', (req, res) => {
+  try {
+    const unitValue = req.query.unitValue ? parseFloat(req.query.unitValue) : null;
+    const rate = hsn.rateFor(req.params.code, req.query.date || null, unitValue);
+    if (!rate) {
+      return res.status(404).json({ error: `HSN/SAC ${req.params.code} is not in the master` });
+    }
+
+    res.json({
+      success: true,
+      entry: hsn.describe(hsn.lookupCode(req.params.code)),
+      applicable: rate
+    });
+  } catch (error) {
+    console.error('Error looking up HSN code:', error);
+    res.status(500).json({ error: 'Failed to look up HSN/SAC code' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const i18n = require('../lib/i18n');
+
+const router = express.Router();
+
+// Languages the app can be used in. Open to everyone, since the sign-in page is translated too.
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    languages: i18n.LANGUAGES,
+    defaultLanguage: i18n.DEFAULT_LANGUAGE,
+    gstTerms: i18n.GST_TERMS
+  });
+});
+
+// Every string of a language, English filling any it has not been translated into yet
+router.get('/:language', (req, res) => {
+  if (!i18n.isSupported(req.params.language)) {
+    return res.status(404).json({ error: 'Language not supported' });
+  }
+  res.json({
+    success: true,
+    language: i18n.getLanguage(req.params.language),
+    messages: i18n.messages(req.params.language)
+  });
+});
+
+module.exports = router;
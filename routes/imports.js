@@ -0,0 +1,70 @@
+const express = require('express');
+const importer = require('../lib/importer');
+
+const router = express.Router();
+
+// List the known layouts and the invoice-line fields a custom mapping can fill
+router.get('/layouts', (req, res) => {
+  res.json({
+    success: true,
+    fields: importer.INVOICE_LINE_FIELDS,
+    layouts: importer.KNOWN_LAYOUTS.map(layout => ({
+      id: layout.id,
+      name: layout.name,
+      signature: layout.signature,
+      columns: layout.columns
+    }))
+  });
+});
+
+// Get the saved column mappings of the signed-in business
+router.get('/mappings', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      mappings: importer.getMappings(req.business.id)
+    });
+  } catch (error) {
+    console.error('Error fetching column mappings:', error);
+    res.status(500).json({ error: 'Failed to fetch column mappings' });
+  }
+});
+
+// Save a custom column mapping for the signed-in business
+router.post('/mappings', (req, res) => {
+  try {
+    const { name, columns } = req.body;
+
+    if (!name || !columns || typeof columns !== 'object') {
+      return res.status(400).json({ error: 'Mapping name and columns are required' });
+    }
+
+    const mappings = importer.saveMapping(req.business.id, { name, columns });
+    res.json({
+      success: true,
+      message: 'Column mapping saved',
+      mappings
+    });
+  } catch (error) {
+    if (error instanceof importer.ImportError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error saving column mapping:', error);
+    res.status(500).json({ error: 'Failed to save column mapping' });
+  }
+});
+
+// Delete a custom column mapping
+router.delete('/mappings/:name', (req, res) => {
+  try {
+    if (!importer.deleteMapping(req.business.id, req.params.name)) {
+      return res.status(404).json({ error: 'Column mapping not found' });
+    }
+    res.json({ success: true, message: 'Column mapping deleted' });
+  } catch (error) {
+    console.error('Error deleting column mapping:', error);
+    res.status(500).json({ error: 'Failed to delete column mapping' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,165 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const knowledge = require('../lib/knowledge');
+
+const router = express.Router();
+
+// Circulars and notifications are read from memory; lib/knowledge keeps a copy of the original
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024 },
+  fileFilter: function (req, file, cb) {
+    if (/\.(pdf|txt|md)$/i.test(path.extname(file.originalname))) {
+      return cb(null, true);
+    }
+    cb(new Error('Only PDF and text files are allowed'));
+  }
+});
+
+let warnedAboutAdmins = false;
+
+// The knowledge base is shared by every business, so only the accounts listed in
+// KNOWLEDGE_ADMIN_EMAILS (comma separated) may change it. Without the setting nobody can.
+function requireKnowledgeAdmin(req, res, next) {
+  const admins = (process.env.KNOWLEDGE_ADMIN_EMAILS || '').split(',').map(email => email.trim().toLowerCase()).filter(Boolean);
+  if (!admins.length) {
+    if (!warnedAboutAdmins) {
+      console.log('KNOWLEDGE_ADMIN_EMAILS not configured, knowledge base documents cannot be changed');
+      warnedAboutAdmins = true;
+    }
+    return res.status(403).json({ error: 'No knowledge base administrators are configured on this server' });
+  }
+  if (!admins.includes(String(req.user.email).toLowerCase())) {
+    return res.status(403).json({ error: 'Only knowledge base administrators can change documents' });
+  }
+  next();
+}
+
+function documentId(req) {
+  const id = parseInt(req.params.id);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// Uploaded documents, current ones only unless ?all=true, and the built-in ones
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      documents: knowledge.listDocuments({ includeSuperseded: req.query.all === 'true' }),
+      fixed: knowledge.fixedDocuments(),
+      stats: knowledge.stats()
+    });
+  } catch (error) {
+    console.error('Error fetching knowledge documents:', error);
+    res.status(500).json({ error: 'Failed to fetch knowledge documents' });
+  }
+});
+
+// Chunks matching ?q, best first; ?current=true leaves out superseded documents
+router.get('/search', (req, res) => {
+  try {
+    if (!req.query.q || !String(req.query.q).trim()) {
+      return res.status(400).json({ error: 'A search query (q) is required' });
+    }
+    res.json({
+      success: true,
+      results: knowledge.search(String(req.query.q), {
+        limit: Math.min(parseInt(req.query.limit) || 5, 20),
+        includeSuperseded: req.query.current !== 'true'
+      })
+    });
+  } catch (error) {
+    console.error('Error searching knowledge base:', error);
+    res.status(500).json({ error: 'Failed to search knowledge base' });
+  }
+});
+
+router.get('/:id', (req, res) => {
+  try {
+    const document = documentId(req) && knowledge.getDocument(documentId(req));
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    res.json({ success: true, document });
+  } catch (error) {
+    console.error('Error fetching knowledge document:', error);
+    res.status(500).json({ error: 'Failed to fetch knowledge document' });
+  }
+});
+
+// Add a document from a PDF or text file (`file`) or from `text`. Title, documentType,
+// notificationNumber, issuedDate, effectiveDate and tags are read from the text where they can be
+// and may be given to override it.
+router.post('/', requireKnowledgeAdmin, upload.single('file'), async (req, res) => {
+  try {
+    const document = await knowledge.addDocument({
+      file: req.file || null,
+      text: req.body.text,
+      metadata: req.body,
+      uploadedBy: req.user.id
+    });
+    res.json({ success: true, document });
+  } catch (error) {
+    if (error instanceof knowledge.KnowledgeError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error adding knowledge document:', error);
+    res.status(500).json({ error: 'Failed to add knowledge document' });
+  }
+});
+
+// Upload a new version of a document; the earlier versions are kept, marked superseded
+router.post('/:id/versions', requireKnowledgeAdmin, upload.single('file'), async (req, res) => {
+  try {
+    if (!documentId(req)) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    const document = await knowledge.addDocument({
+      file: req.file || null,
+      text: req.body.text,
+      metadata: req.body,
+      uploadedBy: req.user.id,
+      previousVersionId: documentId(req)
+    });
+    res.json({ success: true, document });
+  } catch (error) {
+    if (error instanceof knowledge.KnowledgeError) {
+      return res.status(error.message === 'Document not found' ? 404 : 400).json({ error: error.message });
+    }
+    console.error('Error adding knowledge document version:', error);
+    res.status(500).json({ error: 'Failed to add knowledge document version' });
+  }
+});
+
+// Edit metadata, or set supersededBy to another document's id (null makes it current again)
+router.put('/:id', requireKnowledgeAdmin, (req, res) => {
+  try {
+    const document = documentId(req) && knowledge.updateDocument(documentId(req), req.body);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    res.json({ success: true, document });
+  } catch (error) {
+    if (error instanceof knowledge.KnowledgeError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error updating knowledge document:', error);
+    res.status(500).json({ error: 'Failed to update knowledge document' });
+  }
+});
+
+// Delete one version; what it superseded passes to the version after it, or is current again
+router.delete('/:id', requireKnowledgeAdmin, (req, res) => {
+  try {
+    if (!documentId(req) || !knowledge.removeDocument(documentId(req))) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting knowledge document:', error);
+    res.status(500).json({ error: 'Failed to delete knowledge document' });
+  }
+});
+
+module.exports = router;
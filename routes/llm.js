@@ -0,0 +1,16 @@
+const express = require('express');
+const llm = require('../lib/llm');
+
+const router = express.Router();
+
+// The language model in use, how often the response cache answered, and tokens used since the server started
+router.get('/usage', (req, res) => {
+  try {
+    res.json({ success: true, ...llm.getUsage() });
+  } catch (error) {
+    console.error('Error fetching model usage:', error);
+    res.status(500).json({ error: 'Failed to fetch model usage' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,72 @@
+const express = require('express');
+const dueDates = require('../lib/dueDates');
+const { parseDate } = require('../lib/importer');
+const { LATE_FEES, PAYMENT_FORMS, calculatePenalty } = require('../lib/penalties');
+
+const router = express.Router();
+
+// Returns that carry a late fee, interest or both
+const PENALTY_FORMS = [...new Set([...Object.keys(LATE_FEES), ...PAYMENT_FORMS])];
+
+function parseAmount(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const amount = Number(value);
+  return Number.isFinite(amount) && amount >= 0 ? amount : undefined;
+}
+
+// Late fee and interest for a return filed or tax paid late. The due date comes from the
+// business's filing frequency and state, so `period` must be one the business files for:
+// YYYY-MM or MMYYYY for monthly returns, "2024-25-Q3" for quarterly ones, "2024-25" for annual ones.
+router.post('/calculate', (req, res) => {
+  try {
+    const form = String(req.body.form || '').trim().toUpperCase();
+    if (!PENALTY_FORMS.includes(form)) {
+      return res.status(400).json({ error: `Form must be one of ${PENALTY_FORMS.join(', ')}` });
+    }
+    if (!req.body.period) {
+      return res.status(400).json({ error: 'Tax period is required' });
+    }
+
+    const deadline = dueDates.findDeadline(req.business, dueDates.deadlineId(form, req.body.period));
+    if (!deadline) {
+      return res.status(400).json({ error: `No ${form} is due for period ${req.body.period} under your filing frequency (${req.business.filingFrequency})` });
+    }
+
+    const filedOn = parseDate(req.body.filedOn);
+    const paidOn = req.body.paidOn ? parseDate(req.body.paidOn) : null;
+    if (!filedOn || (req.body.paidOn && !paidOn)) {
+      return res.status(400).json({ error: 'A valid filing date is required, and the payment date must be valid if given' });
+    }
+
+    const amounts = {};
+    for (const field of ['taxAmount', 'itcUtilised', 'turnover', 'stateTurnover']) {
+      amounts[field] = parseAmount(req.body[field]);
+      if (amounts[field] === undefined) {
+        return res.status(400).json({ error: `${field} must be a positive amount` });
+      }
+    }
+
+    const penalty = calculatePenalty({
+      form,
+      dueDate: deadline.dueDate,
+      filedOn,
+      paidOn,
+      taxAmount: amounts.taxAmount || 0,
+      itcUtilised: amounts.itcUtilised || 0,
+      nilReturn: req.body.nilReturn === true || req.body.nilReturn === 'true',
+      turnover: amounts.turnover,
+      stateTurnover: amounts.stateTurnover
+    });
+
+    res.json({
+      success: true,
+      deadline,
+      penalty
+    });
+  } catch (error) {
+    console.error('Error calculating late fee and interest:', error);
+    res.status(500).json({ error: 'Failed to calculate late fee and interest' });
+  }
+});
+
+module.exports = router;
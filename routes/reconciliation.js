@@ -0,0 +1,125 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const { filings, reconciliations } = require('../lib/repositories');
+const { parsePeriod } = require('../lib/periods');
+const { ImportError } = require('../lib/importer');
+const { parseGstr2b } = require('../lib/gstr2b');
+const { reconcile, followUpWorkbook } = require('../lib/reconciliation');
+
+const router = express.Router();
+
+// GSTR-2B downloads are small, so they are read from memory and not kept
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: function (req, file, cb) {
+    if (/\.(json|xlsx|xls)$/i.test(path.extname(file.originalname))) {
+      return cb(null, true);
+    }
+    cb(new Error('Only GSTR-2B JSON and Excel files are allowed'));
+  }
+});
+
+// Reconcile an uploaded GSTR-2B against the purchase register. The tax period comes from
+// the file, or from the `period` field (MMYYYY or YYYY-MM) when the file does not say.
+router.post('/gstr2b', upload.single('file'), (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const gstr2b = parseGstr2b(req.file.buffer, req.file.originalname);
+    const period = req.body.period ? parsePeriod(req.body.period) : gstr2b.period;
+    if (!period) {
+      return res.status(400).json({ error: 'Tax period not found in the file; send it as MMYYYY or YYYY-MM' });
+    }
+
+    const warnings = [];
+    if (gstr2b.gstin && req.business.gstin && gstr2b.gstin !== req.business.gstin) {
+      warnings.push(`This GSTR-2B belongs to ${gstr2b.gstin}, not to your GSTIN ${req.business.gstin}`);
+    }
+
+    // Suppliers report late invoices in a later GSTR-2B, so the books are searched back to the oldest document
+    const earliest = gstr2b.documents
+      .map(doc => doc.invoiceDate)
+      .filter(Boolean)
+      .reduce((min, date) => (date < min ? date : min), period.from);
+    const purchaseLines = filings.linesForPeriod(req.business.id, req.business.gstin, earliest, period.to, 'PURCHASE');
+
+    const result = reconcile({
+      documents: gstr2b.documents,
+      purchaseLines,
+      period,
+      recipientStateCode: req.business.stateCode
+    });
+
+    const reconciliation = reconciliations.create({
+      businessId: req.business.id,
+      period: period.key,
+      fileName: req.file.originalname,
+      result: { ...result, warnings }
+    });
+
+    res.json({
+      success: true,
+      reconciliation
+    });
+  } catch (error) {
+    if (error instanceof ImportError) {
+      return res.status(400).json({ error: error.message, sheets: error.details.sheets });
+    }
+    console.error('Error reconciling GSTR-2B:', error);
+    res.status(500).json({ error: 'Failed to reconcile GSTR-2B' });
+  }
+});
+
+// Past reconciliations of the business
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      reconciliations: reconciliations.list(req.business.id)
+    });
+  } catch (error) {
+    console.error('Error fetching reconciliations:', error);
+    res.status(500).json({ error: 'Failed to fetch reconciliations' });
+  }
+});
+
+router.get('/:id', (req, res) => {
+  try {
+    const reconciliation = reconciliations.get(req.business.id, parseInt(req.params.id));
+    if (!reconciliation) {
+      return res.status(404).json({ error: 'Reconciliation not found' });
+    }
+
+    res.json({
+      success: true,
+      reconciliation
+    });
+  } catch (error) {
+    console.error('Error fetching reconciliation:', error);
+    res.status(500).json({ error: 'Failed to fetch reconciliation' });
+  }
+});
+
+// Download the follow-up sheet for suppliers as an Excel workbook
+router.get('/:id/export', (req, res) => {
+  try {
+    const reconciliation = reconciliations.get(req.business.id, parseInt(req.params.id));
+    if (!reconciliation) {
+      return res.status(404).json({ error: 'Reconciliation not found' });
+    }
+
+    const filename = `GSTR2B-Reconciliation-${reconciliation.period}.xlsx`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.send(followUpWorkbook(reconciliation));
+  } catch (error) {
+    console.error('Error exporting reconciliation:', error);
+    res.status(500).json({ error: 'Failed to export reconciliation' });
+  }
+});
+
+module.exports = router;
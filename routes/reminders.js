@@ -0,0 +1,180 @@
+const express = require('express');
+const dueDates = require('../lib/dueDates');
+const scheduler = require('../lib/scheduler');
+const i18n = require('../lib/i18n');
+const { getChannel, listChannels } = require('../lib/channels');
+const webhook = require('../lib/channels/webhook');
+const { reminderPreferences, reminderDeliveries } = require('../lib/repositories');
+
+const router = express.Router();
+
+const MAX_LEAD_DAYS = 30;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Mobile numbers in international format, e.g. +919876543210
+const PHONE_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Merge a change into the saved preferences and check the result; returns { preferences } or { error }
+function validatePreferences(current, body) {
+  const preferences = { ...current };
+  const text = value => (value === undefined ? undefined : String(value || '').trim() || null);
+
+  if (body.enabled !== undefined) preferences.enabled = body.enabled === true || body.enabled === 'true';
+  if (body.escalate !== undefined) preferences.escalate = body.escalate === true || body.escalate === 'true';
+  ['email', 'webhookUrl', 'phone', 'escalationEmail'].forEach(field => {
+    if (body[field] !== undefined) preferences[field] = text(body[field]);
+  });
+  if (preferences.phone) preferences.phone = preferences.phone.replace(/[\s-]/g, '');
+
+  if (body.channels !== undefined) {
+    const names = Array.isArray(body.channels) ? body.channels.map(name => String(name).toUpperCase()) : null;
+    if (!names || names.some(name => !getChannel(name))) {
+      return { error: `channels must be a list of ${listChannels().map(channel => channel.name).join(', ')}` };
+    }
+    preferences.channels = [...new Set(names)];
+  }
+
+  if (body.leadDays !== undefined) {
+    const days = Array.isArray(body.leadDays) ? body.leadDays.map(Number) : null;
+    if (!days || days.some(day => !Number.isInteger(day) || day < 0 || day > MAX_LEAD_DAYS)) {
+      return { error: `leadDays must be a list of whole days from 0 to ${MAX_LEAD_DAYS}` };
+    }
+    preferences.leadDays = [...new Set(days)].sort((a, b) => b - a);
+  }
+
+  if (body.escalateEveryDays !== undefined) {
+    const every = Number(body.escalateEveryDays);
+    if (!Number.isInteger(every) || every < 1 || every > MAX_LEAD_DAYS) {
+      return { error: `escalateEveryDays must be a whole number of days from 1 to ${MAX_LEAD_DAYS}` };
+    }
+    preferences.escalateEveryDays = every;
+  }
+
+  // Each chosen channel needs somewhere to deliver to
+  if (preferences.channels.includes('EMAIL') && !(preferences.email && EMAIL_PATTERN.test(preferences.email))) {
+    return { error: 'A valid email address is required for email reminders' };
+  }
+  if (preferences.escalationEmail && !EMAIL_PATTERN.test(preferences.escalationEmail)) {
+    return { error: 'Escalation email is not a valid email address' };
+  }
+  if (preferences.channels.includes('WEBHOOK') && !(preferences.webhookUrl && isHttpUrl(preferences.webhookUrl))) {
+    return { error: 'An http or https URL is required for webhook reminders' };
+  }
+  if ((preferences.channels.includes('SMS') || preferences.channels.includes('WHATSAPP')) &&
+      !(preferences.phone && PHONE_PATTERN.test(preferences.phone))) {
+    return { error: 'A mobile number with country code (e.g. +919876543210) is required for SMS and WhatsApp reminders' };
+  }
+
+  return { preferences };
+}
+
+// The user's reminder preferences, with the channels this server can deliver on
+router.get('/preferences', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      preferences: reminderPreferences.get(req.user.id, req.user.email),
+      channels: listChannels()
+    });
+  } catch (error) {
+    console.error('Error fetching reminder preferences:', error);
+    res.status(500).json({ error: 'Failed to fetch reminder preferences' });
+  }
+});
+
+router.put('/preferences', async (req, res) => {
+  try {
+    const { preferences, error } = validatePreferences(reminderPreferences.get(req.user.id, req.user.email), req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    // The server calls the webhook itself, so it must not lead into the server's own network
+    if (preferences.webhookUrl) {
+      await webhook.checkTarget(preferences.webhookUrl);
+    }
+
+    res.json({
+      success: true,
+      preferences: reminderPreferences.save(req.user.id, preferences),
+      channels: listChannels()
+    });
+  } catch (error) {
+    if (error instanceof webhook.WebhookTargetError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error saving reminder preferences:', error);
+    res.status(500).json({ error: 'Failed to save reminder preferences' });
+  }
+});
+
+// Send a sample reminder for the next deadline on every chosen channel, reporting whether each got
+// through; why one did not goes to the server log only
+router.post('/test', async (req, res) => {
+  try {
+    const preferences = reminderPreferences.get(req.user.id, req.user.email);
+    const [deadline] = dueDates.upcomingDeadlines(req.business, { months: 3 }).filter(item => !item.optional);
+    if (!deadline) {
+      return res.status(400).json({ error: 'No upcoming deadline to send a sample reminder for' });
+    }
+
+    const today = new Date().toISOString().split('T')[0];
+    const message = scheduler.buildMessage({ kind: 'TEST', level: 'REMINDER', deadline, business: req.business, today, language: req.user.language });
+    message.subject = i18n.t(req.user.language, 'reminder.test', { subject: message.subject });
+
+    const results = [];
+    for (const name of preferences.channels) {
+      const channel = getChannel(name);
+      if (!channel.isConfigured()) {
+        results.push({ channel: name, sent: false, error: `${channel.label} is not set up on this server` });
+        continue;
+      }
+      try {
+        await channel.send(message, preferences);
+        results.push({ channel: name, sent: true });
+      } catch (error) {
+        console.error(`Error sending test ${name} reminder to user ${req.user.id}:`, error.message);
+        results.push({ channel: name, sent: false, error: `${channel.label} could not deliver the sample reminder` });
+      }
+    }
+
+    res.json({ success: true, results });
+  } catch (error) {
+    console.error('Error sending test reminder:', error);
+    res.status(500).json({ error: 'Failed to send test reminder' });
+  }
+});
+
+// Send whatever reminders are due for the user now instead of waiting for the scheduler
+router.post('/run', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      deliveries: await scheduler.runForUser(req.user)
+    });
+  } catch (error) {
+    console.error('Error sending reminders:', error);
+    res.status(500).json({ error: 'Failed to send reminders' });
+  }
+});
+
+// Reminders sent to the user, most recent first
+router.get('/deliveries', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      deliveries: reminderDeliveries.list(req.user.id, Math.min(parseInt(req.query.limit) || 50, 200))
+    });
+  } catch (error) {
+    console.error('Error fetching reminder history:', error);
+    res.status(500).json({ error: 'Failed to fetch reminder history' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,79 @@
+const express = require('express');
+const { filings } = require('../lib/repositories');
+const { parsePeriod } = require('../lib/periods');
+const { buildGstr1 } = require('../lib/gstr1');
+const { assessPurchase, summarizeItc } = require('../lib/itc');
+
+const router = express.Router();
+
+// Build the GSTR-1 return of a tax period (MMYYYY or YYYY-MM) from the business's processed sales.
+// Add ?download=1 to get the JSON file for the GST offline tool.
+router.get('/gstr1/:period', (req, res) => {
+  try {
+    const period = parsePeriod(req.params.period);
+    if (!period) {
+      return res.status(400).json({ error: 'Period must be given as MMYYYY or YYYY-MM' });
+    }
+
+    const lines = filings.linesForPeriod(req.business.id, req.business.gstin, period.from, period.to, 'SALE');
+    const result = buildGstr1({
+      gstin: req.business.gstin,
+      period,
+      lines,
+      supplierStateCode: req.business.stateCode,
+      undatedLines: filings.countUndatedLines(req.business.id, req.business.gstin, 'SALE')
+    });
+
+    if (req.query.download) {
+      const filename = `GSTR1_${req.business.gstin || 'NOGSTIN'}_${period.fp}.json`;
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.json(result.gstr1);
+    }
+
+    res.json({
+      success: true,
+      period: period.key,
+      summary: result.summary,
+      validation: result.validation,
+      gstr1: result.gstr1
+    });
+  } catch (error) {
+    console.error('Error building GSTR-1:', error);
+    res.status(500).json({ error: 'Failed to build GSTR-1' });
+  }
+});
+
+// Input tax credit of a tax period from the business's purchase registers, per tax head
+router.get('/itc/:period', (req, res) => {
+  try {
+    const period = parsePeriod(req.params.period);
+    if (!period) {
+      return res.status(400).json({ error: 'Period must be given as MMYYYY or YYYY-MM' });
+    }
+
+    const lines = filings.linesForPeriod(req.business.id, req.business.gstin, period.from, period.to, 'PURCHASE');
+    // Purchases stored before ITC assessment existed are assessed now
+    lines.forEach(line => {
+      if (!line.itc) assessPurchase(line, req.business.stateCode, req.business.businessType);
+    });
+    const itc = summarizeItc(lines);
+
+    res.json({
+      success: true,
+      period: period.key,
+      available: itc.available,
+      capitalGoods: itc.capitalGoods,
+      blocked: itc.blocked,
+      ineligible: itc.ineligible,
+      purchases: itc.purchases,
+      totalPurchaseValue: itc.totalPurchaseValue,
+      byStatus: itc.byStatus,
+      flagged: itc.flagged
+    });
+  } catch (error) {
+    console.error('Error calculating ITC:', error);
+    res.status(500).json({ error: 'Failed to calculate input tax credit' });
+  }
+});
+
+module.exports = router;
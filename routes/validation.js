@@ -0,0 +1,55 @@
+const express = require('express');
+const { filings } = require('../lib/repositories');
+const { validateLines, toCsv } = require('../lib/validation');
+
+const router = express.Router();
+
+// Validation report of a filing; filings uploaded before reports were kept are checked now
+function reportFor(req) {
+  const filing = filings.get(req.business.id, parseInt(req.params.filingId));
+  if (!filing) return null;
+  return {
+    filing,
+    validation: filing.validation || validateLines([...filing.salesData, ...filing.purchaseData])
+  };
+}
+
+router.get('/:filingId', (req, res) => {
+  try {
+    const report = reportFor(req);
+    if (!report) {
+      return res.status(404).json({ error: 'Filing not found' });
+    }
+
+    res.json({
+      success: true,
+      filingId: report.filing.id,
+      fileName: report.filing.fileName,
+      validation: report.validation
+    });
+  } catch (error) {
+    console.error('Error fetching validation report:', error);
+    res.status(500).json({ error: 'Failed to fetch validation report' });
+  }
+});
+
+// Download the problems as CSV, to work through next to the source file
+router.get('/:filingId/csv', (req, res) => {
+  try {
+    const report = reportFor(req);
+    if (!report) {
+      return res.status(404).json({ error: 'Filing not found' });
+    }
+
+    const baseName = report.filing.fileName.replace(/\.[^.]+$/, '');
+    // The name is the uploaded file's, so Express quotes and encodes it
+    res.attachment(`${baseName}-errors.csv`);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.send(toCsv(report.validation));
+  } catch (error) {
+    console.error('Error exporting validation report:', error);
+    res.status(500).json({ error: 'Failed to export validation report' });
+  }
+});
+
+module.exports = router;
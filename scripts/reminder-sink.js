@@ -0,0 +1,64 @@
+// Local stand-in for a mail server and webhook receiver, for trying reminders without real
+// accounts. It prints everything it receives. Point the app at it with
+//   SMTP_HOST=localhost SMTP_PORT=2525
+// and use http://localhost:2526/ as the webhook URL, starting the app with WEBHOOK_ALLOW_PRIVATE=true
+// (or MESSAGING_PROVIDER=http with MESSAGING_API_URL=http://localhost:2526/messages for SMS and WhatsApp).
+const net = require('net');
+const http = require('http');
+
+const SMTP_PORT = Number(process.env.SINK_SMTP_PORT) || 2525;
+const HTTP_PORT = Number(process.env.SINK_HTTP_PORT) || 2526;
+
+// Just enough SMTP for nodemailer: no TLS, no authentication, every message accepted
+const smtp = net.createServer(socket => {
+  let envelope = { from: null, to: [] };
+  let data = null;
+  let buffer = '';
+  const reply = line => socket.write(`${line}\r\n`);
+
+  reply('220 reminder-sink ready');
+  socket.on('data', chunk => {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+
+      if (data !== null) {
+        if (line === '.') {
+          console.log(`--- Email from ${envelope.from} to ${envelope.to.join(', ')} ---\n${data.join('\n')}\n`);
+          envelope = { from: null, to: [] };
+          data = null;
+          reply('250 OK: message accepted');
+        } else {
+          data.push(line.startsWith('..') ? line.slice(1) : line);
+        }
+        continue;
+      }
+
+      const command = line.slice(0, 4).toUpperCase();
+      if (command === 'EHLO' || command === 'HELO') reply('250 reminder-sink');
+      else if (command === 'MAIL') { envelope.from = line.slice(10).trim(); reply('250 OK'); }
+      else if (command === 'RCPT') { envelope.to.push(line.slice(8).trim()); reply('250 OK'); }
+      else if (command === 'DATA') { data = []; reply('354 End data with <CR><LF>.<CR><LF>'); }
+      else if (command === 'RSET') { envelope = { from: null, to: [] }; reply('250 OK'); }
+      else if (command === 'QUIT') { reply('221 Bye'); socket.end(); }
+      else reply('250 OK');
+    }
+  });
+  socket.on('error', () => {});
+});
+
+const receiver = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const signature = req.headers['x-vyapar-signature'];
+    console.log(`--- ${req.method} ${req.url}${signature ? ` (signature ${signature})` : ''} ---\n${body}\n`);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end('{"received":true}');
+  });
+});
+
+smtp.listen(SMTP_PORT, () => console.log(`SMTP stand-in listening on port ${SMTP_PORT}`));
+receiver.listen(HTTP_PORT, () => console.log(`Webhook stand-in listening on http://localhost:${HTTP_PORT}/`));
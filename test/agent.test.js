@@ -0,0 +1,120 @@
+// The agent loop driven by a scripted model: run with `npm test`
+process.env.DB_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const llm = require('../lib/llm');
+const agent = require('../lib/agent');
+const planner = require('../lib/agent/planner');
+const dueDates = require('../lib/dueDates');
+const { liabilityForDeadline, runningPenalty } = require('../lib/penalties');
+const { filings } = require('../lib/repositories');
+
+const business = { id: 1, name: 'ABC Traders', gstin: '27AABCU9603R1ZM', stateCode: '27', filingFrequency: 'MONTHLY' };
+
+test('a tool call and its result are kept in the trace the answer cites', async () => {
+  const provider = llm.createScriptedProvider('agent-test', [
+    { tool: 'lookup_hsn', arguments: { code: '8517', date: '2026-08-01' } },
+    'Routers under HSN 8517 attract 18% GST [1].'
+  ]);
+  llm.registerProvider(provider);
+
+  const result = await agent.run({ business, question: 'What is the GST rate on routers?', provider: 'agent-test', today: '2026-08-15' });
+
+  assert.strictEqual(result.answer, 'Routers under HSN 8517 attract 18% GST [1].');
+  assert.strictEqual(result.trace.length, 1);
+  const [call] = result.trace;
+  assert.strictEqual(call.step, 1);
+  assert.strictEqual(call.tool, 'lookup_hsn');
+  assert.deepStrictEqual(call.arguments, { code: '8517', date: '2026-08-01' });
+  assert.strictEqual(call.error, undefined);
+  assert.strictEqual(call.result.found, true);
+  assert.strictEqual(call.result.rate, 18);
+  assert.deepStrictEqual(call.sources, [1]);
+  assert.strictEqual(result.sources.length, 1);
+  assert.strictEqual(result.model.provider, 'agent-test');
+  assert.strictEqual(result.model.steps, 2);
+
+  // The second request showed the model what the first call returned
+  assert.strictEqual(provider.requests.length, 2);
+  assert.match(provider.requests[1].context, /\[1\] lookup_hsn\(\{"code":"8517","date":"2026-08-01"\}\) returned/);
+});
+
+test('a call the tool rejects is traced with its error for the model to correct', async () => {
+  llm.registerProvider(llm.createScriptedProvider('agent-test-error', [
+    { tool: 'compute_liability', arguments: { period: 'last month' } },
+    'I could not work out the period.'
+  ]));
+
+  const result = await agent.run({ business, question: 'Tax for last month?', provider: 'agent-test-error', today: '2026-08-15' });
+
+  assert.strictEqual(result.trace.length, 1);
+  assert.match(result.trace[0].error, /period must be YYYY-MM/);
+  assert.deepStrictEqual(result.trace[0].sources, []);
+  assert.strictEqual(result.answer, 'I could not work out the period.');
+});
+
+test('the late fee tool charges interest on the same liability as the deadlines list', async () => {
+  filings.create({
+    businessId: business.id,
+    gstin: business.gstin,
+    taxPeriod: '2026-06',
+    fileName: 'june.csv',
+    salesData: [{ rowNumber: 1, transactionType: 'SALE', documentType: 'INVOICE', invoiceNumber: 'INV-1', invoiceDate: '2026-06-10', placeOfSupply: '27', taxableValue: 100000, taxRate: 18, cgst: 9000, sgst: 9000 }],
+    purchaseData: [{ rowNumber: 2, transactionType: 'PURCHASE', documentType: 'INVOICE', invoiceNumber: 'P-1', invoiceDate: '2026-06-05', gstin: '27AAACR5055K1Z7', placeOfSupply: '27', taxableValue: 20000, taxRate: 18, cgst: 1800, sgst: 1800 }]
+  });
+  llm.registerProvider(llm.createScriptedProvider('agent-test-late-fee', [
+    { tool: 'compute_late_fee', arguments: { form: 'GSTR-3B', period: '2026-06' } },
+    'You owe a late fee and interest.'
+  ]));
+
+  const result = await agent.run({ business, question: 'Late fee on June 3B?', provider: 'agent-test-late-fee', today: '2026-08-15' });
+
+  const deadline = dueDates.findDeadline(business, 'GSTR-3B:2026-06');
+  const listed = runningPenalty(deadline, liabilityForDeadline(business, deadline), { today: '2026-08-15' });
+  const { result: fromTool } = result.trace[0];
+  assert.strictEqual(fromTool.taxEstimatedFromUploads, true);
+  assert.ok(listed.interest.principal > 0);
+  assert.strictEqual(fromTool.interest.principal, listed.interest.principal);
+  assert.strictEqual(fromTool.interest.total, listed.interest.total);
+  assert.strictEqual(fromTool.lateFee.total, listed.lateFee.total);
+});
+
+test('periods are read off the question relative to today', () => {
+  const { periodIn } = planner;
+  assert.strictEqual(periodIn('Sales in Q3 2024-25?', '2026-01-15'), '2024-25-Q3');
+  assert.strictEqual(periodIn('Sales in 2024-25-q3?', '2026-01-15'), '2024-25-Q3');
+  assert.strictEqual(periodIn('Tax for 2024-25', '2026-01-15'), '2024-25');
+  assert.strictEqual(periodIn('Tax for 2025-01', '2026-01-15'), '2025-01');
+  assert.strictEqual(periodIn('Filed on 2025-05-20 for March 2025', '2026-01-15'), '2025-03');
+  // January is the last quarter of the financial year, and April the first
+  assert.strictEqual(periodIn('last quarter', '2026-01-15'), '2025-26-Q3');
+  assert.strictEqual(periodIn('this quarter', '2026-01-15'), '2025-26-Q4');
+  assert.strictEqual(periodIn('previous quarter', '2026-04-10'), '2025-26-Q4');
+  assert.strictEqual(periodIn('last month', '2026-01-15'), '2025-12');
+  assert.strictEqual(periodIn('last financial year', '2026-01-15'), '2024-25');
+  assert.strictEqual(periodIn('this fiscal year', '2026-04-10'), '2026-27');
+  // A month without a year is the last one up to today
+  assert.strictEqual(periodIn('Sales in March?', '2026-01-15'), '2025-03');
+  assert.strictEqual(periodIn('Sales in Jan.', '2026-01-15'), '2026-01');
+  assert.strictEqual(periodIn('sales for sep 2025', '2026-01-15'), '2025-09');
+  // "May" alone is the verb
+  assert.strictEqual(periodIn('May I claim credit on a car?', '2026-01-15'), null);
+  assert.strictEqual(periodIn('Tax for May 2025', '2026-01-15'), '2025-05');
+});
+
+test('the offline planner picks the tools and arguments a question needs', () => {
+  const plan = question => planner.plan({ question, business, today: '2026-01-15' });
+
+  assert.deepStrictEqual(plan('What is the GST rate for HSN 8517?'), [{ tool: 'lookup_hsn', arguments: { code: '8517' } }]);
+  assert.deepStrictEqual(plan('How much CGST did we collect in Karnataka last month?'), [
+    { tool: 'compute_liability', arguments: { period: '2025-12', state: 'Karnataka', taxHead: 'cgst' } }
+  ]);
+  assert.deepStrictEqual(plan('What late fee do I owe for GSTR-1 of March 2025 if I file on 2025-05-20?'), [
+    { tool: 'compute_late_fee', arguments: { form: 'GSTR-1', period: '2025-03', filedOn: '2025-05-20' } }
+  ]);
+  assert.deepStrictEqual(plan('When is my next return due?'), [{ tool: 'list_deadlines', arguments: {} }]);
+  assert.deepStrictEqual(plan('Explain the composition threshold'), [
+    { tool: 'search_knowledge', arguments: { query: 'Explain the composition threshold' } }
+  ]);
+});
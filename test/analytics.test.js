@@ -0,0 +1,64 @@
+// Period-over-period sales analytics: run with `npm test`
+const test = require('node:test');
+const assert = require('node:assert');
+const { periodsBetween, shiftPeriod, analyze, summarize, invoicesFor, parseRange } = require('../lib/analytics');
+const { parsePeriod } = require('../lib/periods');
+
+function sale(invoiceNumber, taxPeriod, taxableValue, fields = {}) {
+  return {
+    filingId: 1, rowNumber: 2, transactionType: 'SALE', documentType: 'INVOICE', invoiceNumber, invoiceDate: `${taxPeriod}-10`, taxPeriod,
+    gstin: null, placeOfSupply: '27', hsnCode: null, taxableValue, taxRate: 18, igst: null, cgst: null, sgst: null, cess: null, ...fields
+  };
+}
+
+const lines = () => [
+  sale('INV-0', '2024-04', 1600),
+  sale('INV-1', '2025-03', 1000),
+  sale('INV-2', '2025-04', 1500),
+  sale('INV-3', '2025-04', 500, { gstin: '29AABCU9603R1ZJ', placeOfSupply: '29', taxRate: 12 })
+];
+
+test('ranges of periods run across the turn of the year', () => {
+  assert.deepStrictEqual(periodsBetween(parsePeriod('2024-11'), parsePeriod('2025-02')).map(period => period.key), ['2024-11', '2024-12', '2025-01', '2025-02']);
+  assert.strictEqual(shiftPeriod(parsePeriod('2025-01'), -1).key, '2024-12');
+  assert.strictEqual(shiftPeriod(parsePeriod('2025-04'), -12).key, '2024-04');
+
+  const range = parseRange(null, null, parsePeriod('2025-03'));
+  assert.deepStrictEqual([range.from.key, range.to.key, range.comparisonFrom.key], ['2024-04', '2025-03', '2023-04']);
+  assert.strictEqual(parseRange('2025-05', '2025-04', null), null);
+  assert.strictEqual(parseRange(null, null, null), null);
+});
+
+test('each month is compared with the month before and the same month a year earlier', () => {
+  const result = analyze(lines(), { stateCode: '27', from: parsePeriod('2025-04'), to: parsePeriod('2025-05') });
+  const [april, may] = result.periods;
+
+  assert.deepStrictEqual([april.invoices, april.taxableValue, april.tax.total, april.effectiveRate], [2, 2000, 330, 16.5]);
+  assert.deepStrictEqual(april.change.monthOnMonth, { taxableValue: 100, tax: 83.33 });
+  assert.deepStrictEqual(april.change.yearOnYear, { taxableValue: 25, tax: 14.58 });
+  // A month without sales has nothing to compare
+  assert.deepStrictEqual([may.hasData, may.taxableValue, may.change.monthOnMonth, may.change.yearOnYear], [false, 0, null, null]);
+
+  // Months before the range count only for the comparisons
+  assert.strictEqual(result.totals.taxableValue, 2000);
+});
+
+test('the range is broken down by place of supply and rate slab with each group\'s share', () => {
+  const result = analyze(lines(), { stateCode: '27', from: parsePeriod('2025-04'), to: parsePeriod('2025-05') });
+
+  assert.deepStrictEqual(result.byState.map(group => [group.label, group.taxableValue, group.share]), [['Maharashtra', 1500, 75], ['Karnataka', 500, 25]]);
+  assert.deepStrictEqual(result.byState[0].periods, [{ period: '2025-04', taxableValue: 1500 }, { period: '2025-05', taxableValue: 0 }]);
+  assert.deepStrictEqual(result.byRate.map(group => [group.label, group.tax.igst, group.tax.cgst]), [['12%', 60, 0], ['18%', 0, 135]]);
+  assert.deepStrictEqual(result.byHsn.map(group => group.label), ['No HSN/SAC']);
+});
+
+test('credit notes reduce the totals of an upload', () => {
+  const { totals } = summarize([sale('INV-1', '2025-04', 1000), sale('CN-1', '2025-04', 200, { documentType: 'CREDIT_NOTE' })], { stateCode: '27' });
+  assert.deepStrictEqual([totals.invoices, totals.taxableValue, totals.tax.total], [2, 800, 144]);
+});
+
+test('the invoices behind a figure are narrowed to its period and group', () => {
+  const found = invoicesFor(lines(), { stateCode: '27', period: '2025-04', dimension: 'state', key: '29' });
+  assert.deepStrictEqual(found.map(line => [line.invoiceNumber, line.placeOfSupply, line.igst]), [['INV-3', 'Karnataka', 60]]);
+  assert.strictEqual(invoicesFor(lines(), { stateCode: '27', period: '2025-04' }).length, 2);
+});
@@ -0,0 +1,50 @@
+// The iCal feed of deadlines: run with `npm test`
+process.env.DB_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeAlarmDays, deadlineEvent, buildCalendar } = require('../lib/calendar');
+const { calendarEvents } = require('../lib/repositories');
+
+const business = { id: 1, name: 'ABC Traders', gstin: '27AABCU9603R1ZN' };
+const deadline = {
+  id: 'GSTR-3B:2025-06',
+  form: 'GSTR-3B',
+  description: 'Summary return and payment of tax',
+  periodLabel: 'June 2025',
+  dueDate: '2025-07-20'
+};
+
+const sequences = calendar => [...calendar.toString().matchAll(/^SEQUENCE:(\d+)/gm)].map(match => Number(match[1]));
+const revise = (deadlineId, fingerprint) => calendarEvents.revise(business.id, deadlineId, fingerprint);
+
+test('alarm lead times are whole days within range, largest first', () => {
+  assert.deepStrictEqual(normalizeAlarmDays([1, '3', 3, 0]), [3, 1, 0]);
+  assert.strictEqual(normalizeAlarmDays([31]), null);
+  assert.strictEqual(normalizeAlarmDays([1.5]), null);
+  assert.strictEqual(normalizeAlarmDays('3'), null);
+});
+
+test('alarms ring at 9:00 India time and stop once the return is filed', () => {
+  const open = deadlineEvent(deadline, { businessId: 1, alarmDays: [3, 0] });
+  assert.strictEqual(open.id, 'GSTR-3B:2025-06@business-1.vyapar-sahayak');
+  assert.deepStrictEqual(open.alarms.map(alarm => alarm.trigger.toISOString()), ['2025-07-17T03:30:00.000Z', '2025-07-20T03:30:00.000Z']);
+  assert.match(open.alarms[1].description, /is due today/);
+
+  const filed = deadlineEvent(deadline, { businessId: 1, filed: { filedOn: '2025-07-18' } });
+  assert.deepStrictEqual(filed.alarms, []);
+  assert.match(filed.summary, /^Filed: /);
+  assert.match(filed.description, /Filed on 2025-07-18\./);
+});
+
+test('SEQUENCE starts at 0, stays while the event is unchanged and only ever goes up', () => {
+  const serve = (options = {}) => sequences(buildCalendar(business, [deadline], { revise, ...options }));
+
+  assert.deepStrictEqual(serve(), [0]);
+  assert.deepStrictEqual(serve(), [0]);
+  const filed = new Map([[deadline.id, { filedOn: '2025-07-18' }]]);
+  assert.deepStrictEqual(serve({ filed }), [1]);
+  // Unmarking the return brings back what the event first showed, but as a newer revision
+  assert.deepStrictEqual(serve(), [2]);
+  assert.deepStrictEqual(serve({ alarmDays: [7] }), [3]);
+});
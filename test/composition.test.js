@@ -0,0 +1,92 @@
+// The composition scheme simulator: run with `npm test`
+process.env.DB_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseFinancialYear, financialYearOfDate, summarizeYear, checkEligibility, simulate } = require('../lib/composition');
+
+const BUYER_KA = '29AABCU9603R1ZJ';
+const SUPPLIER_MH = '27AAACR5055K1Z7';
+
+function line(fields) {
+  return {
+    transactionType: 'SALE', documentType: 'INVOICE', invoiceNumber: 'INV-1', invoiceDate: '2025-04-10', taxPeriod: '2025-04',
+    gstin: null, placeOfSupply: '27', hsnCode: null, product: 'Notebooks', taxableValue: 100000, taxRate: 18,
+    igst: null, cgst: null, sgst: null, cess: null, ...fields
+  };
+}
+
+const eligibility = fields => checkEligibility({
+  businessType: 'TRADER', stateCode: '27', aggregateTurnover: 1e6, interstateSupplies: false, ecommerce: false,
+  serviceTurnover: 0, notifiedGoods: [], nonTaxableSupplies: false, ...fields
+});
+
+test('financial years run April to March', () => {
+  assert.deepStrictEqual(parseFinancialYear('2025-26'), { key: '2025-26', startYear: 2025, from: '2025-04', to: '2026-03' });
+  assert.strictEqual(parseFinancialYear('2025-27'), null);
+  assert.strictEqual(parseFinancialYear('2025'), null);
+  assert.strictEqual(financialYearOfDate('2026-03-31').key, '2025-26');
+  assert.strictEqual(financialYearOfDate('2026-04-01').key, '2026-27');
+});
+
+test('a part year of uploads is scaled up to twelve months', () => {
+  const sales = ['2025-04', '2025-05', '2025-06'].map(taxPeriod => line({ taxPeriod }));
+  sales.push(line({ taxPeriod: '2025-06', gstin: BUYER_KA, placeOfSupply: '29', taxableValue: 50000 }));
+  const purchases = [line({ transactionType: 'PURCHASE', gstin: SUPPLIER_MH, taxableValue: 50000 })];
+
+  const year = summarizeYear(sales, purchases, '27');
+  assert.strictEqual(year.monthsWithData, 3);
+  assert.strictEqual(year.annualised, true);
+  assert.strictEqual(year.turnover, 1400000);
+  assert.strictEqual(year.interstateTurnover, 200000);
+  assert.strictEqual(year.outputTax, 252000);
+  assert.strictEqual(year.itc, 36000);
+  assert.strictEqual(year.b2bShare, 14.29);
+});
+
+test('turnover limits are lower in special category states and for service providers', () => {
+  assert.strictEqual(eligibility({ aggregateTurnover: 1.5e7 }).eligible, true);
+  assert.strictEqual(eligibility({ aggregateTurnover: 1.5e7 + 1 }).eligible, false);
+
+  const sikkim = eligibility({ stateCode: '11', aggregateTurnover: 8e6 });
+  assert.strictEqual(sikkim.limit, 7.5e6);
+  assert.match(sikkim.reasons[0], /for Sikkim$/);
+
+  const services = eligibility({ businessType: 'SERVICE_PROVIDER', stateCode: '11', aggregateTurnover: 5e6 });
+  assert.deepStrictEqual([services.eligible, services.section, services.limit], [true, '10(2A)', 5e6]);
+});
+
+test('inter-state sales, notified goods and too many services rule composition out', () => {
+  assert.match(eligibility({ interstateSupplies: true }).reasons[0], /inter-state/);
+  assert.match(eligibility({ businessType: 'MANUFACTURER', notifiedGoods: [{ prefix: '2105', description: 'Ice cream and other edible ice' }] }).reasons[0], /ice cream/);
+  // A goods supplier may provide services up to 10% of turnover or ₹5 lakh, whichever is higher
+  assert.strictEqual(eligibility({ serviceTurnover: 5e5 }).eligible, true);
+  assert.strictEqual(eligibility({ aggregateTurnover: 1e7, serviceTurnover: 1e6 }).eligible, true);
+  assert.strictEqual(eligibility({ aggregateTurnover: 1e7, serviceTurnover: 1e6 + 1 }).eligible, false);
+  // Goods through e-commerce are allowed; services are not
+  assert.strictEqual(eligibility({ ecommerce: true }).eligible, true);
+  assert.strictEqual(eligibility({ businessType: 'SERVICE_PROVIDER', ecommerce: true }).eligible, false);
+});
+
+test('the recommendation weighs composition tax against output tax less credit', () => {
+  const financialYear = parseFinancialYear('2025-26');
+  const year = {
+    monthsWithData: 12, annualised: false, turnover: 1e6, exemptTurnover: 2e5, interstateTurnover: 0,
+    outputTax: 1.2e5, itc: 4e4, b2bShare: 10, notifiedGoods: []
+  };
+
+  const trader = simulate({ businessType: 'TRADER', stateCode: '27', financialYear, year });
+  // Traders pay 1% on taxable turnover only
+  assert.deepStrictEqual([trader.regular.netTax, trader.composition.base, trader.composition.tax], [80000, 800000, 8000]);
+  assert.deepStrictEqual([trader.savings, trader.recommendation], [72000, 'COMPOSITION']);
+
+  const toBuyers = simulate({ businessType: 'TRADER', stateCode: '27', financialYear, year: { ...year, b2bShare: 60 } });
+  assert.strictEqual(toBuyers.recommendation, 'REVIEW');
+
+  const services = simulate({ businessType: 'SERVICE_PROVIDER', stateCode: '27', financialYear, year: { ...year, itc: 1.1e5 } });
+  assert.deepStrictEqual([services.composition.tax, services.savings, services.recommendation], [60000, -50000, 'REGULAR']);
+
+  // Turnover given by the user is projected with the uploaded mix and decides eligibility
+  const larger = simulate({ businessType: 'TRADER', stateCode: '27', financialYear, year, inputs: { aggregateTurnover: 2e7 } });
+  assert.deepStrictEqual([larger.regular.outputTax, larger.recommendation], [2.4e6, 'NOT_ELIGIBLE']);
+});
@@ -0,0 +1,88 @@
+// Tally XML day books and JSON vouchers: run with `npm test`
+process.env.DB_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { importDaybook } = require('../lib/daybook');
+const xml = require('../lib/daybook/xml');
+const { ImportError } = require('../lib/importer');
+
+const fixture = name => path.join(__dirname, 'fixtures', name);
+
+function withFile(content, extension, run) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'daybook-'));
+  const file = path.join(dir, `book.${extension}`);
+  fs.writeFileSync(file, content);
+  try {
+    return run(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const brief = line => [line.transactionType, line.documentType, line.invoiceNumber, line.invoiceDate, line.taxableValue, line.igst, line.cgst, line.sgst];
+
+test('entities and character references are decoded, and Tally\'s control characters dropped', () => {
+  const root = xml.parse('<A NAME="R &amp; D"><B>&lt;x&gt; &#8377;&#x20B9;&#4;</B><C><![CDATA[a & b]]></C></A>');
+  assert.strictEqual(root.attributes.NAME, 'R & D');
+  assert.strictEqual(xml.childText(root, 'B'), '<x> ₹₹');
+  assert.strictEqual(xml.childText(root, 'C'), 'a & b');
+});
+
+test('a reference to no character is an XML error, not a crash', () => {
+  assert.throws(() => xml.parse('<A>&#99999999;</A>'), xml.XmlError);
+  assert.throws(() => xml.parse('<A>&#x110000;</A>'), xml.XmlError);
+  assert.throws(() => xml.parse('<A B="&#xD800;"/>'), xml.XmlError);
+  assert.throws(() => xml.parse('<A><B></A>'), xml.XmlError);
+});
+
+test('a malformed day book is reported as an import error', () => {
+  withFile('<ENVELOPE><VOUCHER>&#99999999;</VOUCHER></ENVELOPE>', 'xml', file => {
+    assert.throws(() => importDaybook(file, 'xml'), error => error instanceof ImportError && /not a character/.test(error.message));
+  });
+});
+
+test('a Tally day book becomes invoice lines with tax from its duty ledgers and rates from its masters', () => {
+  const result = importDaybook(fixture('daybook.xml'), 'xml');
+
+  assert.deepStrictEqual(result.lines.map(brief), [
+    ['SALE', 'INVOICE', 'S-101', '2026-08-05', 10000, 1800, 0, 0],
+    ['SALE', 'INVOICE', 'S-101', '2026-08-05', 1000, 180, 0, 0],
+    ['SALE', 'INVOICE', 'S-102', '2026-08-06', 5000, 0, 450, 450],
+    ['SALE', 'CREDIT_NOTE', 'CN-7', '2026-08-12', 1000, 180, 0, 0],
+    ['PURCHASE', 'INVOICE', 'LS/889', '2026-08-03', 2000, 0, 180, 180]
+  ]);
+  const [router] = result.lines;
+  assert.strictEqual(router.gstin, '29AAACK5678G1Z2');
+  assert.strictEqual(router.hsnCode, '8517');
+  assert.strictEqual(router.quantity, 2);
+  assert.strictEqual(result.lines[4].gstin, '27AAACR5055K1Z7');
+
+  assert.deepStrictEqual(result.daybook.skipped, [{ type: 'Receipt', count: 1 }, { type: 'Sales (cancelled)', count: 1 }]);
+  assert.deepStrictEqual(result.daybook.unmappedLedgers.map(ledger => ledger.name), ['Freight Outward', 'Round Off']);
+  assert.deepStrictEqual(result.daybook.partiesWithoutGstin, ['Cash']);
+  assert.deepStrictEqual(result.daybook.stockItemsWithoutHsn, ['Cable']);
+});
+
+test('JSON vouchers are read the same way', () => {
+  const result = importDaybook(fixture('vouchers.json'), 'json');
+
+  assert.deepStrictEqual(result.lines.map(brief), [['SALE', 'INVOICE', 'INV-1', '2026-08-05', 10000, 1800, 0, 0]]);
+  assert.strictEqual(result.lines[0].taxRate, 18);
+  assert.deepStrictEqual(result.daybook.skipped, [{ type: 'Journal', count: 1 }]);
+  assert.deepStrictEqual(result.daybook.unmappedLedgers, [{ name: 'Discount Allowed', vouchers: 1, amount: 50 }]);
+});
+
+test('the business\'s own ledger names are recognised', () => {
+  const book = JSON.stringify({
+    vouchers: [{ type: 'Sales', number: 'B-1', date: '2026-08-05', ledgers: [{ name: 'Counter Sales', amount: 1000 }, { name: 'CGST Collected 9%', amount: 90 }, { name: 'SGST Collected 9%', amount: 90 }] }]
+  });
+  withFile(book, 'json', file => {
+    const tallyLedgers = { sales: 'Counter Sales', outputCgst: 'CGST Collected {rate}%', outputSgst: 'SGST Collected {rate}%' };
+    const [line] = importDaybook(file, 'json', { tallyLedgers }).lines;
+    assert.deepStrictEqual(brief(line), ['SALE', 'INVOICE', 'B-1', '2026-08-05', 1000, 0, 90, 90]);
+  });
+});
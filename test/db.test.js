@@ -0,0 +1,44 @@
+// The database schema and the repositories the routes call: run with `npm test`
+process.env.DB_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Database = require('better-sqlite3');
+const migrations = require('../lib/db/migrations');
+const { migrate } = require('../lib/db');
+const { businesses, reminders, questions, columnMappings } = require('../lib/repositories');
+
+test('migrations have unique versions and bring an empty database up to the latest', () => {
+  const versions = migrations.map(migration => migration.version);
+  assert.deepStrictEqual(versions, [...new Set(versions)].sort((a, b) => a - b));
+
+  const db = new Database(':memory:');
+  migrate(db);
+  assert.strictEqual(db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get().version, Math.max(...versions));
+  // Running again applies nothing
+  migrate(db);
+  assert.strictEqual(db.prepare('SELECT COUNT(*) AS total FROM schema_migrations').get().total, versions.length);
+  db.close();
+});
+
+test('reminders keep the due-date engine\'s deadline ids as text', () => {
+  const reminder = reminders.create({ businessId: 1, deadlineId: 'GSTR-3B:2025-06', reminderDate: '2025-07-17T03:30:00Z' });
+  assert.strictEqual(reminder.deadlineId, 'GSTR-3B:2025-06');
+
+  reminders.create({ businessId: 1, deadlineId: '2025', reminderDate: '2025-07-18T03:30:00Z' });
+  assert.deepStrictEqual(reminders.list(1).map(item => item.deadlineId), ['GSTR-3B:2025-06', '2025']);
+  assert.deepStrictEqual(reminders.dueBy(1, '2025-07-17T23:59:59Z').map(item => item.deadlineId), ['GSTR-3B:2025-06']);
+});
+
+test('each business sees only its own questions and column mappings', () => {
+  const other = businesses.create({ name: 'Other business' });
+  questions.create({ businessId: 1, question: 'When is GSTR-1 due?', answer: 'On the 11th.' });
+  columnMappings.save(other.id, { name: 'Ledger', columns: { taxableValue: 'Net' } });
+
+  assert.strictEqual(questions.list(1).length, 1);
+  assert.deepStrictEqual(questions.list(other.id), []);
+  assert.deepStrictEqual(columnMappings.list(1), []);
+  assert.deepStrictEqual(columnMappings.list(other.id).map(mapping => mapping.columns), [{ taxableValue: 'Net' }]);
+  assert.strictEqual(columnMappings.remove(other.id, 'Ledger'), true);
+  assert.strictEqual(columnMappings.remove(other.id, 'Ledger'), false);
+});
@@ -0,0 +1,113 @@
+// GST due dates and notified extensions: run with `npm test`
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const dueDates = require('../lib/dueDates');
+
+const monthly = { filingFrequency: 'MONTHLY', stateCode: '27' };
+const qrmpMaharashtra = { filingFrequency: 'QRMP', stateCode: '27' };
+const qrmpDelhi = { filingFrequency: 'QRMP', stateCode: '07' };
+const composition = { filingFrequency: 'COMPOSITION', stateCode: '27' };
+
+const dates = deadlines => deadlines.map(item => `${item.id} ${item.dueDate}`);
+
+test('monthly filers owe GSTR-1 on the 11th and GSTR-3B on the 20th, rolling into the next year', () => {
+  assert.deepStrictEqual(dates(dueDates.deadlinesForPeriod(monthly, '2025-12', [])), [
+    'GSTR-1:2025-12 2026-01-11',
+    'GSTR-3B:2025-12 2026-01-20'
+  ]);
+  // MMYYYY is read too; March also closes the financial year
+  assert.deepStrictEqual(dates(dueDates.deadlinesForPeriod(monthly, '032025', [])), [
+    'GSTR-1:2025-03 2025-04-11',
+    'GSTR-3B:2025-03 2025-04-20',
+    'GSTR-9:2024-25 2025-12-31'
+  ]);
+  assert.strictEqual(dueDates.deadlinesForPeriod(monthly, '2025-13', []), null);
+});
+
+test('quarterly filers pay monthly and file on the 13th and the 22nd or 24th by state', () => {
+  assert.deepStrictEqual(dates(dueDates.deadlinesForPeriod(qrmpMaharashtra, '2025-04', [])), [
+    'IFF:2025-04 2025-05-13',
+    'PMT-06:2025-04 2025-05-25'
+  ]);
+  assert.deepStrictEqual(dates(dueDates.deadlinesForPeriod(qrmpMaharashtra, '2025-06', [])), [
+    'GSTR-1:2025-26-Q1 2025-07-13',
+    'GSTR-3B:2025-26-Q1 2025-07-22'
+  ]);
+  assert.deepStrictEqual(dates(dueDates.deadlinesForPeriod(qrmpDelhi, '2025-06', [])), [
+    'GSTR-1:2025-26-Q1 2025-07-13',
+    'GSTR-3B:2025-26-Q1 2025-07-24'
+  ]);
+  // Without a state the later date is used
+  assert.strictEqual(dueDates.deadlinesForPeriod({ filingFrequency: 'QRMP' }, '2025-06', [])[1].dueDate, '2025-07-24');
+  assert.strictEqual(dueDates.deadlinesForPeriod(qrmpDelhi, '2025-03', [])[1].periodLabel, 'Q4 2024-25 (January–March 2025)');
+});
+
+test('composition dealers file CMP-08 on the 18th and GSTR-4 by 30 June from FY 2024-25', () => {
+  assert.deepStrictEqual(dates(dueDates.deadlinesForPeriod(composition, '2025-05', [])), []);
+  assert.deepStrictEqual(dates(dueDates.deadlinesForPeriod(composition, '2024-03', [])), [
+    'CMP-08:2023-24-Q4 2024-04-18',
+    'GSTR-4:2023-24 2024-04-30'
+  ]);
+  assert.deepStrictEqual(dates(dueDates.deadlinesForPeriod(composition, '2025-03', [])), [
+    'CMP-08:2024-25-Q4 2025-04-18',
+    'GSTR-4:2024-25 2025-06-30'
+  ]);
+});
+
+test('extensions move a due date for their form, period and states', () => {
+  const extensions = [
+    { form: 'GSTR-3B', period: '2024-25-Q3', states: ['27'], dueDate: '2025-01-24', notification: 'N-1' },
+    { form: 'GSTR-3B', period: '2024-25-Q3', dueDate: '2025-01-26' },
+    { form: 'GSTR-1', period: '2024-25-Q3', dueDate: '2025-01-13' }
+  ];
+  const [gstr1, gstr3b] = dueDates.deadlinesForPeriod(qrmpMaharashtra, '2024-12', extensions);
+  assert.deepStrictEqual([gstr3b.dueDate, gstr3b.originalDueDate, gstr3b.extended, gstr3b.notification], ['2025-01-24', '2025-01-22', true, 'N-1']);
+  // An "extension" to the statutory date changes nothing
+  assert.strictEqual(gstr1.extended, undefined);
+  assert.strictEqual(dueDates.deadlinesForPeriod(qrmpDelhi, '2024-12', extensions)[1].dueDate, '2025-01-26');
+});
+
+test('the extensions file may be missing but not broken', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'extensions-test-'));
+  try {
+    assert.deepStrictEqual(dueDates.loadExtensions(path.join(dir, 'none.json')), []);
+    fs.writeFileSync(path.join(dir, 'broken.json'), '{');
+    assert.throws(() => dueDates.loadExtensions(path.join(dir, 'broken.json')), /Could not read due date extensions/);
+    fs.writeFileSync(path.join(dir, 'list.json'), JSON.stringify([{ form: 'GSTR-1', period: '2025-01', dueDate: '2025-02-12' }]));
+    assert.strictEqual(dueDates.loadExtensions(path.join(dir, 'list.json')).length, 1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('deadlines between two dates include annual returns of the year before, earliest first', () => {
+  assert.deepStrictEqual(dates(dueDates.deadlinesBetween(monthly, '2025-12-01', '2026-01-15', [])), [
+    'GSTR-1:2025-11 2025-12-11',
+    'GSTR-3B:2025-11 2025-12-20',
+    'GSTR-9:2024-25 2025-12-31',
+    'GSTR-1:2025-12 2026-01-11'
+  ]);
+  assert.deepStrictEqual(dates(dueDates.upcomingDeadlines(monthly, { from: '2025-07-12', months: 1 })), [
+    'GSTR-3B:2025-06 2025-07-20',
+    'GSTR-1:2025-07 2025-08-11'
+  ]);
+  assert.deepStrictEqual(dates(dueDates.pastDeadlines(monthly, { today: '2025-07-20', months: 1 })), [
+    'GSTR-3B:2025-05 2025-06-20',
+    'GSTR-1:2025-06 2025-07-11'
+  ]);
+});
+
+test('deadlines are found again by their id', () => {
+  assert.strictEqual(dueDates.deadlineId('gstr-3b', '012025'), 'GSTR-3B:2025-01');
+  assert.strictEqual(dueDates.findDeadline(monthly, 'GSTR-3B:2025-01').dueDate, '2025-02-20');
+  assert.strictEqual(dueDates.findDeadline(qrmpMaharashtra, 'GSTR-1:2025-26-Q4').dueDate, '2026-04-13');
+  assert.strictEqual(dueDates.findDeadline(monthly, 'GSTR-9:2024-25').dueDate, '2025-12-31');
+  assert.strictEqual(dueDates.findDeadline(monthly, 'CMP-08:2024-25-Q4'), null);
+  assert.strictEqual(dueDates.findDeadline(monthly, 'nonsense'), null);
+  assert.strictEqual(dueDates.daysRemaining('2025-07-20', '2025-07-18'), 2);
+  assert.strictEqual(dueDates.daysRemaining('2025-07-20', '2025-07-25'), -5);
+  assert.deepStrictEqual(dueDates.applicableReturns(composition), ['CMP-08', 'GSTR-4']);
+});
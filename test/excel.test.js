@@ -0,0 +1,93 @@
+// Reading Excel workbooks into invoice lines: run with `npm test`
+process.env.DB_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+const { excelDateToISO, sheetToGrid, importWorkbook } = require('../lib/excel');
+const { ImportError } = require('../lib/importer');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'excel-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// A register sheet under a merged title row, with a formatted date, rate and amount
+function registerSheet(rows) {
+  const sheet = XLSX.utils.aoa_to_sheet([
+    ['ABC Traders - Register', '', '', '', ''],
+    [],
+    ['Invoice No', 'Date', 'GSTIN', 'Taxable Value', 'GST Rate'],
+    ...rows
+  ]);
+  sheet['!merges'] = [{ s: { r: 0, c: 0 }, e: { r: 0, c: 4 } }];
+  rows.forEach((row, i) => {
+    sheet[XLSX.utils.encode_cell({ r: i + 3, c: 1 })].z = 'dd-mmm-yyyy';
+    sheet[XLSX.utils.encode_cell({ r: i + 3, c: 3 })].z = '#,##0.00';
+    sheet[XLSX.utils.encode_cell({ r: i + 3, c: 4 })].z = '0%';
+  });
+  return sheet;
+}
+
+function writeWorkbook(name, sheets) {
+  const workbook = XLSX.utils.book_new();
+  Object.entries(sheets).forEach(([sheetName, sheet]) => XLSX.utils.book_append_sheet(workbook, sheet, sheetName));
+  const file = path.join(dir, name);
+  XLSX.writeFile(workbook, file);
+  return file;
+}
+
+test('date serials read as the day they stand for', () => {
+  assert.strictEqual(excelDateToISO(45748), '2025-04-01');
+  assert.strictEqual(excelDateToISO(45747.75), '2025-03-31');
+});
+
+test('a merged cell\'s value fills every cell it spans', () => {
+  const sheet = XLSX.utils.aoa_to_sheet([['Title', '', ''], ['a', 'b', 'c']]);
+  sheet['!merges'] = [{ s: { r: 0, c: 0 }, e: { r: 0, c: 2 } }];
+  assert.deepStrictEqual(sheetToGrid(sheet).grid, [['Title', 'Title', 'Title'], ['a', 'b', 'c']]);
+});
+
+test('the header row is found below the title, and formatted cells are read as plain values', () => {
+  const file = writeWorkbook('sales.xlsx', {
+    Sales: registerSheet([['INV-1', 45748, '27AAACR5055K1Z7', 10000, 0.18], ['INV-2', 45749, '', 2500.5, 0.05]])
+  });
+
+  const result = importWorkbook(file);
+  assert.deepStrictEqual(result.sheets.map(sheet => [sheet.name, sheet.register, sheet.rows]), [['Sales', 'sales', 2]]);
+  const [first, second] = result.lines;
+  assert.strictEqual(first.rowNumber, 4);
+  assert.strictEqual(first.transactionType, 'SALE');
+  assert.strictEqual(first.invoiceDate, '2025-04-01');
+  assert.strictEqual(first.taxableValue, 10000);
+  assert.strictEqual(first.gstin, '27AAACR5055K1Z7');
+  assert.strictEqual(first.taxRate, 18);
+  assert.strictEqual(second.rowNumber, 5);
+  assert.strictEqual(second.taxableValue, 2500.5);
+  assert.strictEqual(second.taxRate, 5);
+});
+
+test('separate sales and purchase sheets give both registers from one upload', () => {
+  const file = writeWorkbook('registers.xlsx', {
+    'Sales Register': registerSheet([['INV-1', 45748, '', 1000, 0.18]]),
+    'Purchase Register': registerSheet([['P-1', 45750, '29AAACK5678G1Z2', 400, 0.12]]),
+    Notes: XLSX.utils.aoa_to_sheet([['Prepared by the accountant']])
+  });
+
+  const result = importWorkbook(file);
+  assert.deepStrictEqual(result.sheets.map(sheet => [sheet.name, sheet.register]), [['Sales Register', 'sales'], ['Purchase Register', 'purchase']]);
+  assert.deepStrictEqual(result.lines.map(line => [line.sheet, line.invoiceNumber, line.transactionType]), [
+    ['Sales Register', 'INV-1', 'SALE'],
+    ['Purchase Register', 'P-1', 'PURCHASE']
+  ]);
+
+  const chosen = importWorkbook(file, { sheet: 'Purchase Register' });
+  assert.deepStrictEqual(chosen.lines.map(line => line.invoiceNumber), ['P-1']);
+});
+
+test('a missing sheet or a workbook without a register is an import error', () => {
+  const file = writeWorkbook('notes.xlsx', { Notes: XLSX.utils.aoa_to_sheet([['Prepared by the accountant']]) });
+  assert.throws(() => importWorkbook(file, { sheet: 'Sales' }), error => error instanceof ImportError && error.details.sheets[0] === 'Notes');
+  assert.throws(() => importWorkbook(file), /No sheet in this workbook/);
+});
@@ -0,0 +1,90 @@
+// Which uploaded lines count for a period: run with `npm test`
+process.env.DB_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { filings, businesses } = require('../lib/repositories');
+
+const GSTIN = '27AABCU9603R1ZN';
+
+function sale(invoiceNumber, invoiceDate, taxableValue, extra = {}) {
+  return { transactionType: 'SALE', documentType: 'INVOICE', invoiceNumber, invoiceDate, gstin: '29AAACK5678G1Z2', taxableValue, ...extra };
+}
+
+function upload(businessId, lines, { gstin = GSTIN, taxPeriod = '2025-04' } = {}) {
+  return filings.create({
+    businessId,
+    gstin,
+    taxPeriod,
+    fileName: 'sales.csv',
+    salesData: lines.map((line, index) => ({ ...line, rowNumber: index + 1 }))
+  });
+}
+
+function newBusiness() {
+  return businesses.create({ name: 'Test business', gstin: GSTIN, stateCode: '27' }).id;
+}
+
+const values = lines => lines.map(line => `${line.invoiceNumber}:${line.taxableValue}`).sort();
+
+test('two files for the same month are merged', () => {
+  const businessId = newBusiness();
+  upload(businessId, [sale('INV-1', '2025-04-03', 1000)]);
+  upload(businessId, [sale('INV-2', '2025-04-20', 2000)]);
+
+  const lines = filings.linesForPeriod(businessId, GSTIN, '2025-04-01', '2025-04-30', 'SALE');
+  assert.deepStrictEqual(values(lines), ['INV-1:1000', 'INV-2:2000']);
+});
+
+test('an invoice uploaded again is taken from the later upload', () => {
+  const businessId = newBusiness();
+  upload(businessId, [sale('INV-1', '2025-04-03', 1000), sale('INV-2', '2025-04-20', 2000)]);
+  upload(businessId, [sale('INV-2', '2025-04-20', 2500)]);
+
+  const lines = filings.linesForPeriod(businessId, GSTIN, '2025-04-01', '2025-04-30', 'SALE');
+  assert.deepStrictEqual(values(lines), ['INV-1:1000', 'INV-2:2500']);
+});
+
+test('every line of a repeated multi-line invoice is replaced, and a credit note is kept apart from its invoice', () => {
+  const businessId = newBusiness();
+  upload(businessId, [
+    sale('INV-1', '2025-04-03', 1000),
+    sale('INV-1', '2025-04-03', 500),
+    sale('INV-1', '2025-04-10', 200, { documentType: 'CREDIT_NOTE' })
+  ]);
+  upload(businessId, [sale('INV-1', '2025-04-03', 1200)]);
+
+  const lines = filings.linesForPeriod(businessId, GSTIN, '2025-04-01', '2025-04-30', 'SALE');
+  assert.deepStrictEqual(lines.map(line => [line.documentType, line.taxableValue]).sort(), [['CREDIT_NOTE', 200], ['INVOICE', 1200]]);
+});
+
+test('a quarter file tagged with one month leaves the other months of earlier uploads alone', () => {
+  const businessId = newBusiness();
+  upload(businessId, [sale('INV-1', '2025-04-03', 1000), sale('INV-2', '2025-05-03', 2000), sale('INV-3', '2025-06-03', 3000)], { taxPeriod: '2025-06' });
+  upload(businessId, [sale('INV-4', '2025-06-15', 4000)], { taxPeriod: '2025-06' });
+
+  const lines = filings.currentLines(businessId, GSTIN, '2025-04', '2025-06', 'SALE');
+  assert.deepStrictEqual(lines.map(line => [line.invoiceNumber, line.taxPeriod]), [
+    ['INV-1', '2025-04'], ['INV-2', '2025-05'], ['INV-3', '2025-06'], ['INV-4', '2025-06']
+  ]);
+});
+
+test('an invoice moved to another month by a correction leaves its old month', () => {
+  const businessId = newBusiness();
+  upload(businessId, [sale('INV-1', '2025-04-30', 1000)]);
+  upload(businessId, [sale('INV-1', '2025-05-01', 1000)], { taxPeriod: '2025-05' });
+
+  assert.deepStrictEqual(filings.linesForPeriod(businessId, GSTIN, '2025-04-01', '2025-04-30', 'SALE'), []);
+  assert.strictEqual(filings.linesForPeriod(businessId, GSTIN, '2025-05-01', '2025-05-31', 'SALE').length, 1);
+});
+
+test('lines uploaded under an earlier GSTIN stay out of the current GSTIN\'s period', () => {
+  const businessId = newBusiness();
+  upload(businessId, [sale('INV-1', '2025-04-03', 1000), sale('INV-9', null, 50)], { gstin: '27AAACR5055K1Z7' });
+  upload(businessId, [sale('INV-1', '2025-04-03', 700), sale('INV-2', '2025-04-04', 2000)]);
+
+  assert.deepStrictEqual(values(filings.linesForPeriod(businessId, GSTIN, '2025-04-01', '2025-04-30', 'SALE')), ['INV-1:700', 'INV-2:2000']);
+  assert.deepStrictEqual(values(filings.linesForPeriod(businessId, '27AAACR5055K1Z7', '2025-04-01', '2025-04-30', 'SALE')), ['INV-1:1000']);
+  assert.strictEqual(filings.countUndatedLines(businessId, GSTIN, 'SALE'), 0);
+  assert.strictEqual(filings.countUndatedLines(businessId, '27AAACR5055K1Z7', 'SALE'), 1);
+});
@@ -0,0 +1,111 @@
+// GSTINs, tax periods and the GSTR-1 JSON: run with `npm test`
+const test = require('node:test');
+const assert = require('node:assert');
+const gstin = require('../lib/gstin');
+const { parsePeriod, periodOfDate, financialYearOf, parsePeriodRange } = require('../lib/periods');
+const { buildGstr1, toPortalDate } = require('../lib/gstr1');
+
+const SUPPLIER = '27AABCU9603R1ZN';
+const KARNATAKA_BUYER = '29AABCU9603R1ZJ';
+const MAHARASHTRA_BUYER = '27AAACR5055K1Z7';
+
+function sale(fields) {
+  return {
+    transactionType: 'SALE', documentType: 'INVOICE', invoiceDate: '2025-04-10', gstin: null, placeOfSupply: null,
+    hsnCode: '8471', product: 'Laptop', quantity: 1, taxableValue: 1000, taxRate: 18,
+    igst: null, cgst: null, sgst: null, cess: null, ...fields
+  };
+}
+
+test('a GSTIN needs its format, a known state and the right check character', () => {
+  assert.strictEqual(gstin.validate(SUPPLIER), null);
+  assert.strictEqual(gstin.validate(' 27aabcu9603r1zn '), null);
+  assert.strictEqual(gstin.isValidChecksum(KARNATAKA_BUYER), true);
+  assert.match(gstin.validate('27AABCU9603R1ZM'), /check character does not match/);
+  assert.match(gstin.validate('98AABCU9603R1ZE'), /unknown state code 98/);
+  assert.match(gstin.validate('27AABCU9603R1Z'), /must be 15 characters/);
+  assert.match(gstin.validate('27AABCU9603R1XN'), /must be 15 characters/);
+});
+
+test('tax periods are read as MMYYYY or YYYY-MM, and ranges as quarters and financial years', () => {
+  const april = parsePeriod('042025');
+  assert.deepStrictEqual([april.key, april.fp, april.from, april.to, april.label], ['2025-04', '042025', '2025-04-01', '2025-04-30', 'April 2025']);
+  assert.strictEqual(parsePeriod('2024-2').to, '2024-02-29');
+  ['132025', '2025-00', '2016-12', 'April', ''].forEach(value => assert.strictEqual(parsePeriod(value), null, value));
+
+  assert.strictEqual(periodOfDate('2025-03-31').key, '2025-03');
+  assert.strictEqual(financialYearOf(parsePeriod('2025-03')), '2024-25');
+  assert.strictEqual(financialYearOf(parsePeriod('2025-04')), '2025-26');
+
+  const q4 = parsePeriodRange('2024-25-Q4');
+  assert.deepStrictEqual([q4.from.key, q4.to.key], ['2025-01', '2025-03']);
+  const year = parsePeriodRange('2024-25');
+  assert.deepStrictEqual([year.key, year.from.key, year.to.key], ['2024-25', '2024-04', '2025-03']);
+  assert.strictEqual(parsePeriodRange('2024-26'), null);
+  assert.strictEqual(parsePeriodRange('2025-04').key, '2025-04');
+});
+
+test('sales are placed in B2B, B2CL, B2CS, CDNR, export and nil sections', () => {
+  const lines = [
+    sale({ invoiceNumber: 'B2B-1', gstin: KARNATAKA_BUYER }),
+    sale({ invoiceNumber: 'B2B-1', gstin: KARNATAKA_BUYER, taxableValue: 500, hsnCode: '6109', taxRate: 12 }),
+    sale({ invoiceNumber: 'B2CL-1', placeOfSupply: '29', taxableValue: 200000 }),
+    sale({ invoiceNumber: 'B2CS-1', placeOfSupply: '27' }),
+    sale({ invoiceNumber: null, placeOfSupply: '27', taxableValue: 300 }),
+    sale({ invoiceNumber: 'CN-1', documentType: 'CREDIT_NOTE', gstin: MAHARASHTRA_BUYER, taxableValue: 100 }),
+    sale({ invoiceNumber: 'EXP-1', supplyType: 'EXPWOP', placeOfSupply: '96', taxRate: 0 }),
+    sale({ invoiceNumber: 'NIL-1', placeOfSupply: '27', hsnCode: '1006', taxRate: 0 })
+  ];
+  const { gstr1, validation, summary } = buildGstr1({ gstin: SUPPLIER, period: parsePeriod('2025-04'), lines, supplierStateCode: '27' });
+
+  assert.strictEqual(validation.valid, true);
+  assert.deepStrictEqual(summary.sections, { b2b: 2, b2cl: 1, b2cs: 2, cdnr: 1, exp: 1, nil: 1 });
+  assert.deepStrictEqual([gstr1.gstin, gstr1.fp], [SUPPLIER, '042025']);
+
+  const [invoice] = gstr1.b2b[0].inv;
+  assert.deepStrictEqual([gstr1.b2b[0].ctin, invoice.idt, invoice.pos, invoice.val], [KARNATAKA_BUYER, '10-04-2025', '29', 1740]);
+  assert.deepStrictEqual(invoice.itms.map(item => [item.itm_det.rt, item.itm_det.iamt]), [[12, 60], [18, 180]]);
+
+  assert.deepStrictEqual(gstr1.b2cl.map(entry => [entry.pos, entry.inv[0].inum]), [['29', 'B2CL-1']]);
+  assert.deepStrictEqual(gstr1.b2cs, [{ sply_ty: 'INTRA', pos: '27', typ: 'OE', rt: 18, txval: 1300, iamt: 0, camt: 117, samt: 117, csamt: 0 }]);
+  assert.deepStrictEqual(gstr1.cdnr[0].nt.map(note => [note.ntty, note.nt_num, note.itms[0].itm_det.camt]), [['C', 'CN-1', 9]]);
+  assert.deepStrictEqual(gstr1.exp.map(entry => [entry.exp_typ, entry.inv[0].inum]), [['WOPAY', 'EXP-1']]);
+  assert.deepStrictEqual(gstr1.nil.inv, [{ sply_ty: 'INTRAB2C', expt_amt: 0, nil_amt: 1000, ngsup_amt: 0 }]);
+
+  // The credit note comes off the HSN summary
+  const laptops = gstr1.hsn.data.find(entry => entry.hsn_sc === '8471' && entry.rt === 18);
+  assert.strictEqual(laptops.txval, 1000 + 200000 + 1000 + 300 - 100);
+});
+
+test('the B2CL limit is ₹2.5 lakh before August 2024 and ₹1 lakh from then', () => {
+  const invoice = invoiceDate => sale({ invoiceNumber: 'INV-1', invoiceDate, placeOfSupply: '29', taxableValue: 150000 });
+  const before = buildGstr1({ gstin: SUPPLIER, period: parsePeriod('2024-07'), lines: [invoice('2024-07-31')], supplierStateCode: '27' });
+  const after = buildGstr1({ gstin: SUPPLIER, period: parsePeriod('2024-08'), lines: [invoice('2024-08-01')], supplierStateCode: '27' });
+  assert.strictEqual(before.gstr1.b2cl, undefined);
+  assert.strictEqual(after.gstr1.b2cl.length, 1);
+});
+
+test('lines that cannot be placed are reported with the reason', () => {
+  const lines = [
+    sale({ invoiceNumber: 'BAD-1', gstin: '27AABCU9603R1Z', placeOfSupply: '27', filingId: 4, rowNumber: 7 }),
+    sale({ invoiceNumber: null, gstin: MAHARASHTRA_BUYER }),
+    sale({ invoiceNumber: 'ZERO', taxableValue: 0, placeOfSupply: '27' }),
+    sale({ invoiceNumber: 'NOWHERE' }),
+    sale({ invoiceNumber: 'NO-HSN', hsnCode: null, placeOfSupply: '27' })
+  ];
+  const { validation } = buildGstr1({ gstin: null, period: parsePeriod('2025-04'), lines, supplierStateCode: '27', undatedLines: 2 });
+
+  assert.strictEqual(validation.valid, false);
+  const reasons = validation.errors.map(issue => `${issue.invoiceNumber}: ${issue.reason}`);
+  assert.ok(reasons.includes('undefined: Business GSTIN is not set; add it to the business profile before filing'));
+  assert.ok(reasons.includes('BAD-1: Recipient GSTIN 27AABCU9603R1Z is not valid'));
+  assert.ok(reasons.includes('null: Invoice number is missing'));
+  assert.ok(reasons.includes('ZERO: Taxable value is zero or missing'));
+  assert.ok(reasons.includes('NOWHERE: Cannot decide the section: Place of supply could not be determined'));
+  assert.strictEqual(validation.errors.find(issue => issue.invoiceNumber === 'BAD-1').rowNumber, 7);
+  assert.deepStrictEqual(validation.warnings.map(issue => issue.reason), [
+    '2 sales line(s) have no invoice date and were left out of every period',
+    'HSN/SAC code missing; line left out of the HSN summary'
+  ]);
+  assert.strictEqual(toPortalDate('2025-04-09'), '09-04-2025');
+});
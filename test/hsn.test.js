@@ -0,0 +1,57 @@
+// The HSN/SAC rate master: run with `npm test`
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const hsn = require('../lib/hsn');
+
+hsn.loadMaster(path.join(__dirname, 'fixtures', 'hsn-master.json'));
+
+test('a code falls back to its most specific entry in the master', () => {
+  assert.strictEqual(hsn.lookupCode('8517 13 00').code, '851713');
+  assert.strictEqual(hsn.lookupCode('85171900').code, '8517');
+  assert.strictEqual(hsn.lookupCode('9999'), null);
+  assert.strictEqual(hsn.lookupCode('998314').type, 'SAC');
+});
+
+test('the rate is the one in force on the invoice date', () => {
+  assert.strictEqual(hsn.rateFor('0405', '2025-09-21').rate, 12);
+  assert.strictEqual(hsn.rateFor('0405', '2025-09-22').rate, 5);
+  assert.strictEqual(hsn.rateFor('0405', null).rate, 5);
+  assert.deepStrictEqual([hsn.rateFor('8703', '2025-04-01').rate, hsn.rateFor('8703', '2025-04-01').cess], [28, 15]);
+});
+
+test('value-dependent goods take the lower rate up to the per-piece limit', () => {
+  assert.strictEqual(hsn.rateFor('6109', '2025-04-01', 999).rate, 5);
+  assert.strictEqual(hsn.rateFor('6109', '2025-04-01', 1500).rate, 12);
+  assert.strictEqual(hsn.rateForLine({ hsnCode: '6109', invoiceDate: '2025-04-01', quantity: 10, taxableValue: 8000 }), 5);
+  assert.strictEqual(hsn.rateForLine({ hsnCode: '6109', invoiceDate: '2025-04-01', unitPrice: 1200, quantity: 1, taxableValue: 1200 }), 12);
+  assert.strictEqual(hsn.rateForLine({ hsnCode: '9999' }), hsn.DEFAULT_RATE);
+  assert.strictEqual(hsn.rateForLine({}), hsn.DEFAULT_RATE);
+});
+
+test('lines are checked against the master rate', () => {
+  const line = fields => ({ rowNumber: 2, invoiceNumber: 'INV-1', product: 'Ghee', hsnCode: '0405', invoiceDate: '2025-10-01', taxRate: 5, ...fields });
+
+  assert.strictEqual(hsn.checkLine(line({})), null);
+  assert.strictEqual(hsn.checkLine(line({ hsnCode: null })), null);
+  assert.strictEqual(hsn.checkLine(line({ taxRate: null })), null);
+  assert.strictEqual(hsn.checkLine(line({ hsnCode: '9999' })).issue, 'UNKNOWN_CODE');
+
+  const mismatch = hsn.checkLine(line({ taxRate: 12 }));
+  assert.deepStrictEqual([mismatch.issue, mismatch.expectedRate, mismatch.rowNumber], ['RATE_MISMATCH', 5, 2]);
+  assert.match(mismatch.message, /12% charged, but .* attracts 5% from 2025-09-22/);
+
+  // Without a unit value either rate of a value-dependent code can be right
+  assert.strictEqual(hsn.checkLine(line({ hsnCode: '6109', taxRate: 5 })), null);
+  assert.strictEqual(hsn.checkLines([line({ taxRate: 12 }), line({})]).length, 1);
+});
+
+test('the master is searched by code prefix or by words, best match first', () => {
+  assert.deepStrictEqual(hsn.search('8517').map(result => result.code), ['8517', '851713']);
+  assert.deepStrictEqual(hsn.search('8517 13 00').map(result => result.code), ['851713', '8517']);
+  assert.strictEqual(hsn.search('mobile phone')[0].code, '8517');
+  assert.deepStrictEqual(hsn.search('smartphones').map(result => result.code), ['851713']);
+  assert.deepStrictEqual(hsn.search(''), []);
+  assert.strictEqual(hsn.search('car', 1).length, 1);
+  assert.deepStrictEqual(hsn.codesByRate()[28], ['8703']);
+});
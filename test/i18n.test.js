@@ -0,0 +1,48 @@
+// Translations: run with `npm test`
+const test = require('node:test');
+const assert = require('node:assert');
+const i18n = require('../lib/i18n');
+
+const placeholders = text => [...text.matchAll(/\{(\w+)\}/g)].map(match => match[1]).sort();
+
+test('translations use only English keys and the same placeholders as English', () => {
+  const english = i18n.messages('en');
+  i18n.LANGUAGES.filter(language => language.code !== 'en').forEach(({ code }) => {
+    const own = require(`../lib/i18n/locales/${code}.json`);
+    Object.entries(own).forEach(([key, text]) => {
+      assert.ok(key in english, `${code}: ${key} is not an English key`);
+      assert.deepStrictEqual(placeholders(text), placeholders(english[key]), `${code}: ${key}`);
+    });
+  });
+});
+
+test('strings fall back to English, then to the key itself', () => {
+  assert.strictEqual(i18n.resolveLanguage('fr'), 'en');
+  assert.strictEqual(i18n.resolveLanguage(undefined), 'en');
+  assert.strictEqual(i18n.t('fr', 'nav.dashboard'), i18n.t('en', 'nav.dashboard'));
+  assert.strictEqual(i18n.t('hi', 'no.such.key'), 'no.such.key');
+
+  const key = Object.keys(i18n.messages('en')).find(name => placeholders(i18n.t('en', name)).length > 0);
+  const [name] = placeholders(i18n.t('en', key));
+  assert.ok(i18n.t('en', key, { [name]: 'XYZ' }).includes('XYZ'));
+  assert.ok(i18n.t('en', key).includes(`{${name}}`), 'a placeholder without a value is left in place');
+});
+
+test('prompts ask for the language and keep GST terms in Latin script; English adds nothing', () => {
+  assert.strictEqual(i18n.promptInstruction('en'), '');
+  const hindi = i18n.promptInstruction('hi');
+  assert.match(hindi, /Hindi \(हिन्दी\), in Devanagari script/);
+  assert.match(hindi, /GSTR-3B/);
+});
+
+test('dates are written in the language, on the day given', () => {
+  assert.strictEqual(i18n.formatDate('en', '2025-07-20'), '20 July 2025');
+  assert.match(i18n.formatDate('hi', '2025-07-20'), /^20 जुलाई 2025$/);
+});
+
+test('Devanagari reports use the shipped font', () => {
+  assert.deepStrictEqual(i18n.pdfFont('en'), { language: 'en', font: null });
+  const { language, font } = i18n.pdfFont('mr');
+  assert.strictEqual(language, 'mr');
+  assert.match(font, /NotoSansDevanagari-Regular\.ttf$/);
+});
@@ -0,0 +1,102 @@
+// Reading uploaded rows into invoice lines: run with `npm test`
+// Dates are checked in India's timezone, east of UTC, where a local midnight is the day before in UTC
+process.env.TZ = 'Asia/Kolkata';
+process.env.DB_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseDate, parseNumber, detectLayout, normalizeRows, ImportError } = require('../lib/importer');
+
+test('every accepted date format reads as the date written', () => {
+  const written = {
+    '2025-04-01': '2025-04-01',
+    '2025-4-1': '2025-04-01',
+    '2025-04-01T00:00:00': '2025-04-01',
+    '01/04/2025': '2025-04-01',
+    '1/4/2025': '2025-04-01',
+    '01-04-2025': '2025-04-01',
+    '01.04.2025': '2025-04-01',
+    '01/04/25': '2025-04-01',
+    '1 Apr 2025': '2025-04-01',
+    '01-Apr-2025': '2025-04-01',
+    'April 1, 2025': '2025-04-01',
+    '31 Mar 2025': '2025-03-31'
+  };
+  Object.entries(written).forEach(([text, expected]) => {
+    assert.strictEqual(parseDate(text), expected, text);
+  });
+});
+
+test('Excel serials and date objects read as the date they stand for', () => {
+  assert.strictEqual(parseDate(45748), '2025-04-01');
+  assert.strictEqual(parseDate(45747.75), '2025-04-01');
+  assert.strictEqual(parseDate(new Date(2025, 3, 1)), '2025-04-01');
+});
+
+test('days a month does not have, blanks and garbage are not dates', () => {
+  ['31/04/2025', '29/02/2025', '00/04/2025', '01/13/2025', 'not a date', '', null, undefined, new Date('nope')]
+    .forEach(value => assert.strictEqual(parseDate(value), null, String(value)));
+  assert.strictEqual(parseDate('29/02/2024'), '2024-02-29');
+});
+
+test('amounts are read through currency signs, separators and brackets', () => {
+  assert.strictEqual(parseNumber('₹1,200.50'), 1200.5);
+  assert.strictEqual(parseNumber('Rs. 1,00,000'), 100000);
+  assert.strictEqual(parseNumber('18%'), 18);
+  assert.strictEqual(parseNumber('(500)'), -500);
+  assert.strictEqual(parseNumber(' -42 '), -42);
+  assert.strictEqual(parseNumber(12.5), 12.5);
+  ['', '  ', 'abc', '12abc', null, undefined, NaN].forEach(value => assert.strictEqual(parseNumber(value), null, String(value)));
+});
+
+test('the layout is told from the headers, whatever their case and punctuation', () => {
+  assert.strictEqual(detectLayout(['Transaction Type', 'Taxable Value', 'Integrated Tax', 'Central Tax', 'State Tax']).id, 'gstn-offline');
+  assert.strictEqual(detectLayout(['invoice_no', 'date', 'taxable value', 'gst_rate']).id, 'invoice-register');
+  assert.strictEqual(detectLayout(['date', 'product', 'amount']).id, 'simple');
+  assert.strictEqual(detectLayout(['foo', 'bar']), null);
+});
+
+test('a saved mapping is preferred when all its columns are there', () => {
+  const mapping = { name: 'Shop ledger', columns: { invoiceNumber: 'Bill', taxableValue: 'Net', invoiceDate: 'On' } };
+  assert.strictEqual(detectLayout(['Bill', 'Net', 'On', 'amount'], [mapping]).id, 'custom:Shop ledger');
+  assert.strictEqual(detectLayout(['Bill', 'amount'], [mapping]).id, 'simple');
+});
+
+test('rows become invoice lines with the sheet\'s row numbers', () => {
+  const headers = ['transaction_type', 'document_type', 'gstin', 'invoice_number', 'invoice_date', 'place_of_supply', 'taxable_value', 'integrated_tax', 'central_tax', 'state_tax', 'cess'];
+  const rows = [
+    { transaction_type: 'SALE', document_type: 'INVOICE', gstin: '27aaacr5055k1z7', invoice_number: 'INV-1', invoice_date: '1 Apr 2025', place_of_supply: '27', taxable_value: '10,000', integrated_tax: '0', central_tax: '900', state_tax: '900', cess: '' },
+    { transaction_type: 'Purchase', document_type: 'CN', gstin: '', invoice_number: 'CN-1', invoice_date: '31/13/2025', place_of_supply: '29', taxable_value: 'ten', integrated_tax: '90', central_tax: '', state_tax: '', cess: '' }
+  ];
+
+  const result = normalizeRows(rows, headers);
+  assert.strictEqual(result.layout.id, 'gstn-offline');
+  assert.strictEqual(result.hasTypeColumn, true);
+
+  const [sale, note] = result.lines;
+  assert.strictEqual(sale.rowNumber, 2);
+  assert.strictEqual(sale.transactionType, 'SALE');
+  assert.strictEqual(sale.invoiceDate, '2025-04-01');
+  assert.strictEqual(sale.gstin, '27AAACR5055K1Z7');
+  assert.strictEqual(sale.taxableValue, 10000);
+  assert.strictEqual(sale.cgst, 900);
+  assert.deepStrictEqual(sale.unparsed, {});
+
+  assert.strictEqual(note.rowNumber, 3);
+  assert.strictEqual(note.transactionType, 'PURCHASE');
+  assert.strictEqual(note.documentType, 'CREDIT_NOTE');
+  assert.strictEqual(note.gstin, null);
+  assert.strictEqual(note.invoiceDate, null);
+  assert.deepStrictEqual(note.unparsed, { taxableValue: 'ten', invoiceDate: '31/13/2025' });
+});
+
+test('a purchase register without a type column is all purchases', () => {
+  const result = normalizeRows([{ date: '2025-04-01', product: 'Paper', amount: '100' }], ['date', 'product', 'amount'], { register: 'purchase' });
+  assert.strictEqual(result.hasTypeColumn, false);
+  assert.strictEqual(result.lines[0].transactionType, 'PURCHASE');
+});
+
+test('an unknown layout or mapping is an import error', () => {
+  assert.throws(() => normalizeRows([], ['foo']), ImportError);
+  assert.throws(() => normalizeRows([], ['amount'], { mapping: 'nope' }), /Unknown column mapping "nope"/);
+});
@@ -0,0 +1,86 @@
+// Input tax credit on purchases: run with `npm test`
+const test = require('node:test');
+const assert = require('node:assert');
+const { ITC_STATUS, classifyItc, assessPurchase, summarizeItc } = require('../lib/itc');
+
+const SUPPLIER_MH = '27AAACR5055K1Z7';
+const SUPPLIER_KA = '29AABCU9603R1ZJ';
+
+function purchase(fields) {
+  return {
+    transactionType: 'PURCHASE', documentType: 'INVOICE', invoiceNumber: 'P-1', invoiceDate: '2025-04-10',
+    gstin: SUPPLIER_MH, placeOfSupply: null, hsnCode: null, product: 'Stationery', taxableValue: 1000, taxRate: 18,
+    igst: null, cgst: null, sgst: null, cess: null, ...fields
+  };
+}
+
+test('Section 17(5) blocks credit by HSN/SAC code, or by description when there is no code', () => {
+  const car = classifyItc(purchase({ hsnCode: '8703 23' }));
+  assert.deepStrictEqual([car.status, car.section], [ITC_STATUS.BLOCKED, '17(5)(a)']);
+  assert.strictEqual(classifyItc(purchase({ product: 'Team lunch' })).section, '17(5)(b)(i)');
+  assert.strictEqual(classifyItc(purchase({ product: 'Gym membership' })).section, '17(5)(b)(ii)');
+  assert.strictEqual(classifyItc(purchase({ product: 'Diwali gift hampers' })).section, '17(5)(h)');
+  // A code decides on its own: the description does not block a coded line
+  assert.strictEqual(classifyItc(purchase({ hsnCode: '4820', product: 'Gift wrap paper' })).status, ITC_STATUS.ELIGIBLE);
+  // Words match whole, so "cardboard" is not a car
+  assert.strictEqual(classifyItc(purchase({ product: 'Cardboard boxes' })).status, ITC_STATUS.ELIGIBLE);
+});
+
+test('a business supplying the same category keeps the credit under the provisos', () => {
+  assert.strictEqual(classifyItc(purchase({ hsnCode: '8703' }), 'TRADER').status, ITC_STATUS.ELIGIBLE);
+  assert.strictEqual(classifyItc(purchase({ hsnCode: '9963' }), 'RESTAURANT').status, ITC_STATUS.ELIGIBLE);
+  assert.strictEqual(classifyItc(purchase({ hsnCode: '9963' }), 'TRADER').status, ITC_STATUS.BLOCKED);
+});
+
+test('personal use, unregistered suppliers, declared eligibility and capital goods', () => {
+  assert.strictEqual(classifyItc(purchase({ product: 'Household groceries' })).status, ITC_STATUS.PERSONAL_USE);
+  assert.strictEqual(classifyItc(purchase({ gstin: null })).status, ITC_STATUS.INELIGIBLE);
+  assert.strictEqual(classifyItc(purchase({ gstin: null, reverseCharge: true })).status, ITC_STATUS.ELIGIBLE);
+  assert.strictEqual(classifyItc(purchase({ itcEligibility: 'Ineligible' })).status, ITC_STATUS.INELIGIBLE);
+  assert.strictEqual(classifyItc(purchase({ itcEligibility: 'Capital goods' })).status, ITC_STATUS.CAPITAL_GOODS);
+  assert.strictEqual(classifyItc(purchase({ product: 'Packing machine' })).status, ITC_STATUS.CAPITAL_GOODS);
+});
+
+test('credit follows the supplier\'s state and the heads charged on the invoice', () => {
+  const local = purchase({});
+  assessPurchase(local, '27');
+  assert.deepStrictEqual([local.itc.cgst, local.itc.sgst, local.itc.igst], [90, 90, 0]);
+
+  const interState = purchase({ gstin: SUPPLIER_KA });
+  assessPurchase(interState, '27');
+  assert.deepStrictEqual([interState.itc.igst, interState.itc.cgst], [180, 0]);
+
+  // The supplier charged IGST where CGST+SGST was due: the credit is what was charged
+  const charged = purchase({ igst: 180 });
+  assessPurchase(charged, '27');
+  assert.strictEqual(charged.tax.headMismatch, true);
+  assert.deepStrictEqual([charged.itc.igst, charged.itc.cgst], [180, 0]);
+
+  const blocked = purchase({ hsnCode: '8703' });
+  assessPurchase(blocked, '27');
+  assert.deepStrictEqual([blocked.itc.eligible, blocked.itc.cgst], [false, 0]);
+});
+
+test('the summary splits credit into available, capital goods, blocked and ineligible, by period', () => {
+  const lines = [
+    purchase({ invoiceNumber: 'P-1' }),
+    purchase({ invoiceNumber: 'P-2', product: 'Packing machine', taxableValue: 10000, invoiceDate: '2025-05-02' }),
+    purchase({ invoiceNumber: 'P-3', hsnCode: '8703', taxableValue: 500000, rowNumber: 4, filingId: 2 }),
+    purchase({ invoiceNumber: 'P-4', gstin: null, taxableValue: 100 }),
+    purchase({ invoiceNumber: 'CN-1', documentType: 'CREDIT_NOTE', taxableValue: 200 })
+  ];
+  lines.forEach(line => assessPurchase(line, '27'));
+  const summary = summarizeItc(lines);
+
+  assert.strictEqual(summary.purchases, 5);
+  assert.strictEqual(summary.available.total, 180 + 1800 - 36);
+  assert.strictEqual(summary.capitalGoods.total, 1800);
+  assert.strictEqual(summary.blocked.total, 90000);
+  assert.strictEqual(summary.ineligible.total, 18);
+  assert.deepStrictEqual(Object.keys(summary.byPeriod).sort(), ['2025-04', '2025-05']);
+  assert.strictEqual(summary.byPeriod['2025-05'].total, 1800);
+  assert.deepStrictEqual(summary.flagged.map(flag => [flag.invoiceNumber, flag.status]), [
+    ['P-2', ITC_STATUS.CAPITAL_GOODS], ['P-3', ITC_STATUS.BLOCKED], ['P-4', ITC_STATUS.INELIGIBLE]
+  ]);
+  assert.deepStrictEqual([summary.flagged[1].rowNumber, summary.flagged[1].section], [4, '17(5)(a)']);
+});
@@ -0,0 +1,65 @@
+// Timeouts of the model client: run with `npm test`
+process.env.DB_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const llm = require('../lib/llm');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Streams `pieces`, waiting `gapMs` before each
+function slowProvider(name, pieces, gapMs) {
+  return {
+    name,
+    cacheable: false,
+    isConfigured: () => true,
+    model: () => 'slow',
+    async generate() {
+      await delay(gapMs * pieces.length);
+      return { text: pieces.join(''), usage: null };
+    },
+    async stream(request, { onText }) {
+      for (const piece of pieces) {
+        await delay(gapMs);
+        onText(piece);
+      }
+      return { text: pieces.join(''), usage: null };
+    }
+  };
+}
+
+test('a streamed answer that keeps coming is not cut off, however long it takes', async () => {
+  llm.registerProvider(slowProvider('steady', ['a', 'b', 'c', 'd', 'e', 'f'], 40));
+  const pieces = [];
+  const answer = await llm.stream({ prompt: 'Go', fallback: 'Sorry' }, { provider: 'steady', timeoutMs: 100, retries: 0, onText: text => pieces.push(text) });
+  assert.strictEqual(answer.text, 'abcdef');
+  assert.strictEqual(answer.fallback, false);
+  assert.deepStrictEqual(pieces, ['a', 'b', 'c', 'd', 'e', 'f']);
+});
+
+test('a stream that stalls before its first piece or between two times out', async () => {
+  llm.registerProvider(slowProvider('silent', ['late'], 150));
+  const answer = await llm.stream({ prompt: 'Go', fallback: 'Sorry' }, { provider: 'silent', timeoutMs: 50, retries: 0, onText: () => {} });
+  assert.strictEqual(answer.fallback, true);
+  assert.match(answer.error, /No text for 50ms/);
+
+  const stalling = slowProvider('stalling', ['a', 'b'], 0);
+  stalling.stream = async (request, { onText }) => {
+    onText('a');
+    await delay(150);
+    onText('b');
+    return { text: 'ab', usage: null };
+  };
+  llm.registerProvider(stalling);
+  await assert.rejects(
+    llm.stream({ prompt: 'Go', fallback: 'Sorry' }, { provider: 'stalling', timeoutMs: 50, retries: 0, onText: () => {} }),
+    error => error.timedOut === true
+  );
+});
+
+test('an answer that is not streamed is timed as a whole', async () => {
+  llm.registerProvider(slowProvider('whole', ['a', 'b', 'c'], 40));
+  const answer = await llm.generate({ prompt: 'Go', fallback: 'Sorry' }, { provider: 'whole', timeoutMs: 100, retries: 0 });
+  assert.strictEqual(answer.fallback, true);
+  assert.match(answer.error, /No response within 100ms/);
+});
@@ -0,0 +1,82 @@
+// Late fees and interest: run with `npm test`
+process.env.DB_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { calculatePenalty, estimateLiability, runningPenalty } = require('../lib/penalties');
+
+const gstr3b = fields => calculatePenalty({ form: 'GSTR-3B', dueDate: '2025-05-20', filedOn: '2025-05-30', ...fields });
+
+test('GSTR-3B costs ₹50 a day, split between CGST and SGST, until the turnover cap', () => {
+  const { lateFee } = gstr3b({ turnover: 1e7 });
+  assert.deepStrictEqual([lateFee.days, lateFee.perDay, lateFee.cgst, lateFee.sgst, lateFee.total, lateFee.capped], [10, 50, 250, 250, 500, false]);
+
+  const capAt = turnover => gstr3b({ filedOn: '2026-05-20', turnover }).lateFee;
+  assert.deepStrictEqual([capAt(1.5e7).total, capAt(1.5e7).capped], [2000, true]);
+  assert.strictEqual(capAt(1.5e7 + 1).total, 5000);
+  assert.strictEqual(capAt(5e7).total, 5000);
+  assert.strictEqual(capAt(5e7 + 1).total, 10000);
+});
+
+test('nil returns cost ₹20 a day up to ₹500, and GSTR-4 is capped at ₹2,000', () => {
+  const nil = gstr3b({ filedOn: '2025-06-30', nilReturn: true, turnover: 1e7 }).lateFee;
+  assert.deepStrictEqual([nil.perDay, nil.total, nil.capped], [20, 500, true]);
+
+  const gstr4 = calculatePenalty({ form: 'GSTR-4', dueDate: '2025-06-30', filedOn: '2026-06-30', turnover: 1e6 });
+  assert.deepStrictEqual([gstr4.lateFee.total, gstr4.interest], [2000, null]);
+});
+
+test('GSTR-9 fees rise with turnover and are capped at a share of the turnover in the state', () => {
+  const gstr9 = (turnover, stateTurnover, filedOn = '2026-01-30') =>
+    calculatePenalty({ form: 'GSTR-9', dueDate: '2025-12-31', filedOn, turnover, stateTurnover }).lateFee;
+
+  assert.deepStrictEqual([gstr9(4e7, 4e7).perDay, gstr9(4e7, 4e7).total], [50, 1500]);
+  assert.strictEqual(gstr9(1e8, 1e8).perDay, 100);
+  // 0.04% of ₹30 lakh is ₹1,200
+  assert.deepStrictEqual([gstr9(3e6, 3e6).total, gstr9(3e6, 3e6).capped], [1200, true]);
+  // Above ₹20 crore: ₹200 a day up to 0.5% of the turnover in the state
+  assert.deepStrictEqual([gstr9(3e8, 1e5).perDay, gstr9(3e8, 1e5).cap], [200, 500]);
+  // Without the state's turnover the aggregate caps it
+  assert.strictEqual(gstr9(3e6, null).cap, 1200);
+
+  const unknown = calculatePenalty({ form: 'GSTR-9', dueDate: '2025-12-31', filedOn: '2026-01-30' });
+  assert.deepStrictEqual([unknown.lateFee.perDay, unknown.lateFee.cap, unknown.lateFee.total], [50, null, 1500]);
+  assert.strictEqual(unknown.assumptions.length, 2);
+});
+
+test('a return on time, or a form without a fee, costs nothing', () => {
+  const onTime = gstr3b({ filedOn: '2025-05-20', taxAmount: 10000 });
+  assert.deepStrictEqual([onTime.daysLate, onTime.lateFee.total, onTime.interest.total, onTime.total], [0, 0, 0, 0]);
+
+  const pmt06 = calculatePenalty({ form: 'PMT-06', dueDate: '2025-05-25', filedOn: '2025-06-04', taxAmount: 36500 });
+  assert.deepStrictEqual([pmt06.lateFee.applicable, pmt06.lateFee.total], [false, 0]);
+  assert.strictEqual(pmt06.interest.total, 180);
+});
+
+test('interest is 18% a year on the tax left after credit, from the due date to payment', () => {
+  const penalty = gstr3b({ filedOn: '2025-05-25', paidOn: '2025-06-19', taxAmount: 50000, itcUtilised: 13500, turnover: 1e7 });
+  assert.deepStrictEqual([penalty.interest.principal, penalty.interest.days, penalty.interest.total], [36500, 30, 540]);
+  assert.deepStrictEqual(penalty.interest.breakdown[0], { day: 1, date: '2025-05-21', interest: 18, cumulative: 18 });
+  assert.strictEqual(penalty.interest.breakdown[29].date, '2025-06-19');
+  assert.strictEqual(penalty.total, 250 + 540);
+  assert.deepStrictEqual(penalty.assumptions, []);
+
+  // Credit beyond the tax does not make the principal negative
+  assert.strictEqual(gstr3b({ taxAmount: 100, itcUtilised: 500 }).interest.principal, 0);
+  assert.deepStrictEqual(gstr3b({ taxAmount: 100, turnover: 1e7 }).assumptions, ['Tax taken as paid on the filing date']);
+});
+
+test('unfiled returns run up a penalty from the uploaded sales and purchases', () => {
+  const sale = { transactionType: 'SALE', documentType: 'INVOICE', taxableValue: 100000, taxRate: 18, placeOfSupply: '27', igst: null, cgst: null, sgst: null, cess: null };
+  const purchase = { transactionType: 'PURCHASE', documentType: 'INVOICE', gstin: '27AAACR5055K1Z7', product: 'Paper', taxableValue: 50000, taxRate: 18, igst: null, cgst: null, sgst: null, cess: null };
+  const liability = estimateLiability([sale], [purchase], '27');
+  assert.deepStrictEqual(liability, { taxAmount: 18000, itcUtilised: 9000 });
+  assert.strictEqual(estimateLiability([], [purchase], '27'), null);
+
+  const deadline = { form: 'GSTR-3B', dueDate: '2025-05-20' };
+  const running = runningPenalty(deadline, liability, { today: '2025-06-19', turnover: 1e7 });
+  assert.deepStrictEqual([running.lateFee.total, running.interest.principal, running.interest.breakdown], [1500, 9000, undefined]);
+  assert.strictEqual(running.interest.total, Math.round(9000 * 0.18 / 365 * 30 * 100) / 100);
+  assert.match(running.assumptions.at(-1), /estimated from the sales and purchases/);
+  assert.match(runningPenalty(deadline, null, { today: '2025-06-19' }).assumptions.at(-1), /interest cannot be estimated/);
+});
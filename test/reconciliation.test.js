@@ -0,0 +1,132 @@
+// GSTR-2B downloads and their reconciliation with the purchase register: run with `npm test`
+const test = require('node:test');
+const assert = require('node:assert');
+const XLSX = require('xlsx');
+const { parseGstr2b } = require('../lib/gstr2b');
+const { normalizeInvoiceNumber, reconcile, followUpWorkbook } = require('../lib/reconciliation');
+const { parsePeriod } = require('../lib/periods');
+const { ImportError } = require('../lib/importer');
+
+const RECIPIENT = '27AABCU9603R1ZN';
+const SUPPLIER = '27AAACR5055K1Z7';
+const OTHER_SUPPLIER = '29AABCU9603R1ZJ';
+
+const portalJson = {
+  data: {
+    gstin: RECIPIENT,
+    rtnprd: '042025',
+    docdata: {
+      b2b: [{
+        ctin: SUPPLIER,
+        trdnm: 'Reliable Paper Co',
+        inv: [
+          { inum: 'INV/0012/25-26', dt: '05-04-2025', val: 1180, pos: '27', rev: 'N', itcavl: 'Y', items: [{ txval: 1000, cgst: 90, sgst: 90 }] },
+          { inum: 'INV-13', dt: '06-04-2025', val: 2360, pos: '27', rev: 'N', itcavl: 'Y', txval: 2000, cgst: 150, sgst: 150 },
+          { inum: 'INV-99', dt: '07-04-2025', val: 590, pos: '27', rev: 'N', itcavl: 'N', txval: 500, cgst: 45, sgst: 45 }
+        ]
+      }],
+      cdnr: [{ ctin: SUPPLIER, nt: [{ ntnum: 'CN-1', typ: 'C', dt: '08-04-2025', val: 118, pos: '27', txval: 100, cgst: 9, sgst: 9 }] }]
+    }
+  }
+};
+
+function purchase(invoiceNumber, invoiceDate, taxableValue, fields = {}) {
+  return {
+    transactionType: 'PURCHASE', documentType: 'INVOICE', invoiceNumber, invoiceDate, gstin: SUPPLIER,
+    placeOfSupply: null, hsnCode: null, product: 'Paper', taxableValue, taxRate: 18,
+    igst: null, cgst: null, sgst: null, cess: null, filingId: 1, rowNumber: 2, ...fields
+  };
+}
+
+test('invoice numbers are compared without case, separators or leading zeros', () => {
+  assert.strictEqual(normalizeInvoiceNumber('INV/0012/24-25'), 'INV122425');
+  assert.strictEqual(normalizeInvoiceNumber('inv-12/24-25'), 'INV122425');
+  assert.strictEqual(normalizeInvoiceNumber(null), '');
+});
+
+test('the portal JSON is read into documents with their totals', () => {
+  const { gstin, period, documents } = parseGstr2b(Buffer.from(JSON.stringify(portalJson)), 'gstr2b.json');
+  assert.strictEqual(gstin, RECIPIENT);
+  assert.strictEqual(period.key, '2025-04');
+  assert.deepStrictEqual(documents.map(doc => [doc.section, doc.documentType, doc.invoiceNumber, doc.invoiceDate, doc.taxableValue, doc.cgst, doc.itcAvailable]), [
+    ['B2B', 'INVOICE', 'INV/0012/25-26', '2025-04-05', 1000, 90, true],
+    ['B2B', 'INVOICE', 'INV-13', '2025-04-06', 2000, 150, true],
+    ['B2B', 'INVOICE', 'INV-99', '2025-04-07', 500, 45, false],
+    ['CDNR', 'CREDIT_NOTE', 'CN-1', '2025-04-08', 100, 9, true]
+  ]);
+
+  assert.throws(() => parseGstr2b(Buffer.from('{'), 'gstr2b.json'), /not valid JSON/);
+  assert.throws(() => parseGstr2b(Buffer.from('{"data":{}}'), 'gstr2b.json'), ImportError);
+});
+
+test('the Excel download is read from its read-me and B2B sheets, adding up rate-wise rows', () => {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+    ['Goods and Services Tax - GSTR-2B'],
+    ['Financial Year', '2024-25'],
+    ['Tax Period', 'February'],
+    ['GSTIN', RECIPIENT.toLowerCase()]
+  ]), 'Read me');
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+    ['GSTIN of supplier', 'Trade/Legal name', 'Invoice details', '', '', '', 'Place of supply', 'Supply Attract Reverse Charge', 'Taxable Value (₹)', 'Tax Amount', '', '', '', 'ITC Availability'],
+    ['', '', 'Invoice number', 'Invoice type', 'Invoice Date', 'Invoice Value(₹)', '', '', '', 'Integrated Tax(₹)', 'Central Tax(₹)', 'State/UT Tax(₹)', 'Cess(₹)', ''],
+    [SUPPLIER, 'Reliable Paper Co', 'INV-1', 'Regular', '05/02/2025', 1770, '27-Maharashtra', 'No', 1000, 0, 90, 90, 0, 'Yes'],
+    [SUPPLIER, 'Reliable Paper Co', 'INV-1', 'Regular', '05/02/2025', 1770, '27-Maharashtra', 'No', 500, 0, 30, 30, 0, 'Yes']
+  ]), 'B2B');
+  const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+
+  const { gstin, period, documents } = parseGstr2b(buffer, 'gstr2b.xlsx');
+  assert.strictEqual(gstin, RECIPIENT);
+  assert.strictEqual(period.key, '2025-02');
+  assert.deepStrictEqual(documents.map(doc => [doc.invoiceNumber, doc.invoiceDate, doc.taxableValue, doc.cgst, doc.sgst, doc.reverseCharge, doc.itcAvailable]), [
+    ['INV-1', '2025-02-05', 1500, 120, 120, false, true]
+  ]);
+});
+
+test('documents are matched exactly, then on a similar number, and the rest are listed by side', () => {
+  const { documents } = parseGstr2b(Buffer.from(JSON.stringify(portalJson)), 'gstr2b.json');
+  const purchaseLines = [
+    purchase('INV-12/25-26', '2025-04-05', 1000),
+    purchase('IN-13', '2025-04-06', 2000),
+    purchase('CN-1', '2025-04-08', 100, { documentType: 'CREDIT_NOTE' }),
+    purchase('INV-20', '2025-04-20', 3000, { rowNumber: 9 }),
+    purchase('INV-5', '2025-03-20', 800),
+    purchase('CASH-1', '2025-04-21', 400, { gstin: null })
+  ];
+
+  const result = reconcile({ documents, purchaseLines, period: parsePeriod('2025-04'), recipientStateCode: '27' });
+
+  assert.deepStrictEqual(result.matched.map(item => [item.invoiceNumber, item.matchType]), [['INV-12/25-26', 'EXACT'], ['CN-1', 'EXACT']]);
+  assert.deepStrictEqual(result.mismatched.map(item => [item.invoiceNumber, item.gstr2bInvoiceNumber, item.matchType, item.differences.map(d => d.field)]), [
+    ['IN-13', 'INV-13', 'FUZZY', ['cgst', 'sgst']]
+  ]);
+  // The March purchase is not this period's, and the cash purchase has no GSTIN to be reported under
+  assert.deepStrictEqual(result.missingIn2B.map(item => [item.invoiceNumber, item.rowNumbers]), [['INV-20', [9]]]);
+  assert.deepStrictEqual(result.missingInBooks.map(item => [item.invoiceNumber, item.itcAvailable]), [['INV-99', false]]);
+
+  assert.deepStrictEqual(result.summary, {
+    gstr2bDocuments: 4,
+    booksDocuments: 4,
+    matched: 2,
+    mismatched: 1,
+    missingIn2B: 1,
+    missingInBooks: 1,
+    itcIn2B: 180 + 300 + 18,
+    itcAtRisk: 540 + 60
+  });
+});
+
+test('the follow-up workbook has a summary and a sheet per kind of difference', () => {
+  const result = reconcile({
+    documents: [],
+    purchaseLines: [purchase('INV-1', '2025-04-05', 1000, { partyName: 'Reliable Paper Co' })],
+    period: parsePeriod('2025-04'),
+    recipientStateCode: '27'
+  });
+  const workbook = XLSX.read(followUpWorkbook(result), { type: 'buffer' });
+  assert.deepStrictEqual(workbook.SheetNames, ['Summary', 'Mismatched', 'Missing in GSTR-2B', 'Missing in books']);
+
+  const [row] = XLSX.utils.sheet_to_json(workbook.Sheets['Missing in GSTR-2B']);
+  assert.deepStrictEqual([row['Supplier GSTIN'], row['Supplier Name'], row['Tax (Books)'], row.Issue], [SUPPLIER, 'Reliable Paper Co', 180, 'Not reported by the supplier']);
+  assert.deepStrictEqual(XLSX.utils.sheet_to_json(workbook.Sheets.Mismatched, { header: 1 })[0].slice(0, 2), ['Supplier GSTIN', 'Supplier Name']);
+});
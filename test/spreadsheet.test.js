@@ -0,0 +1,73 @@
+// Excel and CSV exports of a filing: run with `npm test`
+process.env.DB_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const XLSX = require('xlsx');
+const { buildSheets, toWorkbook, toCsv, formulaSafe, csvText } = require('../lib/spreadsheet');
+
+function line(fields) {
+  return {
+    rowNumber: 2, transactionType: 'SALE', documentType: 'INVOICE', invoiceNumber: 'INV-1', invoiceDate: '2025-04-10',
+    gstin: '27AAACR5055K1Z7', partyName: 'Ravi Stores', placeOfSupply: '27', hsnCode: '4820', product: 'Notebooks',
+    quantity: 10, unitPrice: 100, taxableValue: 1000, taxRate: 18, igst: null, cgst: null, sgst: null, cess: null, ...fields
+  };
+}
+
+const filing = (salesData, purchaseData = []) => ({ taxPeriod: '2025-04', salesData, purchaseData });
+const sheet = (sheets, id) => sheets.find(entry => entry.id === id).rows;
+const column = (rows, name) => rows.slice(1).map(row => row[rows[0].indexOf(name)]);
+
+test('invoice lines carry their tax, with credit notes negative so columns add up', () => {
+  const sheets = buildSheets(filing([
+    line({}),
+    line({ rowNumber: 3, documentType: 'CREDIT_NOTE', invoiceNumber: 'CN-1', taxableValue: 200 }),
+    line({ rowNumber: 4, invoiceNumber: 'INV-2', gstin: '29AABCU9603R1ZJ', placeOfSupply: '29', taxableValue: 500, taxRate: 12 })
+  ]), { stateCode: '27' });
+
+  assert.deepStrictEqual(sheets.map(entry => entry.name), ['Invoice lines', 'Tax summary', 'By place of supply', 'By rate', 'By HSN']);
+  const lines = sheet(sheets, 'lines');
+  assert.deepStrictEqual(column(lines, 'Taxable value'), [1000, -200, 500]);
+  assert.deepStrictEqual(column(lines, 'CGST'), [90, -18, 0]);
+  assert.deepStrictEqual(column(lines, 'IGST'), [0, 0, 60]);
+  assert.deepStrictEqual(column(lines, 'Invoice value'), [1180, -236, 560]);
+  assert.deepStrictEqual(column(lines, 'Place of supply'), ['Maharashtra', 'Maharashtra', 'Karnataka']);
+});
+
+test('the summary nets output tax against the credit available on purchases', () => {
+  const sales = [line({})];
+  const without = sheet(buildSheets(filing(sales), { stateCode: '27' }), 'summary');
+  assert.deepStrictEqual(without[2], ['Net tax payable (no purchase register uploaded)', null, null, null, null, null, null, null, 180]);
+
+  const purchases = [
+    line({ transactionType: 'PURCHASE', invoiceNumber: 'K-7', gstin: '29AABCU9603R1ZJ', taxableValue: 500 }),
+    line({ transactionType: 'PURCHASE', invoiceNumber: 'K-8', hsnCode: '8703', product: 'Car', taxableValue: 100 })
+  ];
+  const rows = sheet(buildSheets(filing(sales, purchases), { stateCode: '27' }), 'summary');
+  const byLabel = Object.fromEntries(rows.map(row => [row[0], row[row.length - 1]]));
+  assert.strictEqual(byLabel['ITC available'], 90);
+  assert.strictEqual(byLabel['ITC blocked'], 18);
+  assert.strictEqual(byLabel['Net tax payable'], 90);
+});
+
+test('text a spreadsheet would run as a formula is written as text', () => {
+  assert.strictEqual(formulaSafe('=HYPERLINK("x")'), '\'=HYPERLINK("x")');
+  ['+91 98', '-5', '@SUM(A1)', '\tx', '\rx'].forEach(value => assert.strictEqual(formulaSafe(value), `'${value}`));
+  assert.strictEqual(formulaSafe('Notebooks'), 'Notebooks');
+  assert.strictEqual(formulaSafe(-5), -5);
+});
+
+test('CSV cells are quoted when they need to be', () => {
+  assert.strictEqual(csvText([['a', null, 1.5], ['R, D', 'say "hi"', 'two\nlines'], ['=1+1', undefined, -2]]),
+    'a,,1.5\n"R, D","say ""hi""","two\nlines"\n\'=1+1,,-2\n');
+  assert.strictEqual(toCsv({ rows: [['x']] }), 'x\n');
+});
+
+test('the workbook has a worksheet per table', () => {
+  const sheets = buildSheets(filing([line({ product: '=cmd' })]), { stateCode: '27' });
+  const workbook = XLSX.read(toWorkbook(sheets), { type: 'buffer' });
+  assert.deepStrictEqual(workbook.SheetNames, sheets.map(entry => entry.name));
+  const rows = XLSX.utils.sheet_to_json(workbook.Sheets['Invoice lines'], { header: 1 });
+  assert.strictEqual(rows[1][rows[0].indexOf('Product')], '=cmd');
+  assert.strictEqual(workbook.Sheets['Invoice lines'].K2.t, 's');
+});
@@ -0,0 +1,90 @@
+// Tally Prime vouchers from a filing: run with `npm test`
+process.env.DB_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_LEDGERS, TallyError, getLedgers, saveLedgers, buildVouchers, toXml } = require('../lib/tally');
+const { businesses } = require('../lib/repositories');
+
+const BUYER_MH = '27AAACR5055K1Z7';
+const SUPPLIER_KA = '29AABCU9603R1ZJ';
+
+function line(fields) {
+  return {
+    rowNumber: 2, transactionType: 'SALE', documentType: 'INVOICE', invoiceNumber: 'INV-1', invoiceDate: '2025-04-10',
+    gstin: BUYER_MH, partyName: 'Ravi Stores', placeOfSupply: '27', hsnCode: null, product: 'Notebooks',
+    taxableValue: 1000, taxRate: 18, igst: null, cgst: null, sgst: null, cess: null, ...fields
+  };
+}
+
+function filing(salesData, purchaseData = []) {
+  return { taxPeriod: '2025-04', timestamp: '2025-05-02T10:00:00.000Z', salesData, purchaseData };
+}
+
+const vouchersOf = (sales, purchases) => buildVouchers(filing(sales, purchases), { ledgers: DEFAULT_LEDGERS, stateCode: '27' });
+const postings = voucher => Object.fromEntries(voucher.entries.map(entry => [entry.ledger, entry.amount]));
+
+test('the lines of one invoice make one balanced voucher, the party debited', () => {
+  const [voucher] = vouchersOf([line({}), line({ rowNumber: 3, taxableValue: 500, taxRate: 12 })]);
+  assert.deepStrictEqual([voucher.type, voucher.number, voucher.party, voucher.placeOfSupply], ['Sales', 'INV-1', 'Ravi Stores', 'Maharashtra']);
+  assert.deepStrictEqual(voucher.rows, [2, 3]);
+  assert.deepStrictEqual(postings(voucher), { 'Ravi Stores': 1740, Sales: -1500, 'Output CGST': -120, 'Output SGST': -120 });
+  assert.strictEqual(voucher.entries[0].isParty, true);
+});
+
+test('purchases post claimable credit to input ledgers and blocked credit to the cost', () => {
+  const purchase = fields => line({ transactionType: 'PURCHASE', gstin: SUPPLIER_KA, partyName: null, placeOfSupply: '27', ...fields });
+  const [stationery, car] = vouchersOf([], [
+    purchase({ invoiceNumber: 'K-7' }),
+    purchase({ invoiceNumber: 'K-8', hsnCode: '8703', product: 'Car', taxableValue: 500000, taxRate: 28 })
+  ]);
+  assert.strictEqual(stationery.party, SUPPLIER_KA);
+  assert.deepStrictEqual(postings(stationery), { [SUPPLIER_KA]: -1180, Purchase: 1000, 'Input IGST': 180 });
+  assert.deepStrictEqual(postings(car), { [SUPPLIER_KA]: -640000, Purchase: 640000 });
+});
+
+test('credit notes reverse the postings, and a supplier\'s credit note is a debit note in Tally', () => {
+  const [sale, purchase] = vouchersOf(
+    [line({ documentType: 'CREDIT_NOTE', invoiceNumber: 'CN-1' })],
+    [line({ transactionType: 'PURCHASE', documentType: 'CREDIT_NOTE', invoiceNumber: 'CN-9', gstin: SUPPLIER_KA, partyName: 'Kaveri Paper' })]
+  );
+  assert.strictEqual(sale.type, 'Credit Note');
+  assert.deepStrictEqual(postings(sale), { 'Ravi Stores': -1180, Sales: 1000, 'Output CGST': 90, 'Output SGST': 90 });
+  assert.strictEqual(purchase.type, 'Debit Note');
+  assert.deepStrictEqual(postings(purchase), { 'Kaveri Paper': 1180, Purchase: -1000, 'Input IGST': -180 });
+});
+
+test('undated lines fall on the last day of the period, and unnamed parties on the cash ledger', () => {
+  const [voucher] = vouchersOf([line({ invoiceNumber: null, invoiceDate: null, gstin: null, partyName: null })]);
+  assert.deepStrictEqual([voucher.date, voucher.number, voucher.party], ['2025-04-30', null, 'Cash']);
+});
+
+test('ledger names are saved over the defaults, with the rate filled in per line', () => {
+  const businessId = businesses.create({ name: 'Test business', gstin: '27AABCU9603R1ZN', stateCode: '27' }).id;
+  const ledgers = saveLedgers(businessId, { sales: 'Sales @ {rate}%', cashParty: '  Counter sales  ' });
+  assert.deepStrictEqual([ledgers.sales, ledgers.cashParty, ledgers.purchase], ['Sales @ {rate}%', 'Counter sales', 'Purchase']);
+
+  const [voucher] = buildVouchers(filing([line({ taxRate: 5 })]), { ledgers, stateCode: '27' });
+  assert.strictEqual(voucher.entries[1].ledger, 'Sales @ 5%');
+
+  // An empty name goes back to the default
+  assert.strictEqual(saveLedgers(businessId, { sales: '' }).sales, 'Sales');
+  assert.strictEqual(getLedgers(businessId).cashParty, 'Counter sales');
+  assert.throws(() => saveLedgers(businessId, { bank: 'HDFC' }), TallyError);
+  assert.throws(() => saveLedgers(businessId, { sales: 'x'.repeat(101) }), /longer than 100 characters/);
+});
+
+test('the import file escapes names and writes debits as negative amounts', () => {
+  const vouchers = vouchersOf([line({ partyName: 'R & D <Traders>' })], [line({ transactionType: 'PURCHASE', invoiceNumber: 'K-7', gstin: SUPPLIER_KA })]);
+  const text = toXml(vouchers, { company: 'ABC Traders', narration: 'Imported from sales.csv' });
+
+  assert.match(text, /<SVCURRENTCOMPANY>ABC Traders<\/SVCURRENTCOMPANY>/);
+  assert.match(text, /<PARTYLEDGERNAME>R &amp; D &lt;Traders&gt;<\/PARTYLEDGERNAME>/);
+  assert.match(text, /<LEDGERNAME>R &amp; D &lt;Traders&gt;<\/LEDGERNAME><ISDEEMEDPOSITIVE>Yes<\/ISDEEMEDPOSITIVE><ISPARTYLEDGER>Yes<\/ISPARTYLEDGER><AMOUNT>-1180.00<\/AMOUNT>/);
+  assert.match(text, /<LEDGERNAME>Sales<\/LEDGERNAME><ISDEEMEDPOSITIVE>No<\/ISDEEMEDPOSITIVE><ISPARTYLEDGER>No<\/ISPARTYLEDGER><AMOUNT>1000.00<\/AMOUNT>/);
+  assert.match(text, /<DATE>20250410<\/DATE>/);
+  assert.match(text, /<NARRATION>Imported from sales.csv \(rows 2\)<\/NARRATION>/);
+  // Tally numbers purchases itself; the supplier's number is only the reference
+  assert.strictEqual((text.match(/<VOUCHERNUMBER>/g) || []).length, 1);
+  assert.match(text, /<REFERENCE>K-7<\/REFERENCE>/);
+});
@@ -0,0 +1,70 @@
+// Place of supply and tax heads: run with `npm test`
+const test = require('node:test');
+const assert = require('node:assert');
+const { findState, resolvePlaceOfSupply, classifySupply } = require('../lib/placeOfSupply');
+const { assessLine, signedValue } = require('../lib/tax');
+
+const line = fields => ({ taxableValue: 1000, taxRate: 18, igst: null, cgst: null, sgst: null, cess: null, ...fields });
+const fallback = () => 18;
+
+test('states are found by code, name, abbreviation, alias or "code-name"', () => {
+  assert.strictEqual(findState('27').name, 'Maharashtra');
+  assert.strictEqual(findState('7').name, 'Delhi');
+  assert.strictEqual(findState('New Delhi').code, '07');
+  assert.strictEqual(findState('tamil nadu').code, '33');
+  assert.strictEqual(findState('29-Karnataka').code, '29');
+  assert.strictEqual(findState('98'), null);
+  assert.strictEqual(findState(''), null);
+});
+
+test('the place of supply comes from the column, then the GSTIN, then a state name', () => {
+  const maharashtra = findState('27');
+  assert.strictEqual(resolvePlaceOfSupply(line({ placeOfSupply: '29', gstin: '27AAACR5055K1Z7' }), maharashtra).source, 'place_of_supply');
+  assert.strictEqual(resolvePlaceOfSupply(line({ placeOfSupply: 'Karnataka', gstin: '27AAACR5055K1Z7' }), maharashtra).source, 'gstin');
+  assert.strictEqual(resolvePlaceOfSupply(line({ placeOfSupply: 'Karnataka' }), maharashtra).state.code, '29');
+  assert.strictEqual(resolvePlaceOfSupply(line({ placeOfSupply: 'Home State' }), maharashtra).state.code, '27');
+  assert.strictEqual(resolvePlaceOfSupply(line({}), maharashtra), null);
+});
+
+test('supplies are intra-state within a state, inter-state across states and for exports and SEZs', () => {
+  assert.deepStrictEqual(classifySupply(line({ placeOfSupply: '27' }), '27').taxHeads, ['CGST', 'SGST']);
+  assert.deepStrictEqual(classifySupply(line({ placeOfSupply: '04' }), '04').taxHeads, ['CGST', 'UTGST']);
+  assert.strictEqual(classifySupply(line({ placeOfSupply: '29' }), '27').nature, 'INTER');
+  assert.strictEqual(classifySupply(line({ placeOfSupply: '27', supplyType: 'SEZWP' }), '27').nature, 'INTER');
+  assert.strictEqual(classifySupply(line({ placeOfSupply: '96' }), '27').nature, 'INTER');
+  // A seller_state column overrides the profile's state
+  assert.strictEqual(classifySupply(line({ placeOfSupply: '29', supplierState: 'Karnataka' }), '27').nature, 'INTRA');
+  assert.strictEqual(classifySupply(line({ placeOfSupply: '29' }), null).nature, 'UNKNOWN');
+});
+
+test('tax is split into heads by the classification, from the rate or the amounts reported', () => {
+  const intra = assessLine(line({ placeOfSupply: '27' }), '27', fallback);
+  assert.deepStrictEqual([intra.cgst, intra.sgst, intra.igst], [90, 90, 0]);
+
+  const ut = assessLine(line({ placeOfSupply: '04' }), '04', fallback);
+  assert.deepStrictEqual([ut.cgst, ut.utgst, ut.sgst], [90, 90, 0]);
+
+  const reported = assessLine(line({ placeOfSupply: '29', igst: 50 }), '27', fallback);
+  assert.strictEqual(reported.igst, 50);
+  assert.strictEqual(reported.headMismatch, undefined);
+
+  const mismatch = assessLine(line({ placeOfSupply: '29', cgst: 45, sgst: 45 }), '27', fallback);
+  assert.strictEqual(mismatch.igst, 90);
+  assert.strictEqual(mismatch.headMismatch, true);
+
+  const unrated = assessLine(line({ taxRate: null, placeOfSupply: '29' }), '27', () => 5);
+  assert.strictEqual(unrated.igst, 50);
+});
+
+test('credit notes reduce the value and the tax', () => {
+  const note = line({ documentType: 'CREDIT_NOTE', placeOfSupply: '27', cess: 10 });
+  assert.strictEqual(signedValue(note), -1000);
+  const tax = assessLine(note, '27', fallback);
+  assert.deepStrictEqual([tax.cgst, tax.sgst, tax.cess], [-90, -90, -10]);
+});
+
+test('without both states, reported intra-state heads or "Home State" stay intra-state', () => {
+  assert.strictEqual(assessLine(line({ cgst: 90, sgst: 90 }), null, fallback).nature, 'INTRA');
+  assert.strictEqual(assessLine(line({ placeOfSupply: 'Home State' }), null, fallback).nature, 'INTRA');
+  assert.strictEqual(assessLine(line({}), null, fallback).nature, 'INTER');
+});
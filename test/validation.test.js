@@ -0,0 +1,106 @@
+// Row-level checks of uploaded lines: run with `npm test`
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateLines, toCsv } = require('../lib/validation');
+const { assessLine } = require('../lib/tax');
+
+const TODAY = '2025-05-15';
+
+function sale(rowNumber, fields = {}) {
+  return {
+    rowNumber, transactionType: 'SALE', documentType: 'INVOICE', invoiceNumber: `INV-${rowNumber}`, invoiceDate: '2025-04-10',
+    gstin: null, placeOfSupply: '27', hsnCode: null, product: 'Widget', quantity: 1, taxableValue: 1000, taxRate: 18,
+    rateDerived: false, igst: null, cgst: null, sgst: null, cess: null, unparsed: {}, ...fields
+  };
+}
+
+// Lines reach validation with their tax heads worked out, as on upload
+const assessed = lines => lines.map(line => {
+  assessLine(line, '27', () => 18);
+  return line;
+});
+
+const codes = (issues, rowNumber) => issues.filter(issue => issue.rowNumber === rowNumber).map(issue => issue.code);
+
+test('a clean register has nothing to report and takes the busiest month as its period', () => {
+  const result = validateLines(assessed([sale(2), sale(3), sale(4, { invoiceDate: '2025-03-31' })]), { today: TODAY });
+  assert.strictEqual(result.period, '2025-04');
+  assert.deepStrictEqual([result.rowsChecked, result.errorCount], [3, 0]);
+  assert.deepStrictEqual(result.warnings.map(issue => [issue.rowNumber, issue.code]), [[4, 'OUTSIDE_PERIOD']]);
+});
+
+test('values, parties and dates are checked', () => {
+  const { errors, warnings } = validateLines(assessed([
+    sale(2, { taxableValue: null, unparsed: { taxableValue: 'ten' } }),
+    sale(3, { taxableValue: 0 }),
+    sale(4, { taxableValue: -100 }),
+    sale(5, { documentType: 'CREDIT_NOTE', taxableValue: -100 }),
+    sale(6, { gstin: '27AABCU9603R1ZM' }),
+    sale(7, { placeOfSupply: 'Atlantis' }),
+    sale(8, { invoiceDate: '2025-06-01' }),
+    sale(9, { invoiceDate: null }),
+    sale(10, { taxRate: 13 })
+  ]), { today: TODAY });
+
+  assert.deepStrictEqual(codes(errors, 2), ['UNREADABLE_VALUE']);
+  assert.strictEqual(errors.find(issue => issue.rowNumber === 2).message, 'Taxable value "ten" could not be read');
+  assert.deepStrictEqual(codes(errors, 3), ['MISSING_VALUE']);
+  assert.deepStrictEqual(codes(errors, 4), ['NEGATIVE_VALUE']);
+  assert.deepStrictEqual(codes(errors, 5), []);
+  assert.deepStrictEqual(codes(errors, 6), ['INVALID_GSTIN']);
+  assert.deepStrictEqual(codes(errors, 7), ['UNKNOWN_STATE']);
+  assert.deepStrictEqual(codes(errors, 8), ['FUTURE_DATE']);
+  assert.deepStrictEqual(codes(warnings, 9), ['MISSING_DATE']);
+  assert.deepStrictEqual(codes(warnings, 10), ['UNUSUAL_RATE']);
+});
+
+test('reported tax is checked against the rate and the place of supply', () => {
+  const { errors, warnings } = validateLines(assessed([
+    sale(2, { cgst: 90, sgst: 90 }),
+    sale(3, { cgst: 100, sgst: 80 }),
+    sale(4, { cgst: 50, sgst: 50 }),
+    sale(5, { igst: 90, cgst: 45, sgst: 45 }),
+    sale(6, { igst: 180 }),
+    sale(7, { taxRate: 13, rateDerived: true, igst: 130, placeOfSupply: '29' })
+  ]), { today: TODAY });
+
+  assert.deepStrictEqual(codes(errors, 2), []);
+  assert.deepStrictEqual(codes(errors, 3), ['CGST_SGST_DIFFER']);
+  assert.deepStrictEqual(codes(errors, 4), ['TAX_MISMATCH']);
+  assert.deepStrictEqual(codes(errors, 5), ['MIXED_TAX_HEADS']);
+  assert.deepStrictEqual(codes(warnings, 6), ['TAX_HEAD_MISMATCH']);
+  assert.match(warnings.find(issue => issue.rowNumber === 6).message, /IGST is reported on an intra-state supply; the tax is counted as CGST and SGST/);
+  assert.deepStrictEqual(codes(errors, 7), ['TAX_MISMATCH']);
+});
+
+test('an invoice number may span rows of one date and party, but not two invoices', () => {
+  const { errors, warnings } = validateLines(assessed([
+    sale(2, { invoiceNumber: 'INV-1' }),
+    sale(3, { invoiceNumber: 'inv-1', product: 'Gadget' }),
+    sale(4, { invoiceNumber: 'INV-1' }),
+    sale(5, { invoiceNumber: 'INV-1', invoiceDate: '2025-04-11' }),
+    // Purchase invoice numbers are only unique per supplier
+    sale(6, { transactionType: 'PURCHASE', invoiceNumber: 'P-1', gstin: '27AAACR5055K1Z7' }),
+    sale(7, { transactionType: 'PURCHASE', invoiceNumber: 'P-1', gstin: '29AABCU9603R1ZJ' })
+  ]), { today: TODAY });
+
+  assert.deepStrictEqual(codes(errors, 3), []);
+  assert.deepStrictEqual(codes(warnings, 4), ['DUPLICATE_ROW']);
+  assert.deepStrictEqual(codes(errors, 5), ['DUPLICATE_INVOICE']);
+  assert.deepStrictEqual(codes(errors, 7), []);
+});
+
+test('a chosen period makes dates outside it errors', () => {
+  const period = { key: '2025-03', from: '2025-03-01', to: '2025-03-31', label: 'March 2025' };
+  const result = validateLines(assessed([sale(2)]), { period, today: TODAY });
+  assert.strictEqual(result.period, '2025-03');
+  assert.deepStrictEqual(codes(result.errors, 2), ['OUTSIDE_PERIOD']);
+  assert.strictEqual(result.rowsWithErrors, 1);
+});
+
+test('the CSV report quotes values and defuses formulas from the upload', () => {
+  const result = validateLines(assessed([sale(2, { invoiceNumber: '=HYPERLINK("x")', gstin: '+27, bad' })]), { today: TODAY });
+  const [header, row] = toCsv(result).split('\n');
+  assert.strictEqual(header, 'Severity,Sheet,Row,Invoice Number,Type,Field,Value,Problem,Code');
+  assert.ok(row.startsWith('error,,2,"\'=HYPERLINK(""x"")",SALE,GSTIN,"\'+27, bad",'), row);
+});
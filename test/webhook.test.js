@@ -0,0 +1,26 @@
+// Which webhook targets reminders may be sent to: run with `npm test`
+const test = require('node:test');
+const assert = require('node:assert');
+const { checkTarget, WebhookTargetError } = require('../lib/channels/webhook');
+
+const refused = url => assert.rejects(checkTarget(url), WebhookTargetError, url);
+
+test('local, private and link-local addresses are refused', async () => {
+  for (const host of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '100.64.0.1', '169.254.169.254', '0.0.0.0', '[::1]', '[fe80::1]', '[fd00::1]', 'localhost']) {
+    await refused(`http://${host}/hook`);
+  }
+});
+
+test('IPv4 addresses written as IPv6 are refused like the IPv4 address inside', async () => {
+  for (const host of ['[::ffff:127.0.0.1]', '[::ffff:a9fe:a9fe]', '[::127.0.0.1]', '[64:ff9b::7f00:1]', '[64:ff9b::a9fe:a9fe]', '[64:ff9b:1::a00:1]', '[2002:7f00:1::1]', '[2002:c0a8:101::]']) {
+    await refused(`http://${host}/hook`);
+  }
+});
+
+test('public addresses and only http(s) URLs are accepted', async () => {
+  for (const url of ['https://8.8.8.8/hook', 'http://[2606:4700::1111]/hook', 'http://[2002:808:808::1]/hook']) {
+    await checkTarget(url);
+  }
+  await refused('ftp://8.8.8.8/hook');
+  await refused('not a url');
+});